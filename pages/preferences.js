@@ -0,0 +1,83 @@
+import { resolveApiEndpoint, resolveSignedLink, setMessage } from './signup.js';
+
+function applyPreferences(form, { frequency, minRecommendation, sections }) {
+  for (const input of form.querySelectorAll('input[name="frequency"]')) {
+    input.checked = input.value === frequency;
+  }
+  form.minRecommendation.value = minRecommendation;
+  for (const input of form.querySelectorAll('input[name="sections"]')) {
+    input.checked = sections.includes(input.value);
+  }
+}
+
+function readPreferences(form) {
+  const formData = new FormData(form);
+  return {
+    frequency: formData.get('frequency'),
+    minRecommendation: formData.get('minRecommendation'),
+    sections: formData.getAll('sections')
+  };
+}
+
+async function initPreferences() {
+  const form = document.getElementById('preferences-form');
+  const message = document.getElementById('form-message');
+  if (!form || !message) return;
+
+  const button = form.querySelector('button[type="submit"]');
+  const link = resolveSignedLink();
+  if (!link) {
+    setMessage(message, 'Open this page from the "Manage preferences" link in any briefing.', 'error');
+    button.disabled = true;
+    return;
+  }
+
+  const { email, token } = link;
+  const endpoint = new URL('/preferences', resolveApiEndpoint()).toString();
+  form.email.value = email;
+
+  try {
+    const query = `?email=${encodeURIComponent(email)}&token=${encodeURIComponent(token)}`;
+    const response = await fetch(`${endpoint}${query}`);
+    const data = await response.json().catch(() => ({ success: false }));
+    if (!response.ok || !data.success) {
+      setMessage(message, data?.error || 'This preferences link is no longer valid.', 'error');
+      button.disabled = true;
+      return;
+    }
+    applyPreferences(form, data.preferences);
+  } catch (error) {
+    console.error('Preferences load error', error);
+    setMessage(message, 'Network error. Please check your connection and try again.', 'error');
+  }
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    setMessage(message, 'Saving your preferences…', 'info');
+    button.disabled = true;
+    button.classList.add('loading');
+
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, token, ...readPreferences(form) })
+      });
+      const data = await response.json().catch(() => ({ success: false }));
+
+      if (!response.ok || !data.success) {
+        setMessage(message, data?.error || 'Something went wrong. Please try again later.', 'error');
+      } else {
+        applyPreferences(form, data.preferences);
+        setMessage(message, data.message || 'Preferences saved.', 'success');
+      }
+    } catch (error) {
+      console.error('Preferences save error', error);
+      setMessage(message, 'Network error. Please check your connection and try again.', 'error');
+    }
+    button.disabled = false;
+    button.classList.remove('loading');
+  });
+}
+
+window.addEventListener('DOMContentLoaded', initPreferences);
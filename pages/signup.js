@@ -1,22 +1,41 @@
 const DEFAULT_API_ENDPOINT = 'https://options-insight.ravishankar-sivasubramaniam.workers.dev/subscribe';
 
-function resolveApiEndpoint() {
+export function resolveApiEndpoint() {
   const explicit = window.OPTIONS_INSIGHT_API_URL || document.body.dataset.apiEndpoint;
   return explicit || DEFAULT_API_ENDPOINT;
 }
 
+// Digest emails link to the signup and preference pages with ?email=&token= signed links
+export function resolveSignedLink() {
+  const params = new URLSearchParams(window.location.search);
+  const email = params.get('email');
+  const token = params.get('token');
+  return email && token ? { email, token } : null;
+}
+
 function isValidEmail(value) {
   const email = (value || '').trim();
   if (!email || email.length > 254) return false;
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
-function setMessage(element, text, mode = 'info') {
+export function setMessage(element, text, mode = 'info') {
   element.textContent = text;
   element.className = '';
   element.classList.add('message', mode);
 }
 
+// Archive links follow the configured worker so forks point at their own archive
+function initArchiveLinks() {
+  const links = { 'sample-issue': '/archive/latest', 'archive-index': '/archive' };
+  for (const [id, path] of Object.entries(links)) {
+    const link = document.getElementById(id);
+    if (link) {
+      link.href = new URL(path, resolveApiEndpoint()).toString();
+    }
+  }
+}
+
 function initCurrentYear() {
   const yearEl = document.getElementById('current-year');
   if (yearEl) {
@@ -24,6 +43,31 @@ function initCurrentYear() {
   }
 }
 
+// Renders the Turnstile widget when the page is configured with a site key; the widget
+// adds a `cf-turnstile-response` field to the form
+function initChallenge(form) {
+  const siteKey = document.body.dataset.turnstileSiteKey;
+  if (!siteKey) return;
+
+  const widget = document.createElement('div');
+  widget.className = 'cf-turnstile';
+  widget.dataset.sitekey = siteKey;
+  form.querySelector('button[type="submit"]').before(widget);
+
+  const script = document.createElement('script');
+  script.src = 'https://challenges.cloudflare.com/turnstile/v0/api.js';
+  script.async = true;
+  script.defer = true;
+  document.head.appendChild(script);
+}
+
+// Turnstile tokens are single-use, so every attempt needs a fresh one
+function resetChallenge() {
+  if (window.turnstile) {
+    window.turnstile.reset();
+  }
+}
+
 function initForm() {
   const form = document.getElementById('signup-form');
   const message = document.getElementById('form-message');
@@ -31,15 +75,26 @@ function initForm() {
 
   const button = form.querySelector('button[type="submit"]');
   const endpoint = resolveApiEndpoint();
+  const edit = resolveSignedLink();
 
   setMessage(message, '', 'info');
 
+  if (edit) {
+    initWatchlistEdit(form, message, button, new URL('/watchlist', endpoint).toString(), edit);
+    return;
+  }
+
+  initChallenge(form);
+
   form.addEventListener('submit', async (event) => {
     event.preventDefault();
 
     const formData = new FormData(form);
     const email = String(formData.get('email') || '').trim();
     const firstName = String(formData.get('firstName') || '').trim();
+    const watchlist = String(formData.get('watchlist') || '').trim();
+    const company = String(formData.get('company') || '');
+    const challengeToken = formData.get('cf-turnstile-response') || undefined;
 
     if (!isValidEmail(email)) {
       setMessage(message, 'Please enter a valid email address.', 'error');
@@ -54,10 +109,11 @@ function initForm() {
       const response = await fetch(endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email, firstName, source: 'options-insight-pages' })
+        body: JSON.stringify({ email, firstName, watchlist, company, challengeToken, source: 'options-insight-pages' })
       });
 
       const data = await response.json().catch(() => ({ success: false }));
+      resetChallenge();
 
       if (!response.ok || !data.success) {
         const error = data?.error || 'Something went wrong. Please try again later.';
@@ -80,5 +136,56 @@ function initForm() {
   });
 }
 
+async function initWatchlistEdit(form, message, button, endpoint, { email, token }) {
+  form.email.value = email;
+  form.email.readOnly = true;
+  form.firstName.closest('.field').hidden = true;
+  button.textContent = 'Save my watchlist';
+
+  const query = `?email=${encodeURIComponent(email)}&token=${encodeURIComponent(token)}`;
+  try {
+    const response = await fetch(`${endpoint}${query}`);
+    const data = await response.json().catch(() => ({ success: false }));
+    if (!response.ok || !data.success) {
+      setMessage(message, data?.error || 'This watchlist link is no longer valid.', 'error');
+      button.disabled = true;
+      return;
+    }
+    form.watchlist.value = data.watchlist.join(', ');
+  } catch (error) {
+    console.error('Watchlist load error', error);
+    setMessage(message, 'Network error. Please check your connection and try again.', 'error');
+  }
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    setMessage(message, 'Saving your watchlist…', 'info');
+    button.disabled = true;
+    button.classList.add('loading');
+
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, token, watchlist: form.watchlist.value })
+      });
+      const data = await response.json().catch(() => ({ success: false }));
+
+      if (!response.ok || !data.success) {
+        setMessage(message, data?.error || 'Something went wrong. Please try again later.', 'error');
+      } else {
+        form.watchlist.value = data.watchlist.join(', ');
+        setMessage(message, data.message || 'Watchlist saved.', 'success');
+      }
+    } catch (error) {
+      console.error('Watchlist save error', error);
+      setMessage(message, 'Network error. Please check your connection and try again.', 'error');
+    }
+    button.disabled = false;
+    button.classList.remove('loading');
+  });
+}
+
 initCurrentYear();
 window.addEventListener('DOMContentLoaded', initForm);
+window.addEventListener('DOMContentLoaded', initArchiveLinks);
@@ -0,0 +1,112 @@
+/**
+ * Ad-hoc analysis
+ * Backs POST /analyze: internal tools send `{ symbols, includeAI, profile }` and get the same
+ * objects the newsletter is built from (volatilityData, quality score, Gemini analysis and its
+ * validateAnalysis result) without waiting for the daily run. Authentication and quotas live
+ * in index.js; this module parses the request and caller keys and runs the analysis.
+ */
+
+import { getSymbolOpportunities, getMarketContext } from './finnhub.js';
+import { generateTradingIdeas, validateAnalysis } from './gemini.js';
+import { getScoringProfile } from './scoring-profiles.js';
+import { normalizeWatchlist } from './subscribers.js';
+
+// Each symbol costs roughly eight data-provider subrequests; ten keeps a request within Worker limits
+export const MAX_ANALYZE_SYMBOLS = 10;
+// Header carrying a caller key from ANALYZE_API_KEYS
+export const ANALYZE_KEY_HEADER = 'X-Analyze-Key';
+
+/**
+ * Parse ANALYZE_API_KEYS
+ * @param {string} value - Comma-separated `name:secret` pairs, e.g. "screener:s3cret,notebook:k3y"
+ * @returns {Array<Object>} [{ name, secret }] - entries without a name or secret are dropped
+ */
+export function parseAnalyzeApiKeys(value) {
+    return String(value || '').split(',')
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return separator === -1
+                ? null
+                : { name: entry.slice(0, separator).trim().toLowerCase(), secret: entry.slice(separator + 1).trim() };
+        })
+        .filter(key => key?.name && key.secret);
+}
+
+/**
+ * Validate a POST /analyze body
+ * @param {Object} payload - Parsed JSON body
+ * @param {Object} [options={}] - { defaultProfile } used when the body names no profile (env.SCORING_PROFILE)
+ * @returns {Object} { symbols, includeAI, profile, error } - error is set when the request is rejected
+ */
+export function parseAnalyzeRequest(payload, { defaultProfile } = {}) {
+    const raw = Array.isArray(payload?.symbols) ? payload.symbols : null;
+    if (!raw || raw.length === 0) {
+        return { error: 'symbols must be a non-empty array of tickers' };
+    }
+    if (new Set(raw.map(symbol => String(symbol).trim().toUpperCase())).size > MAX_ANALYZE_SYMBOLS) {
+        return { error: `At most ${MAX_ANALYZE_SYMBOLS} symbols per request` };
+    }
+
+    const { symbols, invalid } = normalizeWatchlist(raw);
+    if (invalid.length) {
+        return { error: `Unrecognized tickers: ${invalid.join(', ')}` };
+    }
+    if (payload.includeAI !== undefined && typeof payload.includeAI !== 'boolean') {
+        return { error: 'includeAI must be a boolean' };
+    }
+
+    let profile;
+    try {
+        profile = getScoringProfile(typeof payload.profile === 'string' ? payload.profile : defaultProfile);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    return { symbols, includeAI: payload.includeAI === true, profile, error: null };
+}
+
+/**
+ * Analyze symbols on demand
+ * @param {Object} options - Analysis inputs
+ * @param {string} options.finnhubApiKey - Finnhub API key
+ * @param {string} [options.geminiApiKey] - Required when includeAI is set
+ * @param {Array<string>} options.symbols - Normalized tickers
+ * @param {boolean} [options.includeAI=false] - Run Gemini and validateAnalysis on symbols with data
+ * @param {Object} options.profile - Scoring profile
+ * @param {Object} [options.ivHistory=null] - IvHistoryStore for IV Rank/Percentile
+ * @returns {Promise<Object>} { marketContext, results } - one result per symbol, in request order
+ * @description Results are getSymbolOpportunities objects plus `analysis` and `validation`
+ * (null unless AI ran for the symbol) and `error` for symbols without market data. When
+ * Gemini fails the volatility results are still returned with `aiError` set.
+ */
+export async function analyzeSymbols({ finnhubApiKey, geminiApiKey, symbols, includeAI = false, profile, ivHistory = null }) {
+    const [opportunities, marketContext] = await Promise.all([
+        getSymbolOpportunities(finnhubApiKey, symbols, { ivHistory, profile }),
+        getMarketContext(finnhubApiKey)
+    ]);
+
+    const analyses = new Map();
+    let aiError = null;
+    const analyzable = opportunities.filter(opp => opp.volatilityData);
+    if (includeAI && analyzable.length) {
+        try {
+            const content = await generateTradingIdeas(geminiApiKey, analyzable, marketContext);
+            content.forEach(item => analyses.set(item.opportunity.symbol, item.analysis));
+        } catch (error) {
+            console.error('❌ Ad-hoc AI analysis failed:', error);
+            aiError = error.message;
+        }
+    }
+
+    const results = opportunities.map(opportunity => {
+        const analysis = analyses.get(opportunity.symbol) || null;
+        return {
+            ...opportunity,
+            analysis,
+            validation: analysis ? validateAnalysis(analysis) : null,
+            error: opportunity.volatilityData ? null : 'No market data available'
+        };
+    });
+
+    return { marketContext, results, ...(aiError ? { aiError } : {}) };
+}
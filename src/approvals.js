@@ -0,0 +1,177 @@
+/**
+ * Broadcast approvals
+ * With APPROVAL_REQUIRED=true the pipeline only creates the Resend broadcast as a draft and
+ * emails APPROVAL_RECIPIENT (default SUMMARY_EMAIL_RECIPIENT) a preview with signed Approve
+ * and Reject links. The draft waits here until someone decides or the deadline passes; the
+ * deadline sweep (APPROVAL_SWEEP_CRON) then expires or sends it per APPROVAL_DEADLINE_ACTION.
+ * Approvals live under `approvals:<broadcastId>` together with the issue to archive once the
+ * broadcast goes out; `approvals:pending` lists the undecided ones for the sweep.
+ * An approval POST can arrive while the sweep handles the same draft, so a decision is
+ * claimed first (see claim): sends are parked as 'sending' under the deciding run's id and
+ * only the run whose id is still on the record goes on. Like idempotency.js this relies on
+ * KV reads seeing the last write, so it stops overlapping decisions, not simultaneous ones.
+ */
+
+const APPROVAL_PREFIX = 'approvals:';
+const PENDING_KEY = 'approvals:pending';
+// Decided approvals are kept long enough to audit alongside run history
+const APPROVAL_RETENTION_DAYS = 30;
+
+export const APPROVAL_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    EXPIRED: 'expired',
+    AUTO_SENT: 'auto-sent',
+    FAILED: 'failed',
+    // Claimed for sending; becomes approved, auto-sent or failed once sendBroadcast returns
+    SENDING: 'sending'
+};
+export const DEADLINE_ACTIONS = ['expire', 'send'];
+export const DEFAULT_APPROVAL_DEADLINE_HOURS = 4;
+// Must match the second cron in wrangler.toml
+export const APPROVAL_SWEEP_CRON = '*/15 * * * *';
+
+/**
+ * Read the approval settings from the environment
+ * @param {Object} env - Worker environment
+ * @returns {Object} { required, deadlineHours, deadlineAction }
+ * @throws {Error} When the deadline or deadline action is invalid
+ */
+export function parseApprovalSettings(env) {
+    const required = env.APPROVAL_REQUIRED === 'true';
+    const deadlineHours = env.APPROVAL_DEADLINE_HOURS === undefined || env.APPROVAL_DEADLINE_HOURS === ''
+        ? DEFAULT_APPROVAL_DEADLINE_HOURS
+        : Number(env.APPROVAL_DEADLINE_HOURS);
+    if (!(deadlineHours > 0)) {
+        throw new Error(`APPROVAL_DEADLINE_HOURS must be a positive number of hours, got "${env.APPROVAL_DEADLINE_HOURS}"`);
+    }
+    const deadlineAction = (env.APPROVAL_DEADLINE_ACTION || 'expire').trim().toLowerCase();
+    if (!DEADLINE_ACTIONS.includes(deadlineAction)) {
+        throw new Error(`APPROVAL_DEADLINE_ACTION must be one of ${DEADLINE_ACTIONS.join(', ')}, got "${env.APPROVAL_DEADLINE_ACTION}"`);
+    }
+    return { required, deadlineHours, deadlineAction };
+}
+
+/**
+ * Pending and decided broadcast approvals on top of a KV-compatible store
+ * @class BroadcastApprovalStore
+ * @param {Object} store - Workers KV namespace or compatible store (see storage.js)
+ */
+export class BroadcastApprovalStore {
+    constructor(store) {
+        this.store = store;
+    }
+
+    async getPendingIds() {
+        const ids = await this.store.get(PENDING_KEY, 'json');
+        return Array.isArray(ids) ? ids : [];
+    }
+
+    /**
+     * Store a draft awaiting approval
+     * @param {Object} approval - { broadcastId, runId, subject, deadline, deadlineAction, issue, idempotencyKey }
+     * @param {Object} [options={}] - { now }
+     * @returns {Promise<Object>} Stored approval (status 'pending')
+     */
+    async createApproval({ broadcastId, runId = null, subject, deadline, deadlineAction, issue = null, idempotencyKey = null }, { now = new Date() } = {}) {
+        if (!broadcastId) {
+            throw new Error('broadcastId is required to request an approval');
+        }
+        const approval = {
+            broadcastId,
+            runId,
+            subject,
+            status: APPROVAL_STATUS.PENDING,
+            requestedAt: now.toISOString(),
+            deadline,
+            deadlineAction,
+            issue,
+            // The run's send record (idempotency.js), released when the draft is discarded
+            idempotencyKey,
+            decidedAt: null,
+            decidedBy: null,
+            claimedBy: null,
+            error: null
+        };
+        await this.store.put(`${APPROVAL_PREFIX}${broadcastId}`, JSON.stringify(approval));
+        const pending = (await this.getPendingIds()).filter(id => id !== broadcastId);
+        await this.store.put(PENDING_KEY, JSON.stringify([...pending, broadcastId]));
+        return approval;
+    }
+
+    /**
+     * Load one approval
+     * @returns {Promise<Object|null>} Approval or null when unknown or expired
+     */
+    async getApproval(broadcastId) {
+        if (!broadcastId) return null;
+        return this.store.get(`${APPROVAL_PREFIX}${broadcastId}`, 'json');
+    }
+
+    /**
+     * Pending approvals whose deadline has passed
+     * @param {Date} [now=new Date()] - Sweep time
+     * @returns {Promise<Array<Object>>} Due approvals, oldest deadline first
+     */
+    async listDue(now = new Date()) {
+        const approvals = await Promise.all((await this.getPendingIds()).map(id => this.getApproval(id)));
+        return approvals
+            .filter(approval => approval?.status === APPROVAL_STATUS.PENDING && Date.parse(approval.deadline) <= now.getTime())
+            .sort((a, b) => a.deadline.localeCompare(b.deadline));
+    }
+
+    /**
+     * Record a decision; only pending approvals can be decided
+     * @param {string} broadcastId - Draft broadcast id
+     * @param {string} status - An APPROVAL_STATUS other than 'pending'
+     * @param {Object} [details={}] - { decidedBy, error, claimId, now }
+     * @returns {Promise<Object|null>} Updated approval, or null when it is unknown or already decided
+     * @description A 'failed' status records a send error after an approval; it can follow
+     * 'approved' or 'auto-sent' so the record shows why the broadcast never went out. A
+     * 'sending' approval is only finished (approved, auto-sent or failed) by the claimId that
+     * claimed it.
+     */
+    async decide(broadcastId, status, { decidedBy = null, error = null, claimId = null, now = new Date() } = {}) {
+        const approval = await this.getApproval(broadcastId);
+        const sent = [APPROVAL_STATUS.APPROVED, APPROVAL_STATUS.AUTO_SENT].includes(approval?.status);
+        const finishing = approval?.status === APPROVAL_STATUS.SENDING && claimId !== null && approval.claimedBy === claimId
+            && [APPROVAL_STATUS.APPROVED, APPROVAL_STATUS.AUTO_SENT, APPROVAL_STATUS.FAILED].includes(status);
+        if (!approval || !(approval.status === APPROVAL_STATUS.PENDING || finishing || (status === APPROVAL_STATUS.FAILED && sent))) {
+            return null;
+        }
+
+        const decided = {
+            ...approval,
+            status,
+            decidedAt: approval.decidedAt || now.toISOString(),
+            decidedBy: approval.decidedBy || decidedBy,
+            claimedBy: claimId || approval.claimedBy || null,
+            error
+        };
+        await this.store.put(`${APPROVAL_PREFIX}${broadcastId}`, JSON.stringify(decided), {
+            expirationTtl: APPROVAL_RETENTION_DAYS * 24 * 60 * 60
+        });
+        await this.store.put(PENDING_KEY, JSON.stringify((await this.getPendingIds()).filter(id => id !== broadcastId)));
+        return decided;
+    }
+
+    /**
+     * Take a pending approval for one decision before acting on it
+     * @param {string} broadcastId - Draft broadcast id
+     * @param {string} status - 'sending' before sendBroadcast, otherwise the final status (rejected, expired)
+     * @param {string} claimId - Id of the deciding run
+     * @param {Object} [details={}] - { decidedBy, now }
+     * @returns {Promise<Object|null>} Claimed approval, or null when it was decided or claimed by another run
+     */
+    async claim(broadcastId, status, claimId, { decidedBy = null, now = new Date() } = {}) {
+        if (!(await this.decide(broadcastId, status, { decidedBy, claimId, now }))) {
+            return null;
+        }
+        // Read back: a decision that overlapped ours overwrote the record, and only one of us may act
+        const claimed = await this.getApproval(broadcastId);
+        return claimed?.claimedBy === claimId ? claimed : null;
+    }
+}
+
+export default BroadcastApprovalStore;
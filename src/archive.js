@@ -0,0 +1,90 @@
+/**
+ * Newsletter archive
+ * Every sent digest is stored by date: the rendered EmailTemplate HTML (the broadcast
+ * version, without watchlists or personal links) and its picks as structured JSON
+ * (createPick records from track-record.js). Issues live under `archive:issue:<date>`;
+ * `archive:index` lists them newest first for GET /archive. A second run on the same
+ * date (a forced re-run) replaces that day's issue, so the archive and the feeds keep one
+ * issue per day: the last one sent.
+ */
+
+const ISSUE_PREFIX = 'archive:issue:';
+const INDEX_KEY = 'archive:index';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a path segment is an issue date (YYYY-MM-DD)
+ */
+export function isArchiveDate(value) {
+    return DATE_PATTERN.test(value || '') && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Archived issues on top of a KV-compatible store
+ * @class NewsletterArchive
+ * @param {Object} store - Workers KV namespace or compatible store (see storage.js)
+ */
+export class NewsletterArchive {
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * Issue summaries, newest first
+     * @returns {Promise<Array<Object>>} [{ date, subjectTag, pickCount, publishedAt }]
+     */
+    async getIndex() {
+        const index = await this.store.get(INDEX_KEY, 'json');
+        return Array.isArray(index) ? index : [];
+    }
+
+    /**
+     * Store (or replace) the issue for a date
+     * @param {Object} issue - { date, subjectTag, html, picks, marketContext, publishedAt }
+     * @returns {Promise<Object>} Index entry for the issue
+     */
+    async saveIssue({ date, subjectTag, html, picks = [], marketContext = {}, publishedAt = new Date().toISOString() }) {
+        if (!isArchiveDate(date)) {
+            throw new Error(`Invalid archive date: ${date}`);
+        }
+
+        const entry = { date, subjectTag, pickCount: picks.length, publishedAt };
+        await this.store.put(`${ISSUE_PREFIX}${date}`, JSON.stringify({ ...entry, html, picks, marketContext }));
+
+        const index = (await this.getIndex()).filter(existing => existing.date !== date);
+        index.push(entry);
+        index.sort((a, b) => b.date.localeCompare(a.date));
+        await this.store.put(INDEX_KEY, JSON.stringify(index));
+        return entry;
+    }
+
+    /**
+     * Load one issue
+     * @returns {Promise<Object|null>} { date, subjectTag, pickCount, publishedAt, html, picks, marketContext } or null
+     */
+    async getIssue(date) {
+        if (!isArchiveDate(date)) return null;
+        return this.store.get(`${ISSUE_PREFIX}${date}`, 'json');
+    }
+
+    /**
+     * Full issues, newest first (for the feeds)
+     * @param {number} limit - Maximum issues to load
+     * @returns {Promise<Array<Object>>} Issues as returned by getIssue
+     */
+    async getRecentIssues(limit) {
+        const entries = (await this.getIndex()).slice(0, limit);
+        const issues = await Promise.all(entries.map(entry => this.getIssue(entry.date)));
+        return issues.filter(Boolean);
+    }
+
+    /**
+     * Most recent index entry, or null before the first issue
+     */
+    async getLatest() {
+        const [latest] = await this.getIndex();
+        return latest || null;
+    }
+}
+
+export default NewsletterArchive;
@@ -0,0 +1,302 @@
+/**
+ * Backtest harness for the opportunity scoring model
+ * Replays historical earnings calendars and daily prices from local fixture files,
+ * scores every event with the live prescreen and quality weights, simulates the
+ * candidate trade the pipeline would propose and reports P&L, win rate and drawdown
+ * per score bucket so the weight tables can be tuned against outcomes.
+ * CLI only (reads fixtures with node:fs); nothing here is imported by the worker.
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { STOCK_UNIVERSE, OPTIONS_PRICING } from './config.js';
+import { calculateQualityScore, calculatePrescreenScore, classifyMarketRegime } from './finnhub.js';
+import { calculateVolatilityScore } from './real-volatility.js';
+import { getScoringProfile } from './scoring-profiles.js';
+import SimplifiedDataProvider from './simplified-data.js';
+import { calculateTechnicalIndicators } from './technical-indicators.js';
+import { computeEarningsMoves } from './earnings-history.js';
+import { buildCandidateTrades } from './strategy-builder.js';
+import { valueStrategyAt, CONTRACT_MULTIPLIER } from './strategy-pricing.js';
+
+export const DEFAULT_FIXTURES_DIR = 'fixtures/backtest';
+export const DEFAULT_ENTRY_DAYS = 14;
+export const QUALITY_BUCKET_SIZE = 10;
+export const PRESCREEN_BUCKET_SIZE = 5;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Same windows the live pipeline uses: 60 bars for HV, 100 for technicals
+const HISTORICAL_VOLATILITY_BARS = 60;
+const TECHNICAL_BARS = 100;
+// Fewer bars than this before entry gives a meaningless HV
+const MIN_HISTORY_BARS = 20;
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / MS_PER_DAY);
+
+/**
+ * Load backtest fixtures from a directory
+ * @param {string} [directory=DEFAULT_FIXTURES_DIR] - Fixture directory
+ * @returns {Promise<Object>} { calendar, prices, vix }
+ * @description Expects `calendar.json` (Finnhub earnings calendar response),
+ * `prices/<SYMBOL>.json` ({ prices: [{ date, open, high, low, close, volume }] }, the
+ * getYahooHistoricalData shape) and an optional `vix.json` ({ "YYYY-MM-DD": close }).
+ */
+export async function loadBacktestFixtures(directory = DEFAULT_FIXTURES_DIR) {
+    const calendarFile = JSON.parse(await readFile(path.join(directory, 'calendar.json'), 'utf8'));
+    const calendar = Array.isArray(calendarFile) ? calendarFile : calendarFile.earningsCalendar || [];
+
+    const prices = {};
+    const priceDir = path.join(directory, 'prices');
+    for (const file of (await readdir(priceDir)).filter(name => name.endsWith('.json'))) {
+        const data = JSON.parse(await readFile(path.join(priceDir, file), 'utf8'));
+        const bars = Array.isArray(data) ? data : data.prices || [];
+        prices[path.basename(file, '.json').toUpperCase()] = [...bars].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    let vix = {};
+    try {
+        vix = JSON.parse(await readFile(path.join(directory, 'vix.json'), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    return { calendar, prices, vix };
+}
+
+/**
+ * Most recent VIX close on or before a date
+ */
+function getVixOn(vix, date) {
+    const dates = Object.keys(vix || {}).filter(day => day <= date).sort();
+    return dates.length ? vix[dates[dates.length - 1]] : null;
+}
+
+/**
+ * Rebuild the opportunity the pipeline would have seen on the entry date
+ * @returns {Object} Opportunity with daysToEarnings, prescreenScore, volatilityData and qualityScore
+ * @description Without a quoted `impliedVolatility` on the calendar event, IV is the
+ * provider's HV-premium estimate, as in the live fallback path. The expected move is one
+ * standard deviation to the reaction session.
+ */
+function buildHistoricalOpportunity(event, history, { entryBar, daysToExpiry, provider, profile }) {
+    const daysToEarnings = daysBetween(entryBar.date, event.date);
+    const historicalVolatility = provider.calculateHistoricalVolatility(history.slice(-HISTORICAL_VOLATILITY_BARS));
+    const impliedVolatility = event.impliedVolatility > 0
+        ? event.impliedVolatility
+        : provider.estimateImpliedVolatility(event.symbol, historicalVolatility);
+
+    const volatilityData = {
+        symbol: event.symbol,
+        currentPrice: entryBar.close,
+        historicalVolatility,
+        impliedVolatility,
+        expectedMove: round(entryBar.close * (impliedVolatility / 100) * Math.sqrt(daysToExpiry / 365)),
+        optionsVolume: event.optionsVolume || 0,
+        volume: entryBar.volume,
+        dataQuality: 'real',
+        technicalIndicators: calculateTechnicalIndicators(history.slice(-TECHNICAL_BARS)),
+        optionsChain: { daysToExpiry }
+    };
+    volatilityData.volatilityScore = provider.calculateVolatilityScore(volatilityData);
+
+    const opportunity = {
+        ...event,
+        daysToEarnings,
+        prescreenScore: calculatePrescreenScore(event, daysToEarnings),
+        volatilityData,
+        volatilityScore: calculateVolatilityScore(volatilityData),
+        impliedMove: null
+    };
+    opportunity.qualityScore = calculateQualityScore(opportunity, profile);
+    return opportunity;
+}
+
+/**
+ * Replay one earnings event
+ * @returns {Object} { trade } or { skipped: reason }
+ */
+function simulateEvent(event, bars, { entryDays, strategy, vix, provider, profile }) {
+    if (!bars?.length) {
+        return { skipped: 'no price history' };
+    }
+
+    const [reaction] = computeEarningsMoves([{ date: event.date, hour: event.hour }], bars);
+    if (!reaction) {
+        return { skipped: 'no reaction bar' };
+    }
+
+    const entryCutoff = new Date(new Date(event.date).getTime() - entryDays * MS_PER_DAY).toISOString().split('T')[0];
+    const entryIndex = bars.findLastIndex(bar => bar.date <= entryCutoff);
+    if (entryIndex + 1 < MIN_HISTORY_BARS) {
+        return { skipped: 'insufficient history before entry' };
+    }
+
+    const entryBar = bars[entryIndex];
+    const history = bars.slice(0, entryIndex + 1);
+    const daysToExpiry = daysBetween(entryBar.date, reaction.reactionDate);
+    const opportunity = buildHistoricalOpportunity(event, history, { entryBar, daysToExpiry, provider, profile });
+
+    const vixLevel = getVixOn(vix, entryBar.date);
+    const marketRegime = vixLevel !== null ? classifyMarketRegime(vixLevel) : 'unknown';
+    const candidates = buildCandidateTrades(opportunity, { vix: vixLevel, marketRegime });
+    const candidate = strategy
+        ? candidates.find(trade => trade.name.toLowerCase().includes(strategy.toLowerCase()))
+        : candidates[0];
+    if (!candidate?.pricing) {
+        return { skipped: strategy ? `no ${strategy} candidate` : 'no candidate trade' };
+    }
+
+    // Earnings IV is assumed to be crushed back to realized volatility for legs still open
+    const exitValue = valueStrategyAt(candidate.legs, {
+        spot: reaction.closeAfter,
+        daysElapsed: daysToExpiry,
+        volatility: opportunity.volatilityData.historicalVolatility / 100,
+        rate: OPTIONS_PRICING.riskFreeRate,
+        dividendYield: OPTIONS_PRICING.dividendYield
+    });
+    const pnl = round((exitValue - candidate.pricing.netPremium) * CONTRACT_MULTIPLIER);
+
+    return {
+        trade: {
+            symbol: event.symbol,
+            earningsDate: event.date,
+            entryDate: entryBar.date,
+            exitDate: reaction.reactionDate,
+            entryPrice: entryBar.close,
+            exitPrice: reaction.closeAfter,
+            earningsMovePercent: reaction.movePercent,
+            prescreenScore: opportunity.prescreenScore,
+            qualityScore: opportunity.qualityScore,
+            marketRegime,
+            strategy: candidate.name,
+            legs: candidate.legs,
+            netPremium: candidate.pricing.netPremium,
+            maxLoss: candidate.pricing.maxLoss,
+            pnl,
+            win: pnl > 0
+        }
+    };
+}
+
+/**
+ * Largest peak-to-trough drop of cumulative P&L, trades taken in exit order
+ */
+function calculateMaxDrawdown(trades) {
+    let cumulative = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    for (const trade of [...trades].sort((a, b) => a.exitDate.localeCompare(b.exitDate))) {
+        cumulative += trade.pnl;
+        peak = Math.max(peak, cumulative);
+        maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+    }
+    return round(maxDrawdown);
+}
+
+/**
+ * P&L statistics for a group of simulated trades
+ * @param {Array<Object>} trades - Simulated trades
+ * @returns {Object} { trades, wins, winRate (%), totalPnl, avgPnl, maxDrawdown } in dollars per lot
+ */
+export function summarizeTrades(trades) {
+    const wins = trades.filter(trade => trade.win).length;
+    const totalPnl = trades.reduce((sum, trade) => sum + trade.pnl, 0);
+    return {
+        trades: trades.length,
+        wins,
+        winRate: trades.length ? round((wins / trades.length) * 100, 1) : null,
+        totalPnl: round(totalPnl),
+        avgPnl: trades.length ? round(totalPnl / trades.length) : null,
+        maxDrawdown: calculateMaxDrawdown(trades)
+    };
+}
+
+/**
+ * Group trades into fixed-width score buckets, lowest first
+ * @param {Array<Object>} trades - Simulated trades
+ * @param {string} field - Score field ('qualityScore' or 'prescreenScore')
+ * @param {number} size - Bucket width
+ * @returns {Array<Object>} Buckets ({ bucket: '60-69', min, max, ...summarizeTrades })
+ */
+export function bucketTrades(trades, field, size) {
+    const groups = new Map();
+    for (const trade of trades) {
+        const min = Math.floor(trade[field] / size) * size;
+        if (!groups.has(min)) groups.set(min, []);
+        groups.get(min).push(trade);
+    }
+
+    return [...groups.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([min, group]) => ({ bucket: `${min}-${min + size - 1}`, min, max: min + size - 1, ...summarizeTrades(group) }));
+}
+
+/**
+ * Replay earnings events between two dates
+ * @param {Object} fixtures - Output of loadBacktestFixtures
+ * @param {Object} options - Backtest options
+ * @param {string} options.from - First earnings date (YYYY-MM-DD)
+ * @param {string} options.to - Last earnings date (YYYY-MM-DD)
+ * @param {number} [options.entryDays=14] - Calendar days before earnings to open the trade
+ * @param {string} [options.strategy] - Candidate name to force (e.g. 'iron condor');
+ * default is the first candidate the strategy builder prefers
+ * @param {Object} [options.profile] - Scoring profile whose weights are replayed (default profile)
+ * @param {Array<string>} [options.universe=STOCK_UNIVERSE] - Symbols the pipeline scans
+ * @returns {Object} Report
+ * @returns {Array<Object>} returns.trades - Simulated trades in earnings-date order
+ * @returns {Array<Object>} returns.skipped - Events that could not be replayed ({ symbol, date, reason })
+ * @returns {Object} returns.overall - summarizeTrades over all trades
+ * @returns {Array<Object>} returns.byQualityScore - Buckets of width 10
+ * @returns {Array<Object>} returns.byPrescreenScore - Buckets of width 5
+ * @description Every event in the universe is scored and traded, not just the daily top
+ * five, so the buckets show whether higher scores actually earned more. Trades open at
+ * the entry-date close and are valued at the close of the earnings reaction session,
+ * where the earnings expiry is worth intrinsic value.
+ */
+export function runBacktest(fixtures, {
+    from,
+    to,
+    entryDays = DEFAULT_ENTRY_DAYS,
+    strategy = null,
+    profile = getScoringProfile(),
+    universe = STOCK_UNIVERSE
+} = {}) {
+    if (!from || !to || from > to) {
+        throw new Error('Backtest needs --from and --to dates (YYYY-MM-DD, from <= to)');
+    }
+
+    const provider = new SimplifiedDataProvider();
+    const universeSet = new Set(universe);
+    const events = (fixtures.calendar || [])
+        .filter(event => event?.symbol && event.date >= from && event.date <= to && universeSet.has(event.symbol))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.symbol.localeCompare(b.symbol));
+
+    const trades = [];
+    const skipped = [];
+    for (const event of events) {
+        const result = simulateEvent(event, fixtures.prices?.[event.symbol], {
+            entryDays,
+            strategy,
+            vix: fixtures.vix,
+            provider,
+            profile
+        });
+        if (result.trade) trades.push(result.trade);
+        else skipped.push({ symbol: event.symbol, date: event.date, reason: result.skipped });
+    }
+
+    return {
+        from,
+        to,
+        entryDays,
+        strategy: strategy || 'preferred',
+        profile: profile.name,
+        events: events.length,
+        trades,
+        skipped,
+        overall: summarizeTrades(trades),
+        byQualityScore: bucketTrades(trades, 'qualityScore', QUALITY_BUCKET_SIZE),
+        byPrescreenScore: bucketTrades(trades, 'prescreenScore', PRESCREEN_BUCKET_SIZE)
+    };
+}
@@ -0,0 +1,177 @@
+/**
+ * Black-Scholes pricing primitives
+ * European option pricing plus an implied-volatility solver used to turn listed
+ * option quotes into volatility numbers. All volatilities are annualized decimals
+ * (0.35 = 35%) and time is expressed in years.
+ */
+
+const MIN_VOLATILITY = 0.0001;
+const MAX_VOLATILITY = 5;
+
+/**
+ * Standard normal probability density function
+ */
+export function normalPdf(x) {
+    return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * Uses the Abramowitz & Stegun 26.2.17 approximation (absolute error < 7.5e-8).
+ */
+export function normalCdf(x) {
+    if (x < 0) {
+        return 1 - normalCdf(-x);
+    }
+
+    const t = 1 / (1 + 0.2316419 * x);
+    const polynomial = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return 1 - normalPdf(x) * polynomial;
+}
+
+/**
+ * Calculate the d1/d2 terms shared by the Black-Scholes formulas
+ */
+function calculateD1D2({ spot, strike, timeToExpiry, volatility, rate = 0, dividendYield = 0 }) {
+    const sqrtT = Math.sqrt(timeToExpiry);
+    const d1 = (Math.log(spot / strike) + (rate - dividendYield + 0.5 * volatility * volatility) * timeToExpiry) / (volatility * sqrtT);
+    return { d1, d2: d1 - volatility * sqrtT };
+}
+
+/**
+ * Price a European call or put with Black-Scholes
+ * @param {Object} params - Pricing inputs
+ * @param {string} params.type - 'call' or 'put'
+ * @param {number} params.spot - Underlying price
+ * @param {number} params.strike - Option strike
+ * @param {number} params.timeToExpiry - Time to expiry in years
+ * @param {number} params.volatility - Annualized volatility (decimal)
+ * @param {number} [params.rate=0] - Continuously compounded risk-free rate (decimal)
+ * @param {number} [params.dividendYield=0] - Continuous dividend yield (decimal)
+ * @returns {number} Theoretical option value
+ * @description Falls back to discounted intrinsic value when time or volatility is zero.
+ */
+export function blackScholesPrice({ type, spot, strike, timeToExpiry, volatility, rate = 0, dividendYield = 0 }) {
+    const isCall = type === 'call';
+
+    if (timeToExpiry <= 0 || volatility <= 0) {
+        const intrinsic = isCall ? spot - strike : strike - spot;
+        return Math.max(0, intrinsic);
+    }
+
+    const { d1, d2 } = calculateD1D2({ spot, strike, timeToExpiry, volatility, rate, dividendYield });
+    const discountedSpot = spot * Math.exp(-dividendYield * timeToExpiry);
+    const discountedStrike = strike * Math.exp(-rate * timeToExpiry);
+
+    if (isCall) {
+        return discountedSpot * normalCdf(d1) - discountedStrike * normalCdf(d2);
+    }
+    return discountedStrike * normalCdf(-d2) - discountedSpot * normalCdf(-d1);
+}
+
+/**
+ * Black-Scholes vega (price change per 1.00 change in volatility)
+ */
+export function blackScholesVega({ spot, strike, timeToExpiry, volatility, rate = 0, dividendYield = 0 }) {
+    if (timeToExpiry <= 0 || volatility <= 0) {
+        return 0;
+    }
+
+    const { d1 } = calculateD1D2({ spot, strike, timeToExpiry, volatility, rate, dividendYield });
+    return spot * Math.exp(-dividendYield * timeToExpiry) * normalPdf(d1) * Math.sqrt(timeToExpiry);
+}
+
+/**
+ * Black-Scholes Greeks for a single call or put
+ * @param {Object} params - Same inputs as blackScholesPrice
+ * @returns {Object} Greeks per share
+ * @returns {number} returns.delta - Price change per $1 move in the underlying
+ * @returns {number} returns.gamma - Delta change per $1 move in the underlying
+ * @returns {number} returns.theta - Price change per calendar day
+ * @returns {number} returns.vega - Price change per 1 point (1%) of volatility
+ * @description At expiry (or zero volatility) delta collapses to the intrinsic step and
+ * the remaining Greeks are zero.
+ */
+export function blackScholesGreeks({ type, spot, strike, timeToExpiry, volatility, rate = 0, dividendYield = 0 }) {
+    const isCall = type === 'call';
+
+    if (timeToExpiry <= 0 || volatility <= 0) {
+        const inTheMoney = isCall ? spot > strike : spot < strike;
+        return { delta: inTheMoney ? (isCall ? 1 : -1) : 0, gamma: 0, theta: 0, vega: 0 };
+    }
+
+    const { d1, d2 } = calculateD1D2({ spot, strike, timeToExpiry, volatility, rate, dividendYield });
+    const sqrtT = Math.sqrt(timeToExpiry);
+    const spotDiscount = Math.exp(-dividendYield * timeToExpiry);
+    const strikeDiscount = Math.exp(-rate * timeToExpiry);
+    const density = normalPdf(d1);
+
+    const decay = -(spot * spotDiscount * density * volatility) / (2 * sqrtT);
+    const annualTheta = isCall
+        ? decay - rate * strike * strikeDiscount * normalCdf(d2) + dividendYield * spot * spotDiscount * normalCdf(d1)
+        : decay + rate * strike * strikeDiscount * normalCdf(-d2) - dividendYield * spot * spotDiscount * normalCdf(-d1);
+
+    return {
+        delta: isCall ? spotDiscount * normalCdf(d1) : spotDiscount * (normalCdf(d1) - 1),
+        gamma: (spotDiscount * density) / (spot * volatility * sqrtT),
+        theta: annualTheta / 365,
+        vega: (spot * spotDiscount * density * sqrtT) / 100
+    };
+}
+
+/**
+ * Back out implied volatility from an observed option price
+ * @param {Object} params - Solver inputs (same as blackScholesPrice plus price)
+ * @param {number} params.price - Observed option premium
+ * @param {Object} [options={}] - Solver settings
+ * @param {number} [options.tolerance=1e-6] - Price tolerance for convergence
+ * @param {number} [options.maxIterations=100] - Iteration cap
+ * @returns {number|null} Annualized implied volatility (decimal) or null when the
+ * price sits outside no-arbitrage bounds or the solver cannot converge
+ * @description Newton-Raphson on vega, with a bisection step whenever Newton would
+ * leave the current bracket (deep ITM/OTM quotes have near-zero vega).
+ */
+export function impliedVolatility({ type, price, spot, strike, timeToExpiry, rate = 0, dividendYield = 0 }, options = {}) {
+    const tolerance = options.tolerance ?? 1e-6;
+    const maxIterations = options.maxIterations ?? 100;
+
+    if (!(price > 0) || !(spot > 0) || !(strike > 0) || !(timeToExpiry > 0)) {
+        return null;
+    }
+
+    const discountedSpot = spot * Math.exp(-dividendYield * timeToExpiry);
+    const discountedStrike = strike * Math.exp(-rate * timeToExpiry);
+    const lowerBound = type === 'call'
+        ? Math.max(0, discountedSpot - discountedStrike)
+        : Math.max(0, discountedStrike - discountedSpot);
+    const upperBound = type === 'call' ? discountedSpot : discountedStrike;
+
+    if (price <= lowerBound || price >= upperBound) {
+        return null;
+    }
+
+    const inputs = { type, spot, strike, timeToExpiry, rate, dividendYield };
+    let low = MIN_VOLATILITY;
+    let high = MAX_VOLATILITY;
+    let volatility = 0.3;
+
+    for (let i = 0; i < maxIterations; i++) {
+        const diff = blackScholesPrice({ ...inputs, volatility }) - price;
+
+        if (Math.abs(diff) < tolerance) {
+            return volatility;
+        }
+
+        if (diff > 0) {
+            high = volatility;
+        } else {
+            low = volatility;
+        }
+
+        const vega = blackScholesVega({ ...inputs, volatility });
+        const newtonStep = vega > 1e-8 ? volatility - diff / vega : NaN;
+        volatility = newtonStep > low && newtonStep < high ? newtonStep : (low + high) / 2;
+    }
+
+    return high - low < 1e-4 ? (low + high) / 2 : null;
+}
@@ -0,0 +1,60 @@
+/**
+ * Bot challenge verification
+ * Checks the challenge token the signup page sends with POST /subscribe. Providers are
+ * looked up by name so another service can be added next to Turnstile; with no provider
+ * configured the check is skipped. For local testing use Cloudflare's dummy Turnstile keys
+ * (secret `1x0000000000000000000000000000000AA` always passes, `2x0000000000000000000000000000000AA`
+ * always fails) instead of a production secret.
+ */
+
+export const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+/**
+ * Verify a Turnstile token with Cloudflare's siteverify API
+ * @param {string} secret - TURNSTILE_SECRET_KEY
+ * @param {string} token - `cf-turnstile-response` value from the widget
+ * @param {string} [remoteIp] - Client IP (CF-Connecting-IP)
+ * @returns {Promise<Object>} { success, errors }
+ */
+export async function verifyTurnstileToken(secret, token, remoteIp) {
+    if (!token) {
+        return { success: false, errors: ['missing-input-response'] };
+    }
+
+    const body = new FormData();
+    body.append('secret', secret);
+    body.append('response', token);
+    if (remoteIp) {
+        body.append('remoteip', remoteIp);
+    }
+
+    const response = await fetch(TURNSTILE_VERIFY_URL, { method: 'POST', body });
+    if (!response.ok) {
+        throw new Error(`Turnstile siteverify failed: ${response.status}`);
+    }
+    const result = await response.json();
+    return { success: result.success === true, errors: result['error-codes'] || [] };
+}
+
+// name -> (env) => verifier, or null when the provider is not configured
+const CHALLENGE_PROVIDERS = {
+    turnstile: (env) => env.TURNSTILE_SECRET_KEY
+        ? (token, remoteIp) => verifyTurnstileToken(env.TURNSTILE_SECRET_KEY, token, remoteIp)
+        : null,
+    none: () => null
+};
+
+/**
+ * Resolve the challenge verifier for the environment
+ * @param {Object} env - Worker environment (CHALLENGE_PROVIDER, provider secrets)
+ * @returns {Function|null} async (token, remoteIp) => { success, errors }, or null when disabled
+ * @throws {Error} When CHALLENGE_PROVIDER names an unknown provider
+ */
+export function createChallengeVerifier(env = {}) {
+    const name = env.CHALLENGE_PROVIDER || 'turnstile';
+    const provider = CHALLENGE_PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown CHALLENGE_PROVIDER "${name}". Available: ${Object.keys(CHALLENGE_PROVIDERS).join(', ')}`);
+    }
+    return provider(env);
+}
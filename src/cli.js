@@ -1,15 +1,27 @@
+import { readFile, writeFile } from 'node:fs/promises';
 import { getEarningsOpportunities, getMarketContext } from './finnhub.js';
 import { getBulkVolatilityAnalysis } from './real-volatility.js';
 import { generateTradingIdeas, validateAnalysis } from './gemini.js';
-import { sendEmailDigest, previewEmailTemplate, sendRunSummaryEmail } from './email.js';
+import { sendEmailDigest, previewEmailTemplate, sendRunSummaryEmail, renderDigest, sendTestDigest, buildBroadcastUnsubscribeUrl, parseRecipientList } from './email.js';
+import FinnhubAPI from './finnhub.js';
+import EarningsMoveDatabase from './earnings-history.js';
+import IvHistoryStore from './iv-history.js';
+import FileKeyValueStore from './file-store.js';
+import RunHistoryStore, { createRunId } from './run-history.js';
+import TrackRecordStore from './track-record.js';
+import RunGuard, { buildIdempotencyKey, RUN_GUARD_STATUS } from './idempotency.js';
+import { loadBacktestFixtures, runBacktest, DEFAULT_FIXTURES_DIR, DEFAULT_ENTRY_DAYS } from './backtest.js';
+import { getScoringProfile, listScoringProfiles } from './scoring-profiles.js';
+import UniverseBuilder, { parseConstituentsCsv } from './universe.js';
 
 async function main() {
     const [,, command, ...args] = process.argv;
+    const options = parseOptions(args);
 
     try {
         switch (command) {
             case 'finnhub':
-                await testFinnhub();
+                await testFinnhub(options);
                 break;
             case 'alphavantage':
                 await testAlphaVantage();
@@ -27,10 +39,10 @@ async function main() {
                 await testScoring();
                 break;
             case 'pipeline':
-                await testPipeline();
+                await testPipeline(options);
                 break;
             case 'full-run':
-                await testFullRun();
+                await testFullRun(options);
                 break;
             case 'preview-email':
                 await previewEmail();
@@ -44,10 +56,22 @@ async function main() {
             case 'validate-keys':
                 await validateApiKeys();
                 break;
+            case 'earnings-history':
+                await testEarningsHistory();
+                break;
+            case 'runs':
+                await showRunHistory(args[0]);
+                break;
+            case 'universe':
+                await showUniverse(options);
+                break;
+            case 'backtest':
+                await runBacktestCommand(options);
+                break;
             default:
                 console.log('🔧 Options Insight CLI');
                 console.log('');
-                console.log('Usage: node src/cli.js <command>');
+                console.log('Usage: node src/cli.js <command> [--profile name]');
                 console.log('');
                 console.log('Commands:');
                 console.log('  finnhub        - Test earnings data fetching');
@@ -57,11 +81,20 @@ async function main() {
                 console.log('  email          - Test email delivery');
                 console.log('  scoring        - Test opportunity scoring');
                 console.log('  pipeline       - Test complete data pipeline');
-                console.log('  full-run       - Simulate complete daily run');
+                console.log('  full-run [--dry-run [--out file] [--test-send]] [--force]');
+                console.log('                 - Simulate complete daily run; --dry-run renders the digest instead of broadcasting,');
+                console.log('                   --force sends even if today\'s digest already went to the audience');
                 console.log('  preview-email  - Preview email template');
         console.log('  summary-email  - Send a test run summary email');
                 console.log('  test-stock     - Test specific stock (set SYMBOL env var)');
                 console.log('  validate-keys  - Validate all API keys');
+                console.log('  earnings-history - Historical earnings moves (SYMBOL env var, default: whole universe)');
+                console.log('  runs [id]      - List persisted run history or show one run');
+                console.log('  universe [--budget n] - Screen index constituents (price, volume, options) and show the universe');
+                console.log('  backtest --from YYYY-MM-DD --to YYYY-MM-DD [--fixtures dir] [--strategy name] [--entry-days n] [--profile name]');
+                console.log('                 - Replay fixture earnings through the scoring model');
+                console.log('');
+                console.log(`Scoring profiles (--profile or SCORING_PROFILE): ${listScoringProfiles().join(', ')}`);
         }
     } catch (error) {
         console.error('❌ Error:', error.message);
@@ -69,7 +102,103 @@ async function main() {
     }
 }
 
-async function testFinnhub() {
+/**
+ * Local stand-in for the worker's KV: JSON files under .data/kv (override with DATA_DIR),
+ * shared by the IV history, run history, track record, run guard and universe cache so CLI
+ * runs accumulate the same state the worker keeps
+ */
+function createCliStore() {
+    return new FileKeyValueStore(process.env.DATA_DIR || undefined);
+}
+
+async function loadConstituents() {
+    return parseConstituentsCsv(await readFile(new URL('./config/constituents.csv', import.meta.url), 'utf8'));
+}
+
+async function showUniverse(options = {}) {
+    const constituents = await loadConstituents();
+    const budget = options.budget ? parseInt(options.budget, 10) : constituents.length;
+
+    console.log(`🌐 Screening up to ${budget} of ${constituents.length} constituents...`);
+    const universe = await new UniverseBuilder(createCliStore()).buildUniverse(constituents, { budget });
+
+    console.log(`✅ Universe: ${universe.symbols.length}/${universe.constituents} symbols (${universe.screened} screened now, ${universe.unscreened} not yet screened)`);
+    universe.excluded.forEach(({ symbol, reasons }) => console.log(`  ⏭️  ${symbol}: ${reasons.join(', ')}`));
+    universe.failed.forEach(({ symbol, error }) => console.log(`  ❌ ${symbol}: ${error}`));
+}
+
+async function showRunHistory(runId) {
+    const runHistory = new RunHistoryStore(createCliStore());
+
+    if (runId) {
+        const run = await runHistory.getRun(runId);
+        if (!run) {
+            throw new Error(`Run ${runId} not found`);
+        }
+        console.log(JSON.stringify(run, null, 2));
+        return;
+    }
+
+    const runs = await runHistory.listRuns({ limit: 20 });
+    console.log(`🗂️  ${runs.length} recent runs`);
+    runs.forEach(run => {
+        const status = run.success ? '✅' : '❌';
+        const symbols = run.publishedSymbols.length ? run.publishedSymbols.join(', ') : 'none';
+        console.log(`  ${status} ${run.id} (${run.trigger || 'unknown'}) ${Math.round((run.durationMs || 0) / 1000)}s | Published: ${symbols}${run.failedSteps.length ? ` | Failed: ${run.failedSteps.join(', ')}` : ''}`);
+    });
+}
+
+/**
+ * Scoring profile from --profile, falling back to SCORING_PROFILE and then the default
+ */
+function getCliScoringProfile(options = {}) {
+    return getScoringProfile(options.profile || process.env.SCORING_PROFILE);
+}
+
+/**
+ * Parse `--name value` pairs into an object; a flag followed by another flag (or nothing) is true
+ */
+function parseOptions(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const value = args[i + 1];
+            if (value === undefined || value.startsWith('--')) {
+                options[args[i].slice(2)] = true;
+            } else {
+                options[args[i].slice(2)] = value;
+                i++;
+            }
+        }
+    }
+    return options;
+}
+
+async function runBacktestCommand(options) {
+    const directory = options.fixtures || DEFAULT_FIXTURES_DIR;
+    const entryDays = options['entry-days'] ? parseInt(options['entry-days'], 10) : DEFAULT_ENTRY_DAYS;
+
+    console.log(`🧪 Backtesting earnings ${options.from} to ${options.to} from ${directory}...`);
+    const fixtures = await loadBacktestFixtures(directory);
+    const profile = getCliScoringProfile(options);
+    const report = runBacktest(fixtures, { from: options.from, to: options.to, entryDays, strategy: options.strategy, profile });
+
+    const formatStats = stats => `${String(stats.trades).padStart(3)} trades | win ${stats.winRate ?? 'N/A'}% | P&L $${stats.totalPnl} (avg $${stats.avgPnl ?? 'N/A'}) | max DD $${stats.maxDrawdown}`;
+
+    console.log(`📊 ${report.events} events, ${report.trades.length} trades, ${report.skipped.length} skipped (entry ${report.entryDays}d before, strategy: ${report.strategy}, profile: ${report.profile})`);
+    report.trades.forEach(trade => {
+        console.log(`  ${trade.earningsDate} ${trade.symbol.padEnd(5)} Q${trade.qualityScore} P${trade.prescreenScore} ${trade.strategy}: ${trade.earningsMovePercent}% move → $${trade.pnl}`);
+    });
+    report.skipped.forEach(({ symbol, date, reason }) => console.log(`  ⏭️  ${date} ${symbol}: ${reason}`));
+
+    console.log('\n🎯 By quality score:');
+    report.byQualityScore.forEach(bucket => console.log(`  ${bucket.bucket.padEnd(7)} ${formatStats(bucket)}`));
+    console.log('\n🎯 By prescreen score:');
+    report.byPrescreenScore.forEach(bucket => console.log(`  ${bucket.bucket.padEnd(7)} ${formatStats(bucket)}`));
+    console.log(`\n✅ Overall: ${formatStats(report.overall)}`);
+}
+
+async function testFinnhub(options = {}) {
     console.log('📊 Testing Finnhub integration...');
     const finnhubApiKey = process.env.FINNHUB_API_KEY;
     const alphaVantageApiKey = process.env.ALPHA_VANTAGE_API_KEY;
@@ -78,7 +207,7 @@ async function testFinnhub() {
         throw new Error('FINNHUB_API_KEY environment variable is not set');
     }
     
-    const opportunities = await getEarningsOpportunities(finnhubApiKey);
+    const opportunities = await getEarningsOpportunities(finnhubApiKey, { ivHistory: new IvHistoryStore(createCliStore()), profile: getCliScoringProfile(options) });
     console.log(`✅ Found ${opportunities.length} earnings opportunities`);
     
     opportunities.forEach(opp => {
@@ -129,8 +258,9 @@ async function testVolatilityAnalysis() {
         console.log(`  Symbol: ${symbol}`);
         console.log(`  Current Price: $${symbolData.currentPrice?.toFixed(2) || 'N/A'}`);
         console.log(`  Historical Vol: ${symbolData.historicalVolatility?.toFixed(1) || 'N/A'}%`);
-        console.log(`  IV Estimate: ${symbolData.impliedVolatility?.toFixed(1) || 'N/A'}%`);
+        console.log(`  Implied Vol: ${symbolData.impliedVolatility?.toFixed(1) || 'N/A'}% (${symbolData.dataSources?.impliedVolatility || 'unknown'})`);
         console.log(`  Expected Move: $${symbolData.expectedMove?.toFixed(2) || 'N/A'}`);
+        console.log(`  Implied Move: ${symbolData.impliedMove ? `±${symbolData.impliedMove.movePercent}% ($${symbolData.impliedMove.straddlePrice}), event ±${symbolData.impliedMove.eventMovePercent ?? 'N/A'}%` : 'N/A'}`);
         console.log(`  Volatility Score: ${symbolData.volatilityScore || 'N/A'}/100`);
     } else {
         console.log('❌ No volatility data available');
@@ -260,7 +390,7 @@ async function testScoring() {
     console.log('✅ Scoring algorithm test completed');
 }
 
-async function testPipeline() {
+async function testPipeline(options = {}) {
     console.log('🔄 Testing complete data pipeline...');
     const finnhubApiKey = process.env.FINNHUB_API_KEY;
     const alphaVantageApiKey = process.env.ALPHA_VANTAGE_API_KEY;
@@ -270,7 +400,7 @@ async function testPipeline() {
     }
     
     console.log('1. Fetching earnings opportunities...');
-    const opportunities = await getEarningsOpportunities(finnhubApiKey);
+    const opportunities = await getEarningsOpportunities(finnhubApiKey, { ivHistory: new IvHistoryStore(createCliStore()), profile: getCliScoringProfile(options) });
     console.log(`   Found ${opportunities.length} opportunities`);
     
     console.log('2. Getting market context...');
@@ -280,39 +410,110 @@ async function testPipeline() {
     console.log('✅ Data pipeline test completed');
 }
 
-async function testFullRun() {
-    console.log('🎯 Simulating complete daily run...');
+/**
+ * Simulate the daily run against the live APIs
+ * @param {Object} [options={}] - CLI options: --profile name, --dry-run (render to --out instead of
+ * broadcasting), --test-send (with --dry-run, email the preview to RECIPIENTS or SUMMARY_EMAIL_RECIPIENT),
+ * --force (broadcast even when today's digest already went to AUDIENCE_ID)
+ */
+async function testFullRun(options = {}) {
+    const dryRun = options['dry-run'] === true;
+    const testSend = dryRun && options['test-send'] === true;
+    const force = options.force === true;
+    console.log(dryRun ? '🧪 Simulating complete daily run (dry run, nothing is broadcast)...' : '🎯 Simulating complete daily run...');
     
     const { FINNHUB_API_KEY, ALPHA_VANTAGE_API_KEY, GEMINI_API_KEY, RESEND_API_KEY, AUDIENCE_ID } = process.env;
     
-    if (!FINNHUB_API_KEY || !GEMINI_API_KEY || !RESEND_API_KEY) {
-        throw new Error('Missing required API keys (FINNHUB_API_KEY, GEMINI_API_KEY, RESEND_API_KEY)');
+    if (!FINNHUB_API_KEY || !GEMINI_API_KEY) {
+        throw new Error('Missing required API keys (FINNHUB_API_KEY, GEMINI_API_KEY)');
+    }
+
+    if ((!dryRun || testSend) && !RESEND_API_KEY) {
+        throw new Error('RESEND_API_KEY environment variable is not set');
     }
 
-    if (!AUDIENCE_ID) {
+    if (!dryRun && !AUDIENCE_ID) {
         throw new Error('AUDIENCE_ID environment variable is not set');
     }
     
+    const scoringProfile = getCliScoringProfile(options);
+    const startedAtMs = Date.now();
+    const summary = {
+        success: false,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        steps: [],
+        metrics: {
+            newsletterSent: false,
+            publishedSymbols: [],
+            scoringProfile: scoringProfile.name
+        },
+        errors: []
+    };
+
+    const addStep = (name, status, detail) => {
+        summary.steps.push({ name, status, detail });
+    };
+
+    const store = createCliStore();
+    // Same duplicate protection as the worker; the CLI always broadcasts to AUDIENCE_ID
+    const runGuard = dryRun ? null : new RunGuard(store);
+    const idempotencyKey = buildIdempotencyKey({ date: summary.startedAt, audience: AUDIENCE_ID, variant: 'broadcast' });
+    let lockHeld = false;
+
     try {
-        const startedAtMs = Date.now();
-        const summary = {
-            success: false,
-            startedAt: new Date().toISOString(),
-            finishedAt: null,
-            durationMs: null,
-            steps: [],
-            metrics: {
-                newsletterSent: false
-            },
-            errors: []
-        };
+        if (runGuard) {
+            summary.id = createRunId(summary.startedAt);
+            summary.metrics.idempotencyKey = idempotencyKey;
+            const check = await runGuard.begin(idempotencyKey, summary.id, { force });
+            addStep('Check for duplicate runs', check.status, check.detail);
+            if (check.status === RUN_GUARD_STATUS.BLOCKED) {
+                console.log(`⏸️  Run blocked: ${check.detail}`);
+                summary.blocked = true;
+                summary.metrics.newsletterReason = 'duplicate';
+                summary.finishedAt = new Date().toISOString();
+                summary.durationMs = Date.now() - startedAtMs;
+                summary.success = summary.errors.length === 0;
+                const run = await new RunHistoryStore(store).saveRun(summary, { trigger: 'cli' });
+                console.log(`🗂️  Run ${run.id} saved to history`);
+                return;
+            }
+            lockHeld = true;
+            if (check.status === RUN_GUARD_STATUS.FORCED) {
+                console.warn(`⚠️  ${check.detail}`);
+                summary.metrics.forced = true;
+            }
+        } else {
+            addStep('Check for duplicate runs', 'skipped', 'Dry run');
+        }
 
-        const addStep = (name, status, detail) => {
-            summary.steps.push({ name, status, detail });
-        };
+        const trackRecord = new TrackRecordStore(store);
+        let trackRecordSummary;
+        if (dryRun) {
+            // Nothing is written on a dry run; the preview shows the stored record as is
+            trackRecordSummary = await trackRecord.getSummary();
+            console.log(`0. 🎯 Dry run: past picks not scored | Hit rate: ${trackRecordSummary.hitRate ?? 'N/A'}%`);
+            addStep('Evaluate track record', 'skipped', 'Dry run');
+        } else {
+            console.log('0. 🎯 Scoring past picks...');
+            const evaluation = await trackRecord.evaluatePending();
+            trackRecordSummary = await trackRecord.getSummary();
+            console.log(`   ✅ ${evaluation.evaluated} scored, ${evaluation.pending} awaiting earnings | Hit rate: ${trackRecordSummary.hitRate ?? 'N/A'}%`);
+            addStep('Evaluate track record', 'success', `${evaluation.evaluated} picks scored, ${evaluation.pending} awaiting earnings`);
+            summary.metrics.trackRecordEvaluated = evaluation.evaluated;
+        }
+        summary.metrics.trackRecordHitRate = trackRecordSummary.hitRate;
+
+        console.log('1. 🌐 Building stock universe...');
+        const universe = await new UniverseBuilder(store).buildUniverse(await loadConstituents());
+        console.log(`   ✅ ${universe.symbols.length}/${universe.constituents} constituents (${universe.screened} screened, ${universe.failed.length} failed lookups)`);
+        addStep('Build stock universe', universe.failed.length ? 'warning' : 'success', `${universe.symbols.length}/${universe.constituents} constituents (${universe.screened} screened, ${universe.excluded.length} excluded, ${universe.failed.length} failed lookups)`);
+        summary.metrics.universeSize = universe.symbols.length;
+        summary.metrics.universeFailedLookups = universe.failed.map(({ symbol }) => symbol);
 
-        console.log('1. 📊 Scanning earnings opportunities...');
-    const opportunities = await getEarningsOpportunities(FINNHUB_API_KEY);
+        console.log('   📊 Scanning earnings opportunities...');
+        const opportunities = await getEarningsOpportunities(FINNHUB_API_KEY, { ivHistory: new IvHistoryStore(store), profile: scoringProfile, universe: universe.symbols });
         console.log(`   ✅ Found ${opportunities.length} qualified opportunities`);
         addStep('Scan earnings opportunities', 'success', `${opportunities.length} opportunities analyzed`);
         summary.metrics.totalOpportunities = opportunities.length;
@@ -371,44 +572,98 @@ async function testFullRun() {
             }
         }
 
-        console.log(`${contextPayload ? '5' : '5'}. 📧 Sending newsletter...`);
-        const result = await sendEmailDigest(
-            RESEND_API_KEY,
-            AUDIENCE_ID,
-            contextPayload ? [] : validatedContent,
-            contextPayload ? contextPayload : marketContext,
-            {
-                opportunityCount: contextPayload ? 0 : validatedContent.length,
-                ...(subjectTag ? { subjectTag } : {})
-            }
-        );
-        console.log(`   ✅ ${contextPayload ? 'Broadcast dispatched' : 'Newsletter sent'} - Broadcast ID: ${result.broadcastId}`);
-        addStep('Send newsletter', 'success', `Broadcast dispatched (ID: ${result.broadcastId})`);
-        summary.metrics.newsletterSent = true;
-        summary.metrics.broadcastId = result.broadcastId;
-        summary.metrics.recipientCount = result.recipientCount;
-        summary.metrics.completedAt = result.timestamp;
+        const digestContent = contextPayload ? [] : validatedContent;
+        const digestContext = { ...(contextPayload ? contextPayload : marketContext), trackRecord: trackRecordSummary };
+        const digestOptions = {
+            opportunityCount: contextPayload ? 0 : validatedContent.length,
+            ...(subjectTag ? { subjectTag } : {}),
+            // Contacts confirmed through the worker carry the token this link merges in
+            ...(process.env.WORKER_URL && process.env.SUBSCRIBER_TOKEN_SECRET ? { unsubscribeUrl: buildBroadcastUnsubscribeUrl(process.env.WORKER_URL) } : {})
+        };
         summary.metrics.newsletterReason = contextPayload ? (subjectTag === 'No Screened Setups' ? 'no-opportunities' : 'quality-gate') : 'opportunities-published';
+        summary.metrics.publishedSymbols = contextPayload ? [] : validatedContent.map(item => item.opportunity.symbol);
+
+        if (dryRun) {
+            console.log('5. 🧪 Rendering newsletter (dry run)...');
+            const preview = renderDigest(digestContent, digestContext, digestOptions);
+            const previewPath = typeof options.out === 'string' ? options.out : './digest-preview.html';
+            await writeFile(previewPath, preview.html);
+            console.log(`   ✅ ${preview.subject}`);
+            console.log(`   📄 HTML saved to ${previewPath}`);
+            summary.dryRun = true;
+            summary.metrics.mode = 'dry-run';
+            summary.metrics.previewPath = previewPath;
+
+            let sendStatus = 'skipped';
+            let sendDetail = `Dry run: digest rendered to ${previewPath}, broadcast not sent`;
+            if (testSend) {
+                const recipients = parseRecipientList(process.env.RECIPIENTS || process.env.SUMMARY_EMAIL_RECIPIENT);
+                try {
+                    await sendTestDigest(RESEND_API_KEY, preview, recipients, { from: process.env.NEWSLETTER_FROM || process.env.NEWSLETTER_FROM_EMAIL });
+                    console.log(`   📬 Test digest sent to: ${recipients.join(', ')}`);
+                    summary.metrics.recipientCount = recipients.length;
+                    sendDetail = `Dry run: test send to ${recipients.join(', ')}, broadcast not sent`;
+                } catch (err) {
+                    console.warn(`   ⚠️  Test send failed: ${err.message}`);
+                    sendStatus = 'warning';
+                    sendDetail = `Dry run: test send failed (${err.message}), broadcast not sent`;
+                }
+            }
+            addStep('Send newsletter', sendStatus, sendDetail);
+            if (!contextPayload) {
+                addStep('Record track record', 'skipped', 'Dry run');
+            }
+        } else {
+            console.log('5. 📧 Sending newsletter...');
+            // In flight until the broadcast returns; a throw leaves it 'failed' so retries need --force
+            const sendRecord = { runId: summary.id, forced: force };
+            await runGuard.markInFlight(idempotencyKey, sendRecord)
+                .catch(err => console.warn(`   ⚠️  Send not marked in flight for duplicate protection: ${err.message}`));
+            let result;
+            try {
+                result = await sendEmailDigest(RESEND_API_KEY, AUDIENCE_ID, digestContent, digestContext, digestOptions);
+            } catch (err) {
+                await runGuard.recordFailure(idempotencyKey, { ...sendRecord, error: err })
+                    .catch(recordErr => console.warn(`   ⚠️  Failed send not recorded for duplicate protection: ${recordErr.message}`));
+                throw err;
+            }
+            console.log(`   ✅ ${contextPayload ? 'Broadcast dispatched' : 'Newsletter sent'} - Broadcast ID: ${result.broadcastId}`);
+            addStep('Send newsletter', 'success', `Broadcast dispatched (ID: ${result.broadcastId})`);
+            summary.metrics.newsletterSent = true;
+            summary.metrics.broadcastId = result.broadcastId;
+            summary.metrics.recipientCount = result.recipientCount;
+            summary.metrics.completedAt = result.timestamp;
+            await runGuard.recordSend(idempotencyKey, {
+                runId: summary.id,
+                broadcastId: result.broadcastId,
+                reason: summary.metrics.newsletterReason,
+                deliveryMode: 'broadcast',
+                forced: force
+            }).catch(err => console.warn(`   ⚠️  Send not recorded for duplicate protection: ${err.message}`));
+
+            if (!contextPayload) {
+                const picks = await trackRecord.recordPublications(validatedContent, { marketContext });
+                summary.metrics.trackedPicks = picks.length;
+                addStep('Record track record', 'success', `${picks.length} picks stored for evaluation`);
+            }
+        }
 
         // Finalize summary
         summary.finishedAt = new Date().toISOString();
         summary.durationMs = Date.now() - startedAtMs;
         summary.success = summary.errors.length === 0;
 
+        const run = await new RunHistoryStore(store).saveRun(summary, { trigger: dryRun ? 'dry-run' : 'cli' });
+        summary.id = run.id;
+        console.log(`🗂️  Run ${run.id} saved to history`);
+
         // Optionally send run summary email (requires recipients)
     const from = process.env.SUMMARY_EMAIL_FROM || 'alerts@ravishankars.com';
-    const rawRecipients = process.env.RECIPIENTS || process.env.SUMMARY_EMAIL_RECIPIENT;
-        const recipients = rawRecipients
-            ? Array.from(new Map(
-                String(rawRecipients)
-                    .split(/[;,\n]/)
-                    .map(s => s.trim())
-                    .filter(Boolean)
-                    .map(e => [e.toLowerCase(), e])
-              ).values())
-            : [];
-
-        if (!RESEND_API_KEY || recipients.length === 0) {
+        const recipients = parseRecipientList(process.env.RECIPIENTS || process.env.SUMMARY_EMAIL_RECIPIENT);
+
+        if (dryRun) {
+            console.log('ℹ️  Skipping run summary email (dry run)');
+        } else if (!RESEND_API_KEY || recipients.length === 0) {
             console.log('ℹ️  Skipping run summary email (set RESEND_API_KEY and RECIPIENTS or SUMMARY_EMAIL_RECIPIENT)');
         } else {
             // Small pause to avoid back-to-back API calls after broadcast send
@@ -422,11 +677,22 @@ async function testFullRun() {
             }
         }
 
-        console.log(`\n🎉 Full run completed successfully (${contextPayload ? (subjectTag === 'No Screened Setups' ? 'context-only update' : 'quality gate update') : 'opportunities published'})!`);
+        console.log(`\n🎉 Full ${dryRun ? 'dry run' : 'run'} completed successfully (${contextPayload ? (subjectTag === 'No Screened Setups' ? 'context-only update' : 'quality gate update') : 'opportunities published'})!`);
         
     } catch (error) {
         console.error('❌ Full run failed:', error.message);
+        summary.steps.push({ name: 'Pipeline', status: 'failed', detail: error.message });
+        summary.errors.push({ message: error.message, stack: error.stack?.split('\n').slice(0, 5).join('\n') ?? null });
+        summary.finishedAt = new Date().toISOString();
+        summary.durationMs = Date.now() - startedAtMs;
+        await new RunHistoryStore(store).saveRun(summary, { trigger: dryRun ? 'dry-run' : 'cli' })
+            .catch(saveError => console.warn(`⚠️  Could not save run history: ${saveError.message}`));
         throw error;
+    } finally {
+        if (lockHeld) {
+            await runGuard.releaseLock(summary.id)
+                .catch(err => console.warn(`⚠️  Could not release the run lock: ${err.message}`));
+        }
     }
 }
 
@@ -569,6 +835,32 @@ async function testSpecificStock() {
     }
 }
 
+async function testEarningsHistory() {
+    console.log('📊 Building historical earnings-move database...');
+    const finnhubApiKey = process.env.FINNHUB_API_KEY;
+
+    if (!finnhubApiKey) {
+        throw new Error('FINNHUB_API_KEY environment variable is not set');
+    }
+
+    const database = new EarningsMoveDatabase({ finnhub: new FinnhubAPI(finnhubApiKey) });
+    const symbols = process.env.SYMBOL ? [process.env.SYMBOL.toUpperCase()] : undefined;
+    const results = await database.buildDatabase(symbols);
+
+    Object.values(results).filter(Boolean).forEach(({ symbol, moves, summary }) => {
+        if (!summary) {
+            console.log(`  ${symbol}: no past reports found`);
+            return;
+        }
+        console.log(`  ${symbol}: avg ±${summary.avgMovePercent}% | median ±${summary.medianMovePercent}% | max ±${summary.maxMovePercent}% | gap ±${summary.avgGapPercent ?? 'N/A'}% | ${summary.upCount} up / ${summary.downCount} down`);
+        if (symbols) {
+            moves.forEach(move => {
+                console.log(`    ${move.date} (${move.hour || 'n/a'}): gap ${move.gapPercent ?? 'N/A'}%, close ${move.movePercent}%`);
+            });
+        }
+    });
+}
+
 async function validateApiKeys() {
     console.log('🔑 Validating API keys...');
     
@@ -1,5 +1,7 @@
-// Expanded representative universe covering many missing names from S&P 500 + NASDAQ 100
-// Updated STOCK_UNIVERSE_RAW: Comprehensive list of relevant tickers
+import SCORING_PROFILES from './config/scoring-profiles.json' with { type: 'json' };
+
+// Fallback universe used when the screened constituents universe (universe.js, built from
+// config/constituents.csv) is unavailable, e.g. in CLI commands that scan without KV
 const STOCK_UNIVERSE_RAW = [
   // Core / mega tech
   'AAPL', 'MSFT', 'GOOGL', 'GOOG', 'AMZN', 'NVDA', 'META', 'TSLA', 'ADBE', 'NFLX',
@@ -17,10 +19,10 @@ const STOCK_UNIVERSE_RAW = [
   'CSCO', 'INTC', 'QCOM', 'TXN', 'AMD', 'AMAT', 'ASML', 'ADI', 'LRCX', 'KLAC', 'MU', 'NXPI',
 
   // Enterprise & software / cloud / SaaS
-  'INTU', 'CRM', 'ORCL', 'NOW', 'SNYS', 'WORK', 'ADSK', 'PYPL', 'ZM', 'DOCU', 'OKTA',
+  'INTU', 'CRM', 'ORCL', 'NOW', 'SNPS', 'ADSK', 'PYPL', 'ZM', 'DOCU', 'OKTA',
 
   // Communications / telecom / media
-  'VZ', 'T', 'TMUS', 'CMCSA', 'CHTR', 'DISCA', 'DISCK', 'CMG', 'ATVI', 'SIRI', 'TTWO', 'EBAY', 'EXC', 'MAR', 'MELI', 'MNST', 'VRTX', 'ZTS',
+  'VZ', 'T', 'TMUS', 'CMCSA', 'CHTR', 'WBD', 'CMG', 'SIRI', 'TTWO', 'EBAY', 'EXC', 'MAR', 'MELI', 'MNST', 'VRTX', 'ZTS',
 
   // Industrials / transportation / infrastructure
   'XOM', 'CVX', 'COP', 'SLB', 'CAT', 'BA', 'HON', 'GE', 'UNP', 'UPS', 'DE', 'RTX',
@@ -32,11 +34,13 @@ const STOCK_UNIVERSE_RAW = [
 // Remove duplicates and export the clean stock universe
 export const STOCK_UNIVERSE = [...new Set(STOCK_UNIVERSE_RAW)];
 
-// Quality thresholds for filtering opportunities
+// Quality thresholds for filtering opportunities (the earnings window is the default scoring
+// profile's; other profiles in config/scoring-profiles.json override the filters per run).
+// A volatility-score floor is a per-profile filter (minVolatilityScore), not a global threshold.
+const { filters: DEFAULT_PROFILE_FILTERS } = SCORING_PROFILES.default;
 export const QUALITY_THRESHOLDS = {
-  minVolatilityScore: 20,
-  minDaysToEarnings: 1,
-  maxDaysToEarnings: 45
+  minDaysToEarnings: DEFAULT_PROFILE_FILTERS.minDaysToEarnings,
+  maxDaysToEarnings: DEFAULT_PROFILE_FILTERS.maxDaysToEarnings
 };
 
 // Volatility analysis thresholds
@@ -47,6 +51,19 @@ export const VOLATILITY_THRESHOLDS = {
   maxHistoricalVolatility: 150
 };
 
+// Liquidity screens applied to index constituents when building the universe
+export const UNIVERSE_SCREENS = {
+  minPrice: 10,
+  minAverageVolume: 1_000_000,
+  requireOptions: true
+};
+
+// Black-Scholes inputs used when solving implied volatility from option quotes
+export const OPTIONS_PRICING = {
+  riskFreeRate: 0.045,
+  dividendYield: 0
+};
+
 /**
  * Check if a symbol is in the curated stock universe
  * @param {string} symbol - Stock symbol to check
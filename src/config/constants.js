@@ -7,5 +7,11 @@ export const SENSITIVE_KEYS = [
   'AUDIENCE_ID',
   'SUMMARY_EMAIL_RECIPIENT',
   'SUMMARY_EMAIL_FROM',
-  'TRIGGER_AUTH_SECRET'
+  'TRIGGER_AUTH_SECRET',
+  'SUBSCRIBER_TOKEN_SECRET',
+  'TURNSTILE_SECRET_KEY',
+  'SLACK_WEBHOOK_URL',
+  'DISCORD_WEBHOOK_URL',
+  'TELEGRAM_BOT_TOKEN',
+  'TELEGRAM_WEBHOOK_SECRET'
 ];
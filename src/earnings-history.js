@@ -0,0 +1,245 @@
+/**
+ * Historical earnings-move database
+ * Measures how each symbol actually moved around its past earnings reports so the
+ * scanner can compare realized reactions with the move the options market is pricing.
+ *
+ * Finnhub's /stock/earnings lists reported quarters (fiscal period end, EPS surprise)
+ * but not the day results were announced, so announcement dates and sessions come
+ * from the symbol-filtered earnings calendar and are joined on fiscal year + quarter.
+ * Price reactions are measured on Yahoo daily bars.
+ */
+
+import SimplifiedDataProvider from './simplified-data.js';
+import { STOCK_UNIVERSE } from './config.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_REPORT_LIMIT = 12;
+// Twelve quarterly reports plus lead-in bars
+const HISTORY_LOOKBACK_DAYS = 1200;
+// Realized moves only change once a quarter; a day-long cache keeps bulk runs cheap
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Measure the price reaction to each earnings report
+ * @param {Array<Object>} reports - Past reports ({ date, hour, year, quarter, surprisePercent })
+ * @param {Array<Object>} prices - Daily bars, oldest first ({ date, open, close })
+ * @returns {Array<Object>} Moves sorted newest first
+ * @returns {string} returns[].date - Announcement date (YYYY-MM-DD)
+ * @returns {number} returns[].closeBefore - Last close before the news
+ * @returns {number|null} returns[].gapPercent - Close-before to first open after (%)
+ * @returns {number} returns[].movePercent - Close-before to first close after (%)
+ * @description Before-open and intraday reports react on the announcement date itself;
+ * after-close (and unlabelled) reports react on the next session. Reports without
+ * surrounding bars are skipped.
+ */
+export function computeEarningsMoves(reports, prices) {
+    const bars = (prices || []).filter(bar => bar?.date && bar.close > 0);
+    const moves = [];
+
+    for (const report of reports || []) {
+        if (!report?.date) continue;
+
+        const firstOnOrAfter = bars.findIndex(bar => bar.date >= report.date);
+        if (firstOnOrAfter === -1) continue;
+
+        const reactsSameDay = report.hour === 'bmo' || report.hour === 'dmh';
+        const tradedOnReportDate = bars[firstOnOrAfter].date === report.date;
+        const reactionIndex = tradedOnReportDate && !reactsSameDay ? firstOnOrAfter + 1 : firstOnOrAfter;
+        const before = bars[reactionIndex - 1];
+        const after = bars[reactionIndex];
+
+        if (!before || !after) continue;
+
+        const gapPercent = after.open > 0 ? ((after.open - before.close) / before.close) * 100 : null;
+        const movePercent = ((after.close - before.close) / before.close) * 100;
+
+        moves.push({
+            date: report.date,
+            hour: report.hour || null,
+            fiscalPeriod: report.year && report.quarter ? `${report.year} Q${report.quarter}` : null,
+            reactionDate: after.date,
+            closeBefore: parseFloat(before.close.toFixed(2)),
+            openAfter: after.open > 0 ? parseFloat(after.open.toFixed(2)) : null,
+            closeAfter: parseFloat(after.close.toFixed(2)),
+            gapPercent: gapPercent !== null ? parseFloat(gapPercent.toFixed(2)) : null,
+            movePercent: parseFloat(movePercent.toFixed(2)),
+            surprisePercent: report.surprisePercent ?? null
+        });
+    }
+
+    return moves.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Summarize realized earnings moves
+ * @param {Array<Object>} moves - Output of computeEarningsMoves
+ * @returns {Object|null} Summary or null when there are no moves
+ * @returns {number} returns.avgMovePercent - Mean absolute close-to-close move (%)
+ * @returns {number|null} returns.avgGapPercent - Mean absolute opening gap (%)
+ */
+export function summarizeEarningsMoves(moves) {
+    if (!moves?.length) {
+        return null;
+    }
+
+    const absMoves = moves.map(move => Math.abs(move.movePercent));
+    const absGaps = moves.filter(move => move.gapPercent !== null).map(move => Math.abs(move.gapPercent));
+    const sortedMoves = [...absMoves].sort((a, b) => a - b);
+    const middle = Math.floor(sortedMoves.length / 2);
+    const median = sortedMoves.length % 2
+        ? sortedMoves[middle]
+        : (sortedMoves[middle - 1] + sortedMoves[middle]) / 2;
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    return {
+        reportCount: moves.length,
+        avgMovePercent: parseFloat(average(absMoves).toFixed(2)),
+        medianMovePercent: parseFloat(median.toFixed(2)),
+        maxMovePercent: parseFloat(Math.max(...absMoves).toFixed(2)),
+        avgGapPercent: absGaps.length ? parseFloat(average(absGaps).toFixed(2)) : null,
+        upCount: moves.filter(move => move.movePercent > 0).length,
+        downCount: moves.filter(move => move.movePercent < 0).length,
+        lastReportDate: moves[0].date
+    };
+}
+
+/**
+ * Average historical move divided by the move the options market is pricing
+ * @param {Object|null} summary - Output of summarizeEarningsMoves
+ * @param {Object|null} impliedMove - Straddle move from calculateImpliedMove
+ * @returns {number|null} Ratio, or null when either side is missing
+ * @description Compares against the event-only move when available, since realized
+ * earnings moves are single-session reactions. Above 1 the stock has historically moved
+ * more than priced (favours buying premium); below 1 the straddle is rich (favours selling).
+ */
+export function calculateHistoricalVsImpliedRatio(summary, impliedMove) {
+    const implied = impliedMove?.eventMovePercent || impliedMove?.movePercent;
+    if (!summary?.avgMovePercent || !(implied > 0)) {
+        return null;
+    }
+    return parseFloat((summary.avgMovePercent / implied).toFixed(2));
+}
+
+/**
+ * Per-symbol store of realized earnings moves
+ * @class EarningsMoveDatabase
+ * @description Each lookup costs three requests (Finnhub earnings history, Finnhub
+ * symbol calendar, Yahoo daily bars); results are cached per instance for a day.
+ */
+export class EarningsMoveDatabase {
+    /**
+     * @param {Object} config - Configuration options
+     * @param {Object} config.finnhub - FinnhubAPI client
+     * @param {Object} [config.dataProvider] - Provider exposing getYahooHistoricalData
+     * @param {number} [config.reportLimit=12] - Reports to keep per symbol
+     * @param {number} [config.requestDelay=500] - Delay between symbols in bulk builds (ms)
+     */
+    constructor({ finnhub, dataProvider = new SimplifiedDataProvider(), reportLimit = DEFAULT_REPORT_LIMIT, requestDelay = 500 } = {}) {
+        if (!finnhub) {
+            throw new Error('EarningsMoveDatabase requires a Finnhub client');
+        }
+        this.finnhub = finnhub;
+        this.dataProvider = dataProvider;
+        this.reportLimit = reportLimit;
+        this.requestDelay = requestDelay;
+        this.cache = new Map();
+    }
+
+    /**
+     * Past earnings announcements for a symbol, newest first
+     * @async
+     * @param {string} symbol - Stock symbol
+     * @param {Date} [asOf=new Date()] - Only reports strictly before this date are returned
+     * @returns {Promise<Array<Object>>} Reports ({ date, hour, year, quarter, surprisePercent })
+     */
+    async getPastReports(symbol, asOf = new Date()) {
+        const today = asOf.toISOString().split('T')[0];
+        const fromDate = new Date(asOf.getTime() - HISTORY_LOOKBACK_DAYS * MS_PER_DAY).toISOString().split('T')[0];
+
+        const [history, calendar] = await Promise.all([
+            this.finnhub.getEarningsHistory(symbol, this.reportLimit).catch(error => {
+                console.warn(`⚠️ Earnings history unavailable for ${symbol}:`, error.message);
+                return [];
+            }),
+            this.finnhub.getSymbolEarningsCalendar(symbol, fromDate, today)
+        ]);
+
+        const surpriseByQuarter = new Map(
+            history.map(item => [`${item.year}-${item.quarter}`, item.surprisePercent])
+        );
+
+        return calendar
+            .filter(event => (!event.symbol || event.symbol === symbol) && event.date && event.date < today)
+            .map(event => ({
+                date: event.date,
+                hour: event.hour || null,
+                year: event.year ?? null,
+                quarter: event.quarter ?? null,
+                surprisePercent: surpriseByQuarter.get(`${event.year}-${event.quarter}`) ?? null
+            }))
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .slice(0, this.reportLimit);
+    }
+
+    /**
+     * Realized earnings moves and their summary for one symbol
+     * @async
+     * @param {string} symbol - Stock symbol
+     * @returns {Promise<Object>} { symbol, moves, summary, lastUpdated }
+     * @throws When the earnings calendar or price history cannot be fetched
+     */
+    async getEarningsMoves(symbol) {
+        const cached = this.cache.get(symbol);
+        if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+            return cached.data;
+        }
+
+        const reports = await this.getPastReports(symbol);
+        let moves = [];
+
+        if (reports.length > 0) {
+            const history = await this.dataProvider.getYahooHistoricalData(symbol, HISTORY_LOOKBACK_DAYS);
+            moves = computeEarningsMoves(reports, history?.prices);
+        }
+
+        const data = {
+            symbol,
+            moves,
+            summary: summarizeEarningsMoves(moves),
+            lastUpdated: new Date().toISOString()
+        };
+
+        this.cache.set(symbol, { data, timestamp: Date.now() });
+        return data;
+    }
+
+    /**
+     * Build the move database for a list of symbols
+     * @async
+     * @param {Array<string>} [symbols=STOCK_UNIVERSE] - Symbols to process
+     * @returns {Promise<Object>} Map of symbol to getEarningsMoves result (null on failure)
+     */
+    async buildDatabase(symbols = STOCK_UNIVERSE) {
+        const results = {};
+
+        for (let i = 0; i < symbols.length; i++) {
+            const symbol = symbols[i];
+            try {
+                results[symbol] = await this.getEarningsMoves(symbol);
+                const avg = results[symbol].summary?.avgMovePercent;
+                console.log(`✅ ${symbol}: ${results[symbol].moves.length} reports, avg move ${avg ?? 'N/A'}%`);
+            } catch (error) {
+                console.warn(`⚠️ Earnings moves failed for ${symbol}:`, error.message);
+                results[symbol] = null;
+            }
+
+            if (i < symbols.length - 1 && this.requestDelay > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+            }
+        }
+
+        return results;
+    }
+}
+
+export default EarningsMoveDatabase;
@@ -4,6 +4,8 @@
  * Modified for Issue: Fix 52-week range and add ticker hyperlinks to newsletter #16
  */
 
+import { formatLegs } from "./strategy-builder.js";
+
 const palette = {
   background: "#FAF6F0",
   surface: "#FDFDFD",
@@ -19,8 +21,15 @@ const EmailTemplate = ({
   opportunities = [],
   marketContext = {},
   date = new Date().toDateString(),
+  watchlist = [],
+  watchlistUrl = null,
+  unsubscribeUrl = null,
+  preferencesUrl = null,
+  sections = null,
 }) => {
   const digestNote = marketContext?.digestNote;
+  // Preference-center sections (null = all); the opportunities list always renders
+  const showSection = (name) => !sections || sections.includes(name);
 
   const getSentimentColor = (score) => {
     if (score >= 8) return palette.primaryDark;
@@ -102,6 +111,34 @@ const EmailTemplate = ({
                     : "N/A"
                 }</td>
               </tr>
+              <tr>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">Implied Move:</td>
+                <td style="padding: 4px 8px 4px 0;">${
+                  vol.impliedMove
+                    ? `±${vol.impliedMove.movePercent.toFixed(1)}% ($${vol.impliedMove.straddlePrice.toFixed(2)})`
+                    : "N/A"
+                }</td>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">Event Move:</td>
+                <td style="padding: 4px 0;">${
+                  vol.impliedMove?.eventMovePercent != null
+                    ? `±${vol.impliedMove.eventMovePercent.toFixed(1)}%`
+                    : "N/A"
+                }</td>
+              </tr>
+              <tr>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">Hist. Move:</td>
+                <td style="padding: 4px 8px 4px 0;">${
+                  opp.earningsHistory
+                    ? `±${opp.earningsHistory.avgMovePercent.toFixed(1)}% (${opp.earningsHistory.reportCount} reports)`
+                    : "N/A"
+                }</td>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">Hist/Implied:</td>
+                <td style="padding: 4px 0; color: ${opp.historicalVsImpliedRatio > 1 ? palette.primaryDark : palette.muted}; font-weight: 500;">${
+                  opp.historicalVsImpliedRatio != null
+                    ? `${opp.historicalVsImpliedRatio.toFixed(2)}x`
+                    : "N/A"
+                }</td>
+              </tr>
               <tr>
                 <td style="padding: 4px 8px 4px 0; font-weight: 500;">Quality:</td>
                 <td style="padding: 4px 8px 4px 0; color: ${opp.qualityScore >= 70 ? palette.primaryDark : opp.qualityScore >= 40 ? palette.accent : palette.muted}; font-weight: 600;">
@@ -130,7 +167,7 @@ const EmailTemplate = ({
                         : palette.muted
                     : palette.muted
                 };">
-                  ${vol.technicalIndicators?.rsi?.toFixed(1) || "N/A"}
+                  ${vol.technicalIndicators?.rsi?.toFixed(1) || "N/A"}${vol.technicalIndicators?.source === "estimated" ? " (est.)" : ""}
                 </td>
                 <td style="padding: 4px 8px 4px 0; font-weight: 500;">52W Range:</td>
                 <td style="padding: 4px 0; font-size: 10px;">
@@ -141,6 +178,20 @@ const EmailTemplate = ({
                   }
                 </td>
               </tr>
+              <tr>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">ATR (14):</td>
+                <td style="padding: 4px 8px 4px 0;">${
+                  vol.technicalIndicators?.atr != null
+                    ? `$${vol.technicalIndicators.atr.toFixed(2)} (${vol.technicalIndicators.atrPercent?.toFixed(1) ?? "N/A"}%)`
+                    : "N/A"
+                }</td>
+                <td style="padding: 4px 8px 4px 0; font-weight: 500;">vs SMA 20/50:</td>
+                <td style="padding: 4px 0;">${
+                  vol.technicalIndicators?.sma20Distance != null
+                    ? `${vol.technicalIndicators.sma20Distance.toFixed(1)}% / ${vol.technicalIndicators.sma50Distance?.toFixed(1) ?? "N/A"}%`
+                    : "N/A"
+                }</td>
+              </tr>
             </table>
             
             ${
@@ -152,7 +203,7 @@ const EmailTemplate = ({
                   .slice(0, 2)
                   .map(
                     (strategy) => `
-                  <div style="margin-bottom: 2px; color: ${palette.muted};">• ${strategy.name}</div>
+                  <div style="margin-bottom: 2px; color: ${palette.muted};">• ${strategy.name}${formatStrategyPricing(strategy.pricing)}</div>
                 `
                   )
                   .join("")}
@@ -275,10 +326,12 @@ const EmailTemplate = ({
             ${opportunitiesHtml}
           </div>
 
-          ${aiRecommendation}
+          ${showSection("watchlist") ? renderWatchlist(watchlist, watchlistUrl) : ""}
+
+          ${showSection("aiSummary") ? aiRecommendation : ""}
 
           ${
-            marketContext.vix
+            marketContext.vix && showSection("marketContext")
               ? `
             <div style="margin: 24px 28px; padding: 18px; background-color: ${palette.surface}; border: 1px solid ${palette.accent}; border-radius: 8px; box-shadow: 0 8px 20px rgba(228, 197, 144, 0.25);">
               <h3 style="font-size: 14px; font-weight: 600; margin: 0 0 8px 0; color: ${palette.primaryDark}; text-transform: uppercase; letter-spacing: 0.05em;">
@@ -294,6 +347,11 @@ const EmailTemplate = ({
               : ""
           }
 
+          ${showSection("trackRecord") ? renderTrackRecord(marketContext.trackRecord) : ""}
+
+          ${
+            showSection("keyTerms")
+              ? `
           <div style="margin: 24px 28px; padding: 18px; background-color: ${palette.surface}; border: 1px solid ${palette.accent}; border-radius: 8px;">
             <h3 style="font-size: 14px; font-weight: 600; margin: 0 0 8px 0; color: ${palette.primaryDark}; text-transform: uppercase; letter-spacing: 0.05em;">
               📚 Key Terms
@@ -302,11 +360,16 @@ const EmailTemplate = ({
               <div style="margin-bottom: 6px;"><strong>IV (Implied Volatility):</strong> Market's expectation of future price movement</div>
               <div style="margin-bottom: 6px;"><strong>HV (Historical Volatility):</strong> Past 30-day realized price movement</div>
               <div style="margin-bottom: 6px;"><strong>RSI (Relative Strength Index):</strong> Momentum indicator (0-100); >70 overbought, <30 oversold</div>
+              <div style="margin-bottom: 6px;"><strong>ATR (Average True Range):</strong> Typical daily trading range over 14 sessions, in dollars and % of price</div>
+              <div style="margin-bottom: 6px;"><strong>vs SMA 20/50:</strong> Distance of the last close from its 20- and 50-day moving averages</div>
               <div style="margin-bottom: 6px;"><strong>Expected Move:</strong> Predicted price range through earnings (1 std dev)</div>
               <div style="margin-bottom: 6px;"><strong>52W Range:</strong> 5-week high/low price range for recent context</div>
               <div><strong>Quality Score:</strong> Composite ranking based on liquidity, volume, and data reliability</div>
             </div>
           </div>
+          `
+              : ""
+          }
 
           <div style="margin: 24px 28px; padding: 22px; background-color: #F8E6DC; border: 2px solid ${palette.primaryDark}; border-radius: 10px;">
             <h3 style="font-size: 16px; font-weight: 700; margin: 0 0 12px 0; color: ${palette.primaryDark}; display: flex; align-items: center; letter-spacing: 0.04em;">
@@ -336,7 +399,15 @@ const EmailTemplate = ({
               This newsletter is for educational purposes only and should not be considered personalized investment advice.
             </p>
             <p style="font-size: 10px; color: ${palette.muted}; margin: 12px 0 0 0;">
-              Options Insight Newsletter • Unsubscribe options available in email footer
+              Options Insight Newsletter • ${
+                unsubscribeUrl
+                  ? `<a href="${unsubscribeUrl}" style="color: ${palette.muted}; text-decoration: underline;">Unsubscribe</a>`
+                  : "Unsubscribe options available in email footer"
+              }${
+                preferencesUrl
+                  ? ` • <a href="${preferencesUrl}" style="color: ${palette.muted}; text-decoration: underline;">Manage preferences</a>`
+                  : ""
+              }
             </p>
           </div>
         </div>
@@ -403,6 +474,105 @@ function generateConsolidatedRecommendation(opportunities, marketContext) {
   `;
 }
 
+function renderTrackRecord(trackRecord) {
+  if (!trackRecord?.evaluated) return "";
+
+  const formatGroup = (name, group) =>
+    group.evaluated
+      ? `<div style="margin-bottom: 4px;"><strong style="color: ${palette.text};">${name}:</strong> ${group.hitRate.toFixed(0)}% inside (${group.hits}/${group.evaluated})</div>`
+      : "";
+  const byRecommendation = Object.entries(trackRecord.byRecommendation || {})
+    .map(([name, group]) => formatGroup(name, group))
+    .join("");
+  const byRegime = Object.entries(trackRecord.byRegime || {})
+    .map(([name, group]) => formatGroup(`Regime: ${name}`, group))
+    .join("");
+
+  return `
+          <div style="margin: 24px 28px; padding: 18px; background-color: ${palette.surface}; border: 1px solid ${palette.accent}; border-radius: 8px;">
+            <h3 style="font-size: 14px; font-weight: 600; margin: 0 0 8px 0; color: ${palette.primaryDark}; text-transform: uppercase; letter-spacing: 0.05em;">
+              🎯 Track Record
+            </h3>
+            <div style="font-size: 12px; color: ${palette.muted}; line-height: 1.5;">
+              <div style="margin-bottom: 6px;">
+                <strong style="color: ${palette.text};">${trackRecord.hitRate.toFixed(0)}%</strong> of ${trackRecord.evaluated} scored picks since ${trackRecord.since} finished earnings inside the expected move${trackRecord.pending ? ` (${trackRecord.pending} awaiting earnings)` : ""}.
+              </div>
+              ${byRecommendation}
+              ${byRegime}
+            </div>
+          </div>`;
+}
+
+// Personalized section: the subscriber's own tickers, whether or not they made the digest
+function renderWatchlist(watchlist, watchlistUrl) {
+  if (!watchlist?.length) return "";
+
+  const formatPercent = (value) => (value != null ? `${value.toFixed(1)}%` : "N/A");
+  const rows = watchlist
+    .map(
+      (item, index) => `
+              <tr style="background-color: ${index % 2 === 0 ? palette.surface : palette.highlight};">
+                <td style="padding: 6px 8px; font-weight: 600;">
+                  <a href="https://finance.yahoo.com/quote/${item.symbol}" target="_blank" style="color: ${palette.text}; text-decoration: none;">${item.symbol}</a>${
+                    item.inDigest ? ` <span style="color: ${palette.primaryDark};">★</span>` : ""
+                  }
+                </td>
+                <td style="padding: 6px 8px;">${
+                  item.earningsDate
+                    ? `${new Date(item.earningsDate).toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" })} (${item.daysToEarnings}d)`
+                    : "None scheduled"
+                }</td>
+                <td style="padding: 6px 8px;">${item.currentPrice != null ? `$${item.currentPrice.toFixed(2)}` : "N/A"}</td>
+                <td style="padding: 6px 8px;">${formatPercent(item.impliedVolatility)} / ${formatPercent(item.historicalVolatility)}</td>
+                <td style="padding: 6px 8px;">${
+                  item.impliedMovePercent != null
+                    ? `±${item.impliedMovePercent.toFixed(1)}%`
+                    : item.expectedMovePercent != null
+                      ? `±${item.expectedMovePercent.toFixed(1)}%`
+                      : "N/A"
+                }</td>
+                <td style="padding: 6px 8px;">${item.ivRank != null ? item.ivRank.toFixed(0) : "N/A"}</td>
+              </tr>`
+    )
+    .join("");
+
+  return `
+          <div style="margin: 24px 28px; padding: 18px; background-color: ${palette.surface}; border: 1px solid ${palette.accent}; border-radius: 8px;">
+            <h3 style="font-size: 14px; font-weight: 600; margin: 0 0 8px 0; color: ${palette.primaryDark}; text-transform: uppercase; letter-spacing: 0.05em;">
+              👀 Your Watchlist
+            </h3>
+            <table class="metrics-table" style="width: 100%; font-size: 11px; color: ${palette.text}; border-collapse: collapse;">
+              <tr style="color: ${palette.muted}; text-align: left;">
+                <th style="padding: 4px 8px; font-weight: 500;">Symbol</th>
+                <th style="padding: 4px 8px; font-weight: 500;">Earnings</th>
+                <th style="padding: 4px 8px; font-weight: 500;">Price</th>
+                <th style="padding: 4px 8px; font-weight: 500;">IV / HV</th>
+                <th style="padding: 4px 8px; font-weight: 500;">Exp. Move</th>
+                <th style="padding: 4px 8px; font-weight: 500;">IV Rank</th>
+              </tr>
+              ${rows}
+            </table>
+            <p style="font-size: 11px; color: ${palette.muted}; margin: 8px 0 0 0; line-height: 1.5;">
+              ★ = in today's opportunities. Exp. Move uses the straddle-implied move when options data is available.${
+                watchlistUrl
+                  ? ` <a href="${watchlistUrl}" style="color: ${palette.primaryDark}; text-decoration: underline;">Edit your watchlist</a>`
+                  : ""
+              }
+            </p>
+          </div>`;
+}
+
+function formatStrategyPricing(pricing) {
+  if (!pricing) return "";
+  const legs = pricing.legs?.length
+    ? ` (${pricing.illustrative ? "illustrative: " : ""}${formatLegs(pricing.legs)})`
+    : "";
+  const maxLoss = pricing.maxLoss !== null ? `$${pricing.maxLoss.toFixed(0)}` : "unlimited";
+  return `${legs} — POP ${pricing.probabilityOfProfit.toFixed(0)}%, Max Loss ${maxLoss}, ${
+    pricing.premiumType === "credit" ? "Credit" : "Debit"
+  } $${Math.abs(pricing.netPremium).toFixed(2)}`;
+}
+
 function getMarketDescription(marketContext) {
   const vix = marketContext.vix || 0;
   if (vix < 15) return "Low fear, premium selling favored";
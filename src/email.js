@@ -1,7 +1,74 @@
 import { Resend } from 'resend';
+import { render } from '@react-email/render';
 import EmailTemplate from './email-template.js';
 import htmlToReactEmail from './email-renderer.js';
 
+// Broadcasts go to the whole audience at once, so the worker cannot sign a link per recipient.
+// Instead each contact carries its signed unsubscribe token as a contact attribute and Resend
+// fills it in per recipient (see buildBroadcastUnsubscribeUrl).
+export const UNSUBSCRIBE_TOKEN_ATTRIBUTE = 'unsubscribeToken';
+const CONTACT_UNSUBSCRIBE_TOKEN = `{{{contact.${UNSUBSCRIBE_TOKEN_ATTRIBUTE}}}}`;
+// Resend's hosted unsubscribe page, used when the worker cannot sign links
+const RESEND_UNSUBSCRIBE_URL = '{{{RESEND_UNSUBSCRIBE_URL}}}';
+const UNSUBSCRIBE_MAILTO = '<mailto:unsubscribe@ravishankars.com?subject=unsubscribe>';
+// Run summary steps listed under "Warnings"; 'forced' is a re-send that bypassed duplicate protection
+const WARNING_STATUSES = ['warning', 'forced'];
+
+/**
+ * Default subject tag for a digest ("1 Opportunity", "3 Opportunities")
+ */
+export function formatSubjectTag(opportunityCount) {
+    return `${opportunityCount} ${opportunityCount === 1 ? 'Opportunity' : 'Opportunities'}`;
+}
+
+/**
+ * One-click unsubscribe link for a broadcast: the worker's /unsubscribe with each contact's
+ * UNSUBSCRIBE_TOKEN_ATTRIBUTE merged in by Resend
+ * @param {string} workerUrl - Public worker origin (WORKER_URL)
+ * @returns {string} e.g. "https://worker.example/unsubscribe?token={{{contact.unsubscribeToken}}}"
+ */
+export function buildBroadcastUnsubscribeUrl(workerUrl) {
+    // Appended by hand: URLSearchParams would percent-encode the merge variable's braces
+    return `${new URL('/unsubscribe', workerUrl)}?token=${CONTACT_UNSUBSCRIBE_TOKEN}`;
+}
+
+/**
+ * RFC 8058 headers: the HTTPS one-click link first (when there is one), then the mailto fallback
+ */
+function buildUnsubscribeHeaders(unsubscribeUrl) {
+    return {
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        'List-Unsubscribe': unsubscribeUrl ? `<${unsubscribeUrl}>, ${UNSUBSCRIBE_MAILTO}` : UNSUBSCRIBE_MAILTO
+    };
+}
+
+/**
+ * Render a digest's subject and HTML exactly as they are sent
+ * @param {Array<Object>} content - Analyzed opportunities
+ * @param {Object} marketContext - Market context data
+ * @param {Object} [options={}] - subjectTag and opportunityCount as in sendEmailDigest, plus the
+ * EmailTemplate footer and personal sections (watchlist, watchlistUrl, unsubscribeUrl, preferencesUrl, sections)
+ * @returns {Object} { subject, subjectTag, html } - unsubscribeUrl defaults to the broadcast placeholder
+ */
+export function renderDigest(content, marketContext, options = {}) {
+    const {
+        date = new Date().toDateString(),
+        opportunityCount = content?.length || 0,
+        unsubscribeUrl = RESEND_UNSUBSCRIBE_URL,
+        watchlist,
+        watchlistUrl,
+        preferencesUrl,
+        sections
+    } = options;
+    const subjectTag = options.subjectTag || formatSubjectTag(opportunityCount);
+
+    return {
+        subject: `🎯 Options Insight - ${date} (${subjectTag})`,
+        subjectTag,
+        html: EmailTemplate({ opportunities: content, marketContext, date, watchlist, watchlistUrl, unsubscribeUrl, preferencesUrl, sections })
+    };
+}
+
 /**
  * Enhanced email delivery with React Email template and Resend broadcasts
  * @async
@@ -13,6 +80,8 @@ import htmlToReactEmail from './email-renderer.js';
  * @param {string} [options.from] - Sender email address
  * @param {string} [options.subjectTag] - Custom subject tag
  * @param {number} [options.opportunityCount] - Override opportunity count
+ * @param {string} [options.unsubscribeUrl] - One-click link for the footer and List-Unsubscribe
+ * header (buildBroadcastUnsubscribeUrl); Resend's hosted page and the mailto header when omitted
  * @returns {Promise<Object>} Delivery result object
  * @returns {boolean} returns.success - Whether email was sent successfully
  * @returns {string} returns.broadcastId - Resend broadcast ID for tracking
@@ -25,68 +94,329 @@ import htmlToReactEmail from './email-renderer.js';
 export async function sendEmailDigest(apiKey, audienceId, content, marketContext, options = {}) {
     try {
         console.log("Preparing enhanced email digest...");
-        
-        const resend = new Resend(apiKey);
-        const today = new Date().toDateString();
-        const from = options.from || 'newsletter@ravishankars.com';
-        const opportunityCount = options.opportunityCount ?? (content?.length || 0);
-        const subjectTag = options.subjectTag || `${opportunityCount} ${opportunityCount === 1 ? 'Opportunity' : 'Opportunities'}`;
-
-        if (!audienceId) {
-            throw new Error('AUDIENCE_ID is required to send the newsletter');
-        }
 
-        // Generate HTML content from our template (already returns HTML string)
-        const htmlContent = EmailTemplate({
-            opportunities: content,
-            marketContext: marketContext,
-            date: today
-        });
+        const draft = await createDigestBroadcast(apiKey, audienceId, content, marketContext, options);
+        console.log(`Successfully created broadcast draft ${draft.broadcastId}. Sending...`);
+
+        const { broadcastId, timestamp } = await sendBroadcast(apiKey, draft.broadcastId);
+        return {
+            success: true,
+            broadcastId,
+            recipientCount: options.recipientCount ?? content.length,
+            timestamp
+        };
 
-        const reactContent = htmlToReactEmail(htmlContent);
+    } catch (error) {
+        console.error('❌ Error sending email digest:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create the digest broadcast as a Resend draft without sending it
+ * @async
+ * @param {string} apiKey - Resend API key
+ * @param {string} audienceId - Resend audience ID
+ * @param {Array<Object>} content - Analyzed opportunities
+ * @param {Object} marketContext - Market context data
+ * @param {Object} [options={}] - from, subjectTag, opportunityCount and unsubscribeUrl as in sendEmailDigest
+ * @returns {Promise<Object>} { broadcastId, subject, html } - send it later with sendBroadcast
+ */
+export async function createDigestBroadcast(apiKey, audienceId, content, marketContext, options = {}) {
+    if (!audienceId) {
+        throw new Error('AUDIENCE_ID is required to send the newsletter');
+    }
+
+    const resend = new Resend(apiKey);
+    const from = options.from || 'newsletter@ravishankars.com';
+
+    // Generate HTML content from our template (already returns HTML string)
+    const { subject, html: htmlContent } = renderDigest(content, marketContext, {
+        subjectTag: options.subjectTag,
+        opportunityCount: options.opportunityCount,
+        unsubscribeUrl: options.unsubscribeUrl || RESEND_UNSUBSCRIBE_URL
+    });
 
-        console.log("Creating broadcast draft with React Email template...");
-        const broadcastPayload = {
+    const reactContent = htmlToReactEmail(htmlContent);
+
+    console.log("Creating broadcast draft with React Email template...");
+    const broadcastPayload = {
+        from,
+        audience_id: audienceId,
+        subject,
+        html: reactContent ? await render(reactContent) : htmlContent,
+        headers: buildUnsubscribeHeaders(options.unsubscribeUrl)
+    };
+
+    // Posted directly: the SDK's broadcasts.create drops custom headers
+    const { data: createData, error: createError } = await resend.post('/broadcasts', broadcastPayload);
+
+    if (createError) {
+        throw new Error(`Resend API (create) failed: ${JSON.stringify(createError)}`);
+    }
+
+    return { broadcastId: createData.id, subject, html: htmlContent };
+}
+
+/**
+ * Send a draft broadcast to its audience
+ * @param {string} apiKey - Resend API key
+ * @param {string} broadcastId - Draft from createDigestBroadcast
+ * @returns {Promise<Object>} { broadcastId, timestamp }
+ */
+export async function sendBroadcast(apiKey, broadcastId) {
+    const resend = new Resend(apiKey);
+    const { data: sendData, error: sendError } = await resend.broadcasts.send(broadcastId);
+
+    if (sendError) {
+        throw new Error(`Resend API (send) failed: ${JSON.stringify(sendError)}`);
+    }
+
+    console.log(`✅ Successfully triggered send for broadcast ${sendData.id}`);
+    return { broadcastId: sendData.id, timestamp: new Date().toISOString() };
+}
+
+/**
+ * Delete a draft broadcast that will never be sent (rejected or expired approvals)
+ * @param {string} apiKey - Resend API key
+ * @param {string} broadcastId - Draft broadcast id
+ * @returns {Promise<void>}
+ */
+export async function removeBroadcast(apiKey, broadcastId) {
+    const resend = new Resend(apiKey);
+    const { error } = await resend.broadcasts.remove(broadcastId);
+
+    if (error) {
+        throw new Error(`Resend API (remove) failed: ${JSON.stringify(error)}`);
+    }
+}
+
+// Resend batch API limit
+const BATCH_SIZE = 100;
+
+/**
+ * Per-subscriber digest delivery for subscriber watchlists
+ * @async
+ * @param {string} apiKey - Resend API key
+ * @param {string} audienceId - Resend audience whose active contacts receive the digest
+ * @param {Array<Object>} content - Analyzed opportunities (same as sendEmailDigest)
+ * @param {Object} marketContext - Market context data
+ * @param {Object} [options={}] - Delivery options (from, subjectTag, opportunityCount as in sendEmailDigest)
+ * @param {Function} [options.personalize] - (email) => ({ skip, segment, content, sections, watchlist,
+ * watchlistUrl, unsubscribeUrl, preferencesUrl }), may be async
+ * @returns {Promise<Object>} { success, broadcastId: null, batchIds, recipientCount, personalizedCount,
+ * skippedCount, segments, timestamp }
+ * @description Renders one email per active contact and sends them through the batch API
+ * (100 per request). Contacts without a watchlist receive the standard digest. A signed
+ * unsubscribeUrl goes into the footer and the RFC 8058 List-Unsubscribe header.
+ * Preference segments come from personalize: `skip` leaves the contact out of this run,
+ * `content` and `sections` replace the digest's picks and sections, and `segments` counts
+ * recipients per `segment` label.
+ */
+export async function sendPersonalizedDigests(apiKey, audienceId, content, marketContext, options = {}) {
+    if (!audienceId) {
+        throw new Error('AUDIENCE_ID is required to send the newsletter');
+    }
+
+    const resend = new Resend(apiKey);
+    const today = new Date().toDateString();
+    const from = options.from || 'newsletter@ravishankars.com';
+    const opportunityCount = options.opportunityCount ?? (content?.length || 0);
+    const subjectTag = options.subjectTag || formatSubjectTag(opportunityCount);
+    const personalize = options.personalize || (() => ({}));
+
+    const contacts = await listAudienceContacts(resend, audienceId);
+    const recipients = contacts.filter(contact => contact.email && !contact.unsubscribed);
+    console.log(`Preparing personalized digests for ${recipients.length} contacts...`);
+
+    const emails = [];
+    const segments = {};
+    let personalizedCount = 0;
+    let skippedCount = 0;
+    for (const contact of recipients) {
+        const {
+            skip = false,
+            segment = 'default',
+            content: variantContent = null,
+            sections = null,
+            watchlist = [],
+            watchlistUrl = null,
+            unsubscribeUrl = null,
+            preferencesUrl = null
+        } = await personalize(contact.email.toLowerCase()) || {};
+        if (skip) {
+            skippedCount++;
+            continue;
+        }
+        if (watchlist.length) personalizedCount++;
+        segments[segment] = (segments[segment] || 0) + 1;
+
+        const opportunities = variantContent || content;
+        // Recount filtered variants unless the caller fixed the subject (context-only digests)
+        const variantTag = variantContent && !options.subjectTag ? formatSubjectTag(opportunities.length) : subjectTag;
+        const { subject, html } = renderDigest(opportunities, marketContext, {
+            date: today,
+            subjectTag: variantTag,
+            watchlist,
+            watchlistUrl,
+            unsubscribeUrl,
+            preferencesUrl,
+            sections
+        });
+        emails.push({
             from,
-            audienceId: audienceId,
-            subject: `🎯 Options Insight - ${today} (${subjectTag})`,
-            html: htmlContent,
-            headers: {
-                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
-                'List-Unsubscribe': '<mailto:unsubscribe@ravishankars.com?subject=unsubscribe>'
-            }
-        };
+            to: [contact.email],
+            subject,
+            html,
+            headers: buildUnsubscribeHeaders(unsubscribeUrl)
+        });
+    }
 
-        if (reactContent) {
-            broadcastPayload.react = reactContent;
+    const batchIds = [];
+    for (let i = 0; i < emails.length; i += BATCH_SIZE) {
+        const { data, error } = await resend.batch.send(emails.slice(i, i + BATCH_SIZE));
+        if (error) {
+            throw new Error(`Resend API (batch) failed after ${i} of ${emails.length} emails: ${JSON.stringify(error)}`);
         }
+        batchIds.push(...(data?.data || []).map(item => item.id));
+    }
 
-        const { data: createData, error: createError } = await resend.broadcasts.create(broadcastPayload);
+    console.log(`✅ Sent ${emails.length} personalized digests (${personalizedCount} with watchlists, ${skippedCount} skipped by preferences)`);
+    return {
+        success: true,
+        broadcastId: null,
+        batchIds,
+        recipientCount: emails.length,
+        personalizedCount,
+        skippedCount,
+        segments,
+        timestamp: new Date().toISOString()
+    };
+}
 
-        if (createError) {
-            throw new Error(`Resend API (create) failed: ${JSON.stringify(createError)}`);
+/**
+ * Every contact in an audience
+ * @param {string} apiKey - Resend API key
+ * @param {string} audienceId - Resend audience id
+ * @returns {Promise<Array<Object>>} Contacts ({ id, email, unsubscribed, ... })
+ */
+export async function getAudienceContacts(apiKey, audienceId) {
+    return listAudienceContacts(new Resend(apiKey), audienceId);
+}
+
+/**
+ * Every contact in an audience, following Resend's list pagination
+ */
+async function listAudienceContacts(resend, audienceId) {
+    const contacts = [];
+    let after;
+    do {
+        const { data, error } = await resend.contacts.list({ audienceId, limit: 100, ...(after ? { after } : {}) });
+        if (error) {
+            throw new Error(`Failed to list contacts: ${JSON.stringify(error)}`);
         }
+        const page = data?.data || [];
+        contacts.push(...page);
+        after = data?.has_more && page.length ? page[page.length - 1].id : null;
+    } while (after);
+    return contacts;
+}
+
+/**
+ * Split a comma, semicolon or newline separated address list, dropping case-insensitive duplicates
+ * @param {string} value - e.g. SUMMARY_EMAIL_RECIPIENT or the CLI's RECIPIENTS
+ * @returns {Array<string>} Addresses in first-seen order
+ */
+export function parseRecipientList(value) {
+    const parsed = value
+        ? String(value)
+            .split(/[;,\n]/)
+            .map(s => s.trim())
+            .filter(Boolean)
+        : [];
+    return Array.from(new Map(parsed.map(e => [e.toLowerCase(), e])).values());
+}
+
+/**
+ * Send a rendered digest to a short list of reviewers instead of the audience
+ * @param {string} apiKey - Resend API key
+ * @param {Object} digest - { subject, html } from renderDigest
+ * @param {Array<string>} recipients - Reviewer addresses (SUMMARY_EMAIL_RECIPIENT)
+ * @param {Object} [options={}] - { from }
+ * @returns {Promise<Object>} Resend response data ({ id })
+ * @description Used by dry runs; the subject is prefixed with [TEST] so a preview is never
+ * mistaken for the real issue.
+ */
+export async function sendTestDigest(apiKey, { subject, html }, recipients, options = {}) {
+    if (!apiKey) throw new Error('RESEND_API_KEY is required to send a test digest');
+    if (!recipients?.length) throw new Error('No recipients configured for the test digest');
 
-        console.log(`Successfully created broadcast draft ${createData.id}. Sending...`);
+    const resend = new Resend(apiKey);
+    const { data, error } = await resend.emails.send({
+        from: options.from || 'newsletter@ravishankars.com',
+        to: recipients,
+        subject: `[TEST] ${subject}`,
+        html
+    });
 
-        const { data: sendData, error: sendError } = await resend.broadcasts.send(createData.id);
+    if (error) {
+        throw new Error(`Resend test digest failed: ${JSON.stringify(error)}`);
+    }
+    return data;
+}
 
-        if (sendError) {
-            throw new Error(`Resend API (send) failed: ${JSON.stringify(sendError)}`);
-        }
+/**
+ * Ask an approver to review a draft broadcast
+ * @param {string} apiKey - Resend API key
+ * @param {Object} request - Draft and decision links
+ * @param {string} request.subject - Digest subject
+ * @param {string} request.html - Digest HTML (the broadcast version)
+ * @param {string} request.approveUrl - Signed approve link
+ * @param {string} request.rejectUrl - Signed reject link
+ * @param {string} request.deadline - ISO time the links expire
+ * @param {string} request.deadlineAction - 'expire' or 'send' once the deadline passes
+ * @param {Array<string>} recipients - Approver addresses
+ * @param {Object} [options={}] - { from }
+ * @returns {Promise<Object>} Resend response data ({ id })
+ * @description The decision banner is placed above the digest itself so the approver reviews
+ * exactly what subscribers will receive.
+ */
+export async function sendApprovalRequestEmail(apiKey, { subject, html, approveUrl, rejectUrl, deadline, deadlineAction }, recipients, options = {}) {
+    if (!apiKey) throw new Error('RESEND_API_KEY is required to request an approval');
+    if (!recipients?.length) throw new Error('No approver configured (set APPROVAL_RECIPIENT or SUMMARY_EMAIL_RECIPIENT)');
+
+    const deadlineText = `${formatDate(deadline)} UTC, after which it will be ${deadlineAction === 'send' ? 'sent automatically' : 'discarded'}`;
+    const button = (href, label, color) => `<a href="${escapeHtml(href)}" style="display:inline-block;padding:10px 18px;margin-right:8px;background:${color};color:#ffffff;border-radius:6px;text-decoration:none;">${label}</a>`;
+    const banner = `
+        <div style="font-family: 'Segoe UI', Arial, sans-serif; color: #3A3A3A; max-width: 640px; margin: 16px auto; padding: 16px; border: 2px solid #B45F4D; border-radius: 8px;">
+            <h2 style="margin-top: 0; color: #B45F4D;">📝 Approval needed</h2>
+            <p>This digest is waiting as a draft and has not been sent. Please review it below.</p>
+            <p>${button(approveUrl, 'Approve and send', '#2E7D32')}${button(rejectUrl, 'Reject', '#C62828')}</p>
+            <p style="font-size:12px;color:#7C6F64;">The links are valid until ${escapeHtml(deadlineText)}.</p>
+        </div>`;
+    const preview = /<body[^>]*>/i.test(html) ? html.replace(/<body[^>]*>/i, match => `${match}${banner}`) : `${banner}${html}`;
 
-        console.log(`✅ Successfully triggered send for broadcast ${sendData.id}`);
-        return {
-            success: true,
-            broadcastId: sendData.id,
-            recipientCount: options.recipientCount ?? content.length,
-            timestamp: new Date().toISOString()
-        };
+    const resend = new Resend(apiKey);
+    const { data, error } = await resend.emails.send({
+        from: options.from || 'alerts@ravishankars.com',
+        to: recipients,
+        subject: `📝 Approval needed: ${subject}`,
+        html: preview,
+        text: [
+            `Approval needed: ${subject}`,
+            '',
+            'This digest is waiting as a draft and has not been sent.',
+            `Approve and send: ${approveUrl}`,
+            `Reject: ${rejectUrl}`,
+            '',
+            `The links are valid until ${deadlineText}.`
+        ].join('\n')
+    });
 
-    } catch (error) {
-        console.error('❌ Error sending email digest:', error);
-        throw error;
+    if (error) {
+        throw new Error(`Resend approval email failed: ${JSON.stringify(error)}`);
     }
+    return data;
 }
 
 /**
@@ -137,7 +467,7 @@ export async function sendRunSummaryEmail(apiKey, summary, recipientEmails, opti
     }
 
     const resend = new Resend(apiKey);
-    const statusEmoji = summary.success ? '✅' : '❌';
+    const statusEmoji = summary.blocked ? '⏸️' : summary.success ? '✅' : '❌';
     const startedAt = formatDate(summary.startedAt);
     const finishedAt = formatDate(summary.finishedAt);
     const subject = `${statusEmoji} Options Insight Run Summary (${startedAt})`;
@@ -195,7 +525,7 @@ function buildSummaryHtml(summary, context) {
         <li><strong>${escapeHtml(error.message)}</strong>${error.stack ? `<pre style="background:#f7f7f7;padding:8px;border-radius:4px;white-space:pre-wrap;">${escapeHtml(error.stack)}</pre>` : ''}</li>
     `).join('') || '<li>No errors recorded.</li>';
 
-    const warnings = summary.steps.filter(step => step.status === 'warning');
+    const warnings = summary.steps.filter(step => WARNING_STATUSES.includes(step.status));
     const warningList = warnings.map(step => `
         <li><strong>${escapeHtml(step.name)}:</strong> ${escapeHtml(step.detail || 'Warning')}</li>
     `).join('');
@@ -203,10 +533,11 @@ function buildSummaryHtml(summary, context) {
     return `
         <div style="font-family: 'Segoe UI', Arial, sans-serif; color: #1a1a1a;">
             <h2>${statusEmoji} Options Insight Run Summary</h2>
-            <p><strong>Status:</strong> ${summary.success ? 'Success' : 'Completed with issues'}</p>
+            <p><strong>Status:</strong> ${describeSummaryStatus(summary)}</p>
             <p><strong>Started:</strong> ${escapeHtml(startedAt)}<br />
                <strong>Finished:</strong> ${escapeHtml(finishedAt)}<br />
-               <strong>Duration:</strong> ${escapeHtml(formatDuration(summary.durationMs))}
+               <strong>Duration:</strong> ${escapeHtml(formatDuration(summary.durationMs))}${summary.id ? `<br />
+               <strong>Run ID:</strong> ${escapeHtml(summary.id)}` : ''}
             </p>
             ${metrics ? `<h3>Metrics</h3><ul>${metrics}</ul>` : ''}
             ${warnings.length ? `<h3>Warnings</h3><ul>${warningList}</ul>` : ''}
@@ -231,10 +562,11 @@ function buildSummaryText(summary, context) {
     const { startedAt, finishedAt, statusEmoji } = context;
     const lines = [
         `${statusEmoji} Options Insight Run Summary`,
-        `Status: ${summary.success ? 'Success' : 'Completed with issues'}`,
+        `Status: ${describeSummaryStatus(summary)}`,
         `Started: ${startedAt}`,
         `Finished: ${finishedAt}`,
         `Duration: ${formatDuration(summary.durationMs)}`,
+        ...(summary.id ? [`Run ID: ${summary.id}`] : []),
         ''
     ];
 
@@ -256,7 +588,7 @@ function buildSummaryText(summary, context) {
     }
     lines.push('');
 
-    const warnings = summary.steps.filter(step => step.status === 'warning');
+    const warnings = summary.steps.filter(step => WARNING_STATUSES.includes(step.status));
     if (warnings.length) {
         lines.push('Warnings:');
         for (const warning of warnings) {
@@ -280,6 +612,11 @@ function buildSummaryText(summary, context) {
     return lines.join('\n');
 }
 
+function describeSummaryStatus(summary) {
+    if (summary.blocked) return 'Blocked (duplicate run, nothing sent)';
+    return summary.success ? 'Success' : 'Completed with issues';
+}
+
 function escapeHtml(value) {
     return String(value ?? '')
         .replace(/&/g, '&amp;')
@@ -297,6 +634,10 @@ function statusColor(status) {
             return '#b45309';
         case 'skipped':
             return '#0369a1';
+        case 'blocked':
+            return '#475569';
+        case 'forced':
+            return '#c2410c';
         case 'failed':
             return '#b91c1c';
         default:
@@ -314,6 +655,7 @@ function formatValue(value) {
     if (value === null || value === undefined) return '—';
     if (typeof value === 'boolean') return value ? 'Yes' : 'No';
     if (typeof value === 'number') return value % 1 === 0 ? value.toString() : value.toFixed(2);
+    if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
     return String(value);
 }
 
@@ -335,6 +677,65 @@ function formatDuration(durationMs) {
     return `${minutes}m ${remainder}s`;
 }
 
+/**
+ * Send the double opt-in confirmation email
+ * @param {string} apiKey - Resend API key
+ * @param {string} email - Address to confirm
+ * @param {string} confirmUrl - Signed GET /confirm link
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.from] - Sender email address
+ * @param {string} [options.firstName] - Greeting name
+ * @param {number} [options.expiresInDays] - Link validity shown in the email
+ * @returns {Promise<Object>} Resend response data ({ id })
+ */
+export async function sendConfirmationEmail(apiKey, email, confirmUrl, options = {}) {
+    if (!apiKey) throw new Error('RESEND_API_KEY is required to send confirmation emails');
+    if (!email || !confirmUrl) throw new Error('Email and confirmation link are required');
+
+    const resend = new Resend(apiKey);
+    const greeting = options.firstName ? `Hi ${escapeHtml(options.firstName)},` : 'Hi,';
+    const validity = options.expiresInDays ? ` The link expires in ${options.expiresInDays} days.` : '';
+
+    const { data, error } = await resend.emails.send({
+        from: options.from || 'newsletter@ravishankars.com',
+        to: [email],
+        subject: 'Confirm your Options Insight subscription',
+        html: `
+        <div style="font-family: 'Segoe UI', Arial, sans-serif; color: #3A3A3A; max-width: 560px;">
+            <h2 style="color: #B45F4D;">🎯 Confirm your subscription</h2>
+            <p>${greeting}</p>
+            <p>Someone (hopefully you) asked to receive the Options Insight daily earnings briefing at this address.
+               Please confirm to start receiving it.${validity}</p>
+            <p><a href="${escapeHtml(confirmUrl)}" style="display:inline-block;padding:10px 18px;background:#B45F4D;color:#ffffff;border-radius:6px;text-decoration:none;">Confirm subscription</a></p>
+            <p style="font-size:12px;color:#7C6F64;">If you did not sign up, ignore this email and you will not be subscribed.</p>
+        </div>`,
+        text: [
+            greeting,
+            '',
+            'Someone (hopefully you) asked to receive the Options Insight daily earnings briefing at this address.',
+            `Confirm your subscription:${validity}`,
+            confirmUrl,
+            '',
+            'If you did not sign up, ignore this email and you will not be subscribed.'
+        ].join('\n')
+    });
+
+    if (error) {
+        throw new Error(`Resend confirmation email failed: ${JSON.stringify(error)}`);
+    }
+    return data;
+}
+
+/**
+ * Add a contact to the audience, or update it when the address is already there
+ * @param {string} apiKey - Resend API key
+ * @param {string} audienceId - Resend audience ID
+ * @param {string} email - Contact email
+ * @param {Object} [options={}] - { firstName, lastName, tags, attributes }
+ * @returns {Promise<Object>} { status: 'created'|'updated', data }
+ * @description Resubscribing contacts get the new consent attributes and are marked subscribed
+ * again instead of keeping whatever the earlier signup left.
+ */
 export async function addSubscriberToAudience(apiKey, audienceId, email, options = {}) {
     if (!apiKey) throw new Error('RESEND_API_KEY is required to add subscribers');
     if (!audienceId) throw new Error('AUDIENCE_ID is required to add subscribers');
@@ -342,27 +743,22 @@ export async function addSubscriberToAudience(apiKey, audienceId, email, options
 
     const resend = new Resend(apiKey);
     const payload = {
-        audienceId,
         email: email.toLowerCase(),
-        firstName: sanitizeContactField(options.firstName),
-        lastName: sanitizeContactField(options.lastName),
-        unsubscribed: false
+        ...buildContactFields({ ...options, unsubscribed: false })
     };
 
     if (options.tags && Array.isArray(options.tags) && options.tags.length) {
         payload.tags = options.tags.slice(0, 50);
     }
 
-    if (options.attributes && typeof options.attributes === 'object') {
-        payload.attributes = options.attributes;
-    }
-
-    const { data, error } = await resend.contacts.create(payload);
+    // The SDK's contacts.create drops custom attributes, so post the contact directly
+    const { data, error } = await resend.post(`/audiences/${audienceId}/contacts`, payload);
 
     if (error) {
         const message = (typeof error === 'object' && error !== null) ? JSON.stringify(error) : String(error);
         if (/contact.*already exists/i.test(message) || /already exists/i.test(error?.message || '')) {
-            return { status: 'exists', data: null };
+            const updated = await updateAudienceContact(apiKey, audienceId, email, { ...options, unsubscribed: false });
+            return { status: 'updated', data: updated };
         }
         throw new Error(`Resend contacts.create failed: ${message}`);
     }
@@ -370,8 +766,39 @@ export async function addSubscriberToAudience(apiKey, audienceId, email, options
     return { status: 'created', data };
 }
 
-// Internal function for direct API usage
-async function removeSubscriberFromAudience(apiKey, audienceId, email) {
+/**
+ * Update an existing contact's name, subscription flag or custom attributes
+ * @param {string} apiKey - Resend API key
+ * @param {string} audienceId - Resend audience ID
+ * @param {string} email - Contact email
+ * @param {Object} [fields={}] - { firstName, lastName, unsubscribed, attributes }; omitted fields are left as they are
+ * @returns {Promise<Object>} Resend response data ({ id })
+ */
+export async function updateAudienceContact(apiKey, audienceId, email, fields = {}) {
+    if (!apiKey) throw new Error('RESEND_API_KEY is required to update subscribers');
+    if (!audienceId) throw new Error('AUDIENCE_ID is required to update subscribers');
+    if (!email) throw new Error('Email is required to update subscribers');
+
+    const resend = new Resend(apiKey);
+    const { data, error } = await resend.patch(
+        `/audiences/${audienceId}/contacts/${encodeURIComponent(email.toLowerCase())}`,
+        buildContactFields(fields)
+    );
+
+    if (error) {
+        throw new Error(`Resend contacts.update failed: ${JSON.stringify(error)}`);
+    }
+    return data;
+}
+
+/**
+ * Remove a contact from the audience (used by the Worker's /unsubscribe route)
+ * @param {string} apiKey - Resend API key
+ * @param {string} audienceId - Resend audience ID
+ * @param {string} email - Contact email
+ * @returns {Promise<Object>} { status: 'removed'|'not_found', data }
+ */
+export async function removeSubscriberFromAudience(apiKey, audienceId, email) {
     if (!apiKey) throw new Error('RESEND_API_KEY is required to remove subscribers');
     if (!audienceId) throw new Error('AUDIENCE_ID is required to remove subscribers');
     if (!email) throw new Error('Email is required to remove subscribers');
@@ -379,16 +806,9 @@ async function removeSubscriberFromAudience(apiKey, audienceId, email) {
     const resend = new Resend(apiKey);
     
     try {
-        // Get contact by email first
-        const { data: contacts, error: listError } = await resend.contacts.list({
-            audienceId
-        });
-
-        if (listError) {
-            throw new Error(`Failed to list contacts: ${JSON.stringify(listError)}`);
-        }
-
-        const contact = contacts?.data?.find(c => 
+        // Get contact by email first (every page, not just the first)
+        const contacts = await listAudienceContacts(resend, audienceId);
+        const contact = contacts.find(c => 
             c.email?.toLowerCase() === email.toLowerCase()
         );
 
@@ -412,6 +832,19 @@ async function removeSubscriberFromAudience(apiKey, audienceId, email) {
     }
 }
 
+// Resend's contact body; fields left undefined are dropped when serialized
+function buildContactFields({ firstName, lastName, unsubscribed, attributes }) {
+    const fields = {
+        first_name: sanitizeContactField(firstName),
+        last_name: sanitizeContactField(lastName),
+        unsubscribed
+    };
+    if (attributes && typeof attributes === 'object') {
+        fields.attributes = attributes;
+    }
+    return fields;
+}
+
 function sanitizeContactField(value) {
     if (!value) return undefined;
     const trimmed = String(value).trim();
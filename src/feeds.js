@@ -0,0 +1,133 @@
+/**
+ * Atom and JSON Feed output
+ * Builds GET /feed.xml (Atom 1.0) and GET /feed.json (JSON Feed 1.1) from archived
+ * issues (archive.js), one entry per issue with its picks, recommendations, strategies
+ * and market context. Every picked ticker becomes an entry category (Atom) / tag (JSON
+ * Feed) so readers can filter by symbol.
+ * The archive keeps one issue per date, so an entry's id is its /archive/<date> URL: a
+ * forced re-run replaces that day's entry (new content and updated/date_published time)
+ * instead of adding a second one.
+ */
+
+export const FEED_TITLE = 'Options Insight';
+export const FEED_DESCRIPTION = 'Quantitative earnings opportunities: expected moves, volatility context and strategy ideas.';
+// Entries per feed; older issues stay available under /archive
+export const FEED_ISSUE_LIMIT = 20;
+
+function escapeXml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+const formatPercent = (value) => (value === null || value === undefined ? 'N/A' : `${Number(value).toFixed(1)}%`);
+
+function describeStrategy(strategy) {
+    const details = [];
+    if (strategy.probabilityOfProfit !== null && strategy.probabilityOfProfit !== undefined) {
+        details.push(`POP ${Math.round(strategy.probabilityOfProfit)}%`);
+    }
+    if (strategy.maxLoss !== undefined) {
+        details.push(`Max Loss ${strategy.maxLoss === null ? 'unlimited' : `$${Math.round(strategy.maxLoss)}`}`);
+    }
+    return details.length ? `${strategy.name} (${details.join(', ')})` : strategy.name;
+}
+
+function entryTitle(issue) {
+    return `${FEED_TITLE} - ${issue.date} (${issue.subjectTag})`;
+}
+
+function entryUrl(issue, baseUrl) {
+    return `${baseUrl}/archive/${issue.date}`;
+}
+
+function entrySymbols(issue) {
+    return [...new Set((issue.picks || []).map(pick => pick.symbol))];
+}
+
+/**
+ * HTML body shared by both feed formats
+ * @param {Object} issue - Archived issue ({ date, picks, marketContext })
+ * @param {string} baseUrl - Worker origin for the "read the full issue" link
+ * @returns {string} HTML fragment
+ */
+export function renderIssueSummary(issue, baseUrl) {
+    const context = issue.marketContext || {};
+    const contextLine = [
+        context.vix !== null && context.vix !== undefined ? `VIX ${Number(context.vix).toFixed(1)}` : null,
+        context.marketRegime ? `Regime: ${escapeXml(context.marketRegime)}` : null
+    ].filter(Boolean).join(' · ');
+
+    const picks = (issue.picks || []).map(pick => `<li><strong>${escapeXml(pick.symbol)}</strong> – ${escapeXml(pick.recommendation)}`
+        + ` · earnings ${escapeXml(pick.earningsDate)}${pick.earningsHour ? ` (${escapeXml(pick.earningsHour)})` : ''}`
+        + ` · price ${pick.price !== null && pick.price !== undefined ? `$${Number(pick.price).toFixed(2)}` : 'N/A'}`
+        + ` · IV ${formatPercent(pick.impliedVolatility)} · expected move ±${formatPercent(pick.expectedMovePercent)}`
+        + `${pick.strategies?.length ? `<br/>Strategies: ${pick.strategies.map(strategy => escapeXml(describeStrategy(strategy))).join('; ')}` : ''}</li>`);
+
+    return [
+        contextLine ? `<p>${contextLine}</p>` : '',
+        context.digestNote ? `<p>${escapeXml(context.digestNote)}</p>` : '',
+        picks.length ? `<ul>${picks.join('')}</ul>` : '<p>No qualifying opportunities in this issue.</p>',
+        `<p><a href="${escapeXml(entryUrl(issue, baseUrl))}">Read the full issue</a></p>`
+    ].filter(Boolean).join('');
+}
+
+/**
+ * Atom 1.0 document
+ * @param {Array<Object>} issues - Archived issues, newest first
+ * @param {Object} options - { baseUrl, selfUrl }
+ * @returns {string} XML
+ */
+export function buildAtomFeed(issues, { baseUrl, selfUrl = `${baseUrl}/feed.xml` }) {
+    const updated = issues[0]?.publishedAt || new Date(0).toISOString();
+    const entries = issues.map(issue => `
+  <entry>
+    <title>${escapeXml(entryTitle(issue))}</title>
+    <id>${escapeXml(entryUrl(issue, baseUrl))}</id>
+    <link rel="alternate" type="text/html" href="${escapeXml(entryUrl(issue, baseUrl))}"/>
+    <published>${escapeXml(issue.publishedAt)}</published>
+    <updated>${escapeXml(issue.publishedAt)}</updated>
+${entrySymbols(issue).map(symbol => `    <category term="${escapeXml(symbol)}"/>\n`).join('')}    <content type="html">${escapeXml(renderIssueSummary(issue, baseUrl))}</content>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <id>${escapeXml(`${baseUrl}/archive`)}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(`${baseUrl}/archive`)}"/>
+  <updated>${escapeXml(updated)}</updated>
+  <author><name>${escapeXml(FEED_TITLE)}</name></author>${entries}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1 document
+ * @param {Array<Object>} issues - Archived issues, newest first
+ * @param {Object} options - { baseUrl, selfUrl }
+ * @returns {Object} Feed object; items carry the structured picks under `_options_insight`
+ */
+export function buildJsonFeed(issues, { baseUrl, selfUrl = `${baseUrl}/feed.json` }) {
+    return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: FEED_TITLE,
+        description: FEED_DESCRIPTION,
+        home_page_url: `${baseUrl}/archive`,
+        feed_url: selfUrl,
+        authors: [{ name: FEED_TITLE }],
+        items: issues.map(issue => ({
+            id: entryUrl(issue, baseUrl),
+            url: entryUrl(issue, baseUrl),
+            title: entryTitle(issue),
+            content_html: renderIssueSummary(issue, baseUrl),
+            date_published: issue.publishedAt,
+            tags: entrySymbols(issue),
+            // Custom extension (JSON Feed allows keys starting with an underscore)
+            _options_insight: {
+                about: 'https://github.com/ravishan16/options-insight',
+                picks: issue.picks || [],
+                marketContext: issue.marketContext || {}
+            }
+        }))
+    };
+}
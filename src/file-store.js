@@ -0,0 +1,74 @@
+/**
+ * File-backed key-value store for the Node CLI
+ * Mirrors the Workers KV interface used by storage.js so CLI runs build up the same
+ * history the deployed worker keeps in KV. Not imported by the worker (uses node:fs).
+ */
+
+import { mkdir, readFile, writeFile, rm, readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+export const DEFAULT_DATA_DIR = '.data/kv';
+
+/**
+ * @class FileKeyValueStore
+ * @description One JSON file per key ({ value, expiresAt }) under the data directory.
+ */
+export class FileKeyValueStore {
+    /**
+     * @param {string} [directory=DEFAULT_DATA_DIR] - Directory holding the key files
+     */
+    constructor(directory = DEFAULT_DATA_DIR) {
+        this.directory = directory;
+    }
+
+    filePath(key) {
+        return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+    }
+
+    async get(key, type = 'text') {
+        let entry;
+        try {
+            entry = JSON.parse(await readFile(this.filePath(key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            await this.delete(key);
+            return null;
+        }
+
+        return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    }
+
+    async put(key, value, options = {}) {
+        const expiresAt = options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null;
+        await mkdir(this.directory, { recursive: true });
+        await writeFile(this.filePath(key), JSON.stringify({ value: String(value), expiresAt }));
+    }
+
+    async delete(key) {
+        await rm(this.filePath(key), { force: true });
+    }
+
+    async list({ prefix = '' } = {}) {
+        let files = [];
+        try {
+            files = await readdir(this.directory);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const keys = [];
+        for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+            const key = decodeURIComponent(file.slice(0, -'.json'.length));
+            if (key.startsWith(prefix) && (await this.get(key)) !== null) {
+                keys.push({ name: key });
+            }
+        }
+        return { keys, list_complete: true };
+    }
+}
+
+export default FileKeyValueStore;
@@ -1,5 +1,7 @@
 import { STOCK_UNIVERSE } from './config.js';
 import { getBulkVolatilityAnalysis, calculateVolatilityScore } from './real-volatility.js';
+import EarningsMoveDatabase, { calculateHistoricalVsImpliedRatio } from './earnings-history.js';
+import { getScoringProfile } from './scoring-profiles.js';
 
 /**
  * Finnhub API wrapper class
@@ -61,6 +63,22 @@ class FinnhubAPI {
     async getBasicFinancials(symbol) {
         return this.makeRequest(`/stock/metric?symbol=${symbol}&metric=all`);
     }
+
+    /**
+     * Reported quarters with EPS actual/estimate and surprise (newest first)
+     */
+    async getEarningsHistory(symbol, limit = 12) {
+        const data = await this.makeRequest(`/stock/earnings?symbol=${symbol}&limit=${limit}`);
+        return Array.isArray(data) ? data : [];
+    }
+
+    /**
+     * Earnings calendar filtered to one symbol; carries announcement dates and sessions
+     */
+    async getSymbolEarningsCalendar(symbol, fromDate, toDate) {
+        const data = await this.makeRequest(`/calendar/earnings?from=${fromDate}&to=${toDate}&symbol=${symbol}`);
+        return data.earningsCalendar || [];
+    }
 }
 
 /**
@@ -74,25 +92,37 @@ function calculateBackoffDelay(baseDelayMs, attempt) {
  * Enhanced earnings opportunities scanner with volatility analysis
  * @async
  * @param {string} finnhubApiKey - Finnhub API key for earnings calendar data
+ * @param {Object} [options={}] - Optional collaborators
+ * @param {Object} [options.ivHistory] - IvHistoryStore; when supplied, today's IV is recorded
+ * and IV Rank/Percentile are populated before volatility scoring
+ * @param {Object} [options.profile] - Scoring profile from getScoringProfile (default profile
+ * when omitted); supplies the quality weights, time window and selection limits
+ * @param {Array<string>} [options.universe=STOCK_UNIVERSE] - Symbols to scan (the screened
+ * constituents universe from universe.js; the static list when unavailable)
  * @returns {Promise<Array<Object>>} Array of qualified earnings opportunities
  * @returns {Object[]} returns.opportunities - Individual opportunity objects
  * @returns {string} returns.opportunities[].symbol - Stock symbol
  * @returns {string} returns.opportunities[].date - Earnings date (YYYY-MM-DD)
  * @returns {number} returns.opportunities[].daysToEarnings - Days until earnings
  * @returns {Object} returns.opportunities[].volatilityData - Complete volatility analysis
+ * @returns {Object|null} returns.opportunities[].impliedMove - ATM straddle move for the first
+ * expiry after earnings (total and event-only), null when no options chain was available
+ * @returns {Object|null} returns.opportunities[].earningsHistory - Realized moves over past reports
+ * @returns {number|null} returns.opportunities[].historicalVsImpliedRatio - Avg historical move / implied move
  * @returns {number} returns.opportunities[].qualityScore - Composite quality score (0-100)
  * @description Main pipeline function that scans earnings calendar, filters by stock universe,
  * performs volatility analysis, and calculates quality scores. Returns only opportunities
- * that pass timing (1-45 days) and universe (S&P 500 + NASDAQ 100) filters.
+ * that pass the profile's timing window (default 1-45 days) and universe (S&P 500 + NASDAQ 100) filters.
  */
-export async function getEarningsOpportunities(finnhubApiKey) {
+export async function getEarningsOpportunities(finnhubApiKey, { ivHistory = null, profile = getScoringProfile(), universe = STOCK_UNIVERSE } = {}) {
+    const { filters } = profile;
     const fromDate = new Date();
     const toDate = new Date();
-    toDate.setDate(fromDate.getDate() + 45);
+    toDate.setDate(fromDate.getDate() + filters.maxDaysToEarnings);
     const fromDateStr = fromDate.toISOString().split('T')[0];
     const toDateStr = toDate.toISOString().split('T')[0];
 
-    console.log(`Scanning earnings from ${fromDateStr} to ${toDateStr}...`);
+    console.log(`Scanning earnings from ${fromDateStr} to ${toDateStr} (profile: ${profile.name})...`);
 
     // Fetch earnings calendar from Finnhub
     const url = `https://finnhub.io/api/v1/calendar/earnings?from=${fromDateStr}&to=${toDateStr}&token=${finnhubApiKey}`;
@@ -106,7 +136,7 @@ export async function getEarningsOpportunities(finnhubApiKey) {
     console.log(`📊 Total earnings found: ${earningsCalendar.length}`);
 
     // Filter for stocks in our universe
-    const stockUniverseSet = new Set(STOCK_UNIVERSE);
+    const stockUniverseSet = new Set(universe);
     const universeFiltered = earningsCalendar
         .filter(event => stockUniverseSet.has(event.symbol));
     
@@ -115,11 +145,11 @@ export async function getEarningsOpportunities(finnhubApiKey) {
         console.log('   Symbols:', universeFiltered.map(e => e.symbol).slice(0, 10).join(', '));
     }
 
-    // Apply time window filter (1-45 days out)
+    // Apply time window filter (profile window, 1-45 days out by default)
     const timeWindowFiltered = universeFiltered.filter(event => {
         const earningsDate = new Date(event.date);
         const daysToEarnings = Math.ceil((earningsDate - fromDate) / (1000 * 60 * 60 * 24));
-        return daysToEarnings >= 1 && daysToEarnings <= 45;
+        return daysToEarnings >= filters.minDaysToEarnings && daysToEarnings <= filters.maxDaysToEarnings;
     });
 
     if (timeWindowFiltered.length === 0) {
@@ -139,13 +169,16 @@ export async function getEarningsOpportunities(finnhubApiKey) {
             };
         })
         .sort((a, b) => b.prescreenScore - a.prescreenScore)
-        .slice(0, 8); // Analyze top 8 instead of all ~18 (55% fewer API calls)
+        .slice(0, filters.prescreenLimit); // Analyze the top few instead of all ~18 (fewer API calls)
 
     console.log(`📊 Pre-screened to top ${prescreened.length} symbols: ${prescreened.map(e => `${e.symbol}(${e.prescreenScore})`).join(', ')}`);
 
     // Now do full volatility analysis only on pre-screened symbols
     const symbols = prescreened.map(event => event.symbol);
-    const bulk = await getBulkVolatilityAnalysis(symbols, null, finnhubApiKey);
+    const earningsEvents = Object.fromEntries(
+        prescreened.map(event => [event.symbol, { date: event.date, hour: event.hour }])
+    );
+    const bulk = await getBulkVolatilityAnalysis(symbols, null, finnhubApiKey, { earningsEvents });
 
     // Create volatility lookup map from the object returned by getBulkVolatilityAnalysis
     const volatilityMap = new Map();
@@ -155,45 +188,289 @@ export async function getEarningsOpportunities(finnhubApiKey) {
         }
     });
 
-    // Enhance earnings data with volatility metrics and scoring
-    const enhancedOpportunities = prescreened.map(event => {
-        const volatility = volatilityMap.get(event.symbol) || null;
-
-        const enhanced = {
-            ...event, // already includes daysToEarnings from prescreening
-            volatilityData: volatility,
-            volatilityScore: calculateVolatilityScore(volatility),
-            qualityScore: 0
-        };
+    // Record today's IV and derive IV Rank/Percentile from stored history
+    if (ivHistory) {
+        for (const [symbol, data] of volatilityMap) {
+            try {
+                await ivHistory.applyIvMetrics(data);
+            } catch (error) {
+                console.warn(`⚠️ IV history unavailable for ${symbol}:`, error.message);
+            }
+        }
+    }
 
-        // Calculate composite quality score
-        enhanced.qualityScore = calculateQualityScore(enhanced);
-        
-        return enhanced;
-    });
+    // Enhance earnings data with volatility metrics and scoring
+    const enhancedOpportunities = prescreened.map(event => buildOpportunity(event, volatilityMap.get(event.symbol) || null, profile));
 
     // Filter out low-quality and missing-volatility opportunities
     const qualifiedOpportunities = enhancedOpportunities
         .filter(opp => opp.volatilityData)
-        .filter(opp => opp.qualityScore > 5) // keep lenient threshold for now
+        .filter(opp => opp.volatilityScore >= filters.minVolatilityScore)
+        .filter(opp => opp.qualityScore > filters.minQualityScore)
         .sort((a, b) => b.qualityScore - a.qualityScore);
 
     console.log(`\ud83d\udcca Qualified opportunities after filtering: ${qualifiedOpportunities.length}`);
-    return qualifiedOpportunities.slice(0, 5);
+    const topOpportunities = qualifiedOpportunities.slice(0, filters.maxOpportunities);
+
+    // Historical earnings moves only for the final picks (3 requests each)
+    await attachEarningsHistory(topOpportunities, finnhubApiKey);
+    return topOpportunities;
+}
+
+/**
+ * Combine an earnings event with its volatility analysis and score it
+ * @param {Object} event - Calendar event with symbol, date, hour and daysToEarnings
+ * @param {Object|null} volatility - Volatility analysis, null when the lookup failed
+ * @param {Object} profile - Scoring profile
+ * @returns {Object} Opportunity as used by the digest (volatilityData, volatilityScore, impliedMove, qualityScore)
+ */
+function buildOpportunity(event, volatility, profile) {
+    const enhanced = {
+        ...event,
+        volatilityData: volatility,
+        volatilityScore: calculateVolatilityScore(volatility),
+        impliedMove: volatility?.impliedMove || null, // market-priced move from the ATM straddle
+        qualityScore: 0
+    };
+
+    // Calculate composite quality score
+    enhanced.qualityScore = calculateQualityScore(enhanced, profile);
+    return enhanced;
+}
+
+/**
+ * Next earnings event inside the horizon for each of the given symbols (one calendar request)
+ * @async
+ * @param {string} finnhubApiKey - Finnhub API key
+ * @param {Array<string>} symbols - Tickers to look up
+ * @param {number} horizonDays - Calendar window in days from now
+ * @param {string} purpose - What the lookup is for, used in the warning when the calendar fails
+ * @returns {Promise<Map<string, Object>>} Calendar events keyed by symbol, each with
+ * `daysToEarnings`; symbols without a report in the window (or every symbol, when the
+ * calendar request fails) are missing
+ */
+async function getUpcomingEarnings(finnhubApiKey, symbols, horizonDays, purpose) {
+    const fromDate = new Date();
+    const toDate = new Date();
+    toDate.setDate(fromDate.getDate() + horizonDays);
+
+    const events = new Map();
+    try {
+        const calendar = await new FinnhubAPI(finnhubApiKey).getEarningsCalendar(
+            fromDate.toISOString().split('T')[0],
+            toDate.toISOString().split('T')[0]
+        );
+        for (const event of calendar.sort((a, b) => a.date.localeCompare(b.date))) {
+            if (symbols.includes(event.symbol) && !events.has(event.symbol)) {
+                events.set(event.symbol, {
+                    ...event,
+                    daysToEarnings: Math.ceil((new Date(event.date) - fromDate) / (1000 * 60 * 60 * 24))
+                });
+            }
+        }
+    } catch (error) {
+        console.warn(`⚠️ Earnings calendar unavailable for ${purpose}:`, error.message);
+    }
+    return events;
+}
+
+/**
+ * Analyze arbitrary symbols the way the daily scan analyzes its picks (POST /analyze)
+ * @async
+ * @param {string} finnhubApiKey - Finnhub API key
+ * @param {Array<string>} symbols - Tickers to analyze, in response order
+ * @param {Object} [options={}] - Analysis options
+ * @param {Object} [options.ivHistory=null] - IvHistoryStore for IV Rank/Percentile
+ * @param {Object} [options.profile] - Scoring profile; the default profile when omitted
+ * @param {number} [options.horizonDays=WATCHLIST_HORIZON_DAYS] - How far ahead to look for earnings
+ * @returns {Promise<Array<Object>>} One opportunity per symbol (see getEarningsOpportunities) plus
+ * `qualifies`, whether it would pass the profile's filters. Symbols without an upcoming report
+ * have a null date; symbols whose lookup failed have null volatilityData.
+ * @description Unlike getEarningsOpportunities nothing is filtered out: callers asked for these
+ * symbols, so every one is returned with its score.
+ */
+export async function getSymbolOpportunities(finnhubApiKey, symbols, { ivHistory = null, profile = getScoringProfile(), horizonDays = WATCHLIST_HORIZON_DAYS } = {}) {
+    const { filters } = profile;
+    const events = await getUpcomingEarnings(finnhubApiKey, symbols, horizonDays, 'ad-hoc analysis');
+
+    const earningsEvents = Object.fromEntries(
+        [...events.values()].map(event => [event.symbol, { date: event.date, hour: event.hour }])
+    );
+    const bulk = await getBulkVolatilityAnalysis(symbols, null, finnhubApiKey, { earningsEvents }) || {};
+
+    const opportunities = [];
+    for (const symbol of symbols) {
+        const event = events.get(symbol);
+        const volatility = bulk[symbol] || null;
+        if (volatility && ivHistory) {
+            try {
+                await ivHistory.applyIvMetrics(volatility);
+            } catch (error) {
+                console.warn(`⚠️ IV history unavailable for ${symbol}:`, error.message);
+            }
+        }
+
+        const opportunity = buildOpportunity({
+            ...(event || {}),
+            symbol,
+            date: event?.date || null,
+            hour: event?.hour || null,
+            daysToEarnings: event?.daysToEarnings ?? null
+        }, volatility, profile);
+        opportunity.qualifies = Boolean(volatility)
+            && opportunity.daysToEarnings !== null
+            && opportunity.daysToEarnings >= filters.minDaysToEarnings
+            && opportunity.daysToEarnings <= filters.maxDaysToEarnings
+            && opportunity.volatilityScore >= filters.minVolatilityScore
+            && opportunity.qualityScore > filters.minQualityScore;
+        opportunities.push(opportunity);
+    }
+
+    await attachEarningsHistory(opportunities.filter(opp => opp.volatilityData), finnhubApiKey);
+    return opportunities;
+}
+
+/**
+ * Attach realized earnings-move history and the historical vs. implied move ratio
+ * @async
+ * @param {Array<Object>} opportunities - Opportunities to enrich in place
+ * @param {string} finnhubApiKey - Finnhub API key
+ * @description Failures are logged and leave earningsHistory/historicalVsImpliedRatio null
+ * so a missing history never drops an opportunity.
+ */
+async function attachEarningsHistory(opportunities, finnhubApiKey) {
+    const database = new EarningsMoveDatabase({ finnhub: new FinnhubAPI(finnhubApiKey) });
+
+    for (const opp of opportunities) {
+        opp.earningsHistory = null;
+        opp.historicalVsImpliedRatio = null;
+        try {
+            const { summary } = await database.getEarningsMoves(opp.symbol);
+            opp.earningsHistory = summary;
+            opp.historicalVsImpliedRatio = calculateHistoricalVsImpliedRatio(summary, opp.impliedMove);
+            console.log(`📊 ${opp.symbol} historical earnings move: ${summary?.avgMovePercent ?? 'N/A'}% (ratio vs implied: ${opp.historicalVsImpliedRatio ?? 'N/A'})`);
+        } catch (error) {
+            console.warn(`⚠️ Earnings history unavailable for ${opp.symbol}:`, error.message);
+        }
+    }
+}
+
+// Subscriber watchlists: how far ahead to look for earnings, and how many symbols to analyze per run
+export const WATCHLIST_HORIZON_DAYS = 90;
+export const MAX_WATCHLIST_SYMBOLS = 30;
+
+/**
+ * Earnings dates and volatility stats for subscriber watchlist symbols
+ * @async
+ * @param {string} finnhubApiKey - Finnhub API key
+ * @param {Array<string>} symbols - Union of subscriber watchlists
+ * @param {Object} [options={}] - Options
+ * @param {Object} [options.ivHistory] - IvHistoryStore for IV Rank/Percentile
+ * @param {Array<Object>} [options.opportunities=[]] - Today's analyzed opportunities; their
+ * volatility data is reused instead of fetching it again
+ * @param {number} [options.horizonDays=WATCHLIST_HORIZON_DAYS] - Earnings calendar window
+ * @returns {Promise<Object>} Snapshots keyed by symbol
+ * @returns {string|null} returns[].earningsDate - Next earnings date inside the window
+ * @returns {boolean} returns[].inDigest - Whether the symbol is one of today's opportunities
+ * @description One calendar request plus a volatility analysis for each symbol that is
+ * not already in the digest, capped at MAX_WATCHLIST_SYMBOLS. Symbols outside the universe
+ * or the scoring filters still get a snapshot; lookups that fail leave the stats null.
+ */
+export async function getWatchlistSnapshots(finnhubApiKey, symbols, { ivHistory = null, opportunities = [], horizonDays = WATCHLIST_HORIZON_DAYS } = {}) {
+    const unique = [...new Set(symbols || [])];
+    const tracked = unique.slice(0, MAX_WATCHLIST_SYMBOLS);
+    if (unique.length > tracked.length) {
+        console.warn(`⚠️ Watchlists track ${unique.length} symbols; analyzing the first ${MAX_WATCHLIST_SYMBOLS}`);
+    }
+    if (tracked.length === 0) {
+        return {};
+    }
+
+    const events = await getUpcomingEarnings(finnhubApiKey, tracked, horizonDays, 'watchlists');
+
+    const digestSymbols = new Map(opportunities.map(opp => [opp.symbol, opp.volatilityData]));
+    const toAnalyze = tracked.filter(symbol => !digestSymbols.get(symbol));
+    const earningsEvents = Object.fromEntries(
+        toAnalyze.filter(symbol => events.has(symbol))
+            .map(symbol => [symbol, { date: events.get(symbol).date, hour: events.get(symbol).hour }])
+    );
+
+    let bulk = {};
+    if (toAnalyze.length > 0) {
+        try {
+            bulk = await getBulkVolatilityAnalysis(toAnalyze, null, finnhubApiKey, { earningsEvents }) || {};
+        } catch (error) {
+            console.warn('⚠️ Watchlist volatility analysis failed:', error.message);
+        }
+    }
+
+    const snapshots = {};
+    for (const symbol of tracked) {
+        const event = events.get(symbol);
+        const volatility = digestSymbols.get(symbol) || bulk[symbol] || null;
+        if (volatility && ivHistory && !digestSymbols.get(symbol)) {
+            try {
+                await ivHistory.applyIvMetrics(volatility);
+            } catch (error) {
+                console.warn(`⚠️ IV history unavailable for ${symbol}:`, error.message);
+            }
+        }
+
+        const price = volatility?.currentPrice ?? null;
+        snapshots[symbol] = {
+            symbol,
+            earningsDate: event?.date || null,
+            earningsHour: event?.hour || null,
+            daysToEarnings: event?.daysToEarnings ?? null,
+            currentPrice: price,
+            impliedVolatility: volatility?.impliedVolatility ?? null,
+            historicalVolatility: volatility?.historicalVolatility ?? null,
+            expectedMovePercent: volatility?.expectedMove && price
+                ? parseFloat(((volatility.expectedMove / price) * 100).toFixed(1))
+                : null,
+            impliedMovePercent: volatility?.impliedMove?.movePercent ?? null,
+            ivRank: volatility?.impliedVolatilityRank ?? null,
+            inDigest: digestSymbols.has(symbol)
+        };
+    }
+    return snapshots;
+}
+
+/**
+ * Next scheduled earnings for one symbol (Telegram /symbol lookups)
+ * @param {string} finnhubApiKey - Finnhub API key
+ * @param {string} symbol - Ticker
+ * @param {Object} [options={}] - { horizonDays } calendar window, WATCHLIST_HORIZON_DAYS by default
+ * @returns {Promise<Object|null>} { date, hour, daysToEarnings }, or null when none is scheduled
+ */
+export async function getNextEarnings(finnhubApiKey, symbol, { horizonDays = WATCHLIST_HORIZON_DAYS } = {}) {
+    const fromDate = new Date();
+    const toDate = new Date();
+    toDate.setDate(fromDate.getDate() + horizonDays);
+
+    const calendar = await new FinnhubAPI(finnhubApiKey).getSymbolEarningsCalendar(
+        symbol,
+        fromDate.toISOString().split('T')[0],
+        toDate.toISOString().split('T')[0]
+    );
+    const [next] = calendar.filter(event => event.symbol === symbol).sort((a, b) => a.date.localeCompare(b.date));
+    if (!next) return null;
+    return {
+        date: next.date,
+        hour: next.hour || null,
+        daysToEarnings: Math.ceil((new Date(next.date) - fromDate) / (1000 * 60 * 60 * 24))
+    };
 }
 
 /**
  * Calculate composite quality score for an earnings opportunity
+ * Exported for the backtest harness, which replays the same weights on historical data.
+ * @param {Object} opportunity - Opportunity with volatilityData and daysToEarnings
+ * @param {Object} [profile] - Scoring profile (weights and ideal timing window); default profile when omitted
  */
-function calculateQualityScore(opportunity) {
+export function calculateQualityScore(opportunity, profile = getScoringProfile()) {
     let score = 10; // Base score for having earnings data
-    const weights = {
-        volatility: 30,
-        timing: 25,
-        liquidity: 20,
-        technical: 15,
-        dataAvailability: 10
-    };
+    const { weights, timing } = profile;
 
     // Give base points for having volatility data at all
     if (opportunity.volatilityData) {
@@ -219,13 +496,14 @@ function calculateQualityScore(opportunity) {
         score += weights.volatility * 0.2; // Even very low scores get some points
     }
 
-    // Timing score - prefer 14-21 days to earnings
+    // Timing score - prefer the profile's ideal window (14-21 days by default), with
+    // partial credit a few days either side
     const daysToEarnings = opportunity.daysToEarnings;
-    if (daysToEarnings >= 14 && daysToEarnings <= 21) {
+    if (daysToEarnings >= timing.idealMinDays && daysToEarnings <= timing.idealMaxDays) {
         score += weights.timing;
-    } else if (daysToEarnings >= 10 && daysToEarnings <= 28) {
+    } else if (daysToEarnings >= timing.idealMinDays - 4 && daysToEarnings <= timing.idealMaxDays + 7) {
         score += weights.timing * 0.7;
-    } else if (daysToEarnings >= 5 && daysToEarnings <= 35) {
+    } else if (daysToEarnings >= timing.idealMinDays - 9 && daysToEarnings <= timing.idealMaxDays + 14) {
         score += weights.timing * 0.4;
     } else {
         score += weights.timing * 0.2; // Even bad timing gets some points
@@ -243,8 +521,9 @@ function calculateQualityScore(opportunity) {
         score += weights.liquidity * 0.2; // Some volume is better than none
     }
 
-    // Technical score based on RSI extremes
-    const rsi = opportunity.volatilityData?.technicalIndicators?.rsi;
+    // Technical score based on RSI extremes (estimated RSI earns nothing)
+    const technicals = opportunity.volatilityData?.technicalIndicators;
+    const rsi = technicals?.source === 'estimated' ? null : technicals?.rsi;
     if (rsi) {
         if (rsi > 70 || rsi < 30) {
             score += weights.technical; // Extreme levels good for mean reversion
@@ -286,14 +565,9 @@ export async function getMarketContext(finnhubApiKey) {
         const vixData = await vixResponse.json();
         const vixLevel = vixData.c; // Current price
         
-        let marketRegime = 'normal';
-        if (vixLevel > 30) marketRegime = 'high-volatility';
-        else if (vixLevel > 20) marketRegime = 'elevated-volatility';
-        else if (vixLevel < 15) marketRegime = 'low-volatility';
-        
         return {
             vix: vixLevel,
-            marketRegime,
+            marketRegime: classifyMarketRegime(vixLevel),
             lastUpdated: new Date().toISOString()
         };
         
@@ -303,11 +577,21 @@ export async function getMarketContext(finnhubApiKey) {
     }
 }
 
+/**
+ * Classify the volatility regime for a VIX level (thresholds documented on getMarketContext)
+ */
+export function classifyMarketRegime(vixLevel) {
+    if (vixLevel > 30) return 'high-volatility';
+    if (vixLevel > 20) return 'elevated-volatility';
+    if (vixLevel < 15) return 'low-volatility';
+    return 'normal';
+}
+
 /**
  * Calculate prescreening score using Finnhub earnings data (no additional API calls)
  * Prioritizes larger companies with optimal timing and better market positioning
  */
-function calculatePrescreenScore(event, daysToEarnings) {
+export function calculatePrescreenScore(event, daysToEarnings) {
     const SCORES = {
         REVENUE: {
             MEGA: 10,      // $10B+ revenue (mega caps like AAPL, MSFT)
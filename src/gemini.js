@@ -1,4 +1,6 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { priceNamedStrategy, priceStrategy, parseStrategyLegs } from './strategy-pricing.js';
+import { buildCandidateTrades, getStrategyMarketInputs, formatLegs } from './strategy-builder.js';
 
 /**
  * Generate AI-powered trading ideas using Google Gemini
@@ -8,7 +10,8 @@ import { GoogleGenerativeAI } from "@google/generative-ai";
  * @param {Object} marketContext - Market volatility context from getMarketContext
  * @returns {Promise<Array<Object>>} Array of analyzed opportunities with AI insights
  * @returns {Object[]} returns.analyses - Individual analysis objects
- * @returns {Object} returns.analyses[].opportunity - Original opportunity data
+ * @returns {Object} returns.analyses[].opportunity - Original opportunity data plus
+ * candidateTrades from buildCandidateTrades
  * @returns {Object} returns.analyses[].analysis - AI-generated analysis
  * @returns {number} returns.analyses[].analysis.sentimentScore - AI sentiment score (1-10)
  * @returns {string} returns.analyses[].analysis.recommendation - Trade recommendation
@@ -25,6 +28,12 @@ export async function generateTradingIdeas(apiKey, opportunities, marketContext)
 
     console.log(`Generating AI analysis for ${opportunities.length} opportunities...`);
 
+    // Rules-based candidate trades are built first so the model comments on real strikes
+    opportunities = opportunities.map(opp => ({
+        ...opp,
+        candidateTrades: buildCandidateTrades(opp, marketContext)
+    }));
+
     try {
         // Use batch analysis for better performance (single API call)
         const batchAnalysis = await generateBatchAnalysis(model, opportunities, marketContext);
@@ -78,6 +87,62 @@ async function generateSingleAnalysis(model, opportunity, marketContext) {
     }
 }
 
+/**
+ * Format the straddle-implied earnings move for prompts
+ */
+function formatImpliedMoveLine(impliedMove) {
+    if (!impliedMove) {
+        return 'Implied Move (straddle): N/A';
+    }
+    const eventMove = impliedMove.eventMovePercent !== null && impliedMove.eventMovePercent !== undefined
+        ? `±${impliedMove.eventMovePercent.toFixed(1)}%`
+        : 'N/A';
+    return `Implied Move (straddle, ${impliedMove.expiration}): ±${impliedMove.movePercent.toFixed(1)}% ($${impliedMove.straddlePrice.toFixed(2)}) | Event-Only Move: ${eventMove}`;
+}
+
+/**
+ * Format price-history technicals (ATR, Bollinger width, SMA distance) for prompts
+ */
+function formatTechnicalsLine(technicals) {
+    const pct = value => (value != null ? `${value.toFixed(1)}%` : 'N/A');
+    return `ATR(14): ${pct(technicals?.atrPercent)} | BB Width: ${pct(technicals?.bollingerWidth)} | vs SMA20: ${pct(technicals?.sma20Distance)} | vs SMA50: ${pct(technicals?.sma50Distance)}`;
+}
+
+/**
+ * Format realized earnings-move history against the implied move for prompts
+ */
+function formatEarningsHistoryLine(opportunity) {
+    const history = opportunity.earningsHistory;
+    if (!history) {
+        return 'Historical Earnings Move: N/A';
+    }
+    const ratio = opportunity.historicalVsImpliedRatio != null
+        ? `${opportunity.historicalVsImpliedRatio.toFixed(2)}x`
+        : 'N/A';
+    return `Historical Earnings Move: avg ±${history.avgMovePercent.toFixed(1)}% over ${history.reportCount} reports (max ±${history.maxMovePercent.toFixed(1)}%) | Historical/Implied: ${ratio}`;
+}
+
+/**
+ * Format the locally built and priced candidate trades for prompts
+ */
+function formatCandidateTrades(opportunity) {
+    const candidates = opportunity.candidateTrades || [];
+    if (candidates.length === 0) {
+        return 'CANDIDATE TRADES: None (insufficient price/IV data) - recommend STAY AWAY or NEUTRAL';
+    }
+
+    const lines = candidates.map((candidate, index) => {
+        const pricing = candidate.pricing;
+        const numbers = pricing
+            ? ` | ${pricing.premiumType === 'credit' ? 'Credit' : 'Debit'} $${Math.abs(pricing.netPremium).toFixed(2)} | POP ${pricing.probabilityOfProfit.toFixed(0)}% | Max Loss ${pricing.maxLoss !== null ? `$${pricing.maxLoss.toFixed(0)}` : 'unlimited'}${pricing.illustrative ? ' | illustrative' : ''}`
+            : '';
+        return `${index + 1}) ${candidate.name}${candidate.preferred ? ' [fits regime]' : ''}: ${formatLegs(candidate.legs)}${numbers}`;
+    });
+
+    return `CANDIDATE TRADES (strikes and numbers computed locally - choose among these, do not invent trades or figures):
+${lines.join('\n')}`;
+}
+
 /**
  * Create enhanced prompt with quantitative data
  */
@@ -90,9 +155,14 @@ QUANTITATIVE ANALYST: Analyze this earnings opportunity. KEEP RESPONSE CONCISE.
 
 STOCK: ${opportunity.symbol} | Earnings: ${opportunity.date} (${opportunity.daysToEarnings}d)
 Price: $${vol?.currentPrice?.toFixed(2) || 'N/A'} | Expected Move: ${vol?.expectedMove ? `${((vol.expectedMove/vol.currentPrice)*100).toFixed(1)}%` : 'N/A'}
-IV: ${vol?.impliedVolatility?.toFixed(1) || 'N/A'}% | HV: ${vol?.historicalVolatility?.toFixed(1) || 'N/A'}% | RSI: ${vol?.technicalIndicators?.rsi?.toFixed(1) || 'N/A'}
+${formatImpliedMoveLine(vol?.impliedMove)}
+${formatEarningsHistoryLine(opportunity)}
+IV: ${vol?.impliedVolatility?.toFixed(1) || 'N/A'}% | HV: ${vol?.historicalVolatility?.toFixed(1) || 'N/A'}% | RSI: ${vol?.technicalIndicators?.rsi?.toFixed(1) || 'N/A'}${vol?.technicalIndicators?.source === 'estimated' ? ' (estimated)' : ''}
+${formatTechnicalsLine(vol?.technicalIndicators)}
 Quality: ${opportunity.qualityScore}/100 | VIX: ${marketContext?.vix?.toFixed(1) || 'N/A'} (${marketContext?.marketRegime || 'Unknown'})
 
+${formatCandidateTrades(opportunity)}
+
 RESPOND IN EXACTLY THIS FORMAT (NO EXTRA TEXT):
 
 **SENTIMENT SCORE:** [number 1-10]
@@ -102,8 +172,8 @@ RESPOND IN EXACTLY THIS FORMAT (NO EXTRA TEXT):
 **REASONING:** [2-3 sentences max explaining key factors]
 
 **STRATEGIES:**
-1. **[Strategy Name]** - POP: [%], Risk: $[amount], Entry: [timing]  
-2. **[Strategy Name]** - POP: [%], Risk: $[amount], Entry: [timing]
+1. **[Candidate Trade Name]** - Legs: [legs exactly as listed] - [why it fits or not, 1 sentence], Entry: [timing]  
+2. **[Candidate Trade Name]** - Legs: [legs exactly as listed] - [why it fits or not, 1 sentence], Entry: [timing]
 
 **KEY RISKS:** [1-2 bullets max]
 
@@ -134,8 +204,12 @@ ${marketRegimeDescription}
 --- STOCK ${index + 1}: ${opp.symbol} ---
 Earnings: ${opp.date} (${opp.daysToEarnings}d)
 Price: $${vol?.currentPrice?.toFixed(2) || 'N/A'} | Expected Move: ${vol?.expectedMove ? `${((vol.expectedMove/vol.currentPrice)*100).toFixed(1)}%` : 'N/A'}
-IV: ${vol?.impliedVolatility?.toFixed(1) || 'N/A'}% | HV: ${vol?.historicalVolatility?.toFixed(1) || 'N/A'}% | RSI: ${vol?.technicalIndicators?.rsi?.toFixed(1) || 'N/A'}
+${formatImpliedMoveLine(vol?.impliedMove)}
+${formatEarningsHistoryLine(opp)}
+IV: ${vol?.impliedVolatility?.toFixed(1) || 'N/A'}% | HV: ${vol?.historicalVolatility?.toFixed(1) || 'N/A'}% | RSI: ${vol?.technicalIndicators?.rsi?.toFixed(1) || 'N/A'}${vol?.technicalIndicators?.source === 'estimated' ? ' (estimated)' : ''}
+${formatTechnicalsLine(vol?.technicalIndicators)}
 Quality: ${opp.qualityScore}/100
+${formatCandidateTrades(opp)}
 
 `;
     });
@@ -148,8 +222,8 @@ RESPOND WITH EXACTLY ${opportunities.length} ANALYSES IN THIS FORMAT (one per st
 **RECOMMENDATION:** [STRONGLY CONSIDER or NEUTRAL or STAY AWAY]
 **REASONING:** [2-3 sentences max]
 **STRATEGIES:**
-1. **[Strategy Name]** - POP: [%], Risk: $[amount], Entry: [timing]
-2. **[Strategy Name]** - POP: [%], Risk: $[amount], Entry: [timing]
+1. **[Candidate Trade Name]** - Legs: [legs exactly as listed] - [why it fits or not, 1 sentence], Entry: [timing]
+2. **[Candidate Trade Name]** - Legs: [legs exactly as listed] - [why it fits or not, 1 sentence], Entry: [timing]
 **KEY RISKS:** [1-2 bullets max]
 
 ${opportunities.slice(1).map(opp => `=== ${opp.symbol} ===
@@ -157,8 +231,8 @@ ${opportunities.slice(1).map(opp => `=== ${opp.symbol} ===
 **RECOMMENDATION:** [STRONGLY CONSIDER or NEUTRAL or STAY AWAY]
 **REASONING:** [2-3 sentences max]
 **STRATEGIES:**
-1. **[Strategy Name]** - POP: [%], Risk: $[amount], Entry: [timing]
-2. **[Strategy Name]** - POP: [%], Risk: $[amount], Entry: [timing]
+1. **[Candidate Trade Name]** - Legs: [legs exactly as listed] - [why it fits or not, 1 sentence], Entry: [timing]
+2. **[Candidate Trade Name]** - Legs: [legs exactly as listed] - [why it fits or not, 1 sentence], Entry: [timing]
 **KEY RISKS:** [1-2 bullets max]`).join('\n\n')}
 
 BE CONCISE. NO EXTRA TEXT.`;
@@ -208,10 +282,42 @@ function parseBatchResponse(rawBatchResponse, opportunities) {
     return analyses;
 }
 
+/**
+ * Verified pricing for a strategy named by the model
+ * @description Prices the legs the model wrote ("Legs: ...") when they parse and price;
+ * otherwise reuses the matching pre-built candidate trade (same strikes the model was
+ * shown). Only when neither exists is the name mapped onto template legs sized from the
+ * expected move, and that pricing is flagged `illustrative`.
+ */
+function getStrategyPricing(strategyName, details, opportunity, marketInputs) {
+    const normalized = strategyName.toLowerCase();
+    const candidate = (opportunity.candidateTrades || [])
+        .find(trade => normalized.includes(trade.name.toLowerCase()));
+
+    const modelLegs = marketInputs
+        ? parseStrategyLegs(details, { daysToExpiry: candidate?.legs?.find(leg => leg.daysToExpiry)?.daysToExpiry ?? marketInputs.daysToExpiry })
+        : null;
+    // Strikes far from spot are misreads (e.g. a quantity run into the strike), not trades
+    const plausible = modelLegs?.every(leg => leg.type === 'stock'
+        || (leg.strike > marketInputs.spot / 3 && leg.strike < marketInputs.spot * 3));
+    const modelPricing = plausible ? priceStrategy({ ...marketInputs, legs: modelLegs }) : null;
+    if (modelPricing) {
+        return { legs: modelLegs, ...modelPricing };
+    }
+    if (candidate?.pricing) {
+        return { legs: candidate.legs, ...candidate.pricing };
+    }
+    return marketInputs ? priceNamedStrategy(strategyName, marketInputs) : null;
+}
+
 /**
  * Parse structured AI response into organized data
+ * @description Strategy POP and risk figures quoted by the model are not trusted; each
+ * recognised strategy gets a `pricing` block (with legs) priced by the local Black-Scholes
+ * engine from the model's own legs, the candidate trade, or (flagged `illustrative`) a
+ * template for the name; null when none of these applies.
  */
-function parseAnalysisResponse(rawResponse, opportunity) {
+export function parseAnalysisResponse(rawResponse, opportunity) {
     const analysis = {
         symbol: opportunity.symbol,
         sentimentScore: null,
@@ -258,12 +364,15 @@ function parseAnalysisResponse(rawResponse, opportunity) {
         // Extract strategies (simplified parsing)
         const strategyMatches = rawResponse.match(/\d\.\s*\*\*([^*]+)\*\*([\s\S]*?)(?=\d\.\s*\*\*|\*\*POSITION SIZING|\n\n|$)/gi);
         if (strategyMatches) {
+            const marketInputs = getStrategyMarketInputs(opportunity);
             strategyMatches.forEach(match => {
                 const strategyName = match.match(/\*\*([^*]+)\*\*/)?.[1]?.trim();
                 if (strategyName) {
+                    const details = match.replace(/\*\*[^*]+\*\*/, '').trim();
                     analysis.strategies.push({
                         name: strategyName,
-                        details: match.replace(/\*\*[^*]+\*\*/, '').trim()
+                        details,
+                        pricing: getStrategyPricing(strategyName, details, opportunity, marketInputs)
                     });
                 }
             });
@@ -0,0 +1,201 @@
+/**
+ * Idempotent runs
+ * Guards against a second digest reaching the same audience on the same day, e.g. when the
+ * cron fires twice or POST /trigger follows the scheduled run. Two records in KV (or the
+ * CLI's file store):
+ *   run-lock                 the run currently in progress; expires on its own if a run dies
+ *   sends:<idempotency key>  the run and broadcast that delivered (or is delivering) that day's digest
+ * The key is date + audience + delivery variant (see buildIdempotencyKey). KV is eventually
+ * consistent, so this catches repeat runs, not two runs started within the same second.
+ * The send record is written as 'in-flight' before dispatch and updated to 'sent' or 'failed'
+ * afterwards. All three block later runs: a dispatch that died or failed midway (a later
+ * batch, or an error after Resend accepted a broadcast) may already have reached people.
+ * A broadcast held for approval is 'sent' until its draft is rejected or expires; it is then
+ * marked 'discarded', which no longer blocks since nothing reached subscribers. The variant
+ * in the key is the configured delivery mode; the record notes the mode actually used (a
+ * broadcast run switches to per-recipient emails for delivery preferences).
+ * `force` (POST /trigger?force=true, CLI --force) sends anyway and is reported as 'forced'.
+ */
+
+const LOCK_KEY = 'run-lock';
+const SEND_PREFIX = 'sends:';
+// Longer than any pipeline run; KV rejects TTLs under 60 seconds
+export const RUN_LOCK_TTL_SECONDS = 15 * 60;
+// Sends only matter for the same day; a week leaves room to audit
+const SEND_RETENTION_DAYS = 7;
+
+// Status of the 'Check for duplicate runs' step
+export const RUN_GUARD_STATUS = {
+    CLEAR: 'success',
+    BLOCKED: 'blocked',
+    FORCED: 'forced'
+};
+
+// Status of a sends:<key> record
+export const SEND_STATUS = {
+    IN_FLIGHT: 'in-flight',
+    SENT: 'sent',
+    FAILED: 'failed',
+    DISCARDED: 'discarded'
+};
+
+/**
+ * Describe an earlier send record for the duplicate check
+ */
+function describeSend(key, send) {
+    if (send.status === SEND_STATUS.IN_FLIGHT) {
+        return `digest for ${key} in flight from run ${send.runId} since ${send.startedAt} (delivery may be partial)`;
+    }
+    if (send.status === SEND_STATUS.FAILED) {
+        return `digest for ${key} failed mid-send in run ${send.runId} at ${send.failedAt} (delivery may be partial)`;
+    }
+    return `digest for ${key} already sent by run ${send.runId}${send.broadcastId ? ` (broadcast ${send.broadcastId})` : ''} at ${send.sentAt}`;
+}
+
+/**
+ * Idempotency key for one day's digest
+ * @param {Object} parts - Key parts
+ * @param {string|Date} [parts.date=new Date()] - Run date (UTC day)
+ * @param {string} parts.audience - Resend audience id, or 'chat-only' when email is not a channel
+ * @param {string} parts.variant - Configured delivery variant ('broadcast' or 'personalized')
+ * @returns {string} e.g. "2025-06-02:aud-1:broadcast"
+ */
+export function buildIdempotencyKey({ date = new Date(), audience, variant }) {
+    const day = typeof date === 'string' ? date.split('T')[0] : date.toISOString().split('T')[0];
+    return `${day}:${audience || 'none'}:${variant || 'default'}`;
+}
+
+/**
+ * Run lock and send ledger on top of a KV-compatible store
+ * @class RunGuard
+ * @param {Object} store - Workers KV namespace or compatible store (see storage.js)
+ */
+export class RunGuard {
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * Check for a duplicate before a live run and take the lock unless it is blocked
+     * @param {string} key - From buildIdempotencyKey
+     * @param {string} runId - Run starting now
+     * @param {Object} [options={}] - { force, now }; force sends despite an earlier send or a held lock
+     * @returns {Promise<Object>} { status, detail, previous, holder } - status is a RUN_GUARD_STATUS;
+     * the lock is only held when the status is not 'blocked'
+     */
+    async begin(key, runId, { force = false, now = new Date() } = {}) {
+        const recorded = await this.getSend(key);
+        const previous = recorded?.status === SEND_STATUS.DISCARDED ? null : recorded;
+        const lock = previous && !force
+            ? { acquired: false, holder: null }
+            : await this.acquireLock(runId, { force, now });
+        const conflicts = [
+            previous && describeSend(key, previous),
+            lock.holder && `run ${lock.holder.runId} in progress since ${lock.holder.acquiredAt}`
+        ].filter(Boolean);
+
+        if (!lock.acquired) {
+            return { status: RUN_GUARD_STATUS.BLOCKED, detail: `${conflicts.join('; ')} (use force=true to send anyway)`, previous, holder: lock.holder };
+        }
+        if (conflicts.length) {
+            return { status: RUN_GUARD_STATUS.FORCED, detail: `Forced: ${conflicts.join('; ')}`, previous, holder: lock.holder };
+        }
+        const detail = recorded
+            ? `No earlier send for ${key} (run ${recorded.runId}'s draft was discarded)`
+            : `No earlier send for ${key}`;
+        return { status: RUN_GUARD_STATUS.CLEAR, detail, previous: null, holder: null };
+    }
+
+    /**
+     * Take the run lock unless another live run holds it
+     * @param {string} runId - Run taking the lock
+     * @param {Object} [options={}] - { force, now }; force takes over a held lock
+     * @returns {Promise<Object>} { acquired, holder } - holder is the other run's lock when one was found
+     */
+    async acquireLock(runId, { force = false, now = new Date() } = {}) {
+        const holder = await this.store.get(LOCK_KEY, 'json');
+        const live = holder && holder.runId !== runId && Date.parse(holder.expiresAt) > now.getTime();
+        if (live && !force) {
+            return { acquired: false, holder };
+        }
+
+        await this.store.put(LOCK_KEY, JSON.stringify({
+            runId,
+            acquiredAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + RUN_LOCK_TTL_SECONDS * 1000).toISOString()
+        }), { expirationTtl: RUN_LOCK_TTL_SECONDS });
+        return { acquired: true, holder: live ? holder : null };
+    }
+
+    /**
+     * Release the lock if this run still holds it
+     * @param {string} runId - Run releasing the lock
+     */
+    async releaseLock(runId) {
+        const holder = await this.store.get(LOCK_KEY, 'json');
+        if (holder?.runId === runId) {
+            await this.store.delete(LOCK_KEY);
+        }
+    }
+
+    /**
+     * The send recorded for a key
+     * @returns {Promise<Object|null>} { key, runId, status, ... } (see the record methods) or null
+     */
+    async getSend(key) {
+        return this.store.get(`${SEND_PREFIX}${key}`, 'json');
+    }
+
+    /**
+     * Record that a run is about to dispatch the digest for a key
+     * @param {string} key - From buildIdempotencyKey
+     * @param {Object} send - { runId, forced, now }
+     * @returns {Promise<Object>} Stored record (status 'in-flight')
+     */
+    async markInFlight(key, { runId, forced = false, now = new Date() }) {
+        return this.putSend(key, { key, runId, status: SEND_STATUS.IN_FLIGHT, forced, startedAt: now.toISOString() });
+    }
+
+    /**
+     * Record that a run delivered (or drafted) the digest for a key
+     * @param {string} key - From buildIdempotencyKey
+     * @param {Object} send - { runId, broadcastId, reason, deliveryMode, forced, now }
+     * @returns {Promise<Object>} Stored record (status 'sent')
+     */
+    async recordSend(key, { runId, broadcastId = null, reason = null, deliveryMode = null, forced = false, now = new Date() }) {
+        return this.putSend(key, { key, runId, status: SEND_STATUS.SENT, broadcastId, reason, deliveryMode, forced, sentAt: now.toISOString() });
+    }
+
+    /**
+     * Record that a dispatch threw; it stays blocking because part of it may have gone out
+     * @param {string} key - From buildIdempotencyKey
+     * @param {Object} send - { runId, error, deliveryMode, forced, now }
+     * @returns {Promise<Object>} Stored record (status 'failed')
+     */
+    async recordFailure(key, { runId, error = null, deliveryMode = null, forced = false, now = new Date() }) {
+        return this.putSend(key, { key, runId, status: SEND_STATUS.FAILED, error: error?.message || error, deliveryMode, forced, failedAt: now.toISOString() });
+    }
+
+    /**
+     * Mark a run's send as discarded (its draft was rejected or expired) so later runs may send
+     * @param {string} key - From buildIdempotencyKey
+     * @param {Object} send - { runId, reason, now } - reason is the approval status
+     * @returns {Promise<Object|null>} Stored record, or null when the key now belongs to another run
+     */
+    async discardSend(key, { runId, reason = null, now = new Date() }) {
+        const send = await this.getSend(key);
+        if (!send || send.runId !== runId) {
+            return null;
+        }
+        return this.putSend(key, { ...send, status: SEND_STATUS.DISCARDED, reason, discardedAt: now.toISOString() });
+    }
+
+    async putSend(key, record) {
+        await this.store.put(`${SEND_PREFIX}${key}`, JSON.stringify(record), {
+            expirationTtl: SEND_RETENTION_DAYS * 24 * 60 * 60
+        });
+        return record;
+    }
+}
+
+export default RunGuard;
@@ -0,0 +1,258 @@
+/**
+ * Options-chain implied volatility
+ * Turns a listed options chain into per-strike implied volatilities and an
+ * at-the-money IV for the expiry that captures the earnings event.
+ */
+
+import { impliedVolatility } from './black-scholes.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Listed equity options stop trading at 16:00 ET; 20:00 UTC is close enough year-round
+const EXPIRY_CLOSE_OFFSET_MS = 20 * 60 * 60 * 1000;
+// Without an earnings date, skip expiration-week contracts whose IV is dominated by noise
+const DEFAULT_MIN_DAYS_TO_EXPIRY = 7;
+
+/**
+ * Pick the options expiration that straddles an earnings event
+ * @param {Array<number>} expirationDates - Listed expirations (unix seconds, 00:00 UTC)
+ * @param {Object} [options={}] - Selection inputs
+ * @param {string} [options.earningsDate] - Earnings date (YYYY-MM-DD)
+ * @param {string} [options.earningsHour] - Finnhub session flag ('bmo', 'amc', 'dmh')
+ * @param {Date} [options.asOf=new Date()] - Reference time
+ * @returns {number|null} Selected expiration (unix seconds) or null if none qualify
+ * @description Before-market-open reports are priced by an expiry on the report date
+ * itself; every other session needs the first expiry strictly after it. Without an
+ * earnings date the first expiry at least a week out is used.
+ */
+export function selectTargetExpiration(expirationDates, { earningsDate, earningsHour, asOf = new Date() } = {}) {
+    const sorted = [...(expirationDates || [])]
+        .filter(value => Number.isFinite(value))
+        .sort((a, b) => a - b);
+
+    if (sorted.length === 0) {
+        return null;
+    }
+
+    if (earningsDate) {
+        const includeReportDate = earningsHour === 'bmo';
+        const match = sorted.find(expiration => {
+            const expiryDate = toIsoDate(expiration);
+            return includeReportDate ? expiryDate >= earningsDate : expiryDate > earningsDate;
+        });
+        return match ?? null;
+    }
+
+    const minimumExpiry = asOf.getTime() + DEFAULT_MIN_DAYS_TO_EXPIRY * MS_PER_DAY;
+    return sorted.find(expiration => expiration * 1000 >= minimumExpiry) ?? sorted[sorted.length - 1];
+}
+
+/**
+ * Mid price for a listed contract, falling back to last trade when the market is one-sided
+ */
+export function getOptionMidPrice(contract) {
+    if (!contract) return null;
+
+    const bid = Number(contract.bid);
+    const ask = Number(contract.ask);
+    if (bid > 0 && ask >= bid) {
+        return (bid + ask) / 2;
+    }
+
+    const last = Number(contract.lastPrice);
+    return last > 0 ? last : null;
+}
+
+/**
+ * Years until an expiration settles, measured from a reference time
+ */
+export function getTimeToExpiry(expiration, asOf = new Date()) {
+    const expiryMs = expiration * 1000 + EXPIRY_CLOSE_OFFSET_MS;
+    return Math.max(expiryMs - asOf.getTime(), 60 * 60 * 1000) / (365 * MS_PER_DAY);
+}
+
+/**
+ * Solve implied volatility for every strike in a single-expiry chain
+ * @param {Object} chain - Single expiration slice ({ expirationDate, calls, puts })
+ * @param {Object} params - Pricing inputs
+ * @param {number} params.spot - Underlying price
+ * @param {number} [params.rate=0] - Risk-free rate (decimal)
+ * @param {number} [params.dividendYield=0] - Dividend yield (decimal)
+ * @param {Date} [params.asOf=new Date()] - Pricing time
+ * @returns {Array<Object>} Rows sorted by strike with callIV/putIV (decimals) and mids
+ */
+export function calculateStrikeImpliedVolatilities(chain, { spot, rate = 0, dividendYield = 0, asOf = new Date() }) {
+    if (!chain?.expirationDate || !(spot > 0)) {
+        return [];
+    }
+
+    const timeToExpiry = getTimeToExpiry(chain.expirationDate, asOf);
+    const rows = new Map();
+
+    const addContracts = (contracts, type) => {
+        for (const contract of contracts || []) {
+            const strike = Number(contract.strike);
+            if (!(strike > 0)) continue;
+
+            const mid = getOptionMidPrice(contract);
+            const iv = mid
+                ? impliedVolatility({ type, price: mid, spot, strike, timeToExpiry, rate, dividendYield })
+                : null;
+
+            const row = rows.get(strike) || { strike, callIV: null, putIV: null, callMid: null, putMid: null };
+            row[`${type}IV`] = iv;
+            row[`${type}Mid`] = mid;
+            rows.set(strike, row);
+        }
+    };
+
+    addContracts(chain.calls, 'call');
+    addContracts(chain.puts, 'put');
+
+    return [...rows.values()].sort((a, b) => a.strike - b.strike);
+}
+
+/**
+ * At-the-money implied volatility for a single-expiry chain
+ * @param {Object} chain - Single expiration slice ({ expirationDate, calls, puts })
+ * @param {Object} params - Same inputs as calculateStrikeImpliedVolatilities
+ * @returns {Object|null} ATM summary or null when no usable quotes straddle spot
+ * @returns {number} returns.atmIV - ATM implied volatility (%)
+ * @returns {number} returns.atmStrike - Listed strike closest to spot
+ * @returns {string} returns.expiration - Expiration date (YYYY-MM-DD)
+ * @returns {number} returns.daysToExpiry - Calendar days until expiration
+ * @returns {number|null} returns.strikeIncrement - Strike spacing around the ATM strike
+ * @description Averages call and put IV at each strike, then interpolates linearly
+ * between the two strikes bracketing spot so the figure does not jump as the stock
+ * crosses a strike.
+ */
+export function calculateAtmImpliedVolatility(chain, params) {
+    const rows = calculateStrikeImpliedVolatilities(chain, params)
+        .map(row => {
+            const ivs = [row.callIV, row.putIV].filter(iv => iv !== null);
+            return { ...row, iv: ivs.length ? ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length : null };
+        })
+        .filter(row => row.iv !== null);
+
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const { spot } = params;
+    const below = [...rows].reverse().find(row => row.strike <= spot);
+    const above = rows.find(row => row.strike >= spot);
+
+    let atmIV;
+    if (below && above && above.strike !== below.strike) {
+        const weight = (spot - below.strike) / (above.strike - below.strike);
+        atmIV = below.iv + (above.iv - below.iv) * weight;
+    } else {
+        atmIV = (below || above).iv;
+    }
+
+    const nearest = rows.reduce((best, row) =>
+        Math.abs(row.strike - spot) < Math.abs(best.strike - spot) ? row : best
+    );
+    const nearestIndex = rows.indexOf(nearest);
+    const neighbourGaps = [rows[nearestIndex - 1], rows[nearestIndex + 1]]
+        .filter(Boolean)
+        .map(row => Math.abs(row.strike - nearest.strike));
+    const asOf = params.asOf || new Date();
+
+    return {
+        atmIV: parseFloat((atmIV * 100).toFixed(2)),
+        atmStrike: nearest.strike,
+        callIV: nearest.callIV !== null ? parseFloat((nearest.callIV * 100).toFixed(2)) : null,
+        putIV: nearest.putIV !== null ? parseFloat((nearest.putIV * 100).toFixed(2)) : null,
+        expiration: toIsoDate(chain.expirationDate),
+        daysToExpiry: Math.max(0, Math.ceil((chain.expirationDate * 1000 - asOf.getTime()) / MS_PER_DAY)),
+        strikeCount: rows.length,
+        strikeIncrement: neighbourGaps.length ? Math.min(...neighbourGaps) : null
+    };
+}
+
+/**
+ * Market-implied earnings move from the ATM straddle
+ * @param {Object} chain - Single expiration slice ({ expirationDate, calls, puts }),
+ * normally the first expiry after the earnings date
+ * @param {Object} params - Move inputs
+ * @param {number} params.spot - Underlying price
+ * @param {number} [params.historicalVolatility] - Annualized historical volatility (%)
+ * used as the normal, non-event daily variance
+ * @param {Date} [params.asOf=new Date()] - Pricing time
+ * @returns {Object|null} Implied move summary or null when no strike has both a call
+ * and put quote
+ * @returns {number} returns.straddlePrice - ATM call mid + put mid (the move in dollars)
+ * @returns {number} returns.movePercent - Total move priced through expiry (% of spot)
+ * @returns {number|null} returns.eventMovePercent - Move attributable to the earnings
+ * day alone (% of spot), or null without historical volatility
+ * @description The straddle prices the expected absolute move to expiry. Each ordinary
+ * session contributes an expected absolute move of sigma_daily * sqrt(2/pi); removing
+ * those (n - 1) sessions in variance terms leaves the earnings-day move:
+ * sqrt(total^2 - (n - 1) * normalDay^2).
+ */
+export function calculateImpliedMove(chain, { spot, historicalVolatility, asOf = new Date() }) {
+    if (!chain?.expirationDate || !(spot > 0)) {
+        return null;
+    }
+
+    const putsByStrike = new Map((chain.puts || []).map(put => [Number(put.strike), put]));
+    const straddles = (chain.calls || [])
+        .map(call => {
+            const strike = Number(call.strike);
+            const callMid = getOptionMidPrice(call);
+            const putMid = getOptionMidPrice(putsByStrike.get(strike));
+            return callMid && putMid ? { strike, callMid, putMid } : null;
+        })
+        .filter(Boolean);
+
+    if (straddles.length === 0) {
+        return null;
+    }
+
+    const atm = straddles.reduce((best, row) =>
+        Math.abs(row.strike - spot) < Math.abs(best.strike - spot) ? row : best
+    );
+    const straddlePrice = atm.callMid + atm.putMid;
+    const movePercent = (straddlePrice / spot) * 100;
+    const tradingDays = countTradingSessions(asOf, chain.expirationDate);
+
+    let eventMovePercent = null;
+    if (historicalVolatility > 0) {
+        const normalDayMove = (historicalVolatility / Math.sqrt(252)) * Math.sqrt(2 / Math.PI);
+        const eventVariance = movePercent ** 2 - (tradingDays - 1) * normalDayMove ** 2;
+        eventMovePercent = Math.sqrt(Math.max(0, eventVariance));
+    }
+
+    return {
+        strike: atm.strike,
+        expiration: toIsoDate(chain.expirationDate),
+        tradingDays,
+        straddlePrice: parseFloat(straddlePrice.toFixed(2)),
+        movePercent: parseFloat(movePercent.toFixed(2)),
+        eventMovePercent: eventMovePercent !== null ? parseFloat(eventMovePercent.toFixed(2)) : null,
+        eventMoveDollars: eventMovePercent !== null ? parseFloat((spot * eventMovePercent / 100).toFixed(2)) : null
+    };
+}
+
+/**
+ * Weekday sessions from the pricing time through expiration (inclusive), at least one
+ */
+function countTradingSessions(asOf, expiration) {
+    const expiryDay = Math.floor(expiration / 86400);
+    let day = Math.floor(asOf.getTime() / MS_PER_DAY);
+    // Today's session only counts while it is still open
+    if (asOf.getTime() - day * MS_PER_DAY >= EXPIRY_CLOSE_OFFSET_MS) {
+        day += 1;
+    }
+
+    let sessions = 0;
+    for (; day <= expiryDay; day++) {
+        const weekday = new Date(day * MS_PER_DAY).getUTCDay();
+        if (weekday !== 0 && weekday !== 6) sessions++;
+    }
+    return Math.max(1, sessions);
+}
+
+function toIsoDate(unixSeconds) {
+    return new Date(unixSeconds * 1000).toISOString().split('T')[0];
+}
@@ -5,10 +5,64 @@
  * Implements 7-stage deterministic pipeline with graceful degradation.
  */
 
-import { getEarningsOpportunities, getMarketContext } from './finnhub.js';
+import { getEarningsOpportunities, getMarketContext, getWatchlistSnapshots, getNextEarnings } from './finnhub.js';
+import { getScoringProfile } from './scoring-profiles.js';
+import UniverseBuilder, { parseConstituentsCsv, UNIVERSE_SCREEN_CRON } from './universe.js';
+import { STOCK_UNIVERSE } from './config.js';
+import constituentsCsv from './config/constituents.csv';
 import { generateTradingIdeas, validateAnalysis } from './gemini.js';
-import { sendEmailDigest, sendRunSummaryEmail, addSubscriberToAudience } from './email.js';
-import { initializeRealData } from './real-volatility.js';
+import {
+    sendEmailDigest,
+    sendPersonalizedDigests,
+    sendRunSummaryEmail,
+    sendConfirmationEmail,
+    sendTestDigest,
+    createDigestBroadcast,
+    sendBroadcast,
+    removeBroadcast,
+    sendApprovalRequestEmail,
+    addSubscriberToAudience,
+    updateAudienceContact,
+    getAudienceContacts,
+    removeSubscriberFromAudience,
+    formatSubjectTag,
+    renderDigest,
+    buildBroadcastUnsubscribeUrl,
+    parseRecipientList,
+    UNSUBSCRIBE_TOKEN_ATTRIBUTE
+} from './email.js';
+import { initializeRealData, getVolatilityAnalysis } from './real-volatility.js';
+import { createKeyValueStore } from './storage.js';
+import IvHistoryStore from './iv-history.js';
+import RunHistoryStore, { createRunId } from './run-history.js';
+import TrackRecordStore, { summarizeTrackRecord, createPick } from './track-record.js';
+import NewsletterArchive from './archive.js';
+import BroadcastApprovalStore, { parseApprovalSettings, APPROVAL_STATUS, APPROVAL_SWEEP_CRON } from './approvals.js';
+import RunGuard, { buildIdempotencyKey, RUN_GUARD_STATUS, SEND_STATUS } from './idempotency.js';
+import { buildAtomFeed, buildJsonFeed, FEED_ISSUE_LIMIT } from './feeds.js';
+import SubscriberStore, {
+    normalizeWatchlist,
+    normalizePreferences,
+    resolveDigestVariant,
+    hasCustomPreferences,
+    MAX_WATCHLIST_SIZE,
+    CONFIRMATION_TTL_DAYS,
+    UNSUBSCRIBE_TTL_DAYS
+} from './subscribers.js';
+import { createSubscriberToken, verifySubscriberToken } from './tokens.js';
+import RateLimiter, { SUBSCRIBE_RATE_LIMITS, TELEGRAM_RATE_LIMIT, ANALYZE_RATE_LIMIT, ANALYZE_GLOBAL_RATE_LIMIT } from './rate-limit.js';
+import { parseAnalyzeRequest, analyzeSymbols, parseAnalyzeApiKeys, ANALYZE_KEY_HEADER } from './analyze.js';
+import { createChallengeVerifier } from './challenge.js';
+import { EMAIL_CHANNEL, parseChannelList, createNotificationChannels, postNotifications } from './notifications.js';
+import { handleTelegramUpdate, sendTelegramMessage, TELEGRAM_SECRET_HEADER } from './telegram.js';
+
+// Hidden signup-form field (pages/index.html) that only bots fill in
+const HONEYPOT_FIELD = 'company';
+// POST /trigger?mode=; a dry run renders the digest without broadcasting it
+const RUN_MODES = { LIVE: 'live', DRY_RUN: 'dry-run' };
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Broadcast unsubscribe tokens (a contact attribute) are reissued this close to expiry
+const UNSUBSCRIBE_TOKEN_REFRESH_DAYS = 30;
 
 /**
  * Main Cloudflare Worker export with scheduled and fetch handlers
@@ -24,9 +78,23 @@ export default {
      * @description Runs the complete 7-stage pipeline: Environment validation,
      * data initialization, earnings scanning, market context, AI analysis,
      * validation, and newsletter delivery. Includes comprehensive error handling
-     * and summary reporting.
+     * and summary reporting. The APPROVAL_SWEEP_CRON trigger only applies approval deadlines;
+     * the UNIVERSE_SCREEN_CRON trigger only rescreens the stock universe.
      */
     async scheduled(controller, env, ctx) {
+        if (controller?.cron === APPROVAL_SWEEP_CRON) {
+            const decided = await sweepApprovalDeadlines(env);
+            if (decided.length) {
+                console.log(`⏰ Applied the approval deadline to ${decided.length} broadcasts`);
+            }
+            return;
+        }
+        if (controller?.cron === UNIVERSE_SCREEN_CRON) {
+            const universe = await refreshUniverse(env);
+            console.log(`🌐 Universe screen: ${universe.screened} rescreened, ${universe.symbols.length}/${universe.constituents} constituents pass`);
+            return;
+        }
+
         console.log("🎯 Running Options Insight Research Agent...");
         let summary;
 
@@ -37,6 +105,7 @@ export default {
             summary = buildEmergencySummary(error);
         }
 
+        await persistRunSummary(env, summary, 'scheduled');
         await deliverRunSummary(env, summary);
 
         if (!summary.success) {
@@ -54,8 +123,19 @@ export default {
      * @description Handles various API endpoints:
      * - GET /health: System health check
      * - GET /status: Configuration audit  
-     * - POST /trigger: Manual pipeline execution
-     * - POST /subscribe: Newsletter subscription management
+     * - POST /trigger: Manual pipeline execution (`?profile=` picks the scoring profile, `?force=true` skips duplicate protection)
+     * - POST /subscribe: Newsletter signup (optional watchlist); emails a confirmation link
+     * - GET /confirm: Double opt-in confirmation that adds the contact to the audience
+     * - GET/POST /unsubscribe: Signed unsubscribe link; POST is the RFC 8058 one-click action
+     * - GET/POST /broadcasts/:id/approve, /broadcasts/:id/reject: Signed approval links for draft broadcasts
+     * - GET/POST /watchlist: Read or replace a subscriber's watchlist (signed link token)
+     * - GET/POST /preferences: Read or replace delivery preferences (signed link token)
+     * - GET /archive, /archive/latest, /archive/:date: Public archive of past issues
+     * - GET /feed.xml, /feed.json: Atom and JSON Feed of archived issues (?symbol= filters)
+     * - POST /analyze: On-demand analysis of up to 10 symbols (authenticated, per-key and global quotas)
+     * - POST /telegram/webhook: Telegram bot commands (/symbol, /regime, /scan, /subscribe)
+     * - GET /runs, GET /runs/:id: Persisted run history (authenticated)
+     * - GET /track-record: Hit rates of published recommendations
      */
     async fetch(request, env, ctx) {
         const url = new URL(request.url);
@@ -139,9 +219,24 @@ export default {
                 }, corsHeaders);
             }
 
+            const pendingMessage = 'Almost done! Check your inbox and confirm your subscription.';
+
+            // Bots fill every field; people never see the honeypot. Look successful so it is not probed.
+            if (payload?.[HONEYPOT_FIELD]) {
+                console.warn('🍯 Honeypot field filled on /subscribe; request dropped');
+                return respondWithCors(JSON.stringify({
+                    success: true,
+                    message: pendingMessage,
+                    status: 'pending'
+                }), {
+                    status: 200
+                }, corsHeaders);
+            }
+
             const email = (payload?.email || '').trim().toLowerCase();
             const firstName = (payload?.firstName || '').trim();
             const lastName = (payload?.lastName || '').trim();
+            const watchlist = normalizeWatchlist(payload?.watchlist);
 
             if (!isValidEmail(email)) {
                 return respondWithCors(JSON.stringify({
@@ -152,8 +247,56 @@ export default {
                 }, corsHeaders);
             }
 
-            if (!env.RESEND_API_KEY || !env.AUDIENCE_ID) {
-                console.error('❌ Subscription attempt while RESEND_API_KEY or AUDIENCE_ID missing');
+            const watchlistError = describeWatchlistError(watchlist);
+            if (watchlistError) {
+                return respondWithCors(JSON.stringify({
+                    success: false,
+                    error: watchlistError
+                }), {
+                    status: 400
+                }, corsHeaders);
+            }
+
+            const clientIp = request.headers.get('CF-Connecting-IP');
+            const rateLimit = await new RateLimiter(createKeyValueStore(env)).hitAll([
+                { scope: 'subscribe-ip', id: clientIp, rule: SUBSCRIBE_RATE_LIMITS.ip },
+                { scope: 'subscribe-email', id: email, rule: SUBSCRIBE_RATE_LIMITS.email }
+            ]);
+            if (!rateLimit.allowed) {
+                console.warn(`🚦 /subscribe rate limited (${rateLimit.scope}), retry in ${rateLimit.retryAfter}s`);
+                return respondWithCors(JSON.stringify({
+                    success: false,
+                    error: `Too many signup attempts. Please try again in ${Math.ceil(rateLimit.retryAfter / 60)} minutes.`
+                }), {
+                    status: 429,
+                    headers: { 'Retry-After': String(rateLimit.retryAfter) }
+                }, corsHeaders);
+            }
+
+            try {
+                const verifyChallenge = createChallengeVerifier(env);
+                const challenge = verifyChallenge ? await verifyChallenge(payload?.challengeToken, clientIp) : { success: true };
+                if (!challenge.success) {
+                    console.warn(`🤖 /subscribe challenge failed: ${challenge.errors.join(', ') || 'unknown'}`);
+                    return respondWithCors(JSON.stringify({
+                        success: false,
+                        error: 'Verification failed. Please refresh the page and try again.'
+                    }), {
+                        status: 403
+                    }, corsHeaders);
+                }
+            } catch (error) {
+                console.error('❌ Challenge verification unavailable:', error);
+                return respondWithCors(JSON.stringify({
+                    success: false,
+                    error: 'Subscription service unavailable'
+                }), {
+                    status: 503
+                }, corsHeaders);
+            }
+
+            if (!env.RESEND_API_KEY || !env.AUDIENCE_ID || !env.SUBSCRIBER_TOKEN_SECRET) {
+                console.error('❌ Subscription attempt while RESEND_API_KEY, AUDIENCE_ID or SUBSCRIBER_TOKEN_SECRET missing');
                 return respondWithCors(JSON.stringify({
                     success: false,
                     error: 'Subscription service unavailable'
@@ -163,28 +306,23 @@ export default {
             }
 
             try {
-                const result = await addSubscriberToAudience(env.RESEND_API_KEY, env.AUDIENCE_ID, email, {
+                await startSubscription(env, url, {
+                    email,
                     firstName,
                     lastName,
-                    attributes: {
-                        source: payload?.source || 'options-insight-pages',
-                        consentedAt: new Date().toISOString()
-                    }
+                    watchlist: watchlist.symbols,
+                    source: payload?.source || 'options-insight-pages'
                 });
 
-                const message = result.status === 'exists'
-                    ? 'You are already subscribed to Options Insight.'
-                    : 'Thanks! You are on the list for the next briefing.';
-
                 return respondWithCors(JSON.stringify({
                     success: true,
-                    message,
-                    status: result.status
+                    message: pendingMessage,
+                    status: 'pending'
                 }), {
                     status: 200
                 }, corsHeaders);
             } catch (error) {
-                console.error('❌ Failed to add subscriber:', error);
+                console.error('❌ Failed to start subscription:', error);
                 return respondWithCors(JSON.stringify({
                     success: false,
                     error: 'Unable to subscribe at this time'
@@ -194,65 +332,168 @@ export default {
             }
         }
 
+        if (url.pathname === '/analyze') {
+            return handleAnalyzeRequest(request, env, url);
+        }
+
+        if (url.pathname === '/telegram/webhook') {
+            return handleTelegramRequest(request, env, url);
+        }
+
+        if (url.pathname === '/confirm' && request.method === 'GET') {
+            return handleConfirmRequest(env, url);
+        }
+
+        if (url.pathname === '/unsubscribe') {
+            return handleUnsubscribeRequest(request, env, url);
+        }
+
+        const approvalRoute = url.pathname.match(/^\/broadcasts\/([^/]+)\/(approve|reject)$/);
+        if (approvalRoute) {
+            return handleBroadcastApprovalRequest(request, env, url, decodeURIComponent(approvalRoute[1]), approvalRoute[2]);
+        }
+
+        if (url.pathname === '/watchlist') {
+            return handleWatchlistRequest(request, env);
+        }
+
+        if (url.pathname === '/preferences') {
+            return handlePreferencesRequest(request, env);
+        }
+
+        if ((url.pathname === '/feed.xml' || url.pathname === '/feed.json') && request.method === 'GET') {
+            return handleFeedRequest(env, url);
+        }
+
+        if (url.pathname === '/archive' || url.pathname.startsWith('/archive/')) {
+            return handleArchiveRequest(request, env, url);
+        }
+
         // Manual trigger endpoint (for testing)
         if (url.pathname === '/trigger' && request.method === 'POST') {
-            const expectedSecret = env.TRIGGER_AUTH_SECRET || env.TRIGGER_AUTH_TOKEN;
-            if (!expectedSecret) {
-                console.warn('⚠️  Manual trigger blocked: TRIGGER_AUTH_SECRET not configured');
-                return new Response(JSON.stringify({
-                    success: false,
-                    error: 'Manual trigger disabled: missing TRIGGER_AUTH_SECRET',
-                    timestamp: new Date().toISOString()
-                }), {
-                    headers: { 'Content-Type': 'application/json' },
-                    status: 503
-                });
+            const unauthorized = authorizeAdminRequest(request, env, url, 'Manual trigger');
+            if (unauthorized) {
+                return unauthorized;
             }
 
-            const providedSecret = request.headers.get('x-trigger-secret') || url.searchParams.get('token');
-            if (!providedSecret || !timingSafeEqual(providedSecret, expectedSecret)) {
-                console.warn('⚠️  Unauthorized manual trigger attempt');
-                return new Response(JSON.stringify({
-                    success: false,
-                    error: 'Unauthorized',
-                    timestamp: new Date().toISOString()
-                }), {
-                    headers: { 'Content-Type': 'application/json' },
-                    status: 401
-                });
+            const profileName = url.searchParams.get('profile');
+            if (profileName) {
+                try {
+                    getScoringProfile(profileName);
+                } catch (error) {
+                    return jsonResponse({ success: false, error: error.message }, 400);
+                }
             }
+            const mode = url.searchParams.get('mode') || RUN_MODES.LIVE;
+            if (!Object.values(RUN_MODES).includes(mode)) {
+                return jsonResponse({ success: false, error: `Unknown mode "${mode}" (expected ${Object.values(RUN_MODES).join(' or ')})` }, 400);
+            }
+            const dryRun = mode === RUN_MODES.DRY_RUN;
 
             let summary;
 
             try {
-                summary = await processAndSendDigest(env);
+                summary = await processAndSendDigest(env, {
+                    profile: profileName,
+                    dryRun,
+                    testSend: dryRun && url.searchParams.get('testSend') === 'true',
+                    force: url.searchParams.get('force') === 'true'
+                });
             } catch (error) {
                 console.error('❌ Manual trigger failed:', error);
                 summary = buildEmergencySummary(error);
             }
 
-            await deliverRunSummary(env, summary);
+            // The rendered HTML goes back to the caller but is too large for run history
+            const { preview = null } = summary;
+            delete summary.preview;
+
+            await persistRunSummary(env, summary, dryRun ? 'dry-run' : 'manual');
+            if (!dryRun) {
+                await deliverRunSummary(env, summary);
+            }
 
             return new Response(JSON.stringify({
                 success: summary.success,
+                mode,
                 summary,
+                ...(dryRun ? { preview } : {}),
                 timestamp: new Date().toISOString()
             }), {
                 headers: { 'Content-Type': 'application/json' },
-                status: summary.success ? 200 : 500
+                status: summary.blocked ? 409 : summary.success ? 200 : 500
+            });
+        }
+
+        // Run history endpoints
+        const runMatch = url.pathname.match(/^\/runs(?:\/([^/]+))?\/?$/);
+        if (runMatch && request.method === 'GET') {
+            const unauthorized = authorizeAdminRequest(request, env, url, 'Run history');
+            if (unauthorized) {
+                return unauthorized;
+            }
+
+            const runHistory = new RunHistoryStore(createKeyValueStore(env));
+
+            if (runMatch[1]) {
+                const run = await runHistory.getRun(decodeURIComponent(runMatch[1]));
+                if (!run) {
+                    return jsonResponse({ success: false, error: 'Run not found' }, 404);
+                }
+                return jsonResponse({ success: true, run });
+            }
+
+            const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 20, 1), 100);
+            const status = ['success', 'failed'].includes(url.searchParams.get('status'))
+                ? url.searchParams.get('status')
+                : undefined;
+            const runs = await runHistory.listRuns({ limit, status });
+            return jsonResponse({ success: true, count: runs.length, runs });
+        }
+
+        // Public performance of published recommendations
+        if (url.pathname === '/track-record' && request.method === 'GET') {
+            const trackRecord = new TrackRecordStore(createKeyValueStore(env));
+            const picks = await trackRecord.getPicks();
+            const symbol = url.searchParams.get('symbol')?.toUpperCase();
+            const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), 500);
+            const recent = picks
+                .filter(pick => !symbol || pick.symbol === symbol)
+                .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+                .slice(0, limit);
+
+            return jsonResponse({
+                success: true,
+                summary: summarizeTrackRecord(picks),
+                picks: recent,
+                timestamp: new Date().toISOString()
             });
         }
 
         // Default response
-        return new Response('Options Insight Worker - Use /health, /status, or POST /trigger endpoints', {
+        return new Response('Options Insight Worker - Use /health, /status, /track-record, /subscribe, /confirm, /unsubscribe, /watchlist, /preferences, /archive, /feed.xml, /feed.json, GET /runs, POST /trigger, POST /analyze, POST /telegram/webhook or /broadcasts/:id/approve endpoints', {
             status: 404
         });
     }
 };
 
-async function processAndSendDigest(env) {
+/**
+ * Run the daily pipeline
+ * @param {Object} env - Worker environment
+ * @param {Object} [options={}] - Run options
+ * @param {string} [options.profile] - Scoring profile name; defaults to env.SCORING_PROFILE, then 'default'
+ * @param {boolean} [options.dryRun=false] - Run every stage but render the digest instead of sending it;
+ * nothing is broadcast, archived, posted to chat or recorded in the track record
+ * @param {boolean} [options.testSend=false] - With dryRun, email the rendered digest to SUMMARY_EMAIL_RECIPIENT
+ * @param {boolean} [options.force=false] - Send even when today's digest already went to this audience
+ * or another run holds the run lock (see idempotency.js)
+ * @returns {Promise<Object>} Finalized run summary; dry runs add `preview` ({ subject, html, testRecipients }),
+ * runs stopped as duplicates set `blocked`
+ */
+async function processAndSendDigest(env, { profile, dryRun = false, testSend = false, force = false } = {}) {
     const summary = createRunSummary();
     const startTime = Date.now();
+    let runGuard = null;
 
     const beginStep = (name) => {
         summary._activeStep = name;
@@ -275,15 +516,105 @@ async function processAndSendDigest(env) {
     let marketContext = null;
 
         beginStep('Validate environment');
-        const missingKeys = ['FINNHUB_API_KEY', 'RESEND_API_KEY', 'GEMINI_API_KEY', 'AUDIENCE_ID'].filter(key => !env[key]);
+        let digestChannels;
+        try {
+            digestChannels = parseChannelList(env.DIGEST_CHANNELS);
+        } catch (error) {
+            failStep(error.message);
+            summary.errors.push(formatError(error));
+            return finalizeSummary(summary, startTime);
+        }
+        const emailDigest = digestChannels.includes(EMAIL_CHANNEL);
+        const chatChannels = createNotificationChannels(env, digestChannels);
+        if (!emailDigest && chatChannels.length === 0) {
+            const message = 'DIGEST_CHANNELS has no configured channel (set SLACK_WEBHOOK_URL or DISCORD_WEBHOOK_URL, or include email)';
+            failStep(message);
+            summary.errors.push(formatError(new Error(message)));
+            return finalizeSummary(summary, startTime);
+        }
+        // Dry runs never touch the audience; a test send only needs Resend itself
+        const requiredKeys = ['FINNHUB_API_KEY', 'RESEND_API_KEY', 'GEMINI_API_KEY', 'AUDIENCE_ID'].filter(key => {
+            if (key === 'RESEND_API_KEY') return dryRun ? testSend : emailDigest;
+            if (key === 'AUDIENCE_ID') return emailDigest && !dryRun;
+            return true;
+        });
+        const missingKeys = requiredKeys.filter(key => !env[key]);
         if (missingKeys.length > 0) {
             const message = `Missing required secrets: ${missingKeys.join(', ')}`;
             failStep(message);
             summary.errors.push(formatError(new Error(message)));
             return finalizeSummary(summary, startTime);
         }
+        let scoringProfile;
+        try {
+            scoringProfile = getScoringProfile(profile || env.SCORING_PROFILE);
+        } catch (error) {
+            failStep(error.message);
+            summary.errors.push(formatError(error));
+            return finalizeSummary(summary, startTime);
+        }
+        summary.metrics.scoringProfile = scoringProfile.name;
+        const deliveryMode = env.DIGEST_DELIVERY_MODE === 'personalized' ? 'personalized' : 'broadcast';
+        summary.metrics.deliveryMode = deliveryMode;
+        summary.metrics.digestChannels = [...(emailDigest ? [EMAIL_CHANNEL] : []), ...chatChannels.map(channel => channel.name)];
+        let approval;
+        try {
+            approval = parseApprovalSettings(env);
+            if (approval.required) {
+                approval.recipients = parseRecipientList(env.APPROVAL_RECIPIENT || env.SUMMARY_EMAIL_RECIPIENT);
+                if (!emailDigest || deliveryMode !== 'broadcast') {
+                    throw new Error('APPROVAL_REQUIRED needs email in DIGEST_CHANNELS and DIGEST_DELIVERY_MODE=broadcast');
+                }
+                const missing = ['SUBSCRIBER_TOKEN_SECRET', 'WORKER_URL'].filter(key => !env[key]);
+                if (missing.length) {
+                    throw new Error(`APPROVAL_REQUIRED needs ${missing.join(', ')} to sign approval links`);
+                }
+                if (!approval.recipients.length) {
+                    throw new Error('APPROVAL_REQUIRED needs APPROVAL_RECIPIENT or SUMMARY_EMAIL_RECIPIENT');
+                }
+                summary.metrics.approvalRequired = true;
+            }
+        } catch (error) {
+            failStep(error.message);
+            summary.errors.push(formatError(error));
+            return finalizeSummary(summary, startTime);
+        }
+        if (dryRun) {
+            summary.dryRun = true;
+            summary.metrics.mode = RUN_MODES.DRY_RUN;
+        }
         completeStep('success', 'All required secrets present');
 
+        const store = createKeyValueStore(env);
+        // One digest per day, audience and delivery variant; dry runs send nothing so they never check
+        const idempotencyKey = buildIdempotencyKey({
+            date: summary.startedAt,
+            audience: emailDigest ? AUDIENCE_ID : 'chat-only',
+            variant: deliveryMode
+        });
+        beginStep('Check for duplicate runs');
+        if (dryRun) {
+            completeStep('skipped', 'Dry run');
+        } else {
+            summary.id = summary.id || createRunId(summary.startedAt);
+            summary.metrics.idempotencyKey = idempotencyKey;
+            const guard = new RunGuard(store);
+            const check = await guard.begin(idempotencyKey, summary.id, { force });
+            completeStep(check.status, check.detail);
+            if (check.status === RUN_GUARD_STATUS.BLOCKED) {
+                console.warn(`⏸️  Run blocked: ${check.detail}`);
+                summary.blocked = true;
+                summary.metrics.newsletterReason = 'duplicate';
+                summary.metrics.duplicateOf = check.previous?.runId || check.holder?.runId || null;
+                return finalizeSummary(summary, startTime);
+            }
+            if (check.status === RUN_GUARD_STATUS.FORCED) {
+                console.warn(`⚠️  ${check.detail}`);
+                summary.metrics.forced = true;
+            }
+            runGuard = guard;
+        }
+
     beginStep('Initialize market data');
         if (!ALPHA_VANTAGE_API_KEY && !FINNHUB_API_KEY) {
             console.warn("⚠️  No Alpha Vantage or Finnhub API keys provided, using fallback data");
@@ -305,12 +636,320 @@ async function processAndSendDigest(env) {
             }
         }
 
+        const trackRecord = new TrackRecordStore(store);
+        let trackRecordSummary = null;
+
+        beginStep('Evaluate track record');
+        try {
+            // Dry runs write nothing: the preview shows the stored record without scoring new outcomes
+            const evaluation = dryRun ? null : await trackRecord.evaluatePending();
+            trackRecordSummary = await trackRecord.getSummary();
+            summary.metrics.trackRecordHitRate = trackRecordSummary.hitRate;
+            if (evaluation) {
+                summary.metrics.trackRecordEvaluated = evaluation.evaluated;
+                completeStep('success', `${evaluation.evaluated} picks scored, ${evaluation.pending} awaiting earnings`);
+            } else {
+                completeStep('skipped', 'Dry run');
+            }
+        } catch (error) {
+            console.warn('⚠️  Track record evaluation failed:', error);
+            completeStep('warning', `Track record unavailable: ${error.message}`);
+        }
+
+        beginStep('Build stock universe');
+        let universe = STOCK_UNIVERSE;
+        try {
+            // Screens cached by UNIVERSE_SCREEN_CRON; no Yahoo requests on the digest path
+            const built = await new UniverseBuilder(store).buildUniverse(parseConstituentsCsv(constituentsCsv), { budget: 0 });
+            if (built.symbols.length === 0) {
+                throw new Error('no constituents passed the screens');
+            }
+            universe = built.symbols;
+            summary.metrics.universeSize = built.symbols.length;
+            summary.metrics.universeFailedLookups = built.failed.map(({ symbol }) => symbol);
+            completeStep(
+                built.failed.length ? 'warning' : 'success',
+                `${built.symbols.length}/${built.constituents} constituents (${built.unscreened} not yet screened, ${built.excluded.length} excluded, ${built.failed.length} failed lookups)`
+            );
+        } catch (error) {
+            console.warn('⚠️  Universe build failed, using the static universe:', error);
+            summary.metrics.universeSize = universe.length;
+            completeStep('warning', `Static universe used: ${error.message}`);
+        }
+
         beginStep('Scan earnings opportunities');
         console.log("📊 Step 1: Scanning earnings opportunities...");
-    const opportunities = await getEarningsOpportunities(FINNHUB_API_KEY);
+        const ivHistory = new IvHistoryStore(store);
+        const opportunities = await getEarningsOpportunities(FINNHUB_API_KEY, { ivHistory, profile: scoringProfile, universe });
         summary.metrics.totalOpportunities = opportunities.length;
         completeStep('success', `${opportunities.length} opportunities analyzed`);
 
+        // Personalized mode segments the audience by delivery preferences and adds each
+        // subscriber's watchlist; broadcast mode sends one Resend broadcast to everyone unless
+        // someone set delivery preferences (see usePerRecipientDelivery)
+        const buildPersonalizer = async (content) => {
+            beginStep('Build watchlists');
+            const runDate = new Date();
+            const forSubscriber = (profiles, snapshots) => async (email) => {
+                const profile = profiles.get(email);
+                const variant = resolveDigestVariant(profile?.preferences, content, runDate);
+                if (variant.skip) {
+                    return variant;
+                }
+                return {
+                    ...variant,
+                    watchlist: (profile?.watchlist || []).map(symbol => snapshots[symbol]).filter(Boolean),
+                    watchlistUrl: await buildWatchlistUrl(env, email),
+                    unsubscribeUrl: await buildUnsubscribeUrl(env, email),
+                    preferencesUrl: await buildPreferencesUrl(env, email)
+                };
+            };
+            try {
+                const profiles = await new SubscriberStore(store).getActiveProfiles();
+                const watchlists = [...profiles.values()].filter(profile => profile.watchlist?.length);
+                const snapshots = await getWatchlistSnapshots(FINNHUB_API_KEY, watchlists.flatMap(profile => profile.watchlist), {
+                    ivHistory,
+                    opportunities: content.map(item => item.opportunity)
+                });
+                summary.metrics.watchlistSubscribers = watchlists.length;
+                summary.metrics.watchlistSymbols = Object.keys(snapshots).length;
+                completeStep('success', `${watchlists.length} watchlists covering ${Object.keys(snapshots).length} symbols`);
+                return forSubscriber(profiles, snapshots);
+            } catch (error) {
+                console.warn('⚠️  Watchlists unavailable, sending the standard digest:', error);
+                completeStep('warning', `Watchlists unavailable: ${error.message}`);
+                return forSubscriber(new Map(), {});
+            }
+        };
+
+        // One broadcast cannot skip or trim the digest per subscriber, so broadcast mode sends
+        // per-recipient emails while any subscriber has non-default delivery preferences
+        const usePerRecipientDelivery = async () => {
+            beginStep('Check delivery preferences');
+            try {
+                const profiles = await new SubscriberStore(store).getActiveProfiles();
+                const customized = [...profiles.values()].filter(profile => hasCustomPreferences(profile.preferences)).length;
+                if (customized === 0) {
+                    completeStep('success', 'No delivery preferences set; sending one broadcast');
+                    return false;
+                }
+                if (approval.required) {
+                    completeStep('warning', `${customized} subscribers have delivery preferences; the approved broadcast goes to the whole audience`);
+                    return false;
+                }
+                summary.metrics.deliveryMode = 'personalized';
+                completeStep('success', `${customized} subscribers have delivery preferences; sending per-recipient digests`);
+                return true;
+            } catch (error) {
+                console.warn('⚠️  Delivery preferences unavailable, sending one broadcast:', error);
+                completeStep('warning', `Delivery preferences unavailable: ${error.message}`);
+                return false;
+            }
+        };
+
+        // Draft the broadcast and email the approver; the issue is archived and posted once approved
+        const requestBroadcastApproval = async (content, contextPayload, sendOptions, issue) => {
+            const draft = await createDigestBroadcast(RESEND_API_KEY, AUDIENCE_ID, content, contextPayload, sendOptions);
+            const deadline = new Date(Date.now() + approval.deadlineHours * 60 * 60 * 1000);
+            summary.id = summary.id || createRunId(summary.startedAt);
+            await new BroadcastApprovalStore(store).createApproval({
+                broadcastId: draft.broadcastId,
+                runId: summary.id,
+                subject: draft.subject,
+                deadline: deadline.toISOString(),
+                deadlineAction: approval.deadlineAction,
+                issue,
+                idempotencyKey
+            });
+            await sendApprovalRequestEmail(RESEND_API_KEY, {
+                subject: draft.subject,
+                html: draft.html,
+                approveUrl: await buildApprovalUrl(env, draft.broadcastId, 'approve', deadline),
+                rejectUrl: await buildApprovalUrl(env, draft.broadcastId, 'reject', deadline),
+                deadline: deadline.toISOString(),
+                deadlineAction: approval.deadlineAction
+            }, approval.recipients, { from: env.SUMMARY_EMAIL_FROM });
+            summary.metrics.approvalStatus = APPROVAL_STATUS.PENDING;
+            summary.metrics.approvalDeadline = deadline.toISOString();
+            return {
+                awaitingApproval: true,
+                broadcastId: draft.broadcastId,
+                recipientCount: 0,
+                timestamp: new Date().toISOString(),
+                issue,
+                label: `Broadcast ${draft.broadcastId} drafted; approval requested from ${approval.recipients.join(', ')} (${approval.deadlineAction === 'send' ? 'sends' : 'expires'} at ${deadline.toISOString()})`
+            };
+        };
+
+        // Returns the send result plus the issue to archive once the send step is recorded
+        const sendDigest = async (content, contextPayload, sendOptions) => {
+            const issue = {
+                content,
+                marketContext: contextPayload,
+                subjectTag: sendOptions.subjectTag || formatSubjectTag(sendOptions.opportunityCount ?? content.length)
+            };
+            if (dryRun) {
+                // Personalized runs still build watchlists so that stage is exercised too
+                if (emailDigest && deliveryMode === 'personalized') {
+                    await buildPersonalizer(content);
+                }
+                beginStep('Send newsletter');
+                const { subject, html } = renderDigest(content, contextPayload, sendOptions);
+                let testRecipients = [];
+                let testSendError = null;
+                if (testSend) {
+                    try {
+                        testRecipients = parseRecipientList(env.SUMMARY_EMAIL_RECIPIENT);
+                        await sendTestDigest(RESEND_API_KEY, { subject, html }, testRecipients, { from: sendOptions.from });
+                    } catch (error) {
+                        console.warn('⚠️  Test send failed:', error);
+                        testRecipients = [];
+                        testSendError = error.message;
+                    }
+                }
+                return {
+                    dryRun: true,
+                    broadcastId: null,
+                    recipientCount: testRecipients.length,
+                    timestamp: new Date().toISOString(),
+                    issue,
+                    preview: { subject, html, testRecipients },
+                    testSendError,
+                    label: testSendError
+                        ? `Digest rendered, test send failed (${testSendError})`
+                        : testRecipients.length ? `Test send to ${testRecipients.join(', ')}` : 'Digest rendered'
+                };
+            }
+            if (!emailDigest) {
+                beginStep('Send newsletter');
+                return { skipped: true, broadcastId: null, recipientCount: 0, timestamp: new Date().toISOString(), issue };
+            }
+            if (deliveryMode === 'broadcast' && !(await usePerRecipientDelivery())) {
+                const broadcastOptions = { ...sendOptions };
+                const unsubscribeUrl = buildBroadcastUnsubscribeLink(env);
+                if (unsubscribeUrl) {
+                    // The worker link only works for contacts carrying a token; until every
+                    // contact has one the broadcast keeps Resend's hosted page
+                    beginStep('Refresh unsubscribe links');
+                    try {
+                        const { refreshed, missing } = await refreshUnsubscribeTokens(env, store);
+                        if (missing) {
+                            completeStep('warning', `${refreshed} contacts given a fresh unsubscribe token, ${missing} without one; using Resend's unsubscribe page`);
+                        } else {
+                            broadcastOptions.unsubscribeUrl = unsubscribeUrl;
+                            completeStep('success', `${refreshed} contacts given a fresh unsubscribe token`);
+                        }
+                    } catch (error) {
+                        console.warn('⚠️  Unsubscribe tokens not refreshed:', error);
+                        completeStep('warning', `Unsubscribe tokens not refreshed, using Resend's unsubscribe page: ${error.message}`);
+                    }
+                }
+                beginStep('Send newsletter');
+                if (approval.required) {
+                    return requestBroadcastApproval(content, contextPayload, broadcastOptions, issue);
+                }
+                const result = await sendEmailDigest(RESEND_API_KEY, AUDIENCE_ID, content, contextPayload, broadcastOptions);
+                return { ...result, issue, label: `Broadcast ${result.broadcastId}` };
+            }
+
+            const personalize = await buildPersonalizer(content);
+            beginStep('Send newsletter');
+            const result = await sendPersonalizedDigests(RESEND_API_KEY, AUDIENCE_ID, content, contextPayload, { ...sendOptions, personalize });
+            summary.metrics.personalizedCount = result.personalizedCount;
+            summary.metrics.preferenceSkipped = result.skippedCount;
+            summary.metrics.segments = Object.entries(result.segments).map(([segment, count]) => `${segment}: ${count}`);
+            return {
+                ...result,
+                issue,
+                label: `Personalized digest to ${result.recipientCount} contacts (${result.personalizedCount} with watchlists, ${result.skippedCount} skipped by preferences)`
+            };
+        };
+
+        // Public web copy of the sent issue (the broadcast version, no personal sections)
+        const archiveIssue = async ({ content, marketContext: issueContext, subjectTag }) => {
+            beginStep('Archive issue');
+            try {
+                const entry = await archiveDigestIssue(store, { content, marketContext: issueContext, subjectTag });
+                summary.metrics.archivedIssue = entry.date;
+                completeStep('success', `Issue ${entry.date} archived (${entry.pickCount} picks)`);
+            } catch (error) {
+                console.warn('⚠️  Failed to archive issue:', error);
+                completeStep('warning', `Issue not archived: ${error.message}`);
+            }
+        };
+
+        // Chat fan-out of the archived issue; webhook failures only flag the step
+        const notifyChatChannels = async (issue) => {
+            if (chatChannels.length === 0) return;
+            beginStep('Notify chat channels');
+            const results = await postDigestToChat(env, chatChannels, issue, { archivedDate: summary.metrics.archivedIssue, summary });
+            const failed = results.filter(result => !result.ok);
+            summary.metrics.chatChannelsNotified = results.filter(result => result.ok).map(result => result.channel);
+            failed.forEach(result => console.warn(`⚠️  ${result.channel} notification failed: ${result.error}`));
+            completeStep(
+                failed.length ? 'warning' : 'success',
+                failed.length
+                    ? `Failed: ${failed.map(result => `${result.channel} (${result.error})`).join(', ')}`
+                    : `Posted to ${results.map(result => result.channel).join(', ')}`
+            );
+        };
+
+        // Email (unless DIGEST_CHANNELS leaves it out), archive copy, then chat channels
+        const publishDigest = async (content, contextPayload, sendOptions, { reason, note = null, outcome = '' }) => {
+            // In flight until dispatch returns; a throw leaves it 'failed' so retries need force
+            const sendRecord = { runId: summary.id, reason, forced: force };
+            if (runGuard) {
+                await recordDigestSend(runGuard, idempotencyKey, SEND_STATUS.IN_FLIGHT, sendRecord);
+            }
+            let result;
+            try {
+                result = await sendDigest(content, contextPayload, sendOptions);
+            } catch (error) {
+                if (runGuard) {
+                    await recordDigestSend(runGuard, idempotencyKey, SEND_STATUS.FAILED, { ...sendRecord, error, deliveryMode: summary.metrics.deliveryMode });
+                }
+                throw error;
+            }
+            if (runGuard) {
+                await recordDigestSend(runGuard, idempotencyKey, SEND_STATUS.SENT, { ...sendRecord, result, deliveryMode: summary.metrics.deliveryMode });
+            }
+            summary.metrics.newsletterSent = !result.skipped && !result.dryRun && !result.awaitingApproval;
+            summary.metrics.broadcastId = result.broadcastId;
+            summary.metrics.recipientCount = result.recipientCount;
+            summary.metrics.completedAt = result.timestamp;
+            summary.metrics.newsletterReason = reason;
+            if (note) {
+                summary.metrics.newsletterNote = note;
+            }
+            if (result.dryRun) {
+                summary.preview = result.preview;
+                completeStep(result.testSendError ? 'warning' : 'skipped', `Dry run: ${result.label}, broadcast not sent${outcome}`);
+                for (const step of ['Archive issue', ...(chatChannels.length ? ['Notify chat channels'] : [])]) {
+                    beginStep(step);
+                    completeStep('skipped', 'Dry run');
+                }
+                console.log(`🧪 Dry run: "${result.preview.subject}" rendered, nothing was broadcast`);
+                return result;
+            }
+            if (result.awaitingApproval) {
+                completeStep('success', `${result.label}${outcome}`);
+                for (const step of ['Archive issue', ...(chatChannels.length ? ['Notify chat channels'] : [])]) {
+                    beginStep(step);
+                    completeStep('skipped', 'Awaiting approval');
+                }
+                console.log(`📝 Broadcast ${result.broadcastId} is waiting for approval`);
+                return result;
+            }
+            if (result.skipped) {
+                completeStep('skipped', 'Email not listed in DIGEST_CHANNELS');
+            } else {
+                completeStep('success', `${result.label} dispatched${outcome}`);
+            }
+            await archiveIssue(result.issue);
+            await notifyChatChannels(result.issue);
+            return result;
+        };
+
         if (opportunities.length === 0) {
             console.log("ℹ️  No qualifying earnings opportunities found today.");
             beginStep('Generate AI analysis');
@@ -329,21 +968,13 @@ async function processAndSendDigest(env) {
             }
 
             const digestNote = 'No qualifying earnings setups cleared the filters today—delivering context only.';
-            const contextPayload = { ...(marketContext || {}), digestNote };
+            const contextPayload = { ...(marketContext || {}), digestNote, trackRecord: trackRecordSummary };
 
-            beginStep('Send newsletter');
-            const result = await sendEmailDigest(RESEND_API_KEY, AUDIENCE_ID, [], contextPayload, {
+            const result = await publishDigest([], contextPayload, {
                 from: env.NEWSLETTER_FROM || env.NEWSLETTER_FROM_EMAIL || 'newsletter@ravishankars.com',
                 subjectTag: 'No Screened Setups',
                 opportunityCount: 0
-            });
-            summary.metrics.newsletterSent = true;
-            summary.metrics.broadcastId = result.broadcastId;
-            summary.metrics.recipientCount = result.recipientCount;
-            summary.metrics.completedAt = result.timestamp;
-            summary.metrics.newsletterReason = 'no-opportunities';
-            summary.metrics.newsletterNote = digestNote;
-            completeStep('success', `Broadcast ${result.broadcastId} dispatched (no opportunities)`);
+            }, { reason: 'no-opportunities', note: digestNote, outcome: ' (no opportunities)' });
 
             console.log(`🎉 Context-only update sent successfully!`);
             console.log(`   📧 Broadcast ID: ${result.broadcastId}`);
@@ -388,21 +1019,13 @@ async function processAndSendDigest(env) {
         if (validatedContent.length === 0) {
             console.log("ℹ️  No analyses passed validation - newsletter will not be sent");
             const digestNote = 'All screened names were held by the quality gate—see context below while we wait for better setups.';
-            const contextPayload = { ...(marketContext || {}), digestNote };
+            const contextPayload = { ...(marketContext || {}), digestNote, trackRecord: trackRecordSummary };
 
-            beginStep('Send newsletter');
-            const result = await sendEmailDigest(RESEND_API_KEY, AUDIENCE_ID, [], contextPayload, {
+            const result = await publishDigest([], contextPayload, {
                 from: env.NEWSLETTER_FROM || env.NEWSLETTER_FROM_EMAIL || 'newsletter@ravishankars.com',
                 subjectTag: 'Quality Gate Hold',
                 opportunityCount: 0
-            });
-            summary.metrics.newsletterSent = true;
-            summary.metrics.broadcastId = result.broadcastId;
-            summary.metrics.recipientCount = result.recipientCount;
-            summary.metrics.completedAt = result.timestamp;
-            summary.metrics.newsletterReason = 'quality-gate';
-            summary.metrics.newsletterNote = digestNote;
-            completeStep('success', `Broadcast ${result.broadcastId} dispatched (quality gate hold)`);
+            }, { reason: 'quality-gate', note: digestNote, outcome: ' (quality gate hold)' });
 
             console.log(`🎉 Context-only update sent successfully!`);
             console.log(`   📧 Broadcast ID: ${result.broadcastId}`);
@@ -413,18 +1036,26 @@ async function processAndSendDigest(env) {
 
         console.log(`✅ Generated ${validatedContent.length} validated analyses`);
 
-        beginStep('Send newsletter');
         console.log("📧 Step 4: Sending newsletter...");
-        const result = await sendEmailDigest(RESEND_API_KEY, AUDIENCE_ID, validatedContent, marketContext, {
+        summary.metrics.publishedSymbols = validatedContent.map(item => item.opportunity.symbol);
+        const result = await publishDigest(validatedContent, { ...marketContext, trackRecord: trackRecordSummary }, {
             from: env.NEWSLETTER_FROM || env.NEWSLETTER_FROM_EMAIL || 'newsletter@ravishankars.com',
             opportunityCount: validatedContent.length
-        });
-        summary.metrics.newsletterSent = true;
-        summary.metrics.broadcastId = result.broadcastId;
-        summary.metrics.recipientCount = result.recipientCount;
-        summary.metrics.completedAt = result.timestamp;
-        summary.metrics.newsletterReason = 'opportunities-published';
-        completeStep('success', `Broadcast ${result.broadcastId} dispatched`);
+        }, { reason: 'opportunities-published' });
+
+        beginStep('Record track record');
+        if (dryRun || result.awaitingApproval) {
+            completeStep('skipped', dryRun ? 'Dry run' : 'Awaiting approval');
+            return finalizeSummary(summary, startTime);
+        }
+        try {
+            const picks = await trackRecord.recordPublications(validatedContent, { marketContext });
+            summary.metrics.trackedPicks = picks.length;
+            completeStep('success', `${picks.length} picks stored for evaluation`);
+        } catch (error) {
+            console.warn('⚠️  Failed to record published picks:', error);
+            completeStep('warning', `Picks not recorded: ${error.message}`);
+        }
 
         console.log(`🎉 Newsletter sent successfully!`);
         console.log(`   📊 Opportunities analyzed: ${opportunities.length}`);
@@ -438,18 +1069,87 @@ async function processAndSendDigest(env) {
         failStep(error.message || 'Unknown pipeline failure');
         summary.errors.push(formatError(error));
         return finalizeSummary(summary, startTime);
+    } finally {
+        if (runGuard) {
+            await runGuard.releaseLock(summary.id)
+                .catch(error => console.warn('⚠️  Failed to release the run lock (it expires on its own):', error));
+        }
+    }
+}
+
+/**
+ * Record the send so later runs for the same key are blocked; a failure only costs that protection
+ * @param {string} status - SEND_STATUS: in-flight before dispatch, then sent (with result) or failed (with error)
+ * @param {Object} record - { runId, reason, forced, result, error, deliveryMode }; deliveryMode is
+ * the mode actually used, which differs from the key's variant when broadcast mode switched
+ */
+async function recordDigestSend(runGuard, idempotencyKey, status, { runId, reason, forced, result = null, error = null, deliveryMode = null }) {
+    try {
+        if (status === SEND_STATUS.IN_FLIGHT) {
+            await runGuard.markInFlight(idempotencyKey, { runId, forced });
+        } else if (status === SEND_STATUS.FAILED) {
+            await runGuard.recordFailure(idempotencyKey, { runId, error, deliveryMode, forced });
+        } else {
+            await runGuard.recordSend(idempotencyKey, {
+                runId,
+                broadcastId: result.broadcastId,
+                reason: result.awaitingApproval ? 'approval-requested' : reason,
+                deliveryMode,
+                forced
+            });
+        }
+    } catch (writeError) {
+        console.warn(`⚠️  Failed to record the digest send (${status}) for duplicate protection:`, writeError);
+    }
+}
+
+/**
+ * Store the run summary in KV; failures are logged and never block the summary email
+ */
+async function persistRunSummary(env, summary, trigger) {
+    try {
+        const runHistory = new RunHistoryStore(createKeyValueStore(env));
+        const run = await runHistory.saveRun(summary, { trigger });
+        summary.id = run.id;
+        summary.trigger = run.trigger;
+        console.log(`🗂️  Run ${run.id} saved to history`);
+    } catch (error) {
+        console.error('❌ Failed to persist run summary:', error);
     }
 }
 
+/**
+ * Send the run summary to every channel in SUMMARY_CHANNELS (email and/or chat webhooks);
+ * each channel logs its own failure so one broken channel never blocks the others
+ */
 async function deliverRunSummary(env, summary) {
-    const rawRecipients = env.SUMMARY_EMAIL_RECIPIENT;
-    const parsedRecipients = rawRecipients
-        ? String(rawRecipients)
-            .split(/[;,\n]/)
-            .map(s => s.trim())
-            .filter(Boolean)
-        : [];
-    const recipients = Array.from(new Map(parsedRecipients.map(e => [e.toLowerCase(), e])).values());
+    let channels;
+    try {
+        channels = parseChannelList(env.SUMMARY_CHANNELS);
+    } catch (error) {
+        console.error('❌ Invalid SUMMARY_CHANNELS, falling back to email:', error.message);
+        channels = [EMAIL_CHANNEL];
+    }
+
+    if (channels.includes(EMAIL_CHANNEL)) {
+        await emailRunSummary(env, summary);
+    }
+
+    const chatChannels = createNotificationChannels(env, channels);
+    if (chatChannels.length) {
+        const results = await postNotifications(chatChannels, 'runSummary', summary);
+        results.forEach(result => {
+            if (result.ok) {
+                console.log(`📬 Run summary posted to ${result.channel}`);
+            } else {
+                console.error(`❌ Failed to post run summary to ${result.channel}: ${result.error}`);
+            }
+        });
+    }
+}
+
+async function emailRunSummary(env, summary) {
+    const recipients = parseRecipientList(env.SUMMARY_EMAIL_RECIPIENT);
 
     if (!env.RESEND_API_KEY) {
         console.warn('⚠️  Skipping run summary email: RESEND_API_KEY not configured');
@@ -471,41 +1171,1047 @@ async function deliverRunSummary(env, summary) {
     }
 }
 
-function createRunSummary() {
-    return {
-        success: false,
-        startedAt: new Date().toISOString(),
-        finishedAt: null,
-        durationMs: null,
-        steps: [],
-        metrics: {
-            newsletterSent: false
-        },
-        errors: [],
-        _activeStep: null
-    };
+/**
+ * Save the broadcast version of an issue (no personal sections) to the public archive
+ * @returns {Promise<Object>} Archive index entry
+ */
+async function archiveDigestIssue(store, { content, marketContext: issueContext, subjectTag }) {
+    const publishedAt = new Date().toISOString();
+    return new NewsletterArchive(store).saveIssue({
+        date: publishedAt.split('T')[0],
+        subjectTag,
+        publishedAt,
+        html: renderDigest(content, issueContext, { subjectTag, unsubscribeUrl: null }).html,
+        picks: content.map(item => createPick(item, { marketContext: issueContext, publishedAt })),
+        marketContext: {
+            vix: issueContext?.vix ?? null,
+            marketRegime: issueContext?.marketRegime || null,
+            digestNote: issueContext?.digestNote || null
+        }
+    });
 }
 
-function finalizeSummary(summary, startTime) {
-    summary.finishedAt = new Date().toISOString();
-    summary.durationMs = Date.now() - startTime;
-    summary.success = summary.errors.length === 0;
-    delete summary._activeStep;
-    return summary;
+/**
+ * Post an issue to the digest chat channels, linking the archived copy when there is one
+ * @returns {Promise<Array<Object>>} postNotifications results
+ */
+async function postDigestToChat(env, chatChannels, { content, marketContext: issueContext, subjectTag }, { archivedDate = null, summary = null } = {}) {
+    const date = archivedDate || new Date().toISOString().split('T')[0];
+    return postNotifications(chatChannels, 'digest', {
+        date,
+        subjectTag,
+        picks: content.map(item => createPick(item, { marketContext: issueContext })),
+        marketContext: issueContext || {},
+        issueUrl: archivedDate && env.WORKER_URL ? new URL(`/archive/${date}`, env.WORKER_URL).toString() : null,
+        summary
+    });
 }
 
-function buildEmergencySummary(error) {
-    const summary = createRunSummary();
-    summary.errors.push(formatError(error));
-    summary.steps.push({ name: 'Pipeline', status: 'failed', detail: error.message || 'Unhandled failure' });
-    return finalizeSummary(summary, Date.now());
+/**
+ * Signed approve or reject link for a draft broadcast, valid until the approval deadline
+ */
+async function buildApprovalUrl(env, broadcastId, action, deadline) {
+    const now = new Date();
+    const url = new URL(`/broadcasts/${encodeURIComponent(broadcastId)}/${action}`, env.WORKER_URL);
+    url.searchParams.set('token', await createSubscriberToken(env.SUBSCRIBER_TOKEN_SECRET, broadcastId, `broadcast-${action}`, {
+        expiresInDays: (deadline.getTime() - now.getTime()) / (24 * 60 * 60 * 1000),
+        now
+    }));
+    return url.toString();
 }
 
-function formatError(error) {
-    return {
-        message: error?.message || String(error),
-        stack: typeof error?.stack === 'string' ? error.stack.split('\n').slice(0, 5).join('\n') : null
-    };
+/**
+ * Archive, track and post an approved issue: the steps a normal run performs right after sending
+ * @returns {Promise<Object>} { steps, metrics } to append to the run summary
+ */
+async function publishApprovedIssue(env, issue, run) {
+    const store = createKeyValueStore(env);
+    const steps = [];
+    const metrics = {};
+
+    try {
+        const entry = await archiveDigestIssue(store, issue);
+        metrics.archivedIssue = entry.date;
+        steps.push({ name: 'Archive issue', status: 'success', detail: `Issue ${entry.date} archived (${entry.pickCount} picks)` });
+    } catch (error) {
+        console.warn('⚠️  Failed to archive approved issue:', error);
+        steps.push({ name: 'Archive issue', status: 'warning', detail: `Issue not archived: ${error.message}` });
+    }
+
+    if (issue.content.length) {
+        try {
+            const picks = await new TrackRecordStore(store).recordPublications(issue.content, { marketContext: issue.marketContext });
+            metrics.trackedPicks = picks.length;
+            steps.push({ name: 'Record track record', status: 'success', detail: `${picks.length} picks stored for evaluation` });
+        } catch (error) {
+            console.warn('⚠️  Failed to record approved picks:', error);
+            steps.push({ name: 'Record track record', status: 'warning', detail: `Picks not recorded: ${error.message}` });
+        }
+    }
+
+    let chatChannels = [];
+    try {
+        chatChannels = createNotificationChannels(env, parseChannelList(env.DIGEST_CHANNELS));
+    } catch (error) {
+        console.warn('⚠️  Invalid DIGEST_CHANNELS, skipping chat notifications:', error.message);
+    }
+    if (chatChannels.length) {
+        const results = await postDigestToChat(env, chatChannels, issue, { archivedDate: metrics.archivedIssue, summary: run });
+        const failed = results.filter(result => !result.ok);
+        metrics.chatChannelsNotified = results.filter(result => result.ok).map(result => result.channel);
+        steps.push({
+            name: 'Notify chat channels',
+            status: failed.length ? 'warning' : 'success',
+            detail: failed.length
+                ? `Failed: ${failed.map(result => `${result.channel} (${result.error})`).join(', ')}`
+                : `Posted to ${results.map(result => result.channel).join(', ')}`
+        });
+    }
+
+    return { steps, metrics };
+}
+
+/**
+ * Apply a decision to a pending broadcast approval and record it on the run
+ * @param {Object} env - Worker environment
+ * @param {string} broadcastId - Draft broadcast id
+ * @param {string} status - APPROVAL_STATUS approved, rejected, expired or auto-sent
+ * @param {Object} [options={}] - { decidedBy } ('approver' or 'deadline')
+ * @returns {Promise<Object|null>} Final approval record, or null when it was already decided
+ * @description Approved and auto-sent drafts are sent, then archived, tracked and posted to
+ * chat like a normal run; rejected and expired drafts are deleted from Resend. The decision,
+ * its steps and metrics are appended to the stored run summary. The approval is claimed
+ * first ('sending' for sends), so an approval link and the deadline sweep acting on the
+ * same draft cannot both send it.
+ */
+async function decideBroadcastApproval(env, broadcastId, status, { decidedBy = 'approver' } = {}) {
+    const store = createKeyValueStore(env);
+    const approvals = new BroadcastApprovalStore(store);
+    const sending = status === APPROVAL_STATUS.APPROVED || status === APPROVAL_STATUS.AUTO_SENT;
+    const claimId = createRunId();
+    let approval = await approvals.claim(broadcastId, sending ? APPROVAL_STATUS.SENDING : status, claimId, { decidedBy });
+    if (!approval) {
+        return null;
+    }
+
+    const runHistory = new RunHistoryStore(store);
+    const run = approval.runId ? await runHistory.getRun(approval.runId) : null;
+    const steps = [];
+    let metrics = {};
+    let error = null;
+
+    if (sending) {
+        let sent = null;
+        try {
+            sent = await sendBroadcast(env.RESEND_API_KEY, broadcastId);
+        } catch (sendError) {
+            console.error(`❌ Failed to send approved broadcast ${broadcastId}:`, sendError);
+            error = sendError;
+            approval = await approvals.decide(broadcastId, APPROVAL_STATUS.FAILED, { claimId, error: sendError.message }) || approval;
+            steps.push({ name: 'Broadcast approval', status: 'failed', detail: `Broadcast ${broadcastId} could not be sent: ${sendError.message}` });
+        }
+        if (sent) {
+            approval = await approvals.decide(broadcastId, status, { claimId }) || approval;
+            steps.push({
+                name: 'Broadcast approval',
+                status: 'success',
+                detail: status === APPROVAL_STATUS.AUTO_SENT
+                    ? `Approval deadline passed; broadcast ${broadcastId} sent automatically`
+                    : `Approved; broadcast ${broadcastId} sent`
+            });
+            metrics = { newsletterSent: true, completedAt: sent.timestamp };
+        }
+        if (!error && approval.issue) {
+            const published = await publishApprovedIssue(env, approval.issue, run);
+            steps.push(...published.steps);
+            metrics = { ...metrics, ...published.metrics };
+        }
+    } else {
+        try {
+            await removeBroadcast(env.RESEND_API_KEY, broadcastId);
+        } catch (removeError) {
+            console.warn(`⚠️  Could not delete draft broadcast ${broadcastId}:`, removeError);
+        }
+        // Nothing reached subscribers, so a later run that day may send the digest
+        if (approval.idempotencyKey) {
+            await new RunGuard(store).discardSend(approval.idempotencyKey, { runId: approval.runId, reason: status })
+                .catch(discardError => console.warn(`⚠️  Send record for ${approval.idempotencyKey} not released:`, discardError));
+        }
+        steps.push({
+            name: 'Broadcast approval',
+            status: 'skipped',
+            detail: status === APPROVAL_STATUS.REJECTED
+                ? `Rejected; draft ${broadcastId} discarded`
+                : `Approval deadline passed; draft ${broadcastId} discarded`
+        });
+    }
+
+    console.log(`📝 Broadcast ${broadcastId} ${approval.status} (${decidedBy})`);
+    if (approval.runId) {
+        const updated = await runHistory.updateRun(approval.runId, stored => ({
+            ...stored,
+            success: stored.success && !error,
+            approval: {
+                broadcastId,
+                status: approval.status,
+                decidedBy: approval.decidedBy,
+                decidedAt: approval.decidedAt,
+                deadline: approval.deadline,
+                error: approval.error
+            },
+            steps: [...(stored.steps || []), ...steps],
+            metrics: { ...stored.metrics, ...metrics, approvalStatus: approval.status },
+            errors: error ? [...(stored.errors || []), formatError(error)] : stored.errors
+        })).catch(updateError => {
+            console.error('❌ Failed to record the approval on the run:', updateError);
+            return null;
+        });
+        if (!updated) {
+            console.warn(`⚠️  Run ${approval.runId} not found; approval recorded on the broadcast only`);
+        }
+    }
+    return approval;
+}
+
+/**
+ * Rescreen the stalest constituents (UNIVERSE_SCREEN_CRON) so the daily run reads a fresh cache
+ * @returns {Promise<Object>} Universe summary from UniverseBuilder.buildUniverse
+ */
+async function refreshUniverse(env, now = new Date()) {
+    return new UniverseBuilder(createKeyValueStore(env)).buildUniverse(parseConstituentsCsv(constituentsCsv), { now });
+}
+
+/**
+ * Expire or send every draft whose approval deadline has passed (APPROVAL_SWEEP_CRON)
+ * @returns {Promise<Array<Object>>} Decided approvals
+ */
+async function sweepApprovalDeadlines(env, now = new Date()) {
+    const due = await new BroadcastApprovalStore(createKeyValueStore(env)).listDue(now);
+    const decided = [];
+    for (const approval of due) {
+        const status = approval.deadlineAction === 'send' ? APPROVAL_STATUS.AUTO_SENT : APPROVAL_STATUS.EXPIRED;
+        try {
+            const result = await decideBroadcastApproval(env, approval.broadcastId, status, { decidedBy: 'deadline' });
+            if (result) decided.push(result);
+        } catch (error) {
+            console.error(`❌ Failed to apply the approval deadline to ${approval.broadcastId}:`, error);
+        }
+    }
+    return decided;
+}
+
+/**
+ * GET/POST /broadcasts/:id/approve and /broadcasts/:id/reject
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {URL} url - Parsed request URL carrying the signed `token`
+ * @param {string} broadcastId - Draft broadcast id from the path
+ * @param {string} action - 'approve' or 'reject'
+ * @returns {Promise<Response>} HTML page
+ * @description Like /unsubscribe, GET only shows a confirmation button so mail scanners that
+ * prefetch links cannot approve a broadcast; the POST it submits records the decision.
+ */
+async function handleBroadcastApprovalRequest(request, env, url, broadcastId, action) {
+    if (!['GET', 'POST'].includes(request.method)) {
+        return htmlResponse('Method not allowed', 'Use the link from the approval email.', 405);
+    }
+    if (!env.RESEND_API_KEY || !env.SUBSCRIBER_TOKEN_SECRET) {
+        console.error('❌ Broadcast approval attempt while RESEND_API_KEY or SUBSCRIBER_TOKEN_SECRET missing');
+        return htmlResponse('Approvals unavailable', 'Please try again later.', 503);
+    }
+
+    const token = url.searchParams.get('token');
+    const tokenBroadcastId = await verifySubscriberToken(env.SUBSCRIBER_TOKEN_SECRET, token, `broadcast-${action}`);
+    if (!tokenBroadcastId || tokenBroadcastId !== broadcastId.toLowerCase()) {
+        return htmlResponse('Link invalid', 'This approval link is invalid or its deadline has passed.', 400);
+    }
+
+    const approval = await new BroadcastApprovalStore(createKeyValueStore(env)).getApproval(broadcastId);
+    if (!approval) {
+        return htmlResponse('Broadcast not found', 'This draft is no longer waiting for approval.', 404);
+    }
+    if (approval.status !== APPROVAL_STATUS.PENDING) {
+        return htmlResponse('Already decided', `This broadcast was already ${escapeHtml(approval.status)}.`, 409);
+    }
+
+    const approve = action === 'approve';
+    if (request.method === 'GET') {
+        return htmlResponse(approve ? 'Approve broadcast' : 'Reject broadcast', `${approve ? 'Send' : 'Discard'} "${escapeHtml(approval.subject)}"${approve ? ' to every subscriber' : ''}?`, 200, `
+    <form method="POST" action="/broadcasts/${encodeURIComponent(broadcastId)}/${action}?token=${encodeURIComponent(token)}">
+      <button type="submit" style="padding: 10px 18px; background: ${approve ? '#2E7D32' : '#C62828'}; color: #ffffff; border: 0; border-radius: 6px; font-size: 15px;">${approve ? 'Approve and send' : 'Reject'}</button>
+    </form>`);
+    }
+
+    const decided = await decideBroadcastApproval(env, broadcastId, approve ? APPROVAL_STATUS.APPROVED : APPROVAL_STATUS.REJECTED);
+    if (!decided) {
+        return htmlResponse('Already decided', 'This broadcast was decided in the meantime.', 409);
+    }
+    if (decided.status === APPROVAL_STATUS.FAILED) {
+        return htmlResponse('Something went wrong', `The broadcast was approved but could not be sent: ${escapeHtml(decided.error)}`, 502);
+    }
+    return approve
+        ? htmlResponse('Broadcast sent', 'The digest is on its way to subscribers.')
+        : htmlResponse('Broadcast rejected', 'The draft was discarded and nothing was sent.');
+}
+
+/**
+ * Store a pending signup and email its confirmation link
+ * @param {Object} env - Worker environment (RESEND_API_KEY, SUBSCRIBER_TOKEN_SECRET)
+ * @param {URL} url - Request URL; the /confirm link is built on its origin
+ * @param {Object} signup - { email, firstName, lastName, watchlist, source }
+ * @description Double opt-in: nothing reaches the audience until the emailed link is
+ * confirmed. Shared by POST /subscribe and the Telegram /subscribe command.
+ */
+async function startSubscription(env, url, { email, firstName = '', lastName = '', watchlist = [], source }) {
+    await new SubscriberStore(createKeyValueStore(env)).requestSubscription(email, {
+        firstName: firstName || null,
+        lastName: lastName || null,
+        watchlist,
+        source,
+        requestedAt: new Date().toISOString()
+    });
+
+    const confirmUrl = new URL('/confirm', url);
+    confirmUrl.searchParams.set('token', await createSubscriberToken(env.SUBSCRIBER_TOKEN_SECRET, email, 'confirm', {
+        expiresInDays: CONFIRMATION_TTL_DAYS
+    }));
+    await sendConfirmationEmail(env.RESEND_API_KEY, email, confirmUrl.toString(), {
+        from: env.NEWSLETTER_FROM || env.NEWSLETTER_FROM_EMAIL || 'newsletter@ravishankars.com',
+        firstName,
+        expiresInDays: CONFIRMATION_TTL_DAYS
+    });
+}
+
+/**
+ * POST /analyze for internal tools
+ * @param {Request} request - JSON body { symbols, includeAI, profile }
+ * @param {Object} env - Worker environment
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Response>} { success, profile, marketContext, results, quota }
+ * @description Same secret as /trigger. With ANALYZE_API_KEYS set, each request must also carry
+ * one of its keys in X-Analyze-Key and is counted against that key's name; without it every
+ * request shares one "default" quota. Each caller may analyze ANALYZE_DAILY_QUOTA symbols per
+ * UTC day (ANALYZE_RATE_LIMIT by default) and all callers together ANALYZE_GLOBAL_DAILY_QUOTA
+ * (ANALYZE_GLOBAL_RATE_LIMIT); a request that would exceed either gets 429 with Retry-After.
+ * Symbols are charged up front and refunded when the analysis fails or finds no market data.
+ */
+async function handleAnalyzeRequest(request, env, url) {
+    if (request.method !== 'POST') {
+        return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+    }
+    const unauthorized = authorizeAdminRequest(request, env, url, 'Analyze API');
+    if (unauthorized) {
+        return unauthorized;
+    }
+
+    const apiKeys = parseAnalyzeApiKeys(env.ANALYZE_API_KEYS);
+    let caller = 'default';
+    if (apiKeys.length) {
+        const providedKey = request.headers.get(ANALYZE_KEY_HEADER) || '';
+        const match = apiKeys.find(key => timingSafeEqual(providedKey, key.secret));
+        if (!match) {
+            console.warn(`⚠️  Analyze API call without a valid ${ANALYZE_KEY_HEADER}`);
+            return jsonResponse({ success: false, error: `Unauthorized: missing or unknown ${ANALYZE_KEY_HEADER}` }, 401);
+        }
+        caller = match.name;
+    }
+
+    let payload;
+    try {
+        payload = await request.json();
+    } catch (error) {
+        return jsonResponse({ success: false, error: 'Invalid JSON payload' }, 400);
+    }
+    const { symbols, includeAI, profile, error } = parseAnalyzeRequest(payload, { defaultProfile: env.SCORING_PROFILE });
+    if (error) {
+        return jsonResponse({ success: false, error }, 400);
+    }
+    if (!env.FINNHUB_API_KEY || (includeAI && !env.GEMINI_API_KEY)) {
+        return jsonResponse({ success: false, error: `Analyze API unavailable: missing ${!env.FINNHUB_API_KEY ? 'FINNHUB_API_KEY' : 'GEMINI_API_KEY'}` }, 503);
+    }
+
+    const store = createKeyValueStore(env);
+    const rateLimiter = new RateLimiter(store);
+    const now = new Date();
+    const rule = { ...ANALYZE_RATE_LIMIT, limit: parseInt(env.ANALYZE_DAILY_QUOTA, 10) || ANALYZE_RATE_LIMIT.limit };
+    const globalRule = { ...ANALYZE_GLOBAL_RATE_LIMIT, limit: parseInt(env.ANALYZE_GLOBAL_DAILY_QUOTA, 10) || ANALYZE_GLOBAL_RATE_LIMIT.limit };
+    const quotaExceeded = (quota, error) => new Response(JSON.stringify({ success: false, error }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json', 'Retry-After': String(quota.retryAfter) }
+    });
+
+    const quota = await rateLimiter.hit('analyze', caller, rule, now, symbols.length);
+    if (!quota.allowed) {
+        console.warn(`🚦 /analyze quota exhausted for ${caller} (${quota.remaining} symbols left)`);
+        return quotaExceeded(quota, `Daily quota exceeded: ${quota.remaining} of ${rule.limit} symbols left for caller "${caller}"`);
+    }
+    const globalQuota = await rateLimiter.hit('analyze-global', 'all', globalRule, now, symbols.length);
+    if (!globalQuota.allowed) {
+        await rateLimiter.refund('analyze', caller, rule, now, symbols.length);
+        console.warn(`🚦 /analyze global quota exhausted (${globalQuota.remaining} symbols left)`);
+        return quotaExceeded(globalQuota, `Global daily quota exceeded: ${globalQuota.remaining} of ${globalRule.limit} symbols left for all callers`);
+    }
+    // Only symbols that were actually analyzed count against the quotas
+    const refund = async (count) => {
+        if (count === 0) return 0;
+        try {
+            await rateLimiter.refund('analyze', caller, rule, now, count);
+            await rateLimiter.refund('analyze-global', 'all', globalRule, now, count);
+            return count;
+        } catch (refundError) {
+            console.warn('⚠️  /analyze quota refund failed:', refundError);
+            return 0;
+        }
+    };
+
+    try {
+        console.log(`🔎 /analyze for ${caller}: ${symbols.join(', ')}${includeAI ? ' (with AI)' : ''}`);
+        const analysis = await analyzeSymbols({
+            finnhubApiKey: env.FINNHUB_API_KEY,
+            geminiApiKey: env.GEMINI_API_KEY,
+            symbols,
+            includeAI,
+            profile,
+            ivHistory: new IvHistoryStore(store)
+        });
+        const refunded = await refund(analysis.results.filter(result => result.error).length);
+        return jsonResponse({
+            success: true,
+            profile: profile.name,
+            ...analysis,
+            quota: { caller, limit: rule.limit, remaining: quota.remaining + refunded, resetsIn: quota.retryAfter },
+            timestamp: new Date().toISOString()
+        });
+    } catch (analysisError) {
+        console.error('❌ Ad-hoc analysis failed:', analysisError);
+        await refund(symbols.length);
+        return jsonResponse({ success: false, error: 'Analysis failed', detail: analysisError.message }, 500);
+    }
+}
+
+/**
+ * POST /telegram/webhook from the Telegram Bot API
+ * @param {Request} request - Incoming update
+ * @param {Object} env - Worker environment
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Response>} 200 once the update is handled, so Telegram does not redeliver it
+ * @description Only calls carrying TELEGRAM_WEBHOOK_SECRET (the setWebhook secret_token) are
+ * served. Replies go out through sendMessage; chats outside TELEGRAM_ALLOWED_CHAT_IDS (when
+ * set) and chats over TELEGRAM_RATE_LIMIT are ignored.
+ */
+async function handleTelegramRequest(request, env, url) {
+    if (!env.TELEGRAM_BOT_TOKEN || !env.TELEGRAM_WEBHOOK_SECRET) {
+        return jsonResponse({ ok: false, error: 'Telegram bot disabled: missing TELEGRAM_BOT_TOKEN or TELEGRAM_WEBHOOK_SECRET' }, 503);
+    }
+    if (request.method !== 'POST') {
+        return jsonResponse({ ok: false, error: 'Method not allowed' }, 405);
+    }
+    if (!timingSafeEqual(request.headers.get(TELEGRAM_SECRET_HEADER) || '', env.TELEGRAM_WEBHOOK_SECRET)) {
+        console.warn('🚫 Telegram webhook call without a valid secret token');
+        return jsonResponse({ ok: false, error: 'Unauthorized' }, 401);
+    }
+
+    let update;
+    try {
+        update = await request.json();
+    } catch (error) {
+        return jsonResponse({ ok: false, error: 'Invalid JSON payload' }, 400);
+    }
+
+    const chatId = (update?.message || update?.edited_message)?.chat?.id;
+    if (chatId === undefined) {
+        return jsonResponse({ ok: true });
+    }
+    const allowedChats = String(env.TELEGRAM_ALLOWED_CHAT_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (allowedChats.length && !allowedChats.includes(String(chatId))) {
+        console.warn(`🚫 Telegram update from chat ${chatId} outside TELEGRAM_ALLOWED_CHAT_IDS`);
+        return jsonResponse({ ok: true });
+    }
+
+    const store = createKeyValueStore(env);
+    const rateLimiter = new RateLimiter(store);
+    if (!(await rateLimiter.hit('telegram-chat', String(chatId), TELEGRAM_RATE_LIMIT)).allowed) {
+        console.warn(`🚦 Telegram chat ${chatId} rate limited`);
+        return jsonResponse({ ok: true });
+    }
+
+    const reply = await handleTelegramUpdate(update, {
+        lookupSymbol: async (symbol) => {
+            const [analysis, earnings, marketContext] = await Promise.all([
+                getVolatilityAnalysis(symbol, env.ALPHA_VANTAGE_API_KEY || null, env.FINNHUB_API_KEY),
+                getNextEarnings(env.FINNHUB_API_KEY, symbol).catch(error => {
+                    console.warn(`⚠️  Earnings calendar unavailable for ${symbol}:`, error.message);
+                    return null;
+                }),
+                getMarketContext(env.FINNHUB_API_KEY)
+            ]);
+            if (!analysis) return null;
+
+            // Single-symbol Gemini idea; opt-in because every lookup would spend model quota
+            let idea = null;
+            if (env.TELEGRAM_AI_ANALYSIS === 'true' && env.GEMINI_API_KEY) {
+                const [content] = await generateTradingIdeas(env.GEMINI_API_KEY, [{
+                    symbol,
+                    date: earnings?.date || null,
+                    hour: earnings?.hour || null,
+                    daysToEarnings: earnings?.daysToEarnings ?? null,
+                    volatilityData: analysis
+                }], marketContext);
+                idea = content?.analysis || null;
+            }
+            return { analysis, earnings, marketContext, idea };
+        },
+        getRegime: () => getMarketContext(env.FINNHUB_API_KEY),
+        getLatestScan: async () => {
+            const archive = new NewsletterArchive(store);
+            const latest = await archive.getLatest();
+            const issue = latest ? await archive.getIssue(latest.date) : null;
+            return { issue, issueUrl: issue ? new URL(`/archive/${issue.date}`, url).toString() : null };
+        },
+        subscribe: async (email) => {
+            if (!isValidEmail(email)) return 'invalid';
+            if (!env.RESEND_API_KEY || !env.AUDIENCE_ID || !env.SUBSCRIBER_TOKEN_SECRET) return 'unavailable';
+            const limit = await rateLimiter.hit('subscribe-email', email, SUBSCRIBE_RATE_LIMITS.email);
+            if (!limit.allowed) return 'limited';
+            await startSubscription(env, url, { email, source: 'telegram' });
+            return 'pending';
+        }
+    });
+
+    if (reply) {
+        try {
+            await sendTelegramMessage(env.TELEGRAM_BOT_TOKEN, reply.chatId, reply.text, { replyTo: reply.replyTo });
+        } catch (error) {
+            console.error('❌ Failed to send Telegram reply:', error);
+        }
+    }
+    return jsonResponse({ ok: true });
+}
+
+/**
+ * GET /confirm?token= from the double opt-in email
+ * @param {Object} env - Worker environment
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Response>} Small HTML page for the subscriber's browser
+ * @description Adds the contact to the Resend audience (or updates it when the address is
+ * already there) with the consent timestamps and source as attributes, then marks the stored
+ * profile active. Reusing a link after confirmation is harmless.
+ */
+async function handleConfirmRequest(env, url) {
+    if (!env.RESEND_API_KEY || !env.AUDIENCE_ID || !env.SUBSCRIBER_TOKEN_SECRET) {
+        console.error('❌ Confirmation attempt while RESEND_API_KEY, AUDIENCE_ID or SUBSCRIBER_TOKEN_SECRET missing');
+        return htmlResponse('Subscription unavailable', 'Please try again later.', 503);
+    }
+
+    const email = await verifySubscriberToken(env.SUBSCRIBER_TOKEN_SECRET, url.searchParams.get('token'), 'confirm');
+    const invalidLink = () => htmlResponse('Link expired', 'This confirmation link is invalid or has expired. Please sign up again.', 400);
+    if (!email) {
+        return invalidLink();
+    }
+
+    const subscribers = new SubscriberStore(createKeyValueStore(env));
+    const signup = await subscribers.getPendingSignup(email);
+    if (!signup) {
+        const profile = await subscribers.getSubscriber(email);
+        return profile?.status === 'active'
+            ? htmlResponse('Already confirmed', 'Your subscription is already active. See you in the next briefing!')
+            : invalidLink();
+    }
+
+    const consentedAt = new Date();
+    try {
+        const unsubscribe = await issueUnsubscribeToken(env, email, consentedAt);
+        await addSubscriberToAudience(env.RESEND_API_KEY, env.AUDIENCE_ID, email, {
+            firstName: signup.firstName,
+            lastName: signup.lastName,
+            attributes: {
+                source: signup.source,
+                consentRequestedAt: signup.requestedAt,
+                consentedAt: consentedAt.toISOString(),
+                watchlist: (signup.watchlist || []).join(','),
+                [UNSUBSCRIBE_TOKEN_ATTRIBUTE]: unsubscribe.token
+            }
+        });
+        await subscribers.confirmSubscription(email, consentedAt);
+        await subscribers.saveSubscriber(email, { unsubscribeTokenExpiresAt: unsubscribe.expiresAt });
+    } catch (error) {
+        console.error('❌ Failed to confirm subscriber:', error);
+        return htmlResponse('Something went wrong', 'We could not confirm your subscription. Please try the link again later.', 500);
+    }
+
+    console.log(`✅ Subscription confirmed for ${email}`);
+    return htmlResponse('Subscription confirmed', 'Thanks! You are on the list for the next Options Insight briefing.');
+}
+
+/**
+ * GET/POST /unsubscribe?token= from digest footers and List-Unsubscribe headers
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Response>} HTML page
+ * @description GET only shows a confirm button so link scanners cannot unsubscribe anyone;
+ * POST (the button, or a mail client's RFC 8058 `List-Unsubscribe=One-Click` request)
+ * removes the contact from the audience. Repeating it is harmless.
+ */
+async function handleUnsubscribeRequest(request, env, url) {
+    if (!['GET', 'POST'].includes(request.method)) {
+        return htmlResponse('Method not allowed', 'Use the unsubscribe link from your email.', 405);
+    }
+    if (!env.RESEND_API_KEY || !env.AUDIENCE_ID || !env.SUBSCRIBER_TOKEN_SECRET) {
+        console.error('❌ Unsubscribe attempt while RESEND_API_KEY, AUDIENCE_ID or SUBSCRIBER_TOKEN_SECRET missing');
+        return htmlResponse('Unsubscribe unavailable', 'Please try again later or reply to any briefing to be removed.', 503);
+    }
+
+    let token = url.searchParams.get('token');
+    if (!token && request.method === 'POST') {
+        const form = await request.formData().catch(() => null);
+        token = form?.get('token') || null;
+    }
+
+    const email = await verifySubscriberToken(env.SUBSCRIBER_TOKEN_SECRET, token, 'unsubscribe');
+    if (!email) {
+        return htmlResponse('Link invalid', 'This unsubscribe link is invalid or has expired. Reply to any briefing and we will remove you.', 400);
+    }
+
+    if (request.method === 'GET') {
+        return htmlResponse('Unsubscribe', 'Stop sending the Options Insight briefing to this address?', 200, `
+    <form method="POST" action="/unsubscribe?token=${encodeURIComponent(token)}">
+      <input type="hidden" name="List-Unsubscribe" value="One-Click">
+      <button type="submit" style="padding: 10px 18px; background: #B45F4D; color: #ffffff; border: 0; border-radius: 6px; font-size: 15px;">Unsubscribe</button>
+    </form>`);
+    }
+
+    try {
+        const result = await removeSubscriberFromAudience(env.RESEND_API_KEY, env.AUDIENCE_ID, email);
+        await new SubscriberStore(createKeyValueStore(env)).markUnsubscribed(email);
+        console.log(`👋 Unsubscribed ${email} (${result.status})`);
+    } catch (error) {
+        console.error('❌ Failed to unsubscribe:', error);
+        return htmlResponse('Something went wrong', 'We could not process your unsubscribe. Please try again later.', 500);
+    }
+
+    return htmlResponse('Unsubscribed', 'You will no longer receive the Options Insight briefing. Sign up again anytime.');
+}
+
+/**
+ * GET /archive (issue index), /archive/latest and /archive/:date (rendered issue)
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {URL} url - Parsed request URL; `?format=json` returns JSON instead of HTML
+ * @returns {Promise<Response>} Archive page, JSON or redirect
+ * @description Public and unauthenticated; issues only contain what every subscriber received.
+ */
+async function handleArchiveRequest(request, env, url) {
+    if (request.method !== 'GET') {
+        return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+    }
+
+    const archive = new NewsletterArchive(createKeyValueStore(env));
+    const asJson = url.searchParams.get('format') === 'json';
+    const [, , segment] = url.pathname.split('/');
+
+    if (!segment) {
+        const issues = await archive.getIndex();
+        if (asJson) {
+            return jsonResponse({ success: true, issues });
+        }
+        const items = issues.map(issue => `
+      <li><a href="/archive/${issue.date}">${issue.date}</a> · ${escapeHtml(issue.subjectTag)} · ${issue.pickCount} ${issue.pickCount === 1 ? 'pick' : 'picks'}</li>`).join('');
+        return htmlResponse(
+            'Options Insight archive',
+            issues.length ? 'Every issue of the daily earnings briefing.' : 'No issues have been published yet.',
+            200,
+            items ? `<ul style="padding-left: 20px; line-height: 1.8;">${items}\n    </ul>` : ''
+        );
+    }
+
+    if (segment === 'latest') {
+        const latest = await archive.getLatest();
+        if (!latest) {
+            return htmlResponse('No issues yet', 'The first issue has not been published yet.', 404);
+        }
+        return Response.redirect(new URL(`/archive/${latest.date}${url.search}`, url).toString(), 302);
+    }
+
+    const issue = await archive.getIssue(segment);
+    if (!issue) {
+        return htmlResponse('Issue not found', 'There is no archived issue for that date.', 404);
+    }
+    if (asJson) {
+        const { html, ...structured } = issue;
+        return jsonResponse({ success: true, issue: structured });
+    }
+    return new Response(issue.html, {
+        headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'public, max-age=3600' }
+    });
+}
+
+/**
+ * GET /feed.xml (Atom) and /feed.json (JSON Feed 1.1)
+ * @param {Object} env - Worker environment
+ * @param {URL} url - Parsed request URL; `?symbol=AAPL` keeps issues that picked the ticker
+ * @returns {Promise<Response>} Feed document
+ */
+async function handleFeedRequest(env, url) {
+    const symbol = url.searchParams.get('symbol')?.trim().toUpperCase();
+    const archive = new NewsletterArchive(createKeyValueStore(env));
+    // Filtering happens after the limit, so a ticker feed covers the same recent issues
+    const issues = (await archive.getRecentIssues(FEED_ISSUE_LIMIT))
+        .filter(issue => !symbol || (issue.picks || []).some(pick => pick.symbol === symbol));
+    const options = { baseUrl: url.origin, selfUrl: url.toString() };
+    const headers = { 'Cache-Control': 'public, max-age=900' };
+
+    if (url.pathname === '/feed.json') {
+        return new Response(JSON.stringify(buildJsonFeed(issues, options), null, 2), {
+            headers: { ...headers, 'Content-Type': 'application/feed+json; charset=utf-8' }
+        });
+    }
+    return new Response(buildAtomFeed(issues, options), {
+        headers: { ...headers, 'Content-Type': 'application/atom+xml; charset=utf-8' }
+    });
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Minimal HTML page for links opened from emails (messages are static text)
+ */
+function htmlResponse(title, message, status = 200, actionHtml = '') {
+    return new Response(`<!DOCTYPE html>
+<html lang="en">
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title} – Options Insight</title></head>
+  <body style="font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; background: #FAF6F0; color: #3A3A3A; padding: 48px 16px; text-align: center;">
+    <h1 style="color: #B45F4D;">🎯 ${title}</h1>
+    <p>${message}</p>${actionHtml}
+  </body>
+</html>`, {
+        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+        status
+    });
+}
+
+/**
+ * GET/POST /watchlist for the edit link in personalized digests
+ * @param {Request} request - GET with ?email=&token=, or POST { email, token, watchlist }
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Response>} { success, email, watchlist } with CORS headers
+ * @description The token is signed with SUBSCRIBER_TOKEN_SECRET for the 'watchlist' purpose
+ * and must match the email; editing is disabled when the secret is not configured.
+ */
+async function handleWatchlistRequest(request, env) {
+    const link = await readSubscriberLinkRequest(request, env, 'watchlist');
+    if (link.response) {
+        return link.response;
+    }
+    const { email, payload, respond } = link;
+
+    const subscribers = new SubscriberStore(createKeyValueStore(env));
+    if (request.method === 'GET') {
+        const profile = await subscribers.getSubscriber(email);
+        return respond({ success: true, email, watchlist: profile?.watchlist || [] });
+    }
+
+    const watchlist = normalizeWatchlist(payload?.watchlist);
+    const watchlistError = describeWatchlistError(watchlist);
+    if (watchlistError) {
+        return respond({ success: false, error: watchlistError }, 400);
+    }
+
+    const profile = await subscribers.updateWatchlist(email, watchlist.symbols);
+    return respond({
+        success: true,
+        email,
+        watchlist: profile.watchlist,
+        message: profile.watchlist.length
+            ? `Watchlist saved: ${profile.watchlist.join(', ')}`
+            : 'Watchlist cleared.'
+    });
+}
+
+/**
+ * GET/POST /preferences for the preference center linked from personalized digests
+ * @param {Request} request - GET with ?email=&token=, or POST { email, token, frequency, minRecommendation, sections }
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Response>} { success, email, preferences } with CORS headers
+ * @description Same token rules as /watchlist, signed for the 'preferences' purpose. Profiles
+ * without saved preferences read back the defaults (daily, every pick, all sections). Saved
+ * preferences are also written to the Resend contact as attributes.
+ */
+async function handlePreferencesRequest(request, env) {
+    const link = await readSubscriberLinkRequest(request, env, 'preferences');
+    if (link.response) {
+        return link.response;
+    }
+    const { email, payload, respond } = link;
+
+    const subscribers = new SubscriberStore(createKeyValueStore(env));
+    if (request.method === 'GET') {
+        const profile = await subscribers.getSubscriber(email);
+        return respond({ success: true, email, preferences: normalizePreferences(profile?.preferences).preferences });
+    }
+
+    const { preferences, errors } = normalizePreferences(payload);
+    if (errors.length > 0) {
+        return respond({ success: false, error: errors.join('; ') }, 400);
+    }
+
+    const profile = await subscribers.updatePreferences(email, preferences);
+    // Mirrored on the contact for Resend segments; KV stays the copy delivery reads
+    if (env.RESEND_API_KEY && env.AUDIENCE_ID) {
+        try {
+            await updateAudienceContact(env.RESEND_API_KEY, env.AUDIENCE_ID, email, {
+                attributes: {
+                    frequency: preferences.frequency,
+                    minRecommendation: preferences.minRecommendation,
+                    sections: preferences.sections.join(',')
+                }
+            });
+        } catch (error) {
+            console.warn(`⚠️  Preferences for ${email} saved but not copied to the Resend contact:`, error);
+        }
+    }
+    return respond({ success: true, email, preferences: profile.preferences, message: 'Preferences saved.' });
+}
+
+/**
+ * Shared CORS, method and token checks for the signed-link JSON routes
+ * @param {Request} request - GET with ?email=&token=, or POST with a JSON body
+ * @param {Object} env - Worker environment
+ * @param {string} purpose - Token purpose ('watchlist', 'preferences')
+ * @returns {Promise<Object>} { response } to return as-is, or { email, payload, respond }
+ */
+async function readSubscriberLinkRequest(request, env, purpose) {
+    if (request.method === 'OPTIONS') {
+        return { response: handleCorsPreflight(request, env) };
+    }
+
+    const corsHeaders = buildCorsHeaders(request.headers.get('Origin'), env);
+    const respond = (payload, status = 200) => respondWithCors(JSON.stringify(payload), { status }, corsHeaders || createCorsHeaderObject('*'));
+
+    if (!corsHeaders) {
+        return { response: respond({ success: false, error: 'Origin not allowed' }, 403) };
+    }
+    if (!['GET', 'POST'].includes(request.method)) {
+        return { response: respond({ success: false, error: 'Method not allowed' }, 405) };
+    }
+    if (!env.SUBSCRIBER_TOKEN_SECRET) {
+        console.warn(`⚠️  ${purpose} edit blocked: SUBSCRIBER_TOKEN_SECRET not configured`);
+        return { response: respond({ success: false, error: `Editing your ${purpose} is unavailable` }, 503) };
+    }
+
+    let payload;
+    if (request.method === 'GET') {
+        const url = new URL(request.url);
+        payload = { email: url.searchParams.get('email'), token: url.searchParams.get('token') };
+    } else {
+        try {
+            payload = await request.json();
+        } catch {
+            return { response: respond({ success: false, error: 'Invalid JSON payload' }, 400) };
+        }
+    }
+
+    const email = (payload?.email || '').trim().toLowerCase();
+    const tokenEmail = await verifySubscriberToken(env.SUBSCRIBER_TOKEN_SECRET, payload?.token, purpose);
+    if (!email || tokenEmail !== email) {
+        return { response: respond({ success: false, error: `This ${purpose} link is invalid or has expired` }, 401) };
+    }
+
+    return { email, payload, respond };
+}
+
+/**
+ * Client-facing error for a parsed watchlist, or null when it can be saved
+ */
+function describeWatchlistError({ invalid, truncated }) {
+    if (invalid.length > 0) {
+        return `Unrecognized tickers: ${invalid.join(', ')}`;
+    }
+    if (truncated) {
+        return `Watchlists are limited to ${MAX_WATCHLIST_SIZE} tickers`;
+    }
+    return null;
+}
+
+/**
+ * Signed one-click unsubscribe link for a digest, or null when WORKER_URL or
+ * SUBSCRIBER_TOKEN_SECRET is not configured
+ */
+async function buildUnsubscribeUrl(env, email) {
+    if (!env.WORKER_URL || !env.SUBSCRIBER_TOKEN_SECRET) {
+        return null;
+    }
+    const url = new URL('/unsubscribe', env.WORKER_URL);
+    url.searchParams.set('token', await createSubscriberToken(env.SUBSCRIBER_TOKEN_SECRET, email, 'unsubscribe', {
+        expiresInDays: UNSUBSCRIBE_TTL_DAYS
+    }));
+    return url.toString();
+}
+
+/**
+ * One-click unsubscribe link for broadcasts (each contact's token merged in by Resend), or
+ * undefined for Resend's hosted page when WORKER_URL or SUBSCRIBER_TOKEN_SECRET is not configured
+ */
+function buildBroadcastUnsubscribeLink(env) {
+    return env.WORKER_URL && env.SUBSCRIBER_TOKEN_SECRET ? buildBroadcastUnsubscribeUrl(env.WORKER_URL) : undefined;
+}
+
+/**
+ * Sign the unsubscribe token stored on a subscriber's Resend contact
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+async function issueUnsubscribeToken(env, email, now = new Date()) {
+    return {
+        token: await createSubscriberToken(env.SUBSCRIBER_TOKEN_SECRET, email, 'unsubscribe', { expiresInDays: UNSUBSCRIBE_TTL_DAYS, now }),
+        expiresAt: new Date(now.getTime() + UNSUBSCRIBE_TTL_DAYS * MS_PER_DAY).toISOString()
+    };
+}
+
+/**
+ * Write fresh unsubscribe tokens to audience contacts whose token is missing or close to expiry
+ * @returns {Promise<Object>} { refreshed, missing } - missing counts contacts left without a
+ * token because their update failed
+ * @description New subscribers get their token at /confirm; this covers contacts added before
+ * broadcasts linked to the worker (including those the old /subscribe added straight to the
+ * audience, which get a profile here) and tokens nearing UNSUBSCRIBE_TTL_DAYS. The expiry
+ * is tracked on the subscriber profile, since Resend does not return contact attributes.
+ */
+async function refreshUnsubscribeTokens(env, store, now = new Date()) {
+    const subscribers = new SubscriberStore(store);
+    const refreshBefore = now.getTime() + UNSUBSCRIBE_TOKEN_REFRESH_DAYS * MS_PER_DAY;
+    const contacts = (await getAudienceContacts(env.RESEND_API_KEY, env.AUDIENCE_ID))
+        .filter(contact => contact.email && !contact.unsubscribed);
+
+    let refreshed = 0;
+    let missing = 0;
+    for (const contact of contacts) {
+        const profile = await subscribers.getSubscriber(contact.email);
+        const expiresAt = Date.parse(profile?.unsubscribeTokenExpiresAt);
+        if (expiresAt > refreshBefore) {
+            continue;
+        }
+        try {
+            const unsubscribe = await issueUnsubscribeToken(env, contact.email.toLowerCase(), now);
+            await updateAudienceContact(env.RESEND_API_KEY, env.AUDIENCE_ID, contact.email, {
+                attributes: { [UNSUBSCRIBE_TOKEN_ATTRIBUTE]: unsubscribe.token }
+            });
+            await subscribers.saveSubscriber(contact.email, { unsubscribeTokenExpiresAt: unsubscribe.expiresAt });
+            refreshed++;
+        } catch (error) {
+            console.warn(`⚠️  Unsubscribe token not written for ${contact.email}:`, error.message);
+            // A token close to expiry still works today; only contacts without a live one block the link
+            if (!(expiresAt > now.getTime())) missing++;
+        }
+    }
+    return { refreshed, missing };
+}
+
+/**
+ * Signed "Edit your watchlist" link for a digest, or null when SIGNUP_PAGE_URL or
+ * SUBSCRIBER_TOKEN_SECRET is not configured
+ */
+async function buildWatchlistUrl(env, email) {
+    if (!env.SIGNUP_PAGE_URL || !env.SUBSCRIBER_TOKEN_SECRET) {
+        return null;
+    }
+    const url = new URL(env.SIGNUP_PAGE_URL);
+    url.searchParams.set('email', email);
+    url.searchParams.set('token', await createSubscriberToken(env.SUBSCRIBER_TOKEN_SECRET, email, 'watchlist'));
+    return url.toString();
+}
+
+/**
+ * Signed "Manage preferences" link for a digest, or null when SIGNUP_PAGE_URL or
+ * SUBSCRIBER_TOKEN_SECRET is not configured
+ */
+async function buildPreferencesUrl(env, email) {
+    if (!env.SIGNUP_PAGE_URL || !env.SUBSCRIBER_TOKEN_SECRET) {
+        return null;
+    }
+    const url = new URL('preferences.html', env.SIGNUP_PAGE_URL);
+    url.searchParams.set('email', email);
+    url.searchParams.set('token', await createSubscriberToken(env.SUBSCRIBER_TOKEN_SECRET, email, 'preferences'));
+    return url.toString();
+}
+
+function createRunSummary() {
+    return {
+        success: false,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        steps: [],
+        metrics: {
+            newsletterSent: false,
+            publishedSymbols: []
+        },
+        errors: [],
+        _activeStep: null
+    };
+}
+
+function finalizeSummary(summary, startTime) {
+    summary.finishedAt = new Date().toISOString();
+    summary.durationMs = Date.now() - startTime;
+    summary.success = summary.errors.length === 0;
+    delete summary._activeStep;
+    return summary;
+}
+
+function buildEmergencySummary(error) {
+    const summary = createRunSummary();
+    summary.errors.push(formatError(error));
+    summary.steps.push({ name: 'Pipeline', status: 'failed', detail: error.message || 'Unhandled failure' });
+    return finalizeSummary(summary, Date.now());
+}
+
+function formatError(error) {
+    return {
+        message: error?.message || String(error),
+        stack: typeof error?.stack === 'string' ? error.stack.split('\n').slice(0, 5).join('\n') : null
+    };
+}
+
+/**
+ * Shared secret check for operator endpoints (/trigger, /runs, /analyze)
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {URL} url - Parsed request URL
+ * @param {string} feature - Endpoint label used in logs and errors
+ * @returns {Response|null} Error response, or null when the caller is authorized
+ * @description Accepts the secret via the x-trigger-secret header or ?token= query param.
+ */
+function authorizeAdminRequest(request, env, url, feature) {
+    const expectedSecret = env.TRIGGER_AUTH_SECRET || env.TRIGGER_AUTH_TOKEN;
+    if (!expectedSecret) {
+        console.warn(`⚠️  ${feature} blocked: TRIGGER_AUTH_SECRET not configured`);
+        return jsonResponse({
+            success: false,
+            error: `${feature} disabled: missing TRIGGER_AUTH_SECRET`,
+            timestamp: new Date().toISOString()
+        }, 503);
+    }
+
+    const providedSecret = request.headers.get('x-trigger-secret') || url.searchParams.get('token');
+    if (!providedSecret || !timingSafeEqual(providedSecret, expectedSecret)) {
+        console.warn(`⚠️  Unauthorized ${feature.toLowerCase()} attempt`);
+        return jsonResponse({
+            success: false,
+            error: 'Unauthorized',
+            timestamp: new Date().toISOString()
+        }, 401);
+    }
+
+    return null;
+}
+
+function jsonResponse(payload, status = 200) {
+    return new Response(JSON.stringify(payload), {
+        headers: { 'Content-Type': 'application/json' },
+        status
+    });
 }
 
 function timingSafeEqual(a, b) {
@@ -612,8 +2318,9 @@ function resolveAllowedOrigin(origin, allowedOrigins) {
 function createCorsHeaderObject(allowOrigin) {
     return {
         'Access-Control-Allow-Origin': allowOrigin,
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
         'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Expose-Headers': 'Retry-After',
         'Access-Control-Max-Age': '86400',
         'Vary': 'Origin'
     };
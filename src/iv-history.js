@@ -0,0 +1,133 @@
+/**
+ * Implied-volatility history
+ * Stores one ATM IV snapshot per symbol per day and derives 52-week IV Rank and
+ * IV Percentile from it, feeding calculateVolatilityScore with real history.
+ */
+
+const KEY_PREFIX = 'iv-history:';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = 365;
+// Keep a little more than the lookback so the window is always full
+const RETENTION_DAYS = 400;
+// Rank/percentile over a handful of days is noise; leave the score defaults until then
+export const MIN_OBSERVATIONS = 20;
+
+/**
+ * Snapshots inside the 52-week lookback window
+ */
+function getLookbackWindow(history, asOf) {
+    const cutoff = new Date(asOf.getTime() - LOOKBACK_DAYS * MS_PER_DAY).toISOString().split('T')[0];
+    return (history || []).filter(snapshot => snapshot.date >= cutoff && snapshot.iv > 0);
+}
+
+/**
+ * 52-week IV Rank: where current IV sits between the window's low and high
+ * @param {Array<Object>} history - Snapshots ({ date, iv })
+ * @param {number} currentIV - Current ATM IV (%)
+ * @param {Date} [asOf=new Date()] - Reference date for the lookback window
+ * @returns {number|null} Rank 0-100, or null with fewer than MIN_OBSERVATIONS snapshots
+ */
+export function calculateIvRank(history, currentIV, asOf = new Date()) {
+    const window = getLookbackWindow(history, asOf);
+    if (window.length < MIN_OBSERVATIONS || !(currentIV > 0)) {
+        return null;
+    }
+
+    const values = window.map(snapshot => snapshot.iv);
+    const low = Math.min(...values, currentIV);
+    const high = Math.max(...values, currentIV);
+    if (high === low) {
+        return 50;
+    }
+
+    return parseFloat((((currentIV - low) / (high - low)) * 100).toFixed(1));
+}
+
+/**
+ * 52-week IV Percentile: share of days with IV below the current level
+ * @param {Array<Object>} history - Snapshots ({ date, iv })
+ * @param {number} currentIV - Current ATM IV (%)
+ * @param {Date} [asOf=new Date()] - Reference date for the lookback window
+ * @returns {number|null} Percentile 0-100, or null with fewer than MIN_OBSERVATIONS snapshots
+ */
+export function calculateIvPercentile(history, currentIV, asOf = new Date()) {
+    const window = getLookbackWindow(history, asOf);
+    if (window.length < MIN_OBSERVATIONS || !(currentIV > 0)) {
+        return null;
+    }
+
+    const below = window.filter(snapshot => snapshot.iv < currentIV).length;
+    return parseFloat(((below / window.length) * 100).toFixed(1));
+}
+
+/**
+ * Daily IV snapshot store on top of a KV-compatible backend
+ * @class IvHistoryStore
+ * @description One key per symbol (iv-history:SYMBOL) holding snapshots oldest first.
+ * Only chain-derived IV is recorded; HV-based estimates would make rank meaningless.
+ */
+export class IvHistoryStore {
+    /**
+     * @param {Object} store - KV namespace or MemoryKeyValueStore/FileKeyValueStore
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    async getHistory(symbol) {
+        const history = await this.store.get(`${KEY_PREFIX}${symbol}`, 'json');
+        return Array.isArray(history) ? history : [];
+    }
+
+    /**
+     * Upsert today's snapshot for a symbol and trim entries past retention
+     * @async
+     * @param {string} symbol - Stock symbol
+     * @param {Object} snapshot - { iv, expiration } with optional date (YYYY-MM-DD)
+     * @returns {Promise<Array<Object>>} Updated history
+     */
+    async recordSnapshot(symbol, { date = new Date().toISOString().split('T')[0], iv, expiration = null }) {
+        const cutoff = new Date(Date.parse(date) - RETENTION_DAYS * MS_PER_DAY).toISOString().split('T')[0];
+        const history = (await this.getHistory(symbol))
+            .filter(snapshot => snapshot.date !== date && snapshot.date >= cutoff);
+
+        history.push({ date, iv, expiration });
+        history.sort((a, b) => a.date.localeCompare(b.date));
+
+        await this.store.put(`${KEY_PREFIX}${symbol}`, JSON.stringify(history));
+        return history;
+    }
+
+    /**
+     * Record today's IV and populate IV Rank/Percentile on a volatility analysis
+     * @async
+     * @param {Object} analysis - Output of getVolatilityAnalysis (mutated in place)
+     * @returns {Promise<Object>} The same analysis
+     * @description Estimated IV is never written, but rank/percentile are still read
+     * against stored history so a symbol keeps its context on a day the chain fails.
+     */
+    async applyIvMetrics(analysis) {
+        if (!analysis?.symbol || !(analysis.impliedVolatility > 0)) {
+            return analysis;
+        }
+
+        const fromChain = analysis.dataSources?.impliedVolatility === 'yahoo-options-chain';
+        const history = fromChain
+            ? await this.recordSnapshot(analysis.symbol, {
+                iv: analysis.impliedVolatility,
+                expiration: analysis.optionsChain?.expiration ?? null
+            })
+            : await this.getHistory(analysis.symbol);
+
+        const rank = calculateIvRank(history, analysis.impliedVolatility);
+        const percentile = calculateIvPercentile(history, analysis.impliedVolatility);
+
+        if (rank !== null) analysis.impliedVolatilityRank = rank;
+        if (percentile !== null) analysis.impliedVolatilityPercentile = percentile;
+        analysis.ivHistoryDays = history.length;
+
+        return analysis;
+    }
+}
+
+export default IvHistoryStore;
@@ -0,0 +1,286 @@
+/**
+ * Chat notification channels
+ * Posts the digest and the run summary to Slack (incoming webhook, Block Kit) and Discord
+ * (webhook, embeds). Channels are named in DIGEST_CHANNELS / SUMMARY_CHANNELS next to
+ * 'email' (the Resend delivery in index.js), so any combination of email and chat can be
+ * configured; a chat channel only posts once its webhook secret is set. Webhook failures
+ * are reported per channel and never thrown: the email may already be out, and a broken
+ * webhook must not fail the run.
+ */
+
+export const EMAIL_CHANNEL = 'email';
+export const DEFAULT_CHANNELS = Object.freeze([EMAIL_CHANNEL, 'slack', 'discord']);
+// Picks listed in a chat message; the rest are in the linked issue
+export const CHAT_PICK_LIMIT = 5;
+
+const BRAND = 'Options Insight';
+const DISCORD_COLORS = { success: 0x2e7d32, warning: 0xf9a825, blocked: 0x546e7a, failed: 0xc62828 };
+// A forced re-send went out despite duplicate protection, so it is reported like a warning
+const WARNING_STATUSES = ['warning', 'forced'];
+
+const formatPercent = (value) => (value === null || value === undefined ? 'N/A' : `${Number(value).toFixed(1)}%`);
+const formatVix = (vix) => (vix === null || vix === undefined ? 'N/A' : Number(vix).toFixed(1));
+
+/**
+ * Overall run state for the status line and embed colour
+ * @param {Object} summary - Run summary (may still be in progress)
+ * @returns {string} 'success', 'warning', 'blocked' (stopped as a duplicate run) or 'failed'
+ */
+function resolveRunState(summary) {
+    const steps = summary?.steps || [];
+    if (summary?.errors?.length || steps.some(step => step.status === 'failed')) return 'failed';
+    if (steps.some(step => step.status === 'blocked')) return 'blocked';
+    if (steps.some(step => WARNING_STATUSES.includes(step.status))) return 'warning';
+    return 'success';
+}
+
+/**
+ * One-line run status shared by both message kinds
+ * @param {Object} summary - Run summary; durationMs is only set once the run finished
+ * @returns {string} e.g. "✅ Run succeeded in 42.0s" or "⚠️ Run in progress with 2 warnings"
+ */
+export function describeRunStatus(summary) {
+    const state = resolveRunState(summary);
+    const finished = summary?.durationMs !== null && summary?.durationMs !== undefined;
+    const warnings = (summary?.steps || []).filter(step => WARNING_STATUSES.includes(step.status)).length;
+    const timing = finished ? ` in ${(summary.durationMs / 1000).toFixed(1)}s` : '';
+
+    if (state === 'failed') {
+        const reason = summary.errors?.[0]?.message || summary.steps.find(step => step.status === 'failed')?.detail;
+        return `❌ Run failed${timing}${reason ? `: ${reason}` : ''}`;
+    }
+    if (state === 'blocked') {
+        return `⏸️ Run blocked${timing}: ${summary.steps.find(step => step.status === 'blocked').detail}`;
+    }
+    const verb = finished ? 'Run completed' : 'Run in progress';
+    if (state === 'warning') {
+        return `⚠️ ${verb}${timing} with ${warnings} warning${warnings === 1 ? '' : 's'}`;
+    }
+    return finished ? `✅ Run succeeded${timing}` : `✅ ${verb}, all steps passed`;
+}
+
+function describePick(pick) {
+    const details = [
+        pick.recommendation,
+        pick.earningsDate ? `earnings ${pick.earningsDate}${pick.earningsHour ? ` (${pick.earningsHour})` : ''}` : null,
+        `exp. move ±${formatPercent(pick.expectedMovePercent)}`,
+        `IV ${formatPercent(pick.impliedVolatility)}`,
+        pick.strategies?.[0]?.name || null
+    ].filter(Boolean);
+    return details.join(' · ');
+}
+
+function digestTitle(digest) {
+    return `${BRAND} – ${digest.date} (${digest.subjectTag})`;
+}
+
+function escapeSlack(value) {
+    return String(value ?? '').replace(/[&<>]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[char]);
+}
+
+function escapeDiscord(value) {
+    return String(value ?? '').replace(/([*_~`|>\\])/g, '\\$1');
+}
+
+/**
+ * Slack Block Kit payloads
+ * `text` is the notification fallback; blocks render in the channel.
+ */
+export const slackFormatter = {
+    /**
+     * @param {Object} digest - { date, subjectTag, picks, marketContext, issueUrl, summary }
+     * @returns {Object} { text, blocks }
+     */
+    digest({ date, subjectTag, picks = [], marketContext = {}, issueUrl = null, summary = null }) {
+        const shown = picks.slice(0, CHAT_PICK_LIMIT);
+        const pickLines = shown.map(pick => `• *${escapeSlack(pick.symbol)}* – ${escapeSlack(describePick(pick))}`);
+        if (picks.length > shown.length) {
+            pickLines.push(`_…and ${picks.length - shown.length} more in the full issue_`);
+        }
+
+        const blocks = [
+            { type: 'header', text: { type: 'plain_text', text: digestTitle({ date, subjectTag }) } },
+            {
+                type: 'section',
+                fields: [
+                    { type: 'mrkdwn', text: `*VIX*\n${formatVix(marketContext.vix)}` },
+                    { type: 'mrkdwn', text: `*Regime*\n${escapeSlack(marketContext.marketRegime || 'Unknown')}` }
+                ]
+            },
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text: pickLines.length ? pickLines.join('\n') : `_${escapeSlack(marketContext.digestNote || 'No qualifying opportunities today.')}_` }
+            },
+            { type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(describeRunStatus(summary)) }] }
+        ];
+        if (issueUrl) {
+            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `<${issueUrl}|Read the full issue>` } });
+        }
+
+        return { text: `${digestTitle({ date, subjectTag })}: ${picks.map(pick => pick.symbol).join(', ') || 'no picks'}`, blocks };
+    },
+
+    /**
+     * @param {Object} summary - Finalized run summary
+     * @returns {Object} { text, blocks }
+     */
+    runSummary(summary) {
+        const metrics = summary.metrics || {};
+        const status = describeRunStatus(summary);
+        const symbols = metrics.publishedSymbols || [];
+        const flagged = (summary.steps || []).filter(step => step.status !== 'success' && step.status !== 'skipped');
+
+        const blocks = [
+            { type: 'header', text: { type: 'plain_text', text: `${BRAND} run summary` } },
+            { type: 'section', text: { type: 'mrkdwn', text: escapeSlack(status) } },
+            {
+                type: 'section',
+                fields: [
+                    { type: 'mrkdwn', text: `*VIX*\n${formatVix(metrics.vix)}` },
+                    { type: 'mrkdwn', text: `*Regime*\n${escapeSlack(metrics.marketRegime || 'Unknown')}` },
+                    { type: 'mrkdwn', text: `*Top picks*\n${symbols.length ? escapeSlack(symbols.slice(0, CHAT_PICK_LIMIT).join(', ')) : 'None'}` },
+                    { type: 'mrkdwn', text: `*Newsletter*\n${metrics.newsletterSent ? 'Sent' : 'Not sent'}` }
+                ]
+            }
+        ];
+        if (flagged.length) {
+            blocks.push({
+                type: 'section',
+                text: { type: 'mrkdwn', text: flagged.map(step => `• *${escapeSlack(step.name)}* (${step.status}): ${escapeSlack(step.detail)}`).join('\n') }
+            });
+        }
+        if (summary.id) {
+            blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `Run ${escapeSlack(summary.id)}${summary.trigger ? ` · ${escapeSlack(summary.trigger)}` : ''}` }] });
+        }
+
+        return { text: `${BRAND} run summary: ${status}`, blocks };
+    }
+};
+
+/**
+ * Discord webhook payloads (one embed per message)
+ */
+export const discordFormatter = {
+    /**
+     * @param {Object} digest - { date, subjectTag, picks, marketContext, issueUrl, summary }
+     * @returns {Object} { username, embeds }
+     */
+    digest({ date, subjectTag, picks = [], marketContext = {}, issueUrl = null, summary = null }) {
+        const shown = picks.slice(0, CHAT_PICK_LIMIT);
+        const pickLines = shown.map(pick => `**${escapeDiscord(pick.symbol)}** – ${escapeDiscord(describePick(pick))}`);
+        if (picks.length > shown.length) {
+            pickLines.push(`*…and ${picks.length - shown.length} more in the full issue*`);
+        }
+
+        const embed = {
+            title: digestTitle({ date, subjectTag }),
+            description: pickLines.length ? pickLines.join('\n') : `*${escapeDiscord(marketContext.digestNote || 'No qualifying opportunities today.')}*`,
+            color: DISCORD_COLORS[resolveRunState(summary)],
+            fields: [
+                { name: 'VIX', value: formatVix(marketContext.vix), inline: true },
+                { name: 'Regime', value: escapeDiscord(marketContext.marketRegime || 'Unknown'), inline: true }
+            ],
+            footer: { text: describeRunStatus(summary) }
+        };
+        if (issueUrl) {
+            embed.url = issueUrl;
+        }
+
+        return { username: BRAND, embeds: [embed] };
+    },
+
+    /**
+     * @param {Object} summary - Finalized run summary
+     * @returns {Object} { username, embeds }
+     */
+    runSummary(summary) {
+        const metrics = summary.metrics || {};
+        const symbols = metrics.publishedSymbols || [];
+        const flagged = (summary.steps || []).filter(step => step.status !== 'success' && step.status !== 'skipped');
+
+        const embed = {
+            title: `${BRAND} run summary`,
+            description: describeRunStatus(summary),
+            color: DISCORD_COLORS[resolveRunState(summary)],
+            fields: [
+                { name: 'VIX', value: formatVix(metrics.vix), inline: true },
+                { name: 'Regime', value: escapeDiscord(metrics.marketRegime || 'Unknown'), inline: true },
+                { name: 'Top picks', value: symbols.length ? escapeDiscord(symbols.slice(0, CHAT_PICK_LIMIT).join(', ')) : 'None', inline: true },
+                { name: 'Newsletter', value: metrics.newsletterSent ? 'Sent' : 'Not sent', inline: true }
+            ]
+        };
+        if (flagged.length) {
+            embed.fields.push({
+                name: 'Flagged steps',
+                value: flagged.map(step => `**${escapeDiscord(step.name)}** (${step.status}): ${escapeDiscord(step.detail)}`).join('\n').slice(0, 1024)
+            });
+        }
+        if (summary.id) {
+            embed.footer = { text: `Run ${summary.id}${summary.trigger ? ` · ${summary.trigger}` : ''}` };
+        }
+
+        return { username: BRAND, embeds: [embed] };
+    }
+};
+
+// name -> webhook secret and formatter
+const CHAT_CHANNELS = {
+    slack: { secret: 'SLACK_WEBHOOK_URL', formatter: slackFormatter },
+    discord: { secret: 'DISCORD_WEBHOOK_URL', formatter: discordFormatter }
+};
+
+/**
+ * Parse a channel list setting
+ * @param {string} [value] - Comma-separated names (e.g. "email,slack"); unset means DEFAULT_CHANNELS
+ * @returns {Array<string>} Lower-cased channel names
+ * @throws {Error} When a name is neither 'email' nor a chat channel
+ */
+export function parseChannelList(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return [...DEFAULT_CHANNELS];
+    }
+    const names = [...new Set(String(value).split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+    const unknown = names.filter(name => name !== EMAIL_CHANNEL && !CHAT_CHANNELS[name]);
+    if (unknown.length) {
+        throw new Error(`Unknown notification channel "${unknown.join('", "')}". Available: ${[EMAIL_CHANNEL, ...Object.keys(CHAT_CHANNELS)].join(', ')}`);
+    }
+    return names;
+}
+
+/**
+ * Chat channels that are both listed and configured
+ * @param {Object} env - Worker environment (SLACK_WEBHOOK_URL, DISCORD_WEBHOOK_URL)
+ * @param {Array<string>} names - Channel names from parseChannelList
+ * @returns {Array<Object>} [{ name, webhookUrl, formatter }]
+ */
+export function createNotificationChannels(env = {}, names = DEFAULT_CHANNELS) {
+    return names
+        .filter(name => CHAT_CHANNELS[name] && env[CHAT_CHANNELS[name].secret])
+        .map(name => ({ name, webhookUrl: env[CHAT_CHANNELS[name].secret], formatter: CHAT_CHANNELS[name].formatter }));
+}
+
+/**
+ * Post one message kind to every channel
+ * @param {Array<Object>} channels - From createNotificationChannels
+ * @param {string} kind - 'digest' or 'runSummary'
+ * @param {Object} message - Formatter input (digest fields or the run summary)
+ * @returns {Promise<Array<Object>>} [{ channel, ok, status?, error? }], one per channel
+ */
+export async function postNotifications(channels, kind, message) {
+    return Promise.all(channels.map(async ({ name, webhookUrl, formatter }) => {
+        try {
+            const response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(formatter[kind](message))
+            });
+            if (!response.ok) {
+                const detail = (await response.text()).slice(0, 200);
+                return { channel: name, ok: false, status: response.status, error: `HTTP ${response.status}${detail ? `: ${detail}` : ''}` };
+            }
+            return { channel: name, ok: true, status: response.status };
+        } catch (error) {
+            return { channel: name, ok: false, error: error.message };
+        }
+    }));
+}
@@ -0,0 +1,103 @@
+/**
+ * Rate limiting
+ * Fixed-window request counters for public endpoints. Counters live in the worker's
+ * KV namespace under `ratelimit:<scope>:<id>:<window>` and expire with their window, so
+ * nothing needs cleaning up; tests and local runs use the in-memory store from storage.js.
+ * KV is eventually consistent, so a burst spread across edge locations can slip a few
+ * requests past the limit; that is acceptable for signup abuse, which only needs to be
+ * kept to a trickle.
+ */
+
+const KEY_PREFIX = 'ratelimit:';
+// KV rejects expirationTtl below 60 seconds
+const MIN_TTL_SECONDS = 60;
+
+// Limits for POST /subscribe: generous enough for typos, far below scripted abuse
+export const SUBSCRIBE_RATE_LIMITS = Object.freeze({
+    ip: { limit: 5, windowSeconds: 10 * 60 },
+    email: { limit: 3, windowSeconds: 60 * 60 }
+});
+
+// Per-chat limit for Telegram bot commands; each /symbol costs several data-provider calls
+export const TELEGRAM_RATE_LIMIT = Object.freeze({ limit: 20, windowSeconds: 10 * 60 });
+
+// Daily POST /analyze quota per caller, counted in symbols (ANALYZE_DAILY_QUOTA overrides the limit)
+export const ANALYZE_RATE_LIMIT = Object.freeze({ limit: 100, windowSeconds: 24 * 60 * 60 });
+// Daily POST /analyze cap across all callers, in symbols (ANALYZE_GLOBAL_DAILY_QUOTA overrides the limit)
+export const ANALYZE_GLOBAL_RATE_LIMIT = Object.freeze({ limit: 500, windowSeconds: 24 * 60 * 60 });
+
+/**
+ * Fixed-window rate limiter on top of a KV-compatible store
+ * @class RateLimiter
+ * @param {Object} store - Workers KV namespace or compatible store (see storage.js)
+ */
+export class RateLimiter {
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * Count one request and report whether it is within the limit
+     * @param {string} scope - Counter family (e.g. 'subscribe-ip')
+     * @param {string} id - Client identifier within the scope (IP, email)
+     * @param {Object} rule - { limit, windowSeconds }
+     * @param {Date} [now=new Date()] - Request time
+     * @param {number} [cost=1] - Units this request uses (e.g. symbols analyzed)
+     * @returns {Promise<Object>} { allowed, remaining, retryAfter } - retryAfter in seconds until the window resets
+     */
+    async hit(scope, id, { limit, windowSeconds }, now = new Date(), cost = 1) {
+        const nowSeconds = Math.floor(now.getTime() / 1000);
+        const windowStart = nowSeconds - (nowSeconds % windowSeconds);
+        const retryAfter = windowStart + windowSeconds - nowSeconds;
+        const key = `${KEY_PREFIX}${scope}:${id}:${windowStart}`;
+
+        const count = Number(await this.store.get(key)) || 0;
+        if (count + cost > limit) {
+            return { allowed: false, remaining: Math.max(limit - count, 0), retryAfter };
+        }
+
+        await this.store.put(key, String(count + cost), { expirationTtl: Math.max(retryAfter, MIN_TTL_SECONDS) });
+        return { allowed: true, remaining: limit - count - cost, retryAfter };
+    }
+
+    /**
+     * Give back units counted by hit() in the same window, e.g. for work that never ran
+     * @param {string} scope - Counter family
+     * @param {string} id - Client identifier within the scope
+     * @param {Object} rule - { limit, windowSeconds } used for the hit
+     * @param {Date} [now=new Date()] - Time of the hit
+     * @param {number} [cost=1] - Units to give back
+     * @returns {Promise<number>} Units now used in the window
+     */
+    async refund(scope, id, { windowSeconds }, now = new Date(), cost = 1) {
+        const nowSeconds = Math.floor(now.getTime() / 1000);
+        const windowStart = nowSeconds - (nowSeconds % windowSeconds);
+        const key = `${KEY_PREFIX}${scope}:${id}:${windowStart}`;
+
+        const count = Number(await this.store.get(key)) || 0;
+        const used = Math.max(count - cost, 0);
+        await this.store.put(key, String(used), {
+            expirationTtl: Math.max(windowStart + windowSeconds - nowSeconds, MIN_TTL_SECONDS)
+        });
+        return used;
+    }
+
+    /**
+     * Check several counters for one request; every counter is incremented until one is exceeded
+     * @param {Array<Object>} checks - [{ scope, id, rule }]; entries without an id are skipped
+     * @param {Date} [now=new Date()] - Request time
+     * @returns {Promise<Object>} { allowed, scope?, retryAfter? } - scope names the exhausted counter
+     */
+    async hitAll(checks, now = new Date()) {
+        for (const { scope, id, rule } of checks) {
+            if (!id) continue;
+            const result = await this.hit(scope, id, rule, now);
+            if (!result.allowed) {
+                return { allowed: false, scope, retryAfter: result.retryAfter };
+            }
+        }
+        return { allowed: true };
+    }
+}
+
+export default RateLimiter;
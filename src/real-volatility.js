@@ -81,8 +81,10 @@ class RealVolatilityData {
 
     /**
      * Get volatility analysis for multiple symbols (simplified)
+     * @param {Array<string>} symbols - Symbols to analyze
+     * @param {Object} [options={}] - Passed through to the data provider (earningsEvents)
      */
-    async getBulkVolatilityAnalysis(symbols) {
+    async getBulkVolatilityAnalysis(symbols, options = {}) {
         if (!this.initialized) {
             console.warn('⚠️ Data providers not initialized, using mock data');
             return this.getMockBulkData(symbols);
@@ -91,7 +93,7 @@ class RealVolatilityData {
         try {
             // Use simplified provider for bulk analysis
             console.log(`📊 Using simplified provider for ${symbols.length} symbols...`);
-            const results = await this.dataProvider.getBulkVolatilityAnalysis(symbols);
+            const results = await this.dataProvider.getBulkVolatilityAnalysis(symbols, options);
             
             // Handle null/undefined results
             if (!results || typeof results !== 'object') {
@@ -201,14 +203,16 @@ export async function getVolatilityAnalysis(symbol, alphaVantageApiKey = null, f
 
 /**
  * Get volatility analysis for multiple symbols (compatible interface)
+ * @param {Object} [options={}] - Optional settings; options.earningsEvents maps symbol
+ * to { date, hour } so implied volatility comes from the expiry covering earnings
  */
-export async function getBulkVolatilityAnalysis(symbols, alphaVantageApiKey = null, finnhubApiKey = null) {
+export async function getBulkVolatilityAnalysis(symbols, alphaVantageApiKey = null, finnhubApiKey = null, options = {}) {
     // If API keys are provided and not initialized yet, initialize now
     if ((alphaVantageApiKey || finnhubApiKey) && !realVolatilityData.initialized) {
         await realVolatilityData.initialize(alphaVantageApiKey, finnhubApiKey);
     }
     
-    return await realVolatilityData.getBulkVolatilityAnalysis(symbols);
+    return await realVolatilityData.getBulkVolatilityAnalysis(symbols, options);
 }
 
 /**
@@ -219,8 +223,9 @@ export function calculateVolatilityScore(volatilityData) {
         return 0;
     }
 
-    const ivPercentile = volatilityData.impliedVolatilityPercentile || 50;
-    const ivRank = volatilityData.impliedVolatilityRank || 0;
+    // Populated from stored IV history (iv-history.js); 0 is a legitimate reading
+    const ivPercentile = volatilityData.impliedVolatilityPercentile ?? 50;
+    const ivRank = volatilityData.impliedVolatilityRank ?? 0;
     const liquidity = volatilityData.optionsVolume || 0;
     
     return (ivPercentile * 0.4) + (ivRank * 0.4) + (Math.min(liquidity / 10000, 10) * 0.2);
@@ -0,0 +1,121 @@
+/**
+ * Run history
+ * Persists every pipeline run summary (steps, metrics, errors, broadcast id) so failures,
+ * duration trends and published symbols can be audited after the summary email is gone.
+ * Each run is stored under `runs:<id>`; a compact index under `run-index` keeps the
+ * newest runs first so listing never depends on KV list consistency.
+ */
+
+const RUN_PREFIX = 'runs:';
+const INDEX_KEY = 'run-index';
+export const RUN_RETENTION_DAYS = 90;
+export const MAX_INDEXED_RUNS = 500;
+
+/**
+ * Sortable run id: UTC start time plus a random suffix, e.g. 20250102T100000Z-1a2b3c4d
+ */
+export function createRunId(startedAt = new Date().toISOString()) {
+    const stamp = startedAt.replace(/[-:]/g, '').replace(/\.\d+/, '');
+    return `${stamp}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * Index entry for a run (what GET /runs returns without loading every record)
+ */
+function toIndexEntry(run) {
+    return {
+        id: run.id,
+        trigger: run.trigger || null,
+        success: run.success,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        durationMs: run.durationMs,
+        errorCount: run.errors?.length || 0,
+        failedSteps: (run.steps || []).filter(step => step.status === 'failed').map(step => step.name),
+        newsletterReason: run.metrics?.newsletterReason || null,
+        broadcastId: run.metrics?.broadcastId || null,
+        publishedSymbols: run.metrics?.publishedSymbols || [],
+        scoringProfile: run.metrics?.scoringProfile || null
+    };
+}
+
+/**
+ * Run summary persistence on top of a KV-compatible store
+ * @class RunHistoryStore
+ * @param {Object} store - Workers KV namespace or a compatible store (see storage.js)
+ */
+export class RunHistoryStore {
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * Persist a finalized run summary
+     * @param {Object} summary - Summary from the pipeline (finalized)
+     * @param {Object} [options={}] - Run metadata
+     * @param {string} [options.trigger] - What started the run ('scheduled', 'manual', 'cli')
+     * @returns {Promise<Object>} Stored run record (summary plus id and trigger)
+     */
+    async saveRun(summary, { trigger } = {}) {
+        const run = {
+            ...summary,
+            id: summary.id || createRunId(summary.startedAt),
+            trigger: trigger || summary.trigger || null
+        };
+
+        await this.store.put(`${RUN_PREFIX}${run.id}`, JSON.stringify(run), {
+            expirationTtl: RUN_RETENTION_DAYS * 24 * 60 * 60
+        });
+
+        const cutoff = new Date(Date.now() - RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const index = (await this.getIndex())
+            .filter(entry => entry.id !== run.id && entry.startedAt >= cutoff);
+        index.unshift(toIndexEntry(run));
+        await this.store.put(INDEX_KEY, JSON.stringify(index.slice(0, MAX_INDEXED_RUNS)));
+
+        return run;
+    }
+
+    async getIndex() {
+        const index = await this.store.get(INDEX_KEY, 'json');
+        return Array.isArray(index) ? index : [];
+    }
+
+    /**
+     * List recent runs, newest first
+     * @param {Object} [options={}] - Filters
+     * @param {number} [options.limit=20] - Maximum entries
+     * @param {string} [options.status] - 'success' or 'failed'
+     * @returns {Promise<Array<Object>>} Index entries
+     */
+    async listRuns({ limit = 20, status } = {}) {
+        const index = await this.getIndex();
+        const filtered = status
+            ? index.filter(entry => (status === 'success' ? entry.success : !entry.success))
+            : index;
+        return filtered.slice(0, limit);
+    }
+
+    /**
+     * Load a full run record
+     * @returns {Promise<Object|null>} Run or null when unknown or expired
+     */
+    async getRun(id) {
+        if (!id) return null;
+        return this.store.get(`${RUN_PREFIX}${id}`, 'json');
+    }
+
+    /**
+     * Amend a stored run, e.g. with a broadcast approval decided after the run finished
+     * @param {string} id - Run id
+     * @param {Function} apply - (run) => updated run
+     * @returns {Promise<Object|null>} Updated run, or null when the run is unknown or expired
+     */
+    async updateRun(id, apply) {
+        const run = await this.getRun(id);
+        if (!run) return null;
+        return this.saveRun(apply(run), { trigger: run.trigger });
+    }
+}
+
+export default RunHistoryStore;
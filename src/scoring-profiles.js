@@ -0,0 +1,87 @@
+/**
+ * Scoring profiles
+ * Named weight tables and filters for opportunity selection, defined in
+ * config/scoring-profiles.json. A run picks one via SCORING_PROFILE, `/trigger?profile=`
+ * or the CLI; `default` reproduces the original hand-tuned weights.
+ */
+
+import SCORING_PROFILES from './config/scoring-profiles.json' with { type: 'json' };
+
+export const DEFAULT_SCORING_PROFILE = 'default';
+
+const WEIGHT_KEYS = ['volatility', 'timing', 'liquidity', 'technical', 'dataAvailability'];
+const FILTER_KEYS = ['minDaysToEarnings', 'maxDaysToEarnings', 'minVolatilityScore', 'prescreenLimit', 'minQualityScore', 'maxOpportunities'];
+
+const isNonNegativeNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate a scoring profile definition
+ * @param {Object} profile - Profile from scoring-profiles.json
+ * @returns {Object} { isValid, issues }
+ */
+export function validateScoringProfile(profile) {
+    const issues = [];
+    if (!profile || typeof profile !== 'object') {
+        return { isValid: false, issues: ['Profile must be an object'] };
+    }
+
+    for (const key of WEIGHT_KEYS) {
+        if (!isNonNegativeNumber(profile.weights?.[key])) {
+            issues.push(`weights.${key} must be a non-negative number`);
+        }
+    }
+
+    const { idealMinDays, idealMaxDays } = profile.timing || {};
+    if (!isNonNegativeNumber(idealMinDays) || !isNonNegativeNumber(idealMaxDays)) {
+        issues.push('timing.idealMinDays and timing.idealMaxDays must be non-negative numbers');
+    } else if (idealMinDays > idealMaxDays) {
+        issues.push('timing.idealMinDays must not exceed timing.idealMaxDays');
+    }
+
+    const filters = profile.filters || {};
+    for (const key of FILTER_KEYS) {
+        if (!isNonNegativeNumber(filters[key])) {
+            issues.push(`filters.${key} must be a non-negative number`);
+        }
+    }
+    if (filters.minDaysToEarnings > filters.maxDaysToEarnings) {
+        issues.push('filters.minDaysToEarnings must not exceed filters.maxDaysToEarnings');
+    }
+    if (!(filters.maxOpportunities >= 1)) {
+        issues.push('filters.maxOpportunities must be at least 1');
+    }
+    if (filters.prescreenLimit < filters.maxOpportunities) {
+        issues.push('filters.prescreenLimit must be at least filters.maxOpportunities');
+    }
+
+    return { isValid: issues.length === 0, issues };
+}
+
+/**
+ * Names of the configured profiles
+ */
+export function listScoringProfiles() {
+    return Object.keys(SCORING_PROFILES);
+}
+
+/**
+ * Resolve a scoring profile by name
+ * @param {string} [name='default'] - Profile name (blank falls back to the default)
+ * @returns {Object} Profile with its name ({ name, description, weights, timing, filters })
+ * @throws {Error} When the profile is unknown or fails validation
+ */
+export function getScoringProfile(name) {
+    const profileName = name?.trim() || DEFAULT_SCORING_PROFILE;
+    const profile = SCORING_PROFILES[profileName];
+    if (!profile) {
+        throw new Error(`Unknown scoring profile "${profileName}" (available: ${listScoringProfiles().join(', ')})`);
+    }
+
+    const { isValid, issues } = validateScoringProfile(profile);
+    if (!isValid) {
+        throw new Error(`Invalid scoring profile "${profileName}": ${issues.join('; ')}`);
+    }
+    return { name: profileName, ...profile };
+}
+
+export default SCORING_PROFILES;
@@ -20,6 +20,19 @@
 
 // FIX: Removed const FINNHUB_API_KEY = process.env.FINNHUB_API_KEY; to fix Cloudflare deployment error
 
+import { OPTIONS_PRICING } from "./config.js";
+import {
+  selectTargetExpiration,
+  calculateAtmImpliedVolatility,
+  calculateImpliedMove,
+} from "./implied-volatility.js";
+import { calculateTechnicalIndicators } from "./technical-indicators.js";
+
+// Historical volatility window (calendar days)
+const HISTORICAL_VOLATILITY_DAYS = 60;
+// Enough calendar days for ~65 sessions so the 50-day SMA is available
+const INDICATOR_LOOKBACK_DAYS = 100;
+
 /**
  * Helper: fetch a URL with retry and exponential backoff.
  * Added for Issue: Fix 52-week range and add ticker hyperlinks to newsletter #16
@@ -95,6 +108,8 @@ class SimplifiedDataProvider {
     // Increased delay to prevent API rate limiting and reduce subrequest pressure
     this.requestDelay = config.requestDelay || 800; // 800ms to be more conservative
     this.yahooEndpoint = "https://query1.finance.yahoo.com/v8/finance/chart/";
+    this.yahooOptionsEndpoint =
+      "https://query2.finance.yahoo.com/v7/finance/options/";
     this.userAgent =
       "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36";
 
@@ -294,11 +309,17 @@ class SimplifiedDataProvider {
     for (let i = 0; i < adjClose.length; i++) {
       if (adjClose[i] !== null && adjClose[i] !== undefined) {
         const date = new Date(timestamps[i] * 1000);
+        // Scale the raw open/high/low onto the adjusted-close basis so gaps and
+        // true ranges stay comparable across dividends and splits
+        const rawClose = quote.close?.[i];
+        const toAdjusted = (raw) =>
+          raw && rawClose ? (raw * adjClose[i]) / rawClose : undefined;
         prices.push({
           date: date.toISOString().split("T")[0], // YYYY-MM-DD format
+          open: toAdjusted(quote.open?.[i]),
           close: adjClose[i],
-          high: quote.high?.[i] || adjClose[i],
-          low: quote.low?.[i] || adjClose[i],
+          high: toAdjusted(quote.high?.[i]) || adjClose[i],
+          low: toAdjusted(quote.low?.[i]) || adjClose[i],
           volume: quote.volume?.[i] || 0,
         });
       }
@@ -345,6 +366,92 @@ class SimplifiedDataProvider {
     };
   }
 
+  /**
+   * Yahoo Finance v7 options chain for a single expiration
+   * @param {string} symbol - Stock symbol
+   * @param {number|null} [expiration=null] - Expiration (unix seconds); nearest when omitted
+   * @returns {Promise<Object>} Listed expirations, strikes and the requested chain slice
+   */
+  async getYahooOptionsChain(symbol, expiration = null) {
+    const url = expiration
+      ? `${this.yahooOptionsEndpoint}${symbol}?date=${expiration}`
+      : `${this.yahooOptionsEndpoint}${symbol}`;
+
+    const response = await globalThis.fetch(url, {
+      headers: {
+        "User-Agent": this.userAgent,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Yahoo options API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const result = data?.optionChain?.result?.[0];
+
+    if (!result) {
+      throw new Error("No options chain available");
+    }
+
+    return {
+      expirationDates: result.expirationDates || [],
+      strikes: result.strikes || [],
+      underlyingPrice: result.quote?.regularMarketPrice ?? null,
+      options: result.options?.[0] || null,
+    };
+  }
+
+  /**
+   * ATM implied volatility backed out of the listed options chain
+   * @async
+   * @param {string} symbol - Stock symbol
+   * @param {number} spot - Current underlying price
+   * @param {Object} [context={}] - Earnings timing used to pick the expiry
+   * @param {string} [context.earningsDate] - Earnings date (YYYY-MM-DD)
+   * @param {string} [context.earningsHour] - Finnhub session flag ('bmo', 'amc', 'dmh')
+   * @param {number} [context.historicalVolatility] - HV (%) used to isolate the event move
+   * @returns {Promise<Object>} ATM summary from calculateAtmImpliedVolatility plus
+   * impliedMove from calculateImpliedMove (null when no straddle is quoted)
+   * @throws When the chain is unavailable or has no usable quotes around spot
+   * @description Uses the first expiry that captures the earnings event so the IV
+   * includes the event premium. Costs one request, or two when the target expiry is
+   * not the front month.
+   */
+  async getChainImpliedVolatility(symbol, spot, context = {}) {
+    const frontChain = await this.getYahooOptionsChain(symbol);
+    const targetExpiration = selectTargetExpiration(frontChain.expirationDates, {
+      earningsDate: context.earningsDate,
+      earningsHour: context.earningsHour,
+    });
+
+    if (!targetExpiration) {
+      throw new Error("No listed expiration covers the earnings date");
+    }
+
+    const chain =
+      frontChain.options?.expirationDate === targetExpiration
+        ? frontChain
+        : await this.getYahooOptionsChain(symbol, targetExpiration);
+
+    const atm = calculateAtmImpliedVolatility(chain.options, {
+      spot,
+      rate: OPTIONS_PRICING.riskFreeRate,
+      dividendYield: OPTIONS_PRICING.dividendYield,
+    });
+
+    if (!atm) {
+      throw new Error("No usable ATM quotes in options chain");
+    }
+
+    const impliedMove = calculateImpliedMove(chain.options, {
+      spot,
+      historicalVolatility: context.historicalVolatility,
+    });
+
+    return { ...atm, impliedMove };
+  }
+
   /**
    * Calculate historical volatility from price data
    */
@@ -393,22 +500,31 @@ class SimplifiedDataProvider {
    * Modified Function for Issue: Fix 52-week range and add ticker hyperlinks to newsletter #16
    * @async
    * @param {string} symbol - Stock symbol to analyze
+   * @param {Object} [context={}] - Optional earnings timing ({ earningsDate, earningsHour })
    * @returns {Promise<Object|null>} Volatility analysis object or null if invalid symbol
    * @returns {string} returns.symbol - Stock symbol
    * @returns {number} returns.currentPrice - Current stock price
    * @returns {number} returns.historicalVolatility - 30-day historical volatility (%)
-   * @returns {number} returns.impliedVolatility - Estimated implied volatility (%)
+   * @returns {number} returns.impliedVolatility - ATM implied volatility from the options
+   * chain (%), or an HV-based estimate when the chain is unavailable
+   * @returns {Object|null} returns.optionsChain - ATM chain summary (expiration, strike, IVs)
    * @returns {number} returns.expectedMove - Expected price move through earnings
+   * @returns {Object|null} returns.impliedMove - Straddle-implied move for the expiry after
+   * earnings ({ straddlePrice, movePercent, eventMovePercent, ... }), null without a chain
    * @returns {number} returns.volatilityScore - Composite volatility score (0-100)
    * @returns {number} returns.optionsVolume - Estimated options trading volume
-   * @returns {Object} returns.technicalIndicators - Technical analysis data
-   * @returns {number} returns.technicalIndicators.rsi - RSI indicator value
+   * @returns {Object} returns.technicalIndicators - Technical analysis data (see
+   * calculateTechnicalIndicators); source is 'estimated' when no bars were available
+   * @returns {number} returns.technicalIndicators.rsi - Wilder RSI(14)
    * @returns {string} returns.dataQuality - Quality flag ('real' or 'estimated')
+   * @returns {Object} returns.dataSources - Source per input; dataSources.impliedVolatility
+   * is 'yahoo-options-chain' or 'estimated-hv-premium'
    * @description Core analysis function combining quote data, historical volatility,
    * and technical indicators. Implements multi-source fallback strategy and includes
-   * estimated options volume and RSI for quality scoring.
+   * estimated options volume for quality scoring. RSI/ATR/Bollinger/SMA come from
+   * ~100 days of daily bars; historical volatility uses the most recent 60 days.
    */
-  async getVolatilityAnalysis(symbol) {
+  async getVolatilityAnalysis(symbol, context = {}) {
     console.log(`📊 Analyzing volatility for ${symbol}...`);
 
     if (symbol === "INVALID") {
@@ -431,14 +547,17 @@ class SimplifiedDataProvider {
       }
 
       // Get historical data
-      const historicalData = await this.getHistoricalData(symbol);
+      const historicalData = await this.getHistoricalData(
+        symbol,
+        INDICATOR_LOOKBACK_DAYS
+      );
       let historicalVol = null;
       let dataSource = "estimated";
       let dataQuality = "estimated";
 
       if (historicalData?.prices?.length) {
         historicalVol = this.calculateHistoricalVolatility(
-          historicalData.prices
+          this.getRecentBars(historicalData.prices, HISTORICAL_VOLATILITY_DAYS)
         );
         dataSource = historicalData.source;
         dataQuality = "real";
@@ -463,12 +582,51 @@ class SimplifiedDataProvider {
         console.log(`📊 Using estimated volatility: ${historicalVol}%`);
       }
 
-      // Estimate implied volatility based on historical
-      const impliedVol = this.estimateImpliedVolatility(symbol, historicalVol);
+      // Implied volatility from the options chain; HV-based estimate only as fallback
+      let impliedVol;
+      let impliedVolSource;
+      let optionsChain = null;
+      let impliedMove = null;
+      try {
+        ({ impliedMove, ...optionsChain } =
+          await this.getChainImpliedVolatility(symbol, quote.price, {
+            ...context,
+            historicalVolatility: historicalVol,
+          }));
+        impliedVol = optionsChain.atmIV;
+        impliedVolSource = "yahoo-options-chain";
+        console.log(
+          `✅ ATM IV from ${optionsChain.expiration} chain: ${impliedVol}%`
+        );
+      } catch (error) {
+        console.warn(
+          `⚠️ Options chain IV unavailable for ${symbol}:`,
+          error.message
+        );
+        impliedVol = this.estimateImpliedVolatility(symbol, historicalVol);
+        impliedVolSource = "estimated-hv-premium";
+      }
+
+      // Technical indicators from daily bars; explicit estimate when bars are missing
+      let technicalIndicators = historicalData?.prices?.length
+        ? calculateTechnicalIndicators(historicalData.prices)
+        : null;
+      if (technicalIndicators?.rsi == null) {
+        technicalIndicators = this.getEstimatedTechnicalIndicators(
+          symbol,
+          quote.changePercent
+        );
+        console.log(`📊 Using estimated RSI for ${symbol} (no price history)`);
+      }
 
       // Calculate expected move (30-day)
       const expectedMove =
         quote.price * (impliedVol / 100) * Math.sqrt(30 / 365);
+      if (impliedMove) {
+        console.log(
+          `✅ Implied move through ${impliedMove.expiration}: ±${impliedMove.movePercent}% (event ±${impliedMove.eventMovePercent ?? "N/A"}%)`
+        );
+      }
 
       const analysis = {
         symbol,
@@ -479,20 +637,26 @@ class SimplifiedDataProvider {
         historicalVolatility: historicalVol,
         impliedVolatility: impliedVol,
         expectedMove: parseFloat(expectedMove.toFixed(2)),
+        impliedMove,
         volatilityScore: 0,
         optionsVolume: this.estimateOptionsVolume(symbol, quote.volume),
-        technicalIndicators: {
-          rsi: this.estimateRSI(symbol, quote.changePercent),
-        },
+        technicalIndicators,
         weeklyRange: this.calculate5WeekRange(
           symbol,
           quote.price,
           historicalData
         ),
+        optionsChain,
         fiftyTwoWeekHigh,
         fiftyTwoWeekLow,
         dataQuality,
-        dataSources: { quote: quote.source, historical: dataSource },
+        dataSources: {
+          quote: quote.source,
+          historical: dataSource,
+          impliedVolatility: impliedVolSource,
+          technicals:
+            technicalIndicators.source === "estimated" ? "estimated" : dataSource,
+        },
         lastUpdated: new Date().toISOString(),
       };
 
@@ -519,11 +683,19 @@ class SimplifiedDataProvider {
         historicalVolatility: historicalVol,
         impliedVolatility: impliedVol,
         expectedMove: parseFloat(expectedMove.toFixed(2)),
+        impliedMove: null,
         volatilityScore: 0,
+        technicalIndicators: this.getEstimatedTechnicalIndicators(symbol, 0),
+        optionsChain: null,
         fiftyTwoWeekHigh,
         fiftyTwoWeekLow,
         dataQuality: "estimated",
-        dataSources: { quote: "estimated", historical: "estimated" },
+        dataSources: {
+          quote: "estimated",
+          historical: "estimated",
+          impliedVolatility: "estimated-hv-premium",
+          technicals: "estimated",
+        },
         lastUpdated: new Date().toISOString(),
       };
     }
@@ -605,7 +777,38 @@ class SimplifiedDataProvider {
   }
 
   /**
-   * Estimate RSI based on recent price change and symbol characteristics
+   * Bars within the last `days` calendar days of the most recent bar
+   */
+  getRecentBars(prices, days) {
+    if (!prices?.length) return [];
+    const lastDate = Date.parse(prices[prices.length - 1].date);
+    if (!Number.isFinite(lastDate)) return prices;
+    const cutoff = lastDate - days * 24 * 60 * 60 * 1000;
+    return prices.filter((bar) => Date.parse(bar.date) > cutoff);
+  }
+
+  /**
+   * Indicator placeholder when no price history is available
+   * Only RSI is approximated; everything else stays null and source is 'estimated'
+   * so scoring and the newsletter can tell it apart from computed values.
+   */
+  getEstimatedTechnicalIndicators(symbol, changePercent = 0) {
+    return {
+      rsi: this.estimateRSI(symbol, changePercent),
+      atr: null,
+      atrPercent: null,
+      bollingerWidth: null,
+      sma20: null,
+      sma50: null,
+      sma20Distance: null,
+      sma50Distance: null,
+      barCount: 0,
+      source: "estimated",
+    };
+  }
+
+  /**
+   * Estimate RSI from the latest daily change (fallback only, deterministic)
    */
   estimateRSI(symbol, changePercent = 0) {
     // Base RSI around neutral 50
@@ -619,11 +822,8 @@ class SimplifiedDataProvider {
     else if (changePercent < -1) baseRSI -= 8;
     else if (changePercent < 0) baseRSI -= 3;
 
-    // Add some randomness for variety (±5 points)
-    const randomAdjustment = (Math.random() - 0.5) * 10;
-
     // Clamp between 20-80 for realistic values
-    const estimatedRSI = Math.max(20, Math.min(80, baseRSI + randomAdjustment));
+    const estimatedRSI = Math.max(20, Math.min(80, baseRSI));
 
     return parseFloat(estimatedRSI.toFixed(1));
   }
@@ -722,6 +922,8 @@ class SimplifiedDataProvider {
 
   /**
    * Estimate implied volatility with realistic market premiums
+   * Fallback only - used when no options chain IV is available, and reported as
+   * 'estimated-hv-premium' in dataSources.impliedVolatility
    */
   estimateImpliedVolatility(symbolOrHistoricalVol, historicalVol = null) {
     // Handle both calling patterns: (symbol, historicalVol) and (historicalVol)
@@ -811,8 +1013,12 @@ class SimplifiedDataProvider {
 
   /**
    * Optimized bulk analysis with intelligent batching and Yahoo Finance speed
+   * @param {Array<string>} symbols - Symbols to analyze
+   * @param {Object} [options={}] - Optional settings
+   * @param {Object} [options.earningsEvents] - Map of symbol to { date, hour } used to
+   * pick the options expiry that captures each earnings event
    */
-  async getBulkVolatilityAnalysis(symbols) {
+  async getBulkVolatilityAnalysis(symbols, options = {}) {
     console.log(
       `📊 Analyzing ${symbols.length} symbols with Yahoo Finance optimization...`
     );
@@ -823,7 +1029,11 @@ class SimplifiedDataProvider {
       const symbol = symbols[i];
 
       try {
-        results[symbol] = await this.getVolatilityAnalysis(symbol);
+        const event = options.earningsEvents?.[symbol];
+        results[symbol] = await this.getVolatilityAnalysis(symbol, {
+          earningsDate: event?.date,
+          earningsHour: event?.hour,
+        });
         console.log(`✅ Analysis complete for ${symbol} (Score: ${results[symbol]?.volatilityScore || 'N/A'}/100)`);
       } catch (error) {
         console.error(`❌ Analysis failed for ${symbol}:`, error);
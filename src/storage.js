@@ -0,0 +1,66 @@
+/**
+ * Key-value storage
+ * Persists small JSON documents (IV history, run records) in Workers KV. When no KV
+ * namespace is bound (local dev, tests) an in-memory store with the same interface
+ * is used so callers never branch on the environment.
+ */
+
+/**
+ * In-memory stand-in for a Workers KV namespace
+ * @class MemoryKeyValueStore
+ * @description Implements the subset of the KV API the worker uses: get (text/json),
+ * put with expirationTtl, delete and prefix list. Data lives for the isolate lifetime.
+ */
+export class MemoryKeyValueStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key, type = 'text') {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    }
+
+    async put(key, value, options = {}) {
+        const expiresAt = options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null;
+        this.entries.set(key, { value: String(value), expiresAt });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async list({ prefix = '' } = {}) {
+        const keys = [];
+        for (const key of [...this.entries.keys()].sort()) {
+            if (key.startsWith(prefix) && (await this.get(key)) !== null) {
+                keys.push({ name: key });
+            }
+        }
+        return { keys, list_complete: true };
+    }
+}
+
+// Shared fallback so repeated requests in one isolate see the same data
+const memoryStore = new MemoryKeyValueStore();
+
+/**
+ * Resolve the key-value store for the current environment
+ * @param {Object} [env={}] - Worker environment bindings
+ * @returns {Object} OPTIONS_INSIGHT_KV binding, or the shared in-memory store
+ */
+export function createKeyValueStore(env = {}) {
+    if (env.OPTIONS_INSIGHT_KV) {
+        return env.OPTIONS_INSIGHT_KV;
+    }
+
+    console.warn('⚠️  OPTIONS_INSIGHT_KV not bound; using in-memory storage (data is not persisted)');
+    return memoryStore;
+}
@@ -0,0 +1,190 @@
+/**
+ * Deterministic strategy builder
+ * Proposes concrete earnings trades (short strangle, iron condor, long straddle,
+ * calendar) from the volatility regime, IV vs HV and the expected move before the
+ * model is consulted, so the AI comments on real strikes instead of inventing trades.
+ */
+
+import { OPTIONS_PRICING } from './config.js';
+import { priceStrategy, estimateStrikeIncrement, roundToStrike } from './strategy-pricing.js';
+
+// IV/HV ratios beyond these bounds mark options as rich or cheap versus realized movement
+const RICH_IV_RATIO = 1.25;
+const CHEAP_IV_RATIO = 0.9;
+// Back-month calendar leg sits roughly one monthly cycle after the earnings expiry
+const CALENDAR_GAP_DAYS = 28;
+// Long premium bought earlier than this bleeds theta before the event
+const STRADDLE_ENTRY_WINDOW_DAYS = 5;
+
+/**
+ * Market inputs for building and pricing trades on an opportunity
+ * @param {Object} opportunity - Earnings opportunity with volatilityData
+ * @returns {Object|null} Inputs for strategy-pricing, or null without price and IV
+ * @description Uses the earnings expiry from the options chain when available, otherwise
+ * assumes the first expiry after the report. The straddle price is the preferred
+ * expected move; the IV-based expected move is the fallback.
+ */
+export function getStrategyMarketInputs(opportunity) {
+    const vol = opportunity?.volatilityData;
+    if (!(vol?.currentPrice > 0) || !(vol?.impliedVolatility > 0)) {
+        return null;
+    }
+
+    return {
+        spot: vol.currentPrice,
+        volatility: vol.impliedVolatility / 100,
+        rate: OPTIONS_PRICING.riskFreeRate,
+        dividendYield: OPTIONS_PRICING.dividendYield,
+        daysToExpiry: vol.optionsChain?.daysToExpiry || Math.max(1, (opportunity.daysToEarnings ?? 0) + 1),
+        strikeIncrement: vol.optionsChain?.strikeIncrement,
+        expectedMove: vol.impliedMove?.straddlePrice ?? vol.expectedMove
+    };
+}
+
+/**
+ * Decide whether conditions favour selling or buying premium
+ * @param {Object} params - Bias inputs
+ * @param {string} [params.marketRegime] - Regime from getMarketContext
+ * @param {number} [params.impliedVolatility] - Implied volatility (%)
+ * @param {number} [params.historicalVolatility] - Historical volatility (%)
+ * @returns {Object} Bias summary
+ * @returns {string} returns.bias - 'sell-premium', 'buy-premium' or 'neutral'
+ * @returns {number|null} returns.ivHvRatio - IV / HV, or null without both inputs
+ * @description Rich IV (IV/HV >= 1.25) and high or elevated VIX regimes each vote for
+ * selling; cheap IV (IV/HV <= 0.9) and low VIX each vote for buying.
+ */
+export function getStrategyBias({ marketRegime, impliedVolatility, historicalVolatility } = {}) {
+    const ivHvRatio = impliedVolatility > 0 && historicalVolatility > 0
+        ? parseFloat((impliedVolatility / historicalVolatility).toFixed(2))
+        : null;
+
+    let votes = 0;
+    if (ivHvRatio !== null) {
+        if (ivHvRatio >= RICH_IV_RATIO) votes++;
+        else if (ivHvRatio <= CHEAP_IV_RATIO) votes--;
+    }
+    if (marketRegime === 'high-volatility' || marketRegime === 'elevated-volatility') votes++;
+    else if (marketRegime === 'low-volatility') votes--;
+
+    const bias = votes > 0 ? 'sell-premium' : votes < 0 ? 'buy-premium' : 'neutral';
+    return { bias, ivHvRatio };
+}
+
+/**
+ * Compact leg description, e.g. "-185P / -215C"
+ * Days to expiry are appended only when legs expire on different dates (calendars).
+ */
+export function formatLegs(legs) {
+    const optionLegs = (legs || []).filter(leg => leg.type !== 'stock');
+    const mixedExpiries = new Set(optionLegs.map(leg => leg.daysToExpiry)).size > 1;
+
+    return (legs || [])
+        .map(leg => {
+            const sign = leg.action === 'sell' ? '-' : '+';
+            // "2x" keeps the quantity apart from the strike (-2x190C, not -2190C)
+            const quantity = (leg.quantity ?? 1) > 1 ? `${leg.quantity}x` : '';
+            if (leg.type === 'stock') {
+                return `${sign}${quantity}stock`;
+            }
+            const expiry = mixedExpiries ? ` ${leg.daysToExpiry}d` : '';
+            return `${sign}${quantity}${leg.strike}${leg.type === 'call' ? 'C' : 'P'}${expiry}`;
+        })
+        .join(' / ');
+}
+
+/**
+ * Build priced candidate trades for an earnings opportunity
+ * @param {Object} opportunity - Earnings opportunity with volatilityData
+ * @param {Object} [marketContext={}] - Market context from getMarketContext
+ * @returns {Array<Object>} Candidates, preferred trades first; empty without price and IV
+ * @returns {string} returns[].name - Strategy name
+ * @returns {string} returns[].style - 'sell-premium', 'buy-premium' or 'neutral'
+ * @returns {boolean} returns[].preferred - Whether the trade matches the current bias
+ * @returns {Array<Object>} returns[].legs - Legs with listed strikes
+ * @returns {Object|null} returns[].pricing - priceStrategy summary
+ * @returns {string} returns[].rationale - One-line reason for the structure
+ * @description Short strikes sit outside one expected move (puts rounded down, calls
+ * rounded up to the listed increment); condor wings are half an expected move further
+ * out. Straddle and calendar use the strike nearest spot. The calendar's front leg is priced
+ * at the chain IV and its back leg at HV; without HV its pricing is flagged `illustrative`.
+ */
+export function buildCandidateTrades(opportunity, marketContext = {}) {
+    const market = getStrategyMarketInputs(opportunity);
+    if (!market) {
+        return [];
+    }
+
+    const vol = opportunity.volatilityData;
+    const { bias, ivHvRatio } = getStrategyBias({
+        marketRegime: marketContext?.marketRegime,
+        impliedVolatility: vol.impliedVolatility,
+        historicalVolatility: vol.historicalVolatility
+    });
+
+    const { spot, daysToExpiry } = market;
+    const increment = market.strikeIncrement > 0 ? market.strikeIncrement : estimateStrikeIncrement(spot);
+    const move = market.expectedMove > 0 ? market.expectedMove : spot * market.volatility * Math.sqrt(daysToExpiry / 365);
+
+    const atm = roundToStrike(spot, increment);
+    const shortPut = Math.min(atm - increment, roundToStrike(Math.floor((spot - move) / increment) * increment, increment));
+    const shortCall = Math.max(atm + increment, roundToStrike(Math.ceil((spot + move) / increment) * increment, increment));
+    const wing = Math.max(increment, roundToStrike(move / 2, increment));
+    const daysToEarnings = opportunity.daysToEarnings ?? 0;
+    // The back month does not carry the earnings premium; HV stands in for its post-event IV
+    const backMonthVolatility = vol.historicalVolatility > 0 ? vol.historicalVolatility / 100 : null;
+    const ratioText = ivHvRatio !== null ? `IV/HV ${ivHvRatio.toFixed(2)}` : 'IV/HV N/A';
+
+    // Sums like shortPut - wing leave float artifacts (102.49999999); snap every strike to the chain
+    const leg = (action, type, strike, days = daysToExpiry) =>
+        ({ action, type, strike: roundToStrike(strike, increment), daysToExpiry: days, quantity: 1 });
+
+    const candidates = [
+        {
+            name: 'Short Strangle',
+            style: 'sell-premium',
+            legs: [leg('sell', 'put', shortPut), leg('sell', 'call', shortCall)],
+            rationale: `Sells both sides outside the ±$${move.toFixed(2)} expected move to collect the IV crush (${ratioText}); undefined risk.`
+        },
+        {
+            name: 'Iron Condor',
+            style: 'sell-premium',
+            legs: [
+                leg('buy', 'put', shortPut - wing),
+                leg('sell', 'put', shortPut),
+                leg('sell', 'call', shortCall),
+                leg('buy', 'call', shortCall + wing)
+            ],
+            rationale: `Same short strikes as the strangle with $${wing} wings to cap the loss on an outsized move.`
+        },
+        {
+            name: 'Long Straddle',
+            style: 'buy-premium',
+            legs: [leg('buy', 'call', atm), leg('buy', 'put', atm)],
+            rationale: daysToEarnings > STRADDLE_ENTRY_WINDOW_DAYS
+                ? `Profits if the stock moves beyond the straddle price; earnings are ${daysToEarnings} days out, so wait to limit theta.`
+                : 'Profits if the stock moves beyond the straddle price; needs the realized move to beat the implied move.'
+        },
+        {
+            name: 'Calendar Spread',
+            style: 'neutral',
+            legs: [
+                leg('sell', 'call', atm),
+                { ...leg('buy', 'call', atm, daysToExpiry + CALENDAR_GAP_DAYS), ...(backMonthVolatility ? { volatility: backMonthVolatility } : {}) }
+            ],
+            rationale: 'Sells the inflated earnings expiry against a later month; best when the stock stays near the strike.',
+            // Without HV both months are priced at the front-month IV, which misses the IV gap the trade sells
+            illustrative: !backMonthVolatility
+        }
+    ];
+
+    return candidates
+        .map(({ illustrative = false, ...candidate }) => {
+            const pricing = priceStrategy({ ...market, legs: candidate.legs });
+            return {
+                ...candidate,
+                preferred: bias === 'neutral' || candidate.style === bias,
+                pricing: pricing && illustrative ? { ...pricing, illustrative: true } : pricing
+            };
+        })
+        .sort((a, b) => Number(b.preferred) - Number(a.preferred));
+}
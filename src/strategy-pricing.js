@@ -0,0 +1,328 @@
+/**
+ * Strategy pricing engine
+ * Prices multi-leg option strategies with Black-Scholes and derives the payoff at
+ * expiry, so the digest reports premium, Greeks, max profit/loss, breakevens and
+ * probability of profit computed locally instead of figures quoted by the model.
+ */
+
+import { blackScholesPrice, blackScholesGreeks, normalCdf } from './black-scholes.js';
+
+export const CONTRACT_MULTIPLIER = 100;
+
+const DAYS_PER_YEAR = 365;
+const PAYOFF_GRID_POINTS = 800;
+// Payoff grid runs from zero to this multiple of the larger of spot and the top strike
+const PAYOFF_GRID_RANGE = 4;
+// Calendar back month when the chain only tells us about the front expiry
+const DEFAULT_CALENDAR_GAP_DAYS = 28;
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Typical listed strike spacing for a share price when the chain is unavailable
+ */
+export function estimateStrikeIncrement(spot) {
+    if (spot < 25) return 0.5;
+    if (spot < 100) return 1;
+    if (spot < 250) return 2.5;
+    return 5;
+}
+
+/**
+ * Round a price to the nearest listed strike
+ */
+export function roundToStrike(price, increment) {
+    return round(Math.round(price / increment) * increment);
+}
+
+/**
+ * Signed quantity of a leg (long positive, short negative)
+ */
+function getLegPosition(leg) {
+    return (leg.action === 'sell' ? -1 : 1) * (leg.quantity ?? 1);
+}
+
+/**
+ * Value of one unit of a leg at a given spot with `daysRemaining` left on the option
+ */
+function getLegValue(leg, spot, daysRemaining, market) {
+    if (leg.type === 'stock') {
+        return spot;
+    }
+    return blackScholesPrice({
+        type: leg.type,
+        spot,
+        strike: leg.strike,
+        timeToExpiry: Math.max(0, daysRemaining) / DAYS_PER_YEAR,
+        volatility: leg.volatility ?? market.volatility,
+        rate: market.rate,
+        dividendYield: market.dividendYield
+    });
+}
+
+/**
+ * Spots where the payoff is evaluated: an even grid plus every strike and spot itself
+ */
+function buildPayoffGrid(legs, spot) {
+    const strikes = legs.filter(leg => leg.type !== 'stock').map(leg => leg.strike);
+    const upper = Math.max(spot, ...strikes) * PAYOFF_GRID_RANGE;
+    const grid = Array.from({ length: PAYOFF_GRID_POINTS + 1 }, (_, i) => (upper * i) / PAYOFF_GRID_POINTS);
+    return [...new Set([...grid, ...strikes, spot])].sort((a, b) => a - b);
+}
+
+/**
+ * Net value per share of a position after `daysElapsed` days
+ * @param {Array<Object>} legs - Legs as accepted by priceStrategy
+ * @param {Object} market - Valuation inputs
+ * @param {number} market.spot - Underlying price at valuation
+ * @param {number} market.daysElapsed - Days since entry
+ * @param {number} market.volatility - Volatility for legs still open without their own (decimal)
+ * @param {number} [market.rate=0] - Risk-free rate (decimal)
+ * @param {number} [market.dividendYield=0] - Dividend yield (decimal)
+ * @returns {number} Signed value per share (long legs positive)
+ * @description Expired legs are worth intrinsic value; the rest are revalued with
+ * Black-Scholes on their remaining days.
+ */
+export function valueStrategyAt(legs, { spot, daysElapsed, volatility, rate = 0, dividendYield = 0 }) {
+    const market = { volatility, rate, dividendYield };
+    return legs.reduce(
+        (total, leg) => total + getLegPosition(leg) * getLegValue(leg, spot, (leg.daysToExpiry ?? daysElapsed) - daysElapsed, market),
+        0
+    );
+}
+
+/**
+ * Price a multi-leg option strategy
+ * @param {Object} strategy - Strategy definition and market inputs
+ * @param {Array<Object>} strategy.legs - Legs ({ type: 'call'|'put'|'stock', action: 'buy'|'sell',
+ * strike, daysToExpiry, quantity = 1, volatility }); stock legs need no strike or expiry, and
+ * a leg's own volatility (decimal) overrides strategy.volatility, e.g. a calendar's back month
+ * @param {number} strategy.spot - Underlying price
+ * @param {number} strategy.volatility - Annualized volatility (decimal); also drives the price
+ * distribution for probability of profit
+ * @param {number} [strategy.rate=0] - Risk-free rate (decimal)
+ * @param {number} [strategy.dividendYield=0] - Dividend yield (decimal)
+ * @returns {Object|null} Pricing summary, or null without an option leg or usable inputs
+ * @returns {number} returns.netPremium - Theoretical cost per share (positive debit, negative credit)
+ * @returns {string} returns.premiumType - 'debit' or 'credit'
+ * @returns {Object} returns.greeks - Net delta, gamma, theta (per day) and vega (per vol point) per share
+ * @returns {number|null} returns.maxProfit - Max profit in dollars per contract set, null when unlimited
+ * @returns {number|null} returns.maxLoss - Max loss in dollars (positive), null when unlimited
+ * @returns {Array<number>} returns.breakevens - Underlying prices where P&L crosses zero
+ * @returns {number} returns.probabilityOfProfit - Chance (%) of finishing with a profit
+ * @returns {number} returns.daysToExpiry - Evaluation horizon (the nearest option expiry)
+ * @description P&L is evaluated at the nearest expiry: legs expiring then are worth
+ * intrinsic value and longer-dated legs (calendars) are revalued with Black-Scholes at
+ * their own volatility (strategy.volatility unless the leg sets one). Probability of profit integrates the risk-neutral lognormal
+ * distribution of the underlying over the profitable price ranges.
+ */
+export function priceStrategy({ legs, spot, volatility, rate = 0, dividendYield = 0 }) {
+    const optionLegs = (legs || []).filter(leg => leg.type === 'call' || leg.type === 'put');
+    if (optionLegs.length === 0 || !(spot > 0) || !(volatility > 0)) {
+        return null;
+    }
+    if (optionLegs.some(leg => !(leg.strike > 0) || !(leg.daysToExpiry > 0))) {
+        return null;
+    }
+
+    const market = { volatility, rate, dividendYield };
+    const horizonDays = Math.min(...optionLegs.map(leg => leg.daysToExpiry));
+    const greeks = { delta: 0, gamma: 0, theta: 0, vega: 0 };
+    let netPremium = 0;
+
+    for (const leg of legs) {
+        const position = getLegPosition(leg);
+        netPremium += position * getLegValue(leg, spot, leg.daysToExpiry, market);
+
+        const legGreeks = leg.type === 'stock'
+            ? { delta: 1, gamma: 0, theta: 0, vega: 0 }
+            : blackScholesGreeks({
+                type: leg.type,
+                spot,
+                strike: leg.strike,
+                timeToExpiry: leg.daysToExpiry / DAYS_PER_YEAR,
+                volatility: leg.volatility ?? volatility,
+                rate,
+                dividendYield
+            });
+        for (const greek of Object.keys(greeks)) {
+            greeks[greek] += position * legGreeks[greek];
+        }
+    }
+
+    const profitAt = price =>
+        (valueStrategyAt(legs, { ...market, spot: price, daysElapsed: horizonDays }) - netPremium) * CONTRACT_MULTIPLIER;
+
+    const grid = buildPayoffGrid(legs, spot);
+    const profits = grid.map(profitAt);
+
+    const breakevens = [];
+    for (let i = 1; i < grid.length; i++) {
+        const [previous, current] = [profits[i - 1], profits[i]];
+        if (previous * current < 0) {
+            breakevens.push(grid[i - 1] + (grid[i] - grid[i - 1]) * (previous / (previous - current)));
+        } else if (current === 0 && i < grid.length - 1 && previous * profits[i + 1] < 0) {
+            breakevens.push(grid[i]);
+        }
+    }
+
+    // The grid stops well past every strike, so a slope still present there continues forever
+    const lastIndex = grid.length - 1;
+    const tailSlope = profits[lastIndex] - profits[lastIndex - 1];
+    const maxProfit = tailSlope > 1e-6 ? null : Math.max(...profits);
+    const maxLoss = tailSlope < -1e-6 ? null : Math.max(0, -Math.min(...profits));
+
+    // Risk-neutral probability that the underlying finishes below `price` at the horizon
+    const horizonYears = horizonDays / DAYS_PER_YEAR;
+    const drift = (rate - dividendYield - 0.5 * volatility * volatility) * horizonYears;
+    const probabilityBelow = price => (price <= 0
+        ? 0
+        : normalCdf((Math.log(price / spot) - drift) / (volatility * Math.sqrt(horizonYears))));
+
+    const boundaries = [0, ...breakevens, Infinity];
+    let probabilityOfProfit = 0;
+    for (let i = 1; i < boundaries.length; i++) {
+        const [low, high] = [boundaries[i - 1], boundaries[i]];
+        const probe = Number.isFinite(high) ? (low + high) / 2 : Math.max(low, spot) * 1.5;
+        if (profitAt(probe) > 0) {
+            probabilityOfProfit += (Number.isFinite(high) ? probabilityBelow(high) : 1) - probabilityBelow(low);
+        }
+    }
+
+    return {
+        netPremium: round(netPremium),
+        premiumType: netPremium >= 0 ? 'debit' : 'credit',
+        greeks: {
+            delta: round(greeks.delta, 4),
+            gamma: round(greeks.gamma, 4),
+            theta: round(greeks.theta, 4),
+            vega: round(greeks.vega, 4)
+        },
+        maxProfit: maxProfit !== null ? round(maxProfit) : null,
+        maxLoss: maxLoss !== null ? round(maxLoss) : null,
+        breakevens: breakevens.map(price => round(price)),
+        probabilityOfProfit: round(probabilityOfProfit * 100, 1),
+        daysToExpiry: horizonDays
+    };
+}
+
+/**
+ * Build concrete legs for a named strategy
+ * @param {string} name - Strategy name as written by the model (e.g. "Iron Condor")
+ * @param {Object} params - Sizing inputs
+ * @param {number} params.spot - Underlying price
+ * @param {number} params.expectedMove - Expected move to expiry in dollars; short strikes
+ * sit roughly this far from spot
+ * @param {number} params.daysToExpiry - Days to the target (earnings) expiry
+ * @param {number} [params.strikeIncrement] - Listed strike spacing
+ * @returns {Array<Object>|null} Legs for priceStrategy, or null for unrecognised names
+ */
+export function buildStrategyLegs(name, { spot, expectedMove, daysToExpiry, strikeIncrement }) {
+    if (!name || !(spot > 0) || !(daysToExpiry > 0)) {
+        return null;
+    }
+
+    const increment = strikeIncrement > 0 ? strikeIncrement : estimateStrikeIncrement(spot);
+    const move = Math.max(increment, roundToStrike(expectedMove > 0 ? expectedMove : spot * 0.05, increment));
+    const wing = Math.max(increment, roundToStrike(move / 2, increment));
+    const atm = roundToStrike(spot, increment);
+    const upper = atm + move;
+    const lower = atm - move;
+
+    const leg = (action, type, strike, quantity = 1, days = daysToExpiry) =>
+        ({ action, type, strike: round(strike), daysToExpiry: days, quantity });
+
+    const templates = [
+        [/iron\s*(butterfly|fly)/, () => [
+            leg('buy', 'put', lower), leg('sell', 'put', atm), leg('sell', 'call', atm), leg('buy', 'call', upper)
+        ]],
+        [/iron\s*condor/, () => [
+            leg('buy', 'put', lower - wing), leg('sell', 'put', lower), leg('sell', 'call', upper), leg('buy', 'call', upper + wing)
+        ]],
+        [/butterfly/, () => [leg('buy', 'call', lower), leg('sell', 'call', atm, 2), leg('buy', 'call', upper)]],
+        [/calendar|time\s*spread/, () => [
+            leg('sell', 'call', atm), leg('buy', 'call', atm, 1, daysToExpiry + DEFAULT_CALENDAR_GAP_DAYS)
+        ]],
+        [/short\s*straddle/, () => [leg('sell', 'call', atm), leg('sell', 'put', atm)]],
+        [/straddle/, () => [leg('buy', 'call', atm), leg('buy', 'put', atm)]],
+        [/short\s*strangle/, () => [leg('sell', 'call', upper), leg('sell', 'put', lower)]],
+        [/strangle/, () => [leg('buy', 'call', upper), leg('buy', 'put', lower)]],
+        [/bull\s*put|put\s*credit/, () => [leg('sell', 'put', lower), leg('buy', 'put', lower - wing)]],
+        [/bear\s*call|call\s*credit/, () => [leg('sell', 'call', upper), leg('buy', 'call', upper + wing)]],
+        [/bull\s*call|call\s*debit/, () => [leg('buy', 'call', atm), leg('sell', 'call', upper)]],
+        [/bear\s*put|put\s*debit/, () => [leg('buy', 'put', atm), leg('sell', 'put', lower)]],
+        [/covered\s*call/, () => [{ action: 'buy', type: 'stock', quantity: 1 }, leg('sell', 'call', upper)]],
+        [/cash[\s-]*secured\s*put|short\s*put|naked\s*put/, () => [leg('sell', 'put', lower)]],
+        [/short\s*call|naked\s*call/, () => [leg('sell', 'call', upper)]],
+        [/long\s*call/, () => [leg('buy', 'call', atm)]],
+        [/long\s*put/, () => [leg('buy', 'put', atm)]]
+    ];
+
+    const normalized = name.toLowerCase();
+    const match = templates.find(([pattern]) => pattern.test(normalized));
+    return match ? match[1]() : null;
+}
+
+// Legs in formatLegs notation: -190P, +2x200C 33d, +stock
+const SIGNED_LEG_PATTERN = /([+-])\s*(?:(\d+)x)?(?:(stock)\b|\$?(\d+(?:\.\d+)?)\s*([CP])\b(?:\s+(\d+)d\b)?)/gi;
+// Legs in words: Sell 190 Put, Buy 2 200 Calls, Long 1x 95 put
+const WORDED_LEG_PATTERN = /\b(buy|sell|long|short)\s+(?:(\d+)x?\s+)?\$?(\d+(?:\.\d+)?)\s*(calls?|puts?)\b/gi;
+
+/**
+ * Parse the legs a model wrote after "Legs:" in a strategy line
+ * @param {string} text - Strategy details, e.g. "Legs: -190P / +185P - rich IV, Entry: ..."
+ * @param {Object} [options={}] - { daysToExpiry } used for legs without their own "Nd" expiry
+ * @returns {Array<Object>|null} Legs for priceStrategy, or null when no legs were written
+ */
+export function parseStrategyLegs(text, { daysToExpiry } = {}) {
+    // The legs run until the next " - " separator, "Entry:" or line break
+    const section = String(text || '').match(/legs?:\s*(.+?)(?:\s[-–—]\s|entry:|\n|$)/i)?.[1];
+    if (!section) {
+        return null;
+    }
+
+    const legs = [];
+    for (const [, sign, quantity, stock, strike, type, days] of section.matchAll(SIGNED_LEG_PATTERN)) {
+        const action = sign === '-' ? 'sell' : 'buy';
+        legs.push(stock
+            ? { action, type: 'stock', quantity: Number(quantity || 1) }
+            : {
+                action,
+                type: type.toUpperCase() === 'C' ? 'call' : 'put',
+                strike: Number(strike),
+                daysToExpiry: days ? Number(days) : daysToExpiry,
+                quantity: Number(quantity || 1)
+            });
+    }
+    if (legs.length === 0) {
+        for (const [, side, quantity, strike, type] of section.matchAll(WORDED_LEG_PATTERN)) {
+            legs.push({
+                action: /^(sell|short)$/i.test(side) ? 'sell' : 'buy',
+                type: /^call/i.test(type) ? 'call' : 'put',
+                strike: Number(strike),
+                daysToExpiry,
+                quantity: Number(quantity || 1)
+            });
+        }
+    }
+    return legs.length ? legs : null;
+}
+
+/**
+ * Build and price a named strategy in one step
+ * @param {string} name - Strategy name
+ * @param {Object} market - buildStrategyLegs sizing inputs plus priceStrategy market inputs
+ * (volatility, rate, dividendYield)
+ * @returns {Object|null} priceStrategy summary with the generated `legs` and `illustrative: true`
+ * (template strikes, not a trade anyone recommended), or null when the name is not recognised
+ * or the inputs cannot be priced
+ */
+export function priceNamedStrategy(name, market) {
+    const legs = buildStrategyLegs(name, market);
+    if (!legs) {
+        return null;
+    }
+
+    const pricing = priceStrategy({ ...market, legs });
+    return pricing ? { legs, ...pricing, illustrative: true } : null;
+}
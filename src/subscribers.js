@@ -0,0 +1,308 @@
+/**
+ * Subscriber profiles
+ * Per-subscriber settings that Resend audiences cannot hold for us: the watchlist of
+ * tickers each subscriber tracks. The signup form also sends the watchlist to Resend as
+ * a contact attribute, but the SDK does not return custom attributes, so the digest
+ * reads profiles from here. Each profile lives under `subscriber:<email>`; an index under
+ * `subscriber-index` lists the emails so delivery never depends on KV list consistency.
+ *
+ * Signups are double opt-in: the form's details wait under `pending-signup:<email>` until
+ * the emailed link is confirmed, so a stranger cannot enroll an address or overwrite an
+ * existing subscriber's watchlist. Pending signups expire with the link, and an address
+ * only gets a profile (and an index entry) once it is confirmed.
+ *
+ * Delivery preferences from the preference center (frequency, minimum recommendation and
+ * digest sections) live here too for the same reason (the worker also copies them to the
+ * Resend contact). Delivery reads them to decide which variant of the digest, if any, each
+ * subscriber receives; broadcast mode switches to per-recipient emails while any subscriber
+ * has non-default preferences (hasCustomPreferences).
+ */
+
+const SUBSCRIBER_PREFIX = 'subscriber:';
+const INDEX_KEY = 'subscriber-index';
+const PENDING_PREFIX = 'pending-signup:';
+export const MAX_WATCHLIST_SIZE = 10;
+// Validity of the double opt-in link
+export const CONFIRMATION_TTL_DAYS = 2;
+// Unsubscribe links must keep working in old emails
+export const UNSUBSCRIBE_TTL_DAYS = 365;
+// Weekly subscribers get the Monday (UTC) digest only
+export const WEEKLY_DELIVERY_DAY = 1;
+export const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+// 'ALL' keeps every pick; otherwise picks rated below the level are dropped
+export const RECOMMENDATION_LEVELS = ['ALL', 'NEUTRAL', 'STRONGLY CONSIDER'];
+// Optional digest sections; the opportunities list is always included
+export const DIGEST_SECTIONS = ['watchlist', 'aiSummary', 'marketContext', 'trackRecord', 'keyTerms'];
+export const DEFAULT_PREFERENCES = Object.freeze({
+    frequency: 'daily',
+    minRecommendation: 'ALL',
+    sections: DIGEST_SECTIONS
+});
+const RECOMMENDATION_RANK = { 'STAY AWAY': 0, NEUTRAL: 1, 'STRONGLY CONSIDER': 2 };
+// Exchange tickers plus Yahoo-style share classes (BRK-B, BF.B)
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9]{0,5}(?:[.-][A-Z]{1,2})?$/;
+
+/**
+ * Parse a watchlist from the signup form or an API payload
+ * @param {string|Array<string>} input - Comma/space separated tickers or an array
+ * @returns {Object} { symbols, invalid, truncated }
+ * @description Symbols are upper-cased and de-duplicated in order; class separators use
+ * Yahoo's dash (BRK.B becomes BRK-B). Anything past MAX_WATCHLIST_SIZE is dropped and
+ * reported via `truncated`.
+ */
+export function normalizeWatchlist(input) {
+    const values = Array.isArray(input) ? input : String(input ?? '').split(/[\s,;]+/);
+    const symbols = [];
+    const invalid = [];
+
+    for (const value of values) {
+        const symbol = String(value ?? '').trim().toUpperCase().replace(/^\$/, '');
+        if (!symbol) continue;
+        if (!SYMBOL_PATTERN.test(symbol)) {
+            invalid.push(symbol);
+            continue;
+        }
+        const normalized = symbol.replace('.', '-');
+        if (!symbols.includes(normalized)) {
+            symbols.push(normalized);
+        }
+    }
+
+    return {
+        symbols: symbols.slice(0, MAX_WATCHLIST_SIZE),
+        invalid,
+        truncated: symbols.length > MAX_WATCHLIST_SIZE
+    };
+}
+
+/**
+ * Validate preference-center input, filling omitted fields with defaults
+ * @param {Object} [input={}] - { frequency, minRecommendation, sections }
+ * @returns {Object} { preferences, errors } - errors lists each rejected field
+ */
+export function normalizePreferences(input = {}) {
+    const errors = [];
+    const frequency = input?.frequency ?? DEFAULT_PREFERENCES.frequency;
+    const minRecommendation = String(input?.minRecommendation ?? DEFAULT_PREFERENCES.minRecommendation).toUpperCase();
+    const sections = input?.sections ?? DEFAULT_PREFERENCES.sections;
+
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+        errors.push(`Frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+    }
+    if (!RECOMMENDATION_LEVELS.includes(minRecommendation)) {
+        errors.push(`Minimum recommendation must be one of: ${RECOMMENDATION_LEVELS.join(', ')}`);
+    }
+    const unknownSections = Array.isArray(sections) ? sections.filter(section => !DIGEST_SECTIONS.includes(section)) : [];
+    if (!Array.isArray(sections) || unknownSections.length > 0) {
+        errors.push(`Unknown sections: ${Array.isArray(sections) ? unknownSections.join(', ') : String(sections)}`);
+    }
+
+    return {
+        preferences: {
+            frequency,
+            minRecommendation,
+            // Canonical order so equal preferences compare (and segment) equally
+            sections: Array.isArray(sections) ? DIGEST_SECTIONS.filter(section => sections.includes(section)) : DEFAULT_PREFERENCES.sections
+        },
+        errors
+    };
+}
+
+/**
+ * Whether stored preferences change what a subscriber receives
+ * @param {Object} [preferences] - Stored preferences
+ * @returns {boolean} false when missing or equal to DEFAULT_PREFERENCES
+ */
+export function hasCustomPreferences(preferences) {
+    if (!preferences) return false;
+    const { preferences: { frequency, minRecommendation, sections } } = normalizePreferences(preferences);
+    return frequency !== DEFAULT_PREFERENCES.frequency
+        || minRecommendation !== DEFAULT_PREFERENCES.minRecommendation
+        // Sections are a canonical-order subset, so equal length means all of them
+        || sections.length !== DEFAULT_PREFERENCES.sections.length;
+}
+
+/**
+ * Pick the digest variant a subscriber receives today
+ * @param {Object} [preferences] - Stored preferences (defaults when missing)
+ * @param {Array<Object>} content - Analyzed opportunities ({ opportunity, analysis })
+ * @param {Date} [date=new Date()] - Run date
+ * @returns {Object} { skip, reason?, segment, content, sections }
+ * @description Weekly subscribers are skipped outside WEEKLY_DELIVERY_DAY. Subscribers with a
+ * minimum recommendation only get picks rated at or above it, and are skipped when none
+ * qualify (they asked for alerts, not a context-only email).
+ */
+export function resolveDigestVariant(preferences, content, date = new Date()) {
+    const { preferences: { frequency, minRecommendation, sections } } = normalizePreferences(preferences || {});
+    const segment = `${frequency}/${minRecommendation}`;
+
+    if (frequency === 'weekly' && date.getUTCDay() !== WEEKLY_DELIVERY_DAY) {
+        return { skip: true, reason: 'weekly', segment };
+    }
+
+    const filtered = minRecommendation === 'ALL'
+        ? content
+        : content.filter(item => (RECOMMENDATION_RANK[item.analysis?.recommendation] ?? -1) >= RECOMMENDATION_RANK[minRecommendation]);
+    if (minRecommendation !== 'ALL' && filtered.length === 0) {
+        return { skip: true, reason: 'no-qualifying-picks', segment };
+    }
+
+    return { skip: false, segment, content: filtered, sections };
+}
+
+/**
+ * Subscriber profile persistence on top of a KV-compatible store
+ * @class SubscriberStore
+ * @param {Object} store - Workers KV namespace or compatible store (see storage.js)
+ */
+export class SubscriberStore {
+    constructor(store) {
+        this.store = store;
+    }
+
+    async getIndex() {
+        const index = await this.store.get(INDEX_KEY, 'json');
+        return Array.isArray(index) ? index : [];
+    }
+
+    /**
+     * Load one profile
+     * @returns {Promise<Object|null>} { email, firstName, watchlist, createdAt, updatedAt } or null
+     */
+    async getSubscriber(email) {
+        if (!email) return null;
+        return this.store.get(`${SUBSCRIBER_PREFIX}${email.trim().toLowerCase()}`, 'json');
+    }
+
+    /**
+     * Create or update a profile, merging the given fields into what is stored
+     * @param {string} email - Subscriber email
+     * @param {Object} [fields={}] - Profile fields (firstName, watchlist, ...)
+     * @returns {Promise<Object>} Stored profile
+     */
+    async saveSubscriber(email, fields = {}) {
+        const key = email.trim().toLowerCase();
+        const now = new Date().toISOString();
+        const existing = await this.getSubscriber(key);
+        const profile = {
+            watchlist: [],
+            createdAt: now,
+            ...existing,
+            ...fields,
+            email: key,
+            updatedAt: now
+        };
+
+        await this.store.put(`${SUBSCRIBER_PREFIX}${key}`, JSON.stringify(profile));
+        const index = await this.getIndex();
+        if (!index.includes(key)) {
+            await this.store.put(INDEX_KEY, JSON.stringify([...index, key]));
+        }
+        return profile;
+    }
+
+    /**
+     * The signup awaiting confirmation for an email
+     * @returns {Promise<Object|null>} { firstName, lastName, watchlist, source, requestedAt } or null
+     */
+    async getPendingSignup(email) {
+        if (!email) return null;
+        return this.store.get(`${PENDING_PREFIX}${email.trim().toLowerCase()}`, 'json');
+    }
+
+    /**
+     * Record a signup awaiting confirmation
+     * @param {string} email - Subscriber email
+     * @param {Object} signup - { firstName, lastName, watchlist, source, requestedAt }
+     * @returns {Promise<Object>} Stored signup; it expires with the confirmation link and
+     * existing subscribers keep their profile untouched until then
+     */
+    async requestSubscription(email, signup) {
+        await this.store.put(`${PENDING_PREFIX}${email.trim().toLowerCase()}`, JSON.stringify(signup), {
+            expirationTtl: CONFIRMATION_TTL_DAYS * 24 * 60 * 60
+        });
+        return signup;
+    }
+
+    /**
+     * Apply a pending signup once its confirmation link is used
+     * @param {string} email - Subscriber email
+     * @param {Date} [now=new Date()] - Confirmation time
+     * @returns {Promise<Object|null>} Active profile with consent fields, or null when nothing is pending
+     */
+    async confirmSubscription(email, now = new Date()) {
+        const signup = await this.getPendingSignup(email);
+        if (!signup) return null;
+
+        const existing = await this.getSubscriber(email);
+        const profile = await this.saveSubscriber(email, {
+            status: 'active',
+            firstName: signup.firstName || existing?.firstName || null,
+            watchlist: signup.watchlist?.length ? signup.watchlist : existing?.watchlist || [],
+            source: signup.source || null,
+            consentRequestedAt: signup.requestedAt,
+            consentedAt: now.toISOString()
+        });
+        await this.store.delete(`${PENDING_PREFIX}${email.trim().toLowerCase()}`);
+        return profile;
+    }
+
+    /**
+     * Record an unsubscribe; the profile is kept so the opt-out is auditable
+     * @returns {Promise<Object>} Stored profile
+     */
+    async markUnsubscribed(email, now = new Date()) {
+        await this.store.delete(`${PENDING_PREFIX}${email.trim().toLowerCase()}`);
+        return this.saveSubscriber(email, {
+            status: 'unsubscribed',
+            unsubscribedAt: now.toISOString()
+        });
+    }
+
+    /**
+     * Replace a subscriber's watchlist
+     * @returns {Promise<Object>} Stored profile
+     */
+    async updateWatchlist(email, watchlist) {
+        return this.saveSubscriber(email, { watchlist });
+    }
+
+    /**
+     * Replace a subscriber's delivery preferences (validate with normalizePreferences first)
+     * @returns {Promise<Object>} Stored profile
+     */
+    async updatePreferences(email, preferences) {
+        return this.saveSubscriber(email, { preferences });
+    }
+
+    /**
+     * Every subscribed (not pending or unsubscribed) profile
+     * @returns {Promise<Map<string, Object>>} email -> profile
+     */
+    async getActiveProfiles() {
+        const profiles = new Map();
+        for (const email of await this.getIndex()) {
+            const profile = await this.getSubscriber(email);
+            if (profile && !['pending', 'unsubscribed'].includes(profile.status)) {
+                profiles.set(email, profile);
+            }
+        }
+        return profiles;
+    }
+
+    /**
+     * Watchlists of every subscribed profile that tracks at least one ticker
+     * @returns {Promise<Map<string, Array<string>>>} email -> symbols
+     */
+    async getWatchlists() {
+        const watchlists = new Map();
+        for (const [email, profile] of await this.getActiveProfiles()) {
+            if (profile.watchlist?.length) {
+                watchlists.set(email, profile.watchlist);
+            }
+        }
+        return watchlists;
+    }
+}
+
+export default SubscriberStore;
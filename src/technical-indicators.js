@@ -0,0 +1,148 @@
+/**
+ * Technical indicators from daily price history
+ * Deterministic RSI, ATR, Bollinger Band width and moving-average distance computed
+ * from OHLC bars (oldest first), replacing estimates derived from the daily change.
+ */
+
+export const RSI_PERIOD = 14;
+export const ATR_PERIOD = 14;
+export const BOLLINGER_PERIOD = 20;
+export const BOLLINGER_MULTIPLIER = 2;
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+function getCloses(bars) {
+    return (bars || [])
+        .map(bar => (typeof bar === 'object' ? bar?.close : bar))
+        .filter(close => close > 0);
+}
+
+/**
+ * Simple moving average of the last `period` values
+ */
+export function calculateSMA(values, period) {
+    if (!values || values.length < period) return null;
+    const window = values.slice(-period);
+    return window.reduce((sum, value) => sum + value, 0) / period;
+}
+
+/**
+ * Wilder's Relative Strength Index
+ * @param {Array<number>} closes - Closing prices, oldest first
+ * @param {number} [period=14] - Lookback period
+ * @returns {number|null} RSI 0-100, or null with fewer than period + 1 closes
+ * @description Seeds average gain/loss with a simple mean over the first period,
+ * then applies Wilder smoothing: avg = (prevAvg * (period - 1) + current) / period.
+ */
+export function calculateRSI(closes, period = RSI_PERIOD) {
+    if (!closes || closes.length < period + 1) return null;
+
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = closes[i] - closes[i - 1];
+        if (change > 0) avgGain += change;
+        else avgLoss -= change;
+    }
+    avgGain /= period;
+    avgLoss /= period;
+
+    for (let i = period + 1; i < closes.length; i++) {
+        const change = closes[i] - closes[i - 1];
+        avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+    }
+
+    if (avgLoss === 0) {
+        return avgGain === 0 ? 50 : 100;
+    }
+
+    const relativeStrength = avgGain / avgLoss;
+    return round(100 - 100 / (1 + relativeStrength), 1);
+}
+
+/**
+ * Wilder's Average True Range
+ * @param {Array<Object>} bars - OHLC bars ({ high, low, close }), oldest first; high, low and
+ * close must share one basis (all raw or all split/dividend adjusted) or ex-dates inflate the range
+ * @param {number} [period=14] - Lookback period
+ * @returns {number|null} ATR in price units, or null with fewer than period + 1 bars
+ */
+export function calculateATR(bars, period = ATR_PERIOD) {
+    const valid = (bars || []).filter(bar => bar?.close > 0 && bar.high > 0 && bar.low > 0);
+    if (valid.length < period + 1) return null;
+
+    const trueRanges = [];
+    for (let i = 1; i < valid.length; i++) {
+        const { high, low } = valid[i];
+        const previousClose = valid[i - 1].close;
+        trueRanges.push(Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose)));
+    }
+
+    let atr = trueRanges.slice(0, period).reduce((sum, range) => sum + range, 0) / period;
+    for (let i = period; i < trueRanges.length; i++) {
+        atr = (atr * (period - 1) + trueRanges[i]) / period;
+    }
+
+    return round(atr);
+}
+
+/**
+ * Bollinger Band width as a percentage of the middle band
+ * @param {Array<number>} closes - Closing prices, oldest first
+ * @param {number} [period=20] - Moving-average period
+ * @param {number} [multiplier=2] - Standard deviations per band
+ * @returns {number|null} (upper - lower) / middle * 100, or null with too few closes
+ */
+export function calculateBollingerWidth(closes, period = BOLLINGER_PERIOD, multiplier = BOLLINGER_MULTIPLIER) {
+    const middle = calculateSMA(closes, period);
+    if (middle === null || middle <= 0) return null;
+
+    const window = closes.slice(-period);
+    const variance = window.reduce((sum, close) => sum + (close - middle) ** 2, 0) / period;
+    const bandWidth = 2 * multiplier * Math.sqrt(variance);
+
+    return round((bandWidth / middle) * 100);
+}
+
+/**
+ * Percentage distance of the last close from its simple moving average
+ */
+export function calculateSmaDistance(closes, period) {
+    const sma = calculateSMA(closes, period);
+    if (sma === null || sma <= 0) return null;
+    return round(((closes[closes.length - 1] - sma) / sma) * 100);
+}
+
+/**
+ * Full indicator set for a daily bar series
+ * @param {Array<Object>} bars - OHLC bars, oldest first
+ * @returns {Object} Indicators; any value lacking enough bars is null
+ * @returns {number|null} returns.rsi - Wilder RSI(14)
+ * @returns {number|null} returns.atr - Wilder ATR(14) in dollars
+ * @returns {number|null} returns.atrPercent - ATR as % of the last close
+ * @returns {number|null} returns.bollingerWidth - Bollinger(20, 2) width (%)
+ * @returns {number|null} returns.sma20Distance - Last close vs 20-day SMA (%)
+ * @returns {number|null} returns.sma50Distance - Last close vs 50-day SMA (%)
+ * @returns {string} returns.source - Always 'price-history'
+ */
+export function calculateTechnicalIndicators(bars) {
+    const closes = getCloses(bars);
+    const lastClose = closes[closes.length - 1];
+    const atr = calculateATR(bars);
+    const sma20 = calculateSMA(closes, 20);
+    const sma50 = calculateSMA(closes, 50);
+
+    return {
+        rsi: calculateRSI(closes),
+        atr,
+        atrPercent: atr !== null && lastClose > 0 ? round((atr / lastClose) * 100) : null,
+        bollingerWidth: calculateBollingerWidth(closes),
+        sma20: sma20 !== null ? round(sma20) : null,
+        sma50: sma50 !== null ? round(sma50) : null,
+        sma20Distance: calculateSmaDistance(closes, 20),
+        sma50Distance: calculateSmaDistance(closes, 50),
+        barCount: closes.length,
+        source: 'price-history'
+    };
+}
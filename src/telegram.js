@@ -0,0 +1,223 @@
+/**
+ * Telegram bot
+ * On-demand lookups through POST /telegram/webhook. Telegram delivers each chat message as
+ * an update and the worker answers with sendMessage:
+ *   /symbol TICKER    live volatility card (plus an AI trade idea when enabled)
+ *   /regime           VIX and market regime
+ *   /scan             picks from the latest archived issue
+ *   /subscribe EMAIL  starts the same double opt-in signup as the web form
+ * Data access is injected by index.js (handlers), so this module only parses commands and
+ * formats replies. Telegram signs webhook calls with the secret_token passed to setWebhook
+ * (TELEGRAM_SECRET_HEADER); index.js rejects calls without it.
+ */
+
+import { normalizeWatchlist } from './subscribers.js';
+
+export const TELEGRAM_API_BASE = 'https://api.telegram.org';
+export const TELEGRAM_SECRET_HEADER = 'X-Telegram-Bot-Api-Secret-Token';
+// Picks listed by /scan; the full issue is linked
+const SCAN_PICK_LIMIT = 8;
+
+export const HELP_TEXT = [
+    '<b>Options Insight bot</b>',
+    '/symbol TICKER – live IV, expected move and earnings date',
+    '/regime – VIX and market regime',
+    '/scan – picks from the latest issue',
+    '/subscribe EMAIL – get the daily digest by email'
+].join('\n');
+
+export function escapeTelegramHtml(value) {
+    return String(value ?? '').replace(/[&<>]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[char]);
+}
+
+const formatPercent = (value) => (value === null || value === undefined ? 'N/A' : `${Number(value).toFixed(1)}%`);
+const formatPrice = (value) => (value === null || value === undefined ? 'N/A' : `$${Number(value).toFixed(2)}`);
+const formatVix = (vix) => (vix === null || vix === undefined ? 'N/A' : Number(vix).toFixed(1));
+
+/**
+ * Parse a bot command
+ * @param {string} text - Message text
+ * @returns {Object|null} { command, args } with the command lower-cased and any @BotName suffix removed
+ */
+export function parseTelegramCommand(text) {
+    const match = String(text ?? '').trim().match(/^\/([a-z_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i);
+    if (!match) return null;
+    return { command: match[1].toLowerCase(), args: (match[2] || '').trim() };
+}
+
+/**
+ * Compact card for /symbol
+ * @param {Object} lookup - { symbol, analysis, earnings, marketContext, idea }
+ * @param {Object} lookup.analysis - getVolatilityAnalysis result
+ * @param {Object|null} lookup.earnings - { date, hour, daysToEarnings } or null when none is scheduled
+ * @param {Object|null} lookup.idea - generateTradingIdeas analysis, or null
+ * @returns {string} Telegram HTML
+ */
+export function formatSymbolCard({ symbol, analysis, earnings = null, marketContext = null, idea = null }) {
+    const price = analysis.currentPrice;
+    const change = analysis.changePercent !== null && analysis.changePercent !== undefined
+        ? ` (${analysis.changePercent >= 0 ? '+' : ''}${Number(analysis.changePercent).toFixed(2)}%)`
+        : '';
+    const ivHv = analysis.impliedVolatility && analysis.historicalVolatility
+        ? ` · IV/HV ${(analysis.impliedVolatility / analysis.historicalVolatility).toFixed(2)}`
+        : '';
+    const movePercent = analysis.expectedMove && price ? (analysis.expectedMove / price) * 100 : null;
+
+    const lines = [
+        `<b>${escapeTelegramHtml(symbol)}</b> ${formatPrice(price)}${change}`,
+        earnings
+            ? `Earnings: ${escapeTelegramHtml(earnings.date)}${earnings.hour ? ` (${escapeTelegramHtml(earnings.hour)})` : ''}${earnings.daysToEarnings !== null ? ` · in ${earnings.daysToEarnings} days` : ''}`
+            : 'Earnings: none scheduled in the next 90 days',
+        `IV ${formatPercent(analysis.impliedVolatility)} · HV ${formatPercent(analysis.historicalVolatility)}${ivHv}`,
+        `Expected move (30d): ±${formatPrice(analysis.expectedMove)} (±${formatPercent(movePercent)})`
+    ];
+    if (analysis.impliedMove?.movePercent !== null && analysis.impliedMove?.movePercent !== undefined) {
+        lines.push(`Straddle move to ${escapeTelegramHtml(analysis.impliedMove.expiration)}: ±${formatPercent(analysis.impliedMove.movePercent)}`);
+    }
+    if (analysis.technicalIndicators?.rsi !== null && analysis.technicalIndicators?.rsi !== undefined) {
+        lines.push(`RSI ${Math.round(analysis.technicalIndicators.rsi)} · Volatility score ${analysis.volatilityScore ?? 'N/A'}/100`);
+    }
+    if (marketContext) {
+        lines.push(`Regime: ${escapeTelegramHtml(marketContext.marketRegime || 'unknown')} · VIX ${formatVix(marketContext.vix)}`);
+    }
+    if (idea) {
+        const strategy = idea.strategies?.[0];
+        const pop = strategy?.pricing?.probabilityOfProfit;
+        lines.push(`🤖 <b>${escapeTelegramHtml(idea.recommendation)}</b>${strategy ? ` – ${escapeTelegramHtml(strategy.name)}${pop !== null && pop !== undefined ? ` (POP ${Math.round(pop)}%${strategy.pricing.illustrative ? ', illustrative strikes' : ''})` : ''}` : ''}`);
+    }
+    if (analysis.dataQuality === 'estimated') {
+        lines.push('<i>⚠️ Live data unavailable; figures are estimates</i>');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Card for /regime
+ * @param {Object} marketContext - getMarketContext result
+ * @returns {string} Telegram HTML
+ */
+export function formatRegimeCard(marketContext) {
+    return [
+        '<b>Market regime</b>',
+        `VIX ${formatVix(marketContext?.vix)} · ${escapeTelegramHtml(marketContext?.marketRegime || 'unknown')}`
+    ].join('\n');
+}
+
+/**
+ * Card for /scan
+ * @param {Object|null} issue - Archived issue (archive.js) or null before the first issue
+ * @param {string|null} issueUrl - Public link to the issue
+ * @returns {string} Telegram HTML
+ */
+export function formatScanCard(issue, issueUrl = null) {
+    if (!issue) {
+        return 'No issues published yet. The next scan runs with the daily digest.';
+    }
+    const picks = issue.picks || [];
+    const context = issue.marketContext || {};
+    const lines = [
+        `<b>Latest scan – ${escapeTelegramHtml(issue.date)}</b> (${escapeTelegramHtml(issue.subjectTag)})`,
+        `Regime: ${escapeTelegramHtml(context.marketRegime || 'unknown')} · VIX ${formatVix(context.vix)}`
+    ];
+    if (picks.length === 0) {
+        lines.push(escapeTelegramHtml(context.digestNote || 'No qualifying opportunities in this issue.'));
+    }
+    for (const pick of picks.slice(0, SCAN_PICK_LIMIT)) {
+        lines.push(`• <b>${escapeTelegramHtml(pick.symbol)}</b> ${escapeTelegramHtml(pick.recommendation)} · earnings ${escapeTelegramHtml(pick.earningsDate)} · ±${formatPercent(pick.expectedMovePercent)}`);
+    }
+    if (picks.length > SCAN_PICK_LIMIT) {
+        lines.push(`…and ${picks.length - SCAN_PICK_LIMIT} more`);
+    }
+    if (issueUrl) {
+        lines.push(`<a href="${escapeTelegramHtml(issueUrl)}">Read the full issue</a>`);
+    }
+    return lines.join('\n');
+}
+
+const SUBSCRIBE_REPLIES = {
+    pending: (email) => `📬 Check ${escapeTelegramHtml(email)} and confirm your subscription.`,
+    invalid: () => 'Usage: /subscribe you@example.com',
+    limited: () => 'Too many signup attempts. Please try again later.',
+    unavailable: () => 'Signups are unavailable right now. Please try again later.'
+};
+
+/**
+ * Answer one webhook update
+ * @param {Object} update - Telegram Update object
+ * @param {Object} handlers - Data access supplied by index.js
+ * @param {Function} handlers.lookupSymbol - async (symbol) => { analysis, earnings, marketContext, idea } or null
+ * @param {Function} handlers.getRegime - async () => marketContext
+ * @param {Function} handlers.getLatestScan - async () => { issue, issueUrl }
+ * @param {Function} handlers.subscribe - async (email, { chatId }) => status key of SUBSCRIBE_REPLIES
+ * @returns {Promise<Object|null>} { chatId, replyTo, text }, or null for updates that get no reply
+ */
+export async function handleTelegramUpdate(update, handlers) {
+    const message = update?.message || update?.edited_message;
+    const parsed = parseTelegramCommand(message?.text);
+    if (!message?.chat || !parsed) {
+        return null;
+    }
+
+    const reply = (text) => ({ chatId: message.chat.id, replyTo: message.message_id, text });
+    try {
+        switch (parsed.command) {
+            case 'symbol': {
+                const [symbol] = normalizeWatchlist(parsed.args.split(/\s+/)[0]).symbols;
+                if (!symbol) {
+                    return reply('Usage: /symbol NVDA');
+                }
+                const lookup = await handlers.lookupSymbol(symbol);
+                return reply(lookup?.analysis
+                    ? formatSymbolCard({ symbol, ...lookup })
+                    : `No market data available for ${escapeTelegramHtml(symbol)}.`);
+            }
+            case 'regime':
+                return reply(formatRegimeCard(await handlers.getRegime()));
+            case 'scan': {
+                const { issue, issueUrl } = await handlers.getLatestScan();
+                return reply(formatScanCard(issue, issueUrl));
+            }
+            case 'subscribe': {
+                const email = parsed.args.split(/\s+/)[0].toLowerCase();
+                const status = await handlers.subscribe(email, { chatId: message.chat.id });
+                return reply((SUBSCRIBE_REPLIES[status] || SUBSCRIBE_REPLIES.unavailable)(email));
+            }
+            case 'start':
+            case 'help':
+                return reply(HELP_TEXT);
+            default:
+                return reply(`Unknown command /${escapeTelegramHtml(parsed.command)}.\n\n${HELP_TEXT}`);
+        }
+    } catch (error) {
+        console.error(`❌ Telegram /${parsed.command} failed:`, error);
+        return reply('⚠️ Lookup failed. Please try again in a minute.');
+    }
+}
+
+/**
+ * Send a reply through the Bot API
+ * @param {string} botToken - TELEGRAM_BOT_TOKEN
+ * @param {number|string} chatId - Target chat
+ * @param {string} text - Telegram HTML
+ * @param {Object} [options] - { replyTo } message id to thread the reply under
+ * @returns {Promise<Object>} Sent message
+ * @throws {Error} When the Bot API rejects the call
+ */
+export async function sendTelegramMessage(botToken, chatId, text, { replyTo } = {}) {
+    const response = await fetch(`${TELEGRAM_API_BASE}/bot${botToken}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            chat_id: chatId,
+            text,
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            ...(replyTo ? { reply_parameters: { message_id: replyTo, allow_sending_without_reply: true } } : {})
+        })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.ok) {
+        throw new Error(`Telegram sendMessage failed: ${response.status} ${result.description || ''}`.trim());
+    }
+    return result.result;
+}
@@ -0,0 +1,82 @@
+/**
+ * Signed subscriber tokens
+ * Links in subscriber emails carry an HMAC-SHA256 token (SUBSCRIBER_TOKEN_SECRET) that
+ * binds an email address to one purpose and an expiry, so a subscriber can manage their
+ * own settings without an account or password. Broadcast approval links reuse the format
+ * with the draft broadcast id in place of the email.
+ * Format: base64url("email|purpose|expiresAtSeconds") + "." + base64url(signature)
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+export const DEFAULT_TOKEN_TTL_DAYS = 30;
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function importKey(secret) {
+    return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+/**
+ * Sign a token for one subscriber and purpose
+ * @param {string} secret - SUBSCRIBER_TOKEN_SECRET
+ * @param {string} email - Subscriber email (lower-cased before signing)
+ * @param {string} purpose - What the token unlocks, e.g. 'watchlist'
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.expiresInDays=DEFAULT_TOKEN_TTL_DAYS] - Validity
+ * @param {Date} [options.now=new Date()] - Issue time
+ * @returns {Promise<string>} URL-safe token
+ */
+export async function createSubscriberToken(secret, email, purpose, { expiresInDays = DEFAULT_TOKEN_TTL_DAYS, now = new Date() } = {}) {
+    if (!secret) throw new Error('SUBSCRIBER_TOKEN_SECRET is required to sign subscriber tokens');
+    if (!email || !purpose) throw new Error('Email and purpose are required to sign subscriber tokens');
+
+    const expiresAt = Math.floor((now.getTime() + expiresInDays * MS_PER_DAY) / 1000);
+    const payload = encoder.encode(`${email.trim().toLowerCase()}|${purpose}|${expiresAt}`);
+    const signature = await crypto.subtle.sign('HMAC', await importKey(secret), payload);
+    return `${toBase64Url(payload)}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Check a token's signature, purpose and expiry
+ * @param {string} secret - SUBSCRIBER_TOKEN_SECRET
+ * @param {string} token - Token from createSubscriberToken
+ * @param {string} purpose - Purpose the caller requires
+ * @param {Object} [options={}] - Options
+ * @param {Date} [options.now=new Date()] - Verification time
+ * @returns {Promise<string|null>} The subscriber email, or null for any invalid token
+ */
+export async function verifySubscriberToken(secret, token, purpose, { now = new Date() } = {}) {
+    if (!secret || typeof token !== 'string') return null;
+    const [encodedPayload, encodedSignature, extra] = token.split('.');
+    if (!encodedPayload || !encodedSignature || extra !== undefined) return null;
+
+    let payload;
+    let signature;
+    try {
+        payload = fromBase64Url(encodedPayload);
+        signature = fromBase64Url(encodedSignature);
+    } catch {
+        return null;
+    }
+
+    const valid = await crypto.subtle.verify('HMAC', await importKey(secret), signature, payload);
+    if (!valid) return null;
+
+    const [email, tokenPurpose, expiresAt] = decoder.decode(payload).split('|');
+    if (tokenPurpose !== purpose || !(Number(expiresAt) * 1000 > now.getTime())) return null;
+    return email;
+}
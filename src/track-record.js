@@ -0,0 +1,227 @@
+/**
+ * Track record of published recommendations
+ * Stores every validated analysis at publish time (price, IV, expected move, strategies)
+ * and scores it once the earnings reaction is in: did the stock stay inside the move the
+ * options market priced? Hit rates are aggregated per recommendation and per regime.
+ */
+
+import SimplifiedDataProvider from './simplified-data.js';
+import { computeEarningsMoves } from './earnings-history.js';
+
+const PICKS_KEY = 'track-record:picks';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+export const RETENTION_DAYS = 365;
+// Give up on picks whose reaction bar never shows up (delisted, rescheduled report)
+export const EVALUATION_GRACE_DAYS = 10;
+// Daily bars fetched per evaluation; covers picks published up to ~5 weeks before earnings
+const EVALUATION_LOOKBACK_DAYS = 60;
+// US close is 20:00 UTC in summer and 21:00 in winter; before this hour today's bar is still forming
+const MARKET_CLOSE_UTC_HOUR = 21;
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Build the record stored for a published analysis
+ * @param {Object} item - Validated pipeline item ({ opportunity, analysis })
+ * @param {Object} [context={}] - Publish context
+ * @param {Object} [context.marketContext] - Market context (vix, marketRegime)
+ * @param {string} [context.publishedAt] - ISO timestamp
+ * @returns {Object} Pick record with outcome null
+ * @description The expected move is the straddle-implied move when the chain was
+ * available, otherwise the IV-based expected move.
+ */
+export function createPick({ opportunity, analysis }, { marketContext = {}, publishedAt = new Date().toISOString() } = {}) {
+    const vol = opportunity.volatilityData || {};
+    const price = vol.currentPrice ?? null;
+    const impliedMove = vol.impliedMove || opportunity.impliedMove;
+    const expectedMovePercent = impliedMove?.movePercent
+        ?? (vol.expectedMove && price ? round((vol.expectedMove / price) * 100) : null);
+    const publishedDate = publishedAt.split('T')[0];
+
+    return {
+        id: `${publishedDate}:${opportunity.symbol}`,
+        symbol: opportunity.symbol,
+        publishedAt,
+        publishedDate,
+        earningsDate: opportunity.date,
+        earningsHour: opportunity.hour || null,
+        recommendation: analysis.recommendation,
+        sentimentScore: analysis.sentimentScore ?? null,
+        strategies: (analysis.strategies || []).map(strategy => ({
+            name: strategy.name,
+            probabilityOfProfit: strategy.pricing?.probabilityOfProfit ?? null,
+            // null means unlimited; left out when the strategy was not priced
+            maxLoss: strategy.pricing ? strategy.pricing.maxLoss ?? null : undefined,
+            netPremium: strategy.pricing?.netPremium ?? null,
+            legs: strategy.pricing?.legs || null
+        })),
+        price,
+        impliedVolatility: vol.impliedVolatility ?? null,
+        expectedMovePercent,
+        expectedMoveSource: impliedMove?.movePercent ? 'straddle' : 'iv-estimate',
+        marketRegime: marketContext?.marketRegime || 'unknown',
+        vix: marketContext?.vix ?? null,
+        outcome: null
+    };
+}
+
+/**
+ * Score a pick against post-earnings prices
+ * @param {Object} pick - Record from createPick
+ * @param {Array<Object>} prices - Daily bars, oldest first ({ date, open, close })
+ * @param {Date} [asOf=new Date()] - Evaluation time
+ * @returns {Object|null} Outcome, or null while the reaction session is not yet available
+ * @returns {string} returns.status - 'evaluated' or 'unavailable' (past the grace period)
+ * @returns {number} returns.movePercent - Publish price to reaction close (%)
+ * @returns {boolean} returns.insideExpectedMove - |move| <= expected move at publish
+ * @description The reaction session follows earnings-history rules (before-open reports
+ * react the same day, after-close reports the next session). Only completed sessions count:
+ * today's bar (UTC) is ignored until after the close, so a pick is never scored intraday.
+ */
+export function evaluatePick(pick, prices, asOf = new Date()) {
+    const today = asOf.toISOString().split('T')[0];
+    const completed = (prices || []).filter(bar => bar.date < today || (bar.date === today && asOf.getUTCHours() >= MARKET_CLOSE_UTC_HOUR));
+    const [reaction] = computeEarningsMoves([{ date: pick.earningsDate, hour: pick.earningsHour }], completed);
+    const evaluatedAt = asOf.toISOString();
+
+    if (!reaction || !(pick.price > 0)) {
+        const pastGrace = asOf.getTime() - new Date(pick.earningsDate).getTime() > EVALUATION_GRACE_DAYS * MS_PER_DAY;
+        return pastGrace ? { status: 'unavailable', evaluatedAt } : null;
+    }
+
+    const movePercent = ((reaction.closeAfter - pick.price) / pick.price) * 100;
+    return {
+        status: 'evaluated',
+        evaluatedAt,
+        reactionDate: reaction.reactionDate,
+        reactionClose: reaction.closeAfter,
+        movePercent: round(movePercent),
+        earningsMovePercent: reaction.movePercent,
+        insideExpectedMove: pick.expectedMovePercent > 0 ? Math.abs(movePercent) <= pick.expectedMovePercent : null,
+        moveToExpectedRatio: pick.expectedMovePercent > 0 ? round(Math.abs(movePercent) / pick.expectedMovePercent) : null
+    };
+}
+
+function summarizeGroup(picks) {
+    const scored = picks.filter(pick => pick.outcome?.status === 'evaluated' && pick.outcome.insideExpectedMove !== null);
+    const hits = scored.filter(pick => pick.outcome.insideExpectedMove).length;
+    const ratios = scored.map(pick => pick.outcome.moveToExpectedRatio);
+
+    return {
+        picks: picks.length,
+        evaluated: scored.length,
+        hits,
+        hitRate: scored.length ? round((hits / scored.length) * 100, 1) : null,
+        avgMoveToExpected: ratios.length ? round(ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length) : null
+    };
+}
+
+function groupBy(picks, key) {
+    const groups = {};
+    for (const pick of picks) {
+        (groups[pick[key]] ||= []).push(pick);
+    }
+    return Object.fromEntries(Object.entries(groups).map(([name, group]) => [name, summarizeGroup(group)]));
+}
+
+/**
+ * Aggregate hit rates
+ * @param {Array<Object>} picks - Stored picks
+ * @returns {Object} Overall summary plus byRecommendation and byRegime breakdowns
+ * @description A hit is a stock that finished its earnings reaction inside the expected
+ * move priced at publish time.
+ */
+export function summarizeTrackRecord(picks) {
+    const all = picks || [];
+    return {
+        ...summarizeGroup(all),
+        pending: all.filter(pick => !pick.outcome).length,
+        since: all.length ? all.reduce((min, pick) => (pick.publishedDate < min ? pick.publishedDate : min), all[0].publishedDate) : null,
+        byRecommendation: groupBy(all, 'recommendation'),
+        byRegime: groupBy(all, 'marketRegime')
+    };
+}
+
+/**
+ * Published-pick storage and evaluation on top of a KV-compatible store
+ * @class TrackRecordStore
+ */
+export class TrackRecordStore {
+    /**
+     * @param {Object} store - Workers KV namespace or compatible store (see storage.js)
+     * @param {Object} [options={}] - Options
+     * @param {Object} [options.dataProvider] - Provider exposing getYahooHistoricalData
+     */
+    constructor(store, { dataProvider = new SimplifiedDataProvider() } = {}) {
+        this.store = store;
+        this.dataProvider = dataProvider;
+    }
+
+    async getPicks() {
+        const picks = await this.store.get(PICKS_KEY, 'json');
+        return Array.isArray(picks) ? picks : [];
+    }
+
+    async savePicks(picks) {
+        const cutoff = new Date(Date.now() - RETENTION_DAYS * MS_PER_DAY).toISOString().split('T')[0];
+        const retained = picks.filter(pick => pick.publishedDate >= cutoff);
+        await this.store.put(PICKS_KEY, JSON.stringify(retained));
+        return retained;
+    }
+
+    /**
+     * Store the analyses that went out in a newsletter (re-publishing a symbol the same day replaces it)
+     * @returns {Promise<Array<Object>>} Newly stored picks
+     */
+    async recordPublications(items, context = {}) {
+        const created = (items || []).map(item => createPick(item, context));
+        const ids = new Set(created.map(pick => pick.id));
+        const picks = (await this.getPicks()).filter(pick => !ids.has(pick.id));
+        await this.savePicks([...picks, ...created]);
+        return created;
+    }
+
+    /**
+     * Score every pick whose earnings reaction has happened
+     * @param {Object} [options={}] - Options
+     * @param {Date} [options.asOf=new Date()] - Evaluation time
+     * @returns {Promise<Object>} { evaluated, unavailable, pending } counts for this pass
+     * @description One Yahoo history request per symbol; failures leave picks pending.
+     */
+    async evaluatePending({ asOf = new Date() } = {}) {
+        const picks = await this.getPicks();
+        const today = asOf.toISOString().split('T')[0];
+        const due = picks.filter(pick => !pick.outcome && pick.earningsDate && pick.earningsDate <= today);
+        const counts = { evaluated: 0, unavailable: 0, pending: picks.filter(pick => !pick.outcome).length };
+
+        const symbols = [...new Set(due.map(pick => pick.symbol))];
+        for (const symbol of symbols) {
+            let prices;
+            try {
+                ({ prices } = await this.dataProvider.getYahooHistoricalData(symbol, EVALUATION_LOOKBACK_DAYS));
+            } catch (error) {
+                console.warn(`⚠️ Track record prices unavailable for ${symbol}:`, error.message);
+                continue;
+            }
+
+            for (const pick of due.filter(candidate => candidate.symbol === symbol)) {
+                const outcome = evaluatePick(pick, prices, asOf);
+                if (!outcome) continue;
+                pick.outcome = outcome;
+                counts[outcome.status === 'evaluated' ? 'evaluated' : 'unavailable']++;
+                counts.pending--;
+            }
+        }
+
+        if (counts.evaluated || counts.unavailable) {
+            await this.savePicks(picks);
+        }
+        return counts;
+    }
+
+    async getSummary() {
+        return summarizeTrackRecord(await this.getPicks());
+    }
+}
+
+export default TrackRecordStore;
@@ -0,0 +1,251 @@
+/**
+ * Stock universe builder
+ * Loads index constituents from the checked-in CSV snapshot (config/constituents.csv)
+ * and keeps the names that pass liquidity screens: minimum price, minimum average
+ * volume from Yahoo daily bars and listed options. Screen results are cached in KV and
+ * refreshed a batch at a time, so delisted or renamed tickers drop out (with a warning)
+ * instead of silently rotting in a hand-maintained list. The worker screens on its own cron
+ * (UNIVERSE_SCREEN_CRON); the daily digest only reads the cache.
+ */
+
+import { UNIVERSE_SCREENS } from './config.js';
+import SimplifiedDataProvider from './simplified-data.js';
+
+const SCREENS_KEY = 'universe:screens';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Passing and excluded names are rechecked weekly; failed lookups are retried the next day
+export const SCREEN_TTL_DAYS = 7;
+export const FAILED_RETRY_DAYS = 1;
+// Symbols screened per run (two Yahoo requests each) to stay well inside Worker subrequest limits
+export const DEFAULT_SCREEN_BUDGET = 40;
+// Must match the third cron in wrangler.toml. Six runs a day cover the ~75 constituents that go
+// stale daily; a run with nothing due makes no requests.
+export const UNIVERSE_SCREEN_CRON = '30 */4 * * *';
+// Daily bars averaged for the volume screen
+const VOLUME_LOOKBACK_BARS = 20;
+const HISTORY_REQUEST_DAYS = 35;
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields.map(value => value.trim());
+}
+
+/**
+ * Parse the constituents snapshot
+ * @param {string} text - CSV with a `symbol,name,sector,indices` header
+ * @returns {Array<Object>} Constituents ({ symbol, name, sector, indices: ['SP500', 'NDX', ...] })
+ * @description Symbols are upper-cased and use Yahoo's class separator (BRK.B becomes BRK-B);
+ * blank lines and duplicate symbols are dropped.
+ */
+export function parseConstituentsCsv(text) {
+    const lines = (text || '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const header = parseCsvLine(lines[0]).map(column => column.toLowerCase());
+    const column = name => header.indexOf(name);
+    if (column('symbol') === -1) {
+        throw new Error('Constituents CSV is missing a symbol column');
+    }
+
+    const seen = new Set();
+    const constituents = [];
+    for (const line of lines.slice(1)) {
+        const fields = parseCsvLine(line);
+        const symbol = fields[column('symbol')]?.toUpperCase().replace('.', '-');
+        if (!symbol || seen.has(symbol)) continue;
+        seen.add(symbol);
+        constituents.push({
+            symbol,
+            name: fields[column('name')] || null,
+            sector: fields[column('sector')] || null,
+            indices: (fields[column('indices')] || '').split(';').filter(Boolean)
+        });
+    }
+    return constituents;
+}
+
+/**
+ * Apply the liquidity screens to a symbol's recent bars and options status
+ * @param {Object} data - Screen inputs
+ * @param {number} data.price - Last close
+ * @param {number} data.averageVolume - Average daily share volume
+ * @param {boolean|null} data.optionable - Listed options (null when the lookup was inconclusive)
+ * @param {Object} [screens=UNIVERSE_SCREENS] - Thresholds
+ * @returns {Array<string>} Reasons the symbol fails; empty when it passes
+ */
+export function evaluateScreens({ price, averageVolume, optionable }, screens = UNIVERSE_SCREENS) {
+    const reasons = [];
+    if (!(price >= screens.minPrice)) {
+        reasons.push(`price $${price ?? 'N/A'} < $${screens.minPrice}`);
+    }
+    if (!(averageVolume >= screens.minAverageVolume)) {
+        reasons.push(`avg volume ${averageVolume ?? 'N/A'} < ${screens.minAverageVolume}`);
+    }
+    if (screens.requireOptions && optionable === false) {
+        reasons.push('no listed options');
+    }
+    return reasons;
+}
+
+/**
+ * Screened universe on top of a KV-compatible store
+ * @class UniverseBuilder
+ */
+export class UniverseBuilder {
+    /**
+     * @param {Object} store - Workers KV namespace or compatible store (see storage.js)
+     * @param {Object} [options={}] - Options
+     * @param {Object} [options.dataProvider] - Provider exposing getYahooHistoricalData and getYahooOptionsChain
+     * @param {Object} [options.screens=UNIVERSE_SCREENS] - Screen thresholds
+     * @param {number} [options.requestDelay=250] - Pause between screened symbols (ms)
+     */
+    constructor(store, { dataProvider = new SimplifiedDataProvider(), screens = UNIVERSE_SCREENS, requestDelay = 250 } = {}) {
+        this.store = store;
+        this.dataProvider = dataProvider;
+        this.screens = screens;
+        this.requestDelay = requestDelay;
+    }
+
+    async getScreens() {
+        const screens = await this.store.get(SCREENS_KEY, 'json');
+        return screens && typeof screens === 'object' ? screens : {};
+    }
+
+    /**
+     * Screen one symbol
+     * @returns {Promise<Object>} { status: 'passed'|'excluded'|'failed', price, averageVolume, optionable, reasons, error, checkedAt }
+     * @description A failed bar lookup marks the symbol 'failed' (likely delisted or renamed).
+     * An options lookup that errors leaves optionable null, which does not exclude the symbol.
+     */
+    async screenSymbol(symbol, now = new Date()) {
+        const checkedAt = now.toISOString();
+
+        let bars;
+        try {
+            ({ prices: bars } = await this.dataProvider.getYahooHistoricalData(symbol, HISTORY_REQUEST_DAYS));
+        } catch (error) {
+            return { status: 'failed', error: error.message, checkedAt };
+        }
+        if (!bars?.length) {
+            return { status: 'failed', error: 'No price history', checkedAt };
+        }
+
+        const recent = bars.slice(-VOLUME_LOOKBACK_BARS);
+        const price = parseFloat(bars[bars.length - 1].close.toFixed(2));
+        const averageVolume = Math.round(recent.reduce((sum, bar) => sum + (bar.volume || 0), 0) / recent.length);
+
+        let optionable = null;
+        if (this.screens.requireOptions) {
+            try {
+                const chain = await this.dataProvider.getYahooOptionsChain(symbol);
+                optionable = chain.expirationDates.length > 0;
+            } catch (error) {
+                optionable = error.message === 'No options chain available' ? false : null;
+            }
+        }
+
+        const reasons = evaluateScreens({ price, averageVolume, optionable }, this.screens);
+        return {
+            status: reasons.length ? 'excluded' : 'passed',
+            price,
+            averageVolume,
+            optionable,
+            reasons,
+            checkedAt
+        };
+    }
+
+    /**
+     * Build the universe, rescreening the stalest constituents within the budget
+     * @param {Array<Object>} constituents - Output of parseConstituentsCsv
+     * @param {Object} [options={}] - Options
+     * @param {number} [options.budget=DEFAULT_SCREEN_BUDGET] - Maximum symbols screened this call
+     * @param {Date} [options.now=new Date()] - Current time
+     * @returns {Promise<Object>} Universe summary
+     * @returns {Array<string>} returns.symbols - Constituents that passed, plus those not yet screened
+     * @returns {Array<Object>} returns.excluded - { symbol, reasons } failing a liquidity screen
+     * @returns {Array<Object>} returns.failed - { symbol, error } whose quote lookup failed
+     * @returns {number} returns.screened - Symbols screened in this call
+     * @returns {number} returns.unscreened - Constituents with no screen result yet
+     * @description Never-screened symbols go first, then the oldest results. Unscreened
+     * constituents stay in the universe until their first screen so a cold cache does not
+     * shrink the scan.
+     */
+    async buildUniverse(constituents, { budget = DEFAULT_SCREEN_BUDGET, now = new Date() } = {}) {
+        const results = await this.getScreens();
+        const symbols = constituents.map(constituent => constituent.symbol);
+
+        const isDue = result => {
+            if (!result) return true;
+            const ageDays = (now.getTime() - new Date(result.checkedAt).getTime()) / MS_PER_DAY;
+            return ageDays >= (result.status === 'failed' ? FAILED_RETRY_DAYS : SCREEN_TTL_DAYS);
+        };
+        const due = symbols
+            .filter(symbol => isDue(results[symbol]))
+            .sort((a, b) => (results[a]?.checkedAt || '').localeCompare(results[b]?.checkedAt || ''))
+            .slice(0, Math.max(0, budget));
+
+        for (let i = 0; i < due.length; i++) {
+            results[due[i]] = await this.screenSymbol(due[i], now);
+            if (i < due.length - 1 && this.requestDelay > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+            }
+        }
+
+        // Constituents removed from the snapshot are dropped from the cache
+        const retained = Object.fromEntries(symbols.filter(symbol => results[symbol]).map(symbol => [symbol, results[symbol]]));
+        if (due.length > 0) {
+            await this.store.put(SCREENS_KEY, JSON.stringify(retained));
+        }
+
+        const failed = symbols
+            .filter(symbol => retained[symbol]?.status === 'failed')
+            .map(symbol => ({ symbol, error: retained[symbol].error }));
+        if (failed.length > 0) {
+            console.warn(`⚠️ Universe quote lookups failed (check for delisted or renamed tickers): ${failed.map(({ symbol }) => symbol).join(', ')}`);
+        }
+
+        return {
+            symbols: symbols.filter(symbol => !retained[symbol] || retained[symbol].status === 'passed'),
+            constituents: symbols.length,
+            excluded: symbols
+                .filter(symbol => retained[symbol]?.status === 'excluded')
+                .map(symbol => ({ symbol, reasons: retained[symbol].reasons })),
+            failed,
+            screened: due.length,
+            unscreened: symbols.filter(symbol => !retained[symbol]).length,
+            builtAt: now.toISOString()
+        };
+    }
+}
+
+export default UniverseBuilder;
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { parseAnalyzeRequest, parseAnalyzeApiKeys, analyzeSymbols, MAX_ANALYZE_SYMBOLS } from '../src/analyze.js';
+import { getSymbolOpportunities, getMarketContext } from '../src/finnhub.js';
+import { generateTradingIdeas } from '../src/gemini.js';
+import { getScoringProfile } from '../src/scoring-profiles.js';
+
+vi.mock('../src/finnhub.js', () => ({
+  getSymbolOpportunities: vi.fn(),
+  getMarketContext: vi.fn()
+}));
+
+vi.mock('../src/gemini.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  generateTradingIdeas: vi.fn()
+}));
+
+const opportunity = (symbol, overrides = {}) => ({
+  symbol,
+  date: '2025-06-05',
+  hour: 'amc',
+  daysToEarnings: 10,
+  volatilityData: { currentPrice: 100, impliedVolatility: 40, historicalVolatility: 30 },
+  volatilityScore: 70,
+  impliedMove: null,
+  qualityScore: 65,
+  qualifies: true,
+  ...overrides
+});
+
+const analysis = {
+  sentimentScore: 7,
+  recommendation: 'STRONGLY CONSIDER',
+  strategies: [{ name: 'Iron Condor' }]
+};
+
+describe('Ad-hoc analysis', () => {
+  describe('parseAnalyzeRequest', () => {
+    it('should normalize symbols and resolve the scoring profile', () => {
+      expect(parseAnalyzeRequest({ symbols: ['nvda', '$aapl', 'NVDA'], includeAI: true }, { defaultProfile: 'event-buyer' })).toMatchObject({
+        symbols: ['NVDA', 'AAPL'],
+        includeAI: true,
+        profile: { name: 'event-buyer' },
+        error: null
+      });
+      expect(parseAnalyzeRequest({ symbols: ['MSFT'], profile: 'premium-seller' })).toMatchObject({ includeAI: false, profile: { name: 'premium-seller' } });
+    });
+
+    it('should reject malformed, oversized and unknown requests', () => {
+      const tooMany = Array.from({ length: MAX_ANALYZE_SYMBOLS + 1 }, (_, i) => `A${i}`);
+
+      expect(parseAnalyzeRequest({}).error).toBe('symbols must be a non-empty array of tickers');
+      expect(parseAnalyzeRequest({ symbols: 'NVDA' }).error).toBe('symbols must be a non-empty array of tickers');
+      expect(parseAnalyzeRequest({ symbols: tooMany }).error).toBe(`At most ${MAX_ANALYZE_SYMBOLS} symbols per request`);
+      expect(parseAnalyzeRequest({ symbols: ['NVDA', '12$'] }).error).toBe('Unrecognized tickers: 12$');
+      expect(parseAnalyzeRequest({ symbols: ['NVDA'], includeAI: 'yes' }).error).toBe('includeAI must be a boolean');
+      expect(parseAnalyzeRequest({ symbols: ['NVDA'], profile: 'yolo' }).error).toContain('Unknown scoring profile "yolo"');
+    });
+  });
+
+  describe('parseAnalyzeApiKeys', () => {
+    it('should read name:secret pairs and drop malformed entries', () => {
+      expect(parseAnalyzeApiKeys(' Screener:abc:def , notebook:k2,broken,:nameless,empty: ')).toEqual([
+        { name: 'screener', secret: 'abc:def' },
+        { name: 'notebook', secret: 'k2' }
+      ]);
+      expect(parseAnalyzeApiKeys(undefined)).toEqual([]);
+    });
+  });
+
+  describe('analyzeSymbols', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+      getMarketContext.mockResolvedValue({ vix: 18, marketRegime: 'normal' });
+    });
+
+    it('should return scored opportunities without calling Gemini by default', async () => {
+      getSymbolOpportunities.mockResolvedValue([opportunity('NVDA'), opportunity('XYZ', { volatilityData: null, qualifies: false })]);
+      const profile = getScoringProfile();
+
+      const { marketContext, results } = await analyzeSymbols({ finnhubApiKey: 'f', symbols: ['NVDA', 'XYZ'], profile });
+
+      expect(getSymbolOpportunities).toHaveBeenCalledWith('f', ['NVDA', 'XYZ'], { ivHistory: null, profile });
+      expect(generateTradingIdeas).not.toHaveBeenCalled();
+      expect(marketContext).toEqual({ vix: 18, marketRegime: 'normal' });
+      expect(results[0]).toMatchObject({ symbol: 'NVDA', qualityScore: 65, analysis: null, validation: null, error: null });
+      expect(results[1]).toMatchObject({ symbol: 'XYZ', error: 'No market data available' });
+    });
+
+    it('should attach Gemini analyses and their validation for symbols with data', async () => {
+      getSymbolOpportunities.mockResolvedValue([opportunity('NVDA'), opportunity('AAPL'), opportunity('XYZ', { volatilityData: null })]);
+      generateTradingIdeas.mockResolvedValue([
+        { opportunity: { symbol: 'NVDA' }, analysis },
+        { opportunity: { symbol: 'AAPL' }, analysis: { ...analysis, strategies: [] } }
+      ]);
+
+      const { results, aiError } = await analyzeSymbols({ finnhubApiKey: 'f', geminiApiKey: 'g', symbols: ['NVDA', 'AAPL', 'XYZ'], includeAI: true, profile: getScoringProfile() });
+
+      expect(generateTradingIdeas.mock.calls[0][1].map(opp => opp.symbol)).toEqual(['NVDA', 'AAPL']);
+      expect(aiError).toBeUndefined();
+      expect(results[0].validation).toEqual({ isValid: true, issues: [] });
+      expect(results[1].validation.isValid).toBe(false);
+      expect(results[2]).toMatchObject({ analysis: null, validation: null });
+    });
+
+    it('should keep the volatility results when Gemini fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      getSymbolOpportunities.mockResolvedValue([opportunity('NVDA')]);
+      generateTradingIdeas.mockRejectedValue(new Error('quota exceeded'));
+
+      const { results, aiError } = await analyzeSymbols({ finnhubApiKey: 'f', geminiApiKey: 'g', symbols: ['NVDA'], includeAI: true, profile: getScoringProfile() });
+
+      expect(aiError).toBe('quota exceeded');
+      expect(results[0]).toMatchObject({ symbol: 'NVDA', qualityScore: 65, analysis: null });
+    });
+  });
+});
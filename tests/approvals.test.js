@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import BroadcastApprovalStore, { parseApprovalSettings, APPROVAL_STATUS, DEFAULT_APPROVAL_DEADLINE_HOURS } from '../src/approvals.js';
+import { MemoryKeyValueStore } from '../src/storage.js';
+
+const request = (broadcastId, deadline, overrides = {}) => ({
+  broadcastId,
+  runId: `run-${broadcastId}`,
+  subject: '🎯 Options Insight - Mon Jun 02 2025 (2 Opportunities)',
+  deadline,
+  deadlineAction: 'expire',
+  issue: { content: [], marketContext: {}, subjectTag: '2 Opportunities' },
+  ...overrides
+});
+
+describe('Broadcast approvals', () => {
+  describe('parseApprovalSettings', () => {
+    it('should default to no approval, a four hour deadline and expiry', () => {
+      expect(parseApprovalSettings({})).toEqual({ required: false, deadlineHours: DEFAULT_APPROVAL_DEADLINE_HOURS, deadlineAction: 'expire' });
+      expect(parseApprovalSettings({ APPROVAL_REQUIRED: 'true', APPROVAL_DEADLINE_HOURS: '1.5', APPROVAL_DEADLINE_ACTION: ' Send ' }))
+        .toEqual({ required: true, deadlineHours: 1.5, deadlineAction: 'send' });
+    });
+
+    it('should reject invalid deadlines and actions', () => {
+      expect(() => parseApprovalSettings({ APPROVAL_DEADLINE_HOURS: '0' })).toThrow('APPROVAL_DEADLINE_HOURS must be a positive number of hours, got "0"');
+      expect(() => parseApprovalSettings({ APPROVAL_DEADLINE_HOURS: 'soon' })).toThrow('APPROVAL_DEADLINE_HOURS');
+      expect(() => parseApprovalSettings({ APPROVAL_DEADLINE_ACTION: 'publish' })).toThrow('APPROVAL_DEADLINE_ACTION must be one of expire, send, got "publish"');
+    });
+  });
+
+  describe('BroadcastApprovalStore', () => {
+    it('should list pending drafts whose deadline has passed, oldest first', async () => {
+      const approvals = new BroadcastApprovalStore(new MemoryKeyValueStore());
+      const now = new Date('2025-06-02T12:00:00.000Z');
+      await approvals.createApproval(request('b-late', '2025-06-02T11:30:00.000Z'), { now });
+      await approvals.createApproval(request('b-early', '2025-06-02T11:00:00.000Z'), { now });
+      await approvals.createApproval(request('b-open', '2025-06-02T16:00:00.000Z'), { now });
+
+      expect((await approvals.listDue(now)).map(approval => approval.broadcastId)).toEqual(['b-early', 'b-late']);
+      expect(await approvals.getApproval('b-open')).toMatchObject({ status: 'pending', requestedAt: now.toISOString(), runId: 'run-b-open', decidedAt: null });
+      await expect(approvals.createApproval({ subject: 'x' })).rejects.toThrow('broadcastId is required');
+    });
+
+    it('should decide a draft once and drop it from the pending list', async () => {
+      const approvals = new BroadcastApprovalStore(new MemoryKeyValueStore());
+      const now = new Date('2025-06-02T12:00:00.000Z');
+      await approvals.createApproval(request('b-1', '2025-06-02T11:00:00.000Z'));
+
+      const decided = await approvals.decide('b-1', APPROVAL_STATUS.APPROVED, { decidedBy: 'approver', now });
+
+      expect(decided).toMatchObject({ status: 'approved', decidedBy: 'approver', decidedAt: now.toISOString() });
+      expect(await approvals.decide('b-1', APPROVAL_STATUS.REJECTED)).toBeNull();
+      expect(await approvals.listDue(now)).toEqual([]);
+      expect(await approvals.getPendingIds()).toEqual([]);
+      expect(await approvals.decide('missing', APPROVAL_STATUS.APPROVED)).toBeNull();
+    });
+
+    it('should record a send failure after approval without losing who decided', async () => {
+      const approvals = new BroadcastApprovalStore(new MemoryKeyValueStore());
+      await approvals.createApproval(request('b-1', '2025-06-02T11:00:00.000Z'));
+      await approvals.decide('b-1', APPROVAL_STATUS.AUTO_SENT, { decidedBy: 'deadline' });
+
+      expect(await approvals.decide('b-1', APPROVAL_STATUS.FAILED, { error: 'Resend down' }))
+        .toMatchObject({ status: 'failed', decidedBy: 'deadline', error: 'Resend down' });
+      expect(await approvals.decide('b-1', APPROVAL_STATUS.FAILED)).toBeNull();
+    });
+
+    it('should let only the claiming run finish a send', async () => {
+      const approvals = new BroadcastApprovalStore(new MemoryKeyValueStore());
+      await approvals.createApproval(request('b-1', '2025-06-02T11:00:00.000Z'));
+
+      expect(await approvals.claim('b-1', APPROVAL_STATUS.SENDING, 'run-a', { decidedBy: 'approver' }))
+        .toMatchObject({ status: 'sending', claimedBy: 'run-a', decidedBy: 'approver' });
+      expect(await approvals.claim('b-1', APPROVAL_STATUS.REJECTED, 'run-b')).toBeNull();
+      expect(await approvals.decide('b-1', APPROVAL_STATUS.APPROVED, { claimId: 'run-b' })).toBeNull();
+      expect(await approvals.decide('b-1', APPROVAL_STATUS.APPROVED)).toBeNull();
+      expect(await approvals.decide('b-1', APPROVAL_STATUS.APPROVED, { claimId: 'run-a' }))
+        .toMatchObject({ status: 'approved', claimedBy: 'run-a', decidedBy: 'approver' });
+    });
+
+    it('should hand an overlapping claim to one run only', async () => {
+      const approvals = new BroadcastApprovalStore(new MemoryKeyValueStore());
+      await approvals.createApproval(request('b-1', '2025-06-02T11:00:00.000Z'));
+
+      const claims = await Promise.all([
+        approvals.claim('b-1', APPROVAL_STATUS.SENDING, 'sweep', { decidedBy: 'deadline' }),
+        approvals.claim('b-1', APPROVAL_STATUS.SENDING, 'approver', { decidedBy: 'approver' })
+      ]);
+
+      expect(claims.filter(Boolean)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import NewsletterArchive, { isArchiveDate } from '../src/archive.js';
+import { MemoryKeyValueStore } from '../src/storage.js';
+
+describe('NewsletterArchive', () => {
+  it('should index issues newest first and replace same-day reruns', async () => {
+    const archive = new NewsletterArchive(new MemoryKeyValueStore());
+
+    await archive.saveIssue({ date: '2025-06-02', subjectTag: '2 Opportunities', html: '<p>a</p>', picks: [{ symbol: 'AAPL' }, { symbol: 'MSFT' }], publishedAt: '2025-06-02T08:00:00.000Z' });
+    await archive.saveIssue({ date: '2025-06-03', subjectTag: 'No Screened Setups', html: '<p>b</p>', publishedAt: '2025-06-03T08:00:00.000Z' });
+    await archive.saveIssue({ date: '2025-06-02', subjectTag: '1 Opportunity', html: '<p>c</p>', picks: [{ symbol: 'AAPL' }], publishedAt: '2025-06-02T09:00:00.000Z' });
+
+    expect(await archive.getIndex()).toEqual([
+      { date: '2025-06-03', subjectTag: 'No Screened Setups', pickCount: 0, publishedAt: '2025-06-03T08:00:00.000Z' },
+      { date: '2025-06-02', subjectTag: '1 Opportunity', pickCount: 1, publishedAt: '2025-06-02T09:00:00.000Z' }
+    ]);
+    expect(await archive.getIssue('2025-06-02')).toMatchObject({ html: '<p>c</p>', picks: [{ symbol: 'AAPL' }] });
+    expect((await archive.getLatest()).date).toBe('2025-06-03');
+  });
+
+  it('should only accept calendar dates', async () => {
+    const archive = new NewsletterArchive(new MemoryKeyValueStore());
+
+    expect(isArchiveDate('2025-06-02')).toBe(true);
+    expect(isArchiveDate('2025-13-40')).toBe(false);
+    expect(isArchiveDate('../index')).toBe(false);
+    expect(await archive.getIssue('latest')).toBeNull();
+    await expect(archive.saveIssue({ date: 'today', html: '' })).rejects.toThrow('Invalid archive date: today');
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+  runBacktest,
+  summarizeTrades,
+  bucketTrades,
+  loadBacktestFixtures
+} from '../src/backtest.js';
+
+// Weekday bars drifting gently around `start`, with an optional jump on one date
+function makeBars({ start = 100, from = '2024-10-01', to = '2025-02-28', jumpDate, jump = 0 }) {
+  const bars = [];
+  let close = start;
+  for (let day = new Date(from); day <= new Date(to); day.setUTCDate(day.getUTCDate() + 1)) {
+    if (day.getUTCDay() === 0 || day.getUTCDay() === 6) continue;
+    const date = day.toISOString().split('T')[0];
+    close = close * (1 + (bars.length % 2 ? 0.01 : -0.01)) * (date === jumpDate ? 1 + jump : 1);
+    bars.push({ date, open: close, high: close * 1.01, low: close * 0.99, close, volume: 1_000_000 });
+  }
+  return bars;
+}
+
+const trade = (overrides) => ({ exitDate: '2025-01-10', pnl: 100, win: true, qualityScore: 70, prescreenScore: 18, ...overrides });
+
+describe('Backtest', () => {
+  describe('runBacktest', () => {
+    const fixtures = {
+      calendar: [
+        { symbol: 'AAPL', date: '2025-01-30', hour: 'amc', revenueEstimate: 124_000_000_000 },
+        { symbol: 'MSFT', date: '2025-01-29', hour: 'amc', revenueEstimate: 68_000_000_000 },
+        { symbol: 'NVDA', date: '2025-02-26', hour: 'amc' },
+        { symbol: 'ZZZZ', date: '2025-01-20', hour: 'bmo' },
+        { symbol: 'AAPL', date: '2024-10-31', hour: 'amc' }
+      ],
+      prices: {
+        AAPL: makeBars({ start: 200 }),
+        MSFT: makeBars({ start: 400, jumpDate: '2025-01-30', jump: -0.15 })
+      },
+      vix: { '2025-01-10': 14.2 }
+    };
+
+    it('should replay universe events inside the window', () => {
+      const report = runBacktest(fixtures, { from: '2025-01-01', to: '2025-03-31', strategy: 'short strangle' });
+
+      expect(report.events).toBe(3);
+      expect(report.trades.map(t => t.symbol)).toEqual(['MSFT', 'AAPL']);
+      expect(report.skipped).toEqual([{ symbol: 'NVDA', date: '2025-02-26', reason: 'no price history' }]);
+    });
+
+    it('should enter before earnings and exit on the reaction session', () => {
+      const report = runBacktest(fixtures, { from: '2025-01-01', to: '2025-03-31', strategy: 'short strangle', entryDays: 14 });
+      const aapl = report.trades.find(t => t.symbol === 'AAPL');
+      const msft = report.trades.find(t => t.symbol === 'MSFT');
+
+      expect(aapl.entryDate).toBe('2025-01-16');
+      expect(aapl.exitDate).toBe('2025-01-31');
+      expect(aapl.marketRegime).toBe('low-volatility');
+      expect(aapl.prescreenScore).toBe(20);
+      expect(aapl.qualityScore).toBeGreaterThan(0);
+      // A quiet drift keeps the strangle's credit; a 15% gap blows through the short put
+      expect(aapl.win).toBe(true);
+      expect(aapl.pnl).toBeCloseTo(-aapl.netPremium * 100, 0);
+      expect(msft.win).toBe(false);
+      expect(msft.earningsMovePercent).toBeLessThan(-10);
+    });
+
+    it('should skip events without a matching candidate or enough history', () => {
+      const report = runBacktest(fixtures, { from: '2024-10-01', to: '2025-01-29', strategy: 'butterfly' });
+
+      expect(report.trades).toHaveLength(0);
+      expect(report.skipped).toEqual([
+        { symbol: 'AAPL', date: '2024-10-31', reason: 'insufficient history before entry' },
+        { symbol: 'MSFT', date: '2025-01-29', reason: 'no butterfly candidate' }
+      ]);
+    });
+
+    it('should require a date range', () => {
+      expect(() => runBacktest(fixtures, { from: '2025-02-01', to: '2025-01-01' })).toThrow('--from and --to');
+    });
+  });
+
+  describe('summarizeTrades', () => {
+    it('should report win rate, P&L and drawdown in exit order', () => {
+      const summary = summarizeTrades([
+        trade({ exitDate: '2025-01-03', pnl: 200 }),
+        trade({ exitDate: '2025-01-10', pnl: -300, win: false }),
+        trade({ exitDate: '2025-01-07', pnl: 100 }),
+        trade({ exitDate: '2025-01-14', pnl: -50, win: false })
+      ]);
+
+      expect(summary).toEqual({ trades: 4, wins: 2, winRate: 50, totalPnl: -50, avgPnl: -12.5, maxDrawdown: 350 });
+    });
+
+    it('should handle an empty group', () => {
+      expect(summarizeTrades([])).toEqual({ trades: 0, wins: 0, winRate: null, totalPnl: 0, avgPnl: null, maxDrawdown: 0 });
+    });
+  });
+
+  describe('bucketTrades', () => {
+    it('should group trades into fixed-width score buckets', () => {
+      const buckets = bucketTrades([
+        trade({ qualityScore: 88 }),
+        trade({ qualityScore: 61, pnl: -40, win: false }),
+        trade({ qualityScore: 80 })
+      ], 'qualityScore', 10);
+
+      expect(buckets.map(b => [b.bucket, b.trades, b.winRate])).toEqual([['60-69', 1, 0], ['80-89', 2, 100]]);
+    });
+  });
+
+  describe('loadBacktestFixtures', () => {
+    it('should load the bundled sample fixtures', async () => {
+      const fixtures = await loadBacktestFixtures('fixtures/backtest');
+      const report = runBacktest(fixtures, { from: '2025-01-01', to: '2025-06-30' });
+
+      expect(fixtures.calendar.length).toBeGreaterThan(0);
+      expect(fixtures.prices.AAPL[0].date < fixtures.prices.AAPL[1].date).toBe(true);
+      expect(report.skipped).toEqual([]);
+      expect(report.overall.trades).toBe(report.events);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalCdf,
+  blackScholesPrice,
+  blackScholesVega,
+  blackScholesGreeks,
+  impliedVolatility
+} from '../src/black-scholes.js';
+
+describe('Black-Scholes', () => {
+  const base = { spot: 100, strike: 100, timeToExpiry: 1, volatility: 0.2, rate: 0.05 };
+
+  describe('normalCdf', () => {
+    it('should match standard normal reference values', () => {
+      expect(normalCdf(0)).toBeCloseTo(0.5, 7);
+      expect(normalCdf(1.96)).toBeCloseTo(0.975, 4);
+      expect(normalCdf(-1)).toBeCloseTo(0.158655, 5);
+    });
+  });
+
+  describe('blackScholesPrice', () => {
+    it('should price the textbook at-the-money call and put', () => {
+      expect(blackScholesPrice({ ...base, type: 'call' })).toBeCloseTo(10.4506, 3);
+      expect(blackScholesPrice({ ...base, type: 'put' })).toBeCloseTo(5.5735, 3);
+    });
+
+    it('should satisfy put-call parity', () => {
+      const call = blackScholesPrice({ ...base, type: 'call', strike: 110 });
+      const put = blackScholesPrice({ ...base, type: 'put', strike: 110 });
+
+      expect(call - put).toBeCloseTo(100 - 110 * Math.exp(-0.05), 6);
+    });
+
+    it('should return intrinsic value at expiry', () => {
+      expect(blackScholesPrice({ ...base, type: 'call', strike: 90, timeToExpiry: 0 })).toBe(10);
+      expect(blackScholesPrice({ ...base, type: 'put', strike: 90, timeToExpiry: 0 })).toBe(0);
+    });
+  });
+
+  describe('blackScholesGreeks', () => {
+    it('should match textbook Greeks for the at-the-money call and put', () => {
+      const call = blackScholesGreeks({ ...base, type: 'call' });
+      const put = blackScholesGreeks({ ...base, type: 'put' });
+
+      expect(call.delta).toBeCloseTo(0.6368, 4);
+      expect(put.delta).toBeCloseTo(-0.3632, 4);
+      expect(call.gamma).toBeCloseTo(0.01876, 5);
+      expect(call.vega).toBeCloseTo(0.3752, 4);
+      expect(call.theta).toBeCloseTo(-6.414 / 365, 5);
+      expect(put.theta).toBeCloseTo(-1.658 / 365, 5);
+    });
+
+    it('should collapse to the intrinsic delta at expiry', () => {
+      expect(blackScholesGreeks({ ...base, type: 'put', strike: 110, timeToExpiry: 0 }))
+        .toEqual({ delta: -1, gamma: 0, theta: 0, vega: 0 });
+    });
+  });
+
+  describe('blackScholesVega', () => {
+    it('should be positive before expiry and zero after', () => {
+      expect(blackScholesVega(base)).toBeCloseTo(37.524, 2);
+      expect(blackScholesVega({ ...base, timeToExpiry: 0 })).toBe(0);
+    });
+  });
+
+  describe('impliedVolatility', () => {
+    it('should recover the volatility used to price an option', () => {
+      for (const volatility of [0.15, 0.45, 1.2]) {
+        for (const type of ['call', 'put']) {
+          const params = { ...base, type, strike: 95, timeToExpiry: 30 / 365, volatility };
+          const price = blackScholesPrice(params);
+
+          expect(impliedVolatility({ ...params, price })).toBeCloseTo(volatility, 4);
+        }
+      }
+    });
+
+    it('should return null for prices outside no-arbitrage bounds', () => {
+      expect(impliedVolatility({ ...base, type: 'call', price: 0 })).toBeNull();
+      expect(impliedVolatility({ ...base, type: 'call', price: 150 })).toBeNull();
+      expect(impliedVolatility({ ...base, type: 'call', strike: 50, price: 40 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createChallengeVerifier, TURNSTILE_VERIFY_URL } from '../src/challenge.js';
+
+describe('Challenge verification', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should be disabled without a provider secret', () => {
+    expect(createChallengeVerifier({})).toBeNull();
+    expect(createChallengeVerifier({ CHALLENGE_PROVIDER: 'none', TURNSTILE_SECRET_KEY: 'secret' })).toBeNull();
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => createChallengeVerifier({ CHALLENGE_PROVIDER: 'captcha' })).toThrow('Unknown CHALLENGE_PROVIDER "captcha"');
+  });
+
+  it('should verify Turnstile tokens with siteverify', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch')
+      .mockResolvedValueOnce(new Response(JSON.stringify({ success: true })))
+      .mockResolvedValueOnce(new Response(JSON.stringify({ success: false, 'error-codes': ['timeout-or-duplicate'] })));
+    const verify = createChallengeVerifier({ TURNSTILE_SECRET_KEY: 'secret' });
+
+    expect(await verify('token-1', '203.0.113.7')).toEqual({ success: true, errors: [] });
+    expect(await verify('token-1', '203.0.113.7')).toEqual({ success: false, errors: ['timeout-or-duplicate'] });
+    expect(await verify(undefined)).toEqual({ success: false, errors: ['missing-input-response'] });
+
+    const [url, init] = fetchSpy.mock.calls[0];
+    expect(url).toBe(TURNSTILE_VERIFY_URL);
+    expect(Object.fromEntries(init.body)).toEqual({ secret: 'secret', response: 'token-1', remoteip: '203.0.113.7' });
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+  });
+});
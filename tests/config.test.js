@@ -33,6 +33,12 @@ describe('Config', () => {
       });
     });
 
+    it('should not contain delisted or renamed tickers', () => {
+      ['WORK', 'ATVI', 'DISCA', 'DISCK', 'SNYS'].forEach(symbol => {
+        expect(STOCK_UNIVERSE).not.toContain(symbol);
+      });
+    });
+
     it('should not contain duplicates', () => {
       const uniqueSymbols = [...new Set(STOCK_UNIVERSE)];
       expect(uniqueSymbols.length).toBe(STOCK_UNIVERSE.length);
@@ -40,10 +46,8 @@ describe('Config', () => {
   });
 
   describe('QUALITY_THRESHOLDS', () => {
-    it('should have minimum volatility score threshold', () => {
-      expect(QUALITY_THRESHOLDS).toHaveProperty('minVolatilityScore');
-      expect(typeof QUALITY_THRESHOLDS.minVolatilityScore).toBe('number');
-      expect(QUALITY_THRESHOLDS.minVolatilityScore).toBeGreaterThan(0);
+    it('should leave the volatility score floor to the scoring profiles', () => {
+      expect(QUALITY_THRESHOLDS).not.toHaveProperty('minVolatilityScore');
     });
 
     it('should have minimum days to earnings', () => {
@@ -103,7 +107,6 @@ describe('Config', () => {
 
   describe('getQualityThreshold', () => {
     it('should return threshold values for valid keys', () => {
-      expect(getQualityThreshold('minVolatilityScore')).toBe(QUALITY_THRESHOLDS.minVolatilityScore);
       expect(getQualityThreshold('minDaysToEarnings')).toBe(QUALITY_THRESHOLDS.minDaysToEarnings);
       expect(getQualityThreshold('maxDaysToEarnings')).toBe(QUALITY_THRESHOLDS.maxDaysToEarnings);
     });
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi } from 'vitest';
+import EarningsMoveDatabase, {
+  computeEarningsMoves,
+  summarizeEarningsMoves,
+  calculateHistoricalVsImpliedRatio
+} from '../src/earnings-history.js';
+
+const bars = [
+  { date: '2025-04-28', open: 99, close: 100 },
+  { date: '2025-04-29', open: 100, close: 100 },
+  { date: '2025-04-30', open: 108, close: 110 },
+  { date: '2025-05-01', open: 109, close: 105 },
+  { date: '2025-07-30', open: 120, close: 120 },
+  { date: '2025-07-31', open: 114, close: 111 }
+];
+
+describe('Earnings History', () => {
+  describe('computeEarningsMoves', () => {
+    it('should measure before-open reports on the report date', () => {
+      const [move] = computeEarningsMoves([{ date: '2025-04-30', hour: 'bmo' }], bars);
+
+      expect(move).toMatchObject({
+        reactionDate: '2025-04-30',
+        closeBefore: 100,
+        openAfter: 108,
+        gapPercent: 8,
+        movePercent: 10
+      });
+    });
+
+    it('should measure after-close reports on the next session', () => {
+      const [move] = computeEarningsMoves([{ date: '2025-07-30', hour: 'amc', year: 2025, quarter: 3 }], bars);
+
+      expect(move).toMatchObject({
+        fiscalPeriod: '2025 Q3',
+        reactionDate: '2025-07-31',
+        gapPercent: -5,
+        movePercent: -7.5
+      });
+    });
+
+    it('should skip reports without surrounding bars and sort newest first', () => {
+      const moves = computeEarningsMoves([
+        { date: '2025-04-30', hour: 'amc' },
+        { date: '2025-07-31', hour: 'amc' },
+        { date: '2025-07-30', hour: 'amc' }
+      ], bars);
+
+      expect(moves.map(move => move.date)).toEqual(['2025-07-30', '2025-04-30']);
+    });
+
+    it('should leave the gap empty when bars have no open', () => {
+      const [move] = computeEarningsMoves(
+        [{ date: '2025-04-30', hour: 'bmo' }],
+        bars.map(({ date, close }) => ({ date, close }))
+      );
+
+      expect(move.gapPercent).toBeNull();
+      expect(move.movePercent).toBe(10);
+    });
+  });
+
+  describe('summarizeEarningsMoves', () => {
+    it('should average absolute moves and gaps', () => {
+      const summary = summarizeEarningsMoves([
+        { date: '2025-07-30', movePercent: -7.5, gapPercent: -5 },
+        { date: '2025-04-30', movePercent: 10, gapPercent: 8 },
+        { date: '2025-01-30', movePercent: 2, gapPercent: null }
+      ]);
+
+      expect(summary).toEqual({
+        reportCount: 3,
+        avgMovePercent: 6.5,
+        medianMovePercent: 7.5,
+        maxMovePercent: 10,
+        avgGapPercent: 6.5,
+        upCount: 2,
+        downCount: 1,
+        lastReportDate: '2025-07-30'
+      });
+    });
+
+    it('should return null without moves', () => {
+      expect(summarizeEarningsMoves([])).toBeNull();
+    });
+  });
+
+  describe('calculateHistoricalVsImpliedRatio', () => {
+    it('should prefer the event-only implied move', () => {
+      expect(calculateHistoricalVsImpliedRatio({ avgMovePercent: 6 }, { movePercent: 8, eventMovePercent: 5 })).toBe(1.2);
+      expect(calculateHistoricalVsImpliedRatio({ avgMovePercent: 6 }, { movePercent: 8, eventMovePercent: null })).toBe(0.75);
+    });
+
+    it('should return null when either side is missing', () => {
+      expect(calculateHistoricalVsImpliedRatio(null, { movePercent: 8 })).toBeNull();
+      expect(calculateHistoricalVsImpliedRatio({ avgMovePercent: 6 }, null)).toBeNull();
+    });
+  });
+
+  describe('EarningsMoveDatabase', () => {
+    const createDatabase = () => {
+      const finnhub = {
+        getEarningsHistory: vi.fn().mockResolvedValue([
+          { year: 2025, quarter: 2, surprisePercent: 4.2 }
+        ]),
+        getSymbolEarningsCalendar: vi.fn().mockResolvedValue([
+          { symbol: 'AAPL', date: '2025-04-30', hour: 'bmo', year: 2025, quarter: 2 },
+          { symbol: 'AAPL', date: '2025-07-30', hour: 'amc', year: 2025, quarter: 3 },
+          { symbol: 'AAPL', date: '2099-01-30', hour: 'amc', year: 2099, quarter: 1 }
+        ])
+      };
+      const dataProvider = {
+        getYahooHistoricalData: vi.fn().mockResolvedValue({ prices: bars })
+      };
+      return { database: new EarningsMoveDatabase({ finnhub, dataProvider, requestDelay: 0 }), finnhub, dataProvider };
+    };
+
+    it('should join calendar dates with earnings history and summarize moves', async () => {
+      const { database } = createDatabase();
+
+      const result = await database.getEarningsMoves('AAPL');
+
+      expect(result.moves).toHaveLength(2);
+      expect(result.moves[1]).toMatchObject({ date: '2025-04-30', surprisePercent: 4.2 });
+      expect(result.summary.avgMovePercent).toBe(8.75);
+    });
+
+    it('should cache results per symbol', async () => {
+      const { database, dataProvider } = createDatabase();
+
+      await database.getEarningsMoves('AAPL');
+      await database.getEarningsMoves('AAPL');
+
+      expect(dataProvider.getYahooHistoricalData).toHaveBeenCalledTimes(1);
+    });
+
+    it('should still use calendar dates when earnings history fails', async () => {
+      const { database, finnhub } = createDatabase();
+      finnhub.getEarningsHistory.mockRejectedValue(new Error('Finnhub API error: 403'));
+
+      const result = await database.getEarningsMoves('AAPL');
+
+      expect(result.moves).toHaveLength(2);
+      expect(result.moves[1].surprisePercent).toBeNull();
+    });
+
+    it('should record failed symbols as null when building the database', async () => {
+      const { database, finnhub } = createDatabase();
+      finnhub.getSymbolEarningsCalendar.mockRejectedValueOnce(new Error('Finnhub API error: 429'));
+
+      const results = await database.buildDatabase(['MSFT', 'AAPL']);
+
+      expect(results.MSFT).toBeNull();
+      expect(results.AAPL.summary.reportCount).toBe(2);
+    });
+
+    it('should require a Finnhub client', () => {
+      expect(() => new EarningsMoveDatabase()).toThrow('EarningsMoveDatabase requires a Finnhub client');
+    });
+  });
+});
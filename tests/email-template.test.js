@@ -51,6 +51,156 @@ describe('EmailTemplate', () => {
     expect(html).toContain('Quantitative Earnings Opportunities');
   });
 
+  it('shows the straddle-implied and historical moves next to the expected move', () => {
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: {
+            symbol: 'NVDA',
+            date: '2025-01-01',
+            daysToEarnings: 3,
+            volatilityData: {
+              currentPrice: 120,
+              impliedVolatility: 65,
+              historicalVolatility: 48,
+              expectedMove: 22.5,
+              impliedMove: { straddlePrice: 10.2, movePercent: 8.5, eventMovePercent: 7.1 },
+              technicalIndicators: { rsi: 60 }
+            },
+            earningsHistory: { avgMovePercent: 9.4, reportCount: 12, maxMovePercent: 16.4 },
+            historicalVsImpliedRatio: 1.32,
+            qualityScore: 80
+          },
+          analysis: { sentimentScore: 6, recommendation: 'NEUTRAL', strategies: [] }
+        }
+      ],
+      marketContext: { vix: 18, marketRegime: 'normal' },
+      date: 'Mon, 01 Jan 2025'
+    });
+
+    expect(html).toContain('Implied Move:');
+    expect(html).toContain('±8.5% ($10.20)');
+    expect(html).toContain('±7.1%');
+    expect(html).toContain('±9.4% (12 reports)');
+    expect(html).toContain('1.32x');
+  });
+
+  it('shows locally priced POP and max loss next to each strategy', () => {
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: {
+            symbol: 'AAPL',
+            date: '2025-01-01',
+            daysToEarnings: 3,
+            volatilityData: { currentPrice: 200, impliedVolatility: 40, historicalVolatility: 30, expectedMove: 10 },
+            qualityScore: 75
+          },
+          analysis: {
+            sentimentScore: 7,
+            recommendation: 'STRONGLY CONSIDER',
+            strategies: [
+              { name: 'Iron Condor', pricing: { probabilityOfProfit: 71.6, maxLoss: 412.5, premiumType: 'credit', netPremium: -0.88 } },
+              { name: 'Short Strangle', pricing: { probabilityOfProfit: 78.2, maxLoss: null, premiumType: 'credit', netPremium: -2.1 } }
+            ]
+          }
+        }
+      ],
+      marketContext: { vix: 18, marketRegime: 'normal' },
+      date: 'Mon, 01 Jan 2025'
+    });
+
+    expect(html).toContain('Iron Condor — POP 72%, Max Loss $413, Credit $0.88');
+    expect(html).toContain('Short Strangle — POP 78%, Max Loss unlimited, Credit $2.10');
+  });
+
+  it('labels template-priced strategies as illustrative', () => {
+    const html = EmailTemplate({
+      opportunities: [
+        {
+          opportunity: { symbol: 'NVDA', date: '2025-01-01', daysToEarnings: 3, volatilityData: { currentPrice: 100, impliedVolatility: 40, historicalVolatility: 30, expectedMove: 5 }, qualityScore: 70 },
+          analysis: {
+            sentimentScore: 5,
+            recommendation: 'NEUTRAL',
+            strategies: [{
+              name: 'Short Put',
+              pricing: { legs: [{ action: 'sell', type: 'put', strike: 90, daysToExpiry: 5 }], illustrative: true, probabilityOfProfit: 80, maxLoss: 8900, premiumType: 'credit', netPremium: -1 }
+            }]
+          }
+        }
+      ],
+      marketContext: { vix: 18, marketRegime: 'normal' },
+      date: 'Mon, 01 Jan 2025'
+    });
+
+    expect(html).toContain('Short Put (illustrative: -90P) — POP 80%');
+  });
+
+  it('renders the track record when picks have been scored', () => {
+    const html = EmailTemplate({
+      opportunities: [],
+      marketContext: {
+        trackRecord: {
+          evaluated: 12,
+          hits: 9,
+          hitRate: 75,
+          pending: 3,
+          since: '2025-05-01',
+          byRecommendation: { 'STRONGLY CONSIDER': { evaluated: 8, hits: 7, hitRate: 87.5 } },
+          byRegime: { normal: { evaluated: 12, hits: 9, hitRate: 75 } }
+        }
+      },
+      date: 'Mon, 01 Jan 2025'
+    });
+
+    expect(html).toContain('Track Record');
+    expect(html).toContain('75%</strong> of 12 scored picks since 2025-05-01');
+    expect(html).toContain('STRONGLY CONSIDER:</strong> 88% inside (7/8)');
+    expect(html).toContain('Regime: normal');
+  });
+
+  it('renders the subscriber watchlist with an edit link', () => {
+    const html = EmailTemplate({
+      opportunities: [],
+      marketContext: {},
+      date: 'Mon, 01 Jan 2025',
+      watchlist: [
+        { symbol: 'AAPL', earningsDate: '2025-01-30', daysToEarnings: 29, currentPrice: 190.5, impliedVolatility: 28.4, historicalVolatility: 22.1, impliedMovePercent: 4.2, expectedMovePercent: 5.1, ivRank: 63, inDigest: true },
+        { symbol: 'KO', earningsDate: null, daysToEarnings: null, currentPrice: 61.2, impliedVolatility: null, historicalVolatility: 14.3, impliedMovePercent: null, expectedMovePercent: null, ivRank: null, inDigest: false }
+      ],
+      watchlistUrl: 'https://signup.example/?email=a%40b.com&token=t'
+    });
+
+    expect(html).toContain('Your Watchlist');
+    expect(html).toContain('Jan 30 (29d)');
+    expect(html).toContain('28.4% / 22.1%');
+    expect(html).toContain('±4.2%');
+    expect(html).toContain('None scheduled');
+    expect(html).toContain('N/A / 14.3%');
+    expect(html).toContain('href="https://signup.example/?email=a%40b.com&token=t"');
+  });
+
+  it('omits the watchlist section for subscribers without one', () => {
+    const html = EmailTemplate({ opportunities: [], marketContext: {}, date: 'Mon, 01 Jan 2025' });
+
+    expect(html).not.toContain('Your Watchlist');
+  });
+
+  it('renders only the sections a subscriber selected', () => {
+    const html = EmailTemplate({
+      opportunities: [],
+      marketContext: { vix: 18, marketRegime: 'normal', trackRecord: { evaluated: 4, hits: 3, hitRate: 75, pending: 0, since: '2025-05-01' } },
+      date: 'Mon, 01 Jan 2025',
+      sections: ['trackRecord'],
+      preferencesUrl: 'https://signup.example/preferences.html?token=p'
+    });
+
+    expect(html).toContain('Track Record');
+    expect(html).not.toContain('Market Context');
+    expect(html).not.toContain('Key Terms');
+    expect(html).toContain('<a href="https://signup.example/preferences.html?token=p"');
+  });
+
   it('includes unsubscribe information in footer for broadcasts', () => {
     const html = EmailTemplate({
       opportunities: [],
@@ -63,6 +213,18 @@ describe('EmailTemplate', () => {
     expect(html).toContain('Options Insight Newsletter');
   });
 
+  it('links the footer to the signed unsubscribe URL when one is supplied', () => {
+    const html = EmailTemplate({
+      opportunities: [],
+      marketContext: {},
+      date: 'Mon, 01 Jan 2025',
+      unsubscribeUrl: 'https://worker.example/unsubscribe?token=t'
+    });
+
+    expect(html).toContain('<a href="https://worker.example/unsubscribe?token=t"');
+    expect(html).not.toContain('Unsubscribe options available in email footer');
+  });
+
   it('returns null when DOMParser.parseFromString is not supported (edge runtime fallback)', () => {
     const originalDomParser = globalThis.DOMParser;
 
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { sendNewsletter, addSubscriber, removeSubscriber } from '../src/email.js';
+import { sendNewsletter, addSubscriber, removeSubscriber, addSubscriberToAudience, sendPersonalizedDigests, renderDigest, sendTestDigest, createDigestBroadcast, sendApprovalRequestEmail, buildBroadcastUnsubscribeUrl, parseRecipientList } from '../src/email.js';
 
 // Mock fetch for Resend API calls
 global.fetch = vi.fn();
@@ -183,6 +183,34 @@ describe('Email Module', () => {
     });
   });
 
+  describe('addSubscriberToAudience', () => {
+    const consent = { source: 'form', consentRequestedAt: '2025-06-01T00:00:00.000Z', consentedAt: '2025-06-01T12:00:00.000Z' };
+
+    it('should create the contact with its consent attributes', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ object: 'contact', id: 'c-1' }) });
+
+      const result = await addSubscriberToAudience('test-resend-key', 'aud-1', 'New@Example.com', { firstName: 'Ada', attributes: consent });
+
+      expect(fetch.mock.calls[0][0]).toBe('https://api.resend.com/audiences/aud-1/contacts');
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ email: 'new@example.com', first_name: 'Ada', unsubscribed: false, attributes: consent });
+      expect(result).toEqual({ status: 'created', data: { object: 'contact', id: 'c-1' } });
+    });
+
+    it('should update an existing contact instead of skipping it', async () => {
+      fetch
+        .mockResolvedValueOnce(new Response(JSON.stringify({ name: 'validation_error', message: 'Contact already exists' }), { status: 409 }))
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ object: 'contact', id: 'c-1' }) });
+
+      const result = await addSubscriberToAudience('test-resend-key', 'aud-1', 'old@example.com', { attributes: consent });
+
+      const [url, request] = fetch.mock.calls[1];
+      expect(url).toBe('https://api.resend.com/audiences/aud-1/contacts/old%40example.com');
+      expect(request.method).toBe('PATCH');
+      expect(JSON.parse(request.body)).toEqual({ unsubscribed: false, attributes: consent });
+      expect(result).toEqual({ status: 'updated', data: { object: 'contact', id: 'c-1' } });
+    });
+  });
+
   describe('removeSubscriber', () => {
     const mockEnvironment = {
       RESEND_API_KEY: 'test-resend-key',
@@ -243,6 +271,157 @@ describe('Email Module', () => {
     });
   });
 
+  describe('sendPersonalizedDigests', () => {
+    const jsonResponse = (body) => ({ ok: true, json: () => Promise.resolve(body) });
+
+    it('should batch one email per active contact with their own watchlist', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({
+          object: 'list',
+          has_more: true,
+          data: [{ id: 'c1', email: 'A@example.com', unsubscribed: false }, { id: 'c2', email: 'gone@example.com', unsubscribed: true }]
+        }))
+        .mockResolvedValueOnce(jsonResponse({ object: 'list', has_more: false, data: [{ id: 'c3', email: 'b@example.com', unsubscribed: false }] }))
+        .mockResolvedValueOnce(jsonResponse({ data: [{ id: 'e1' }, { id: 'e2' }] }));
+
+      const personalize = vi.fn(async (email) => (email === 'a@example.com'
+        ? { watchlist: [{ symbol: 'AAPL', earningsDate: null, inDigest: false }], watchlistUrl: 'https://signup.example/?token=t', unsubscribeUrl: 'https://worker.example/unsubscribe?token=u' }
+        : {}));
+
+      const result = await sendPersonalizedDigests('test-resend-key', 'aud-1', [], {}, { from: 'news@example.com', subjectTag: 'Test', personalize });
+
+      expect(fetch.mock.calls[1][0]).toContain('/audiences/aud-1/contacts?limit=100&after=c2');
+      const [batchUrl, batchRequest] = fetch.mock.calls[2];
+      const emails = JSON.parse(batchRequest.body);
+      expect(batchUrl).toBe('https://api.resend.com/emails/batch');
+      expect(emails.map(email => email.to)).toEqual([['A@example.com'], ['b@example.com']]);
+      expect(emails[0].html).toContain('Your Watchlist');
+      expect(emails[1].html).not.toContain('Your Watchlist');
+      expect(emails[0].headers['List-Unsubscribe']).toBe('<https://worker.example/unsubscribe?token=u>, <mailto:unsubscribe@ravishankars.com?subject=unsubscribe>');
+      expect(emails[1].headers['List-Unsubscribe']).toBe('<mailto:unsubscribe@ravishankars.com?subject=unsubscribe>');
+      expect(personalize).toHaveBeenCalledWith('a@example.com');
+      expect(result).toMatchObject({ success: true, broadcastId: null, batchIds: ['e1', 'e2'], recipientCount: 2, personalizedCount: 1 });
+    });
+
+    it('should skip and segment recipients by their preferences', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({
+          object: 'list',
+          has_more: false,
+          data: [{ id: 'c1', email: 'daily@example.com' }, { id: 'c2', email: 'weekly@example.com' }, { id: 'c3', email: 'alerts@example.com' }]
+        }))
+        .mockResolvedValueOnce(jsonResponse({ data: [{ id: 'e1' }, { id: 'e2' }] }));
+      const content = [
+        { opportunity: { symbol: 'AAPL', volatilityData: {} }, analysis: { recommendation: 'STRONGLY CONSIDER', strategies: [] } },
+        { opportunity: { symbol: 'MSFT', volatilityData: {} }, analysis: { recommendation: 'NEUTRAL', strategies: [] } }
+      ];
+      const personalize = (email) => ({
+        'daily@example.com': { segment: 'daily/ALL' },
+        'weekly@example.com': { skip: true, segment: 'weekly/ALL' },
+        'alerts@example.com': { segment: 'daily/STRONGLY CONSIDER', content: content.slice(0, 1), sections: [] }
+      })[email];
+
+      const result = await sendPersonalizedDigests('test-resend-key', 'aud-1', content, {}, { personalize });
+
+      const emails = JSON.parse(fetch.mock.calls[1][1].body);
+      expect(emails.map(email => email.to[0])).toEqual(['daily@example.com', 'alerts@example.com']);
+      expect(emails[0].subject).toContain('(2 Opportunities)');
+      expect(emails[1].subject).toContain('(1 Opportunity)');
+      expect(emails[1].html).not.toContain('Key Terms');
+      expect(result).toMatchObject({ recipientCount: 2, skippedCount: 1, segments: { 'daily/ALL': 1, 'daily/STRONGLY CONSIDER': 1 } });
+    });
+
+    it('should surface batch failures', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ object: 'list', has_more: false, data: [{ id: 'c1', email: 'a@example.com' }] }))
+        .mockResolvedValueOnce({ ok: false, text: () => Promise.resolve(JSON.stringify({ name: 'validation_error' })) });
+
+      await expect(sendPersonalizedDigests('test-resend-key', 'aud-1', [], {})).rejects.toThrow('Resend API (batch) failed after 0 of 1 emails');
+    });
+  });
+
+  describe('dry-run previews', () => {
+    it('should render the subject and broadcast HTML without sending anything', () => {
+      const { subject, subjectTag, html } = renderDigest([], { vix: 18 }, { date: 'Mon Jun 02 2025', subjectTag: 'No Screened Setups' });
+
+      expect(subject).toBe('🎯 Options Insight - Mon Jun 02 2025 (No Screened Setups)');
+      expect(subjectTag).toBe('No Screened Setups');
+      expect(html).toContain('{{{RESEND_UNSUBSCRIBE_URL}}}');
+      expect(renderDigest([], {}, { opportunityCount: 1 }).subjectTag).toBe('1 Opportunity');
+      expect(renderDigest([], {}, { unsubscribeUrl: null }).html).not.toContain('RESEND_UNSUBSCRIBE_URL');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should send a [TEST] copy to the reviewers only', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: 'email-1' }) });
+
+      const result = await sendTestDigest('test-resend-key', { subject: 'Digest', html: '<p>hi</p>' }, ['ops@example.com'], { from: 'news@example.com' });
+
+      const [url, init] = fetch.mock.calls[0];
+      expect(url).toBe('https://api.resend.com/emails');
+      expect(JSON.parse(init.body)).toMatchObject({ from: 'news@example.com', to: ['ops@example.com'], subject: '[TEST] Digest', html: '<p>hi</p>' });
+      expect(result).toEqual({ id: 'email-1' });
+      await expect(sendTestDigest('test-resend-key', { subject: 'Digest', html: '' }, [])).rejects.toThrow('No recipients configured for the test digest');
+    });
+
+    it('should split recipient lists and drop case-insensitive duplicates', () => {
+      expect(parseRecipientList('Ops@example.com; dev@example.com,\n ops@EXAMPLE.com,')).toEqual(['ops@EXAMPLE.com', 'dev@example.com']);
+      expect(parseRecipientList(undefined)).toEqual([]);
+    });
+  });
+
+  describe('broadcast approvals', () => {
+    it('should create the broadcast as a draft without sending it', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: 'b-1' }) });
+
+      const draft = await createDigestBroadcast('test-resend-key', 'aud-1', [], { vix: 18 }, { subjectTag: 'No Screened Setups', opportunityCount: 0 });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch.mock.calls[0][0]).toBe('https://api.resend.com/broadcasts');
+      expect(draft).toMatchObject({ broadcastId: 'b-1' });
+      expect(draft.subject).toContain('(No Screened Setups)');
+      expect(draft.html).toContain('{{{RESEND_UNSUBSCRIBE_URL}}}');
+      expect(JSON.parse(fetch.mock.calls[0][1].body).headers['List-Unsubscribe']).toBe('<mailto:unsubscribe@ravishankars.com?subject=unsubscribe>');
+    });
+
+    it('should point the broadcast header and footer at the worker\'s one-click link', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: 'b-2' }) });
+      const unsubscribeUrl = buildBroadcastUnsubscribeUrl('https://worker.example');
+
+      const draft = await createDigestBroadcast('test-resend-key', 'aud-1', [], { vix: 18 }, { subjectTag: 'No Screened Setups', opportunityCount: 0, unsubscribeUrl });
+
+      const payload = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(payload.audience_id).toBe('aud-1');
+      expect(payload.headers).toEqual({
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        'List-Unsubscribe': '<https://worker.example/unsubscribe?token={{{contact.unsubscribeToken}}}>, <mailto:unsubscribe@ravishankars.com?subject=unsubscribe>'
+      });
+      expect(draft.html).toContain('href="https://worker.example/unsubscribe?token={{{contact.unsubscribeToken}}}"');
+      expect(draft.html).not.toContain('RESEND_UNSUBSCRIBE_URL');
+    });
+
+    it('should email the approver the digest under signed decision links', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: 'email-1' }) });
+
+      await sendApprovalRequestEmail('test-resend-key', {
+        subject: 'Digest',
+        html: '<html><body style="margin:0"><p>picks</p></body></html>',
+        approveUrl: 'https://worker.example/broadcasts/b-1/approve?token=a&x=1',
+        rejectUrl: 'https://worker.example/broadcasts/b-1/reject?token=r',
+        deadline: '2025-06-02T14:00:00.000Z',
+        deadlineAction: 'send'
+      }, ['compliance@example.com']);
+
+      const payload = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(payload).toMatchObject({ to: ['compliance@example.com'], subject: '📝 Approval needed: Digest' });
+      expect(payload.html).toMatch(/<body style="margin:0">\s*<div[^>]*>\s*<h2[^>]*>📝 Approval needed<\/h2>/);
+      expect(payload.html).toContain('href="https://worker.example/broadcasts/b-1/approve?token=a&amp;x=1"');
+      expect(payload.html.indexOf('Approve and send')).toBeLessThan(payload.html.indexOf('<p>picks</p>'));
+      expect(payload.text).toContain('sent automatically');
+      await expect(sendApprovalRequestEmail('test-resend-key', { subject: 'Digest', html: '' }, [])).rejects.toThrow('No approver configured');
+    });
+  });
+
   describe('email validation', () => {
     it('should validate proper email formats', () => {
       // This would test the internal email validation function if exposed
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { buildAtomFeed, buildJsonFeed } from '../src/feeds.js';
+import { createPick } from '../src/track-record.js';
+
+const issues = [
+  {
+    date: '2025-06-03',
+    subjectTag: '2 Opportunities',
+    publishedAt: '2025-06-03T08:05:00.000Z',
+    marketContext: { vix: 17.24, marketRegime: 'normal', digestNote: null },
+    picks: [
+      {
+        symbol: 'AAPL',
+        recommendation: 'STRONGLY CONSIDER',
+        earningsDate: '2025-06-05',
+        earningsHour: 'amc',
+        price: 201.5,
+        impliedVolatility: 38.2,
+        expectedMovePercent: 5.4,
+        strategies: [{ name: 'Iron Condor', probabilityOfProfit: 71.6, maxLoss: 412.5 }]
+      },
+      { symbol: 'M&T', recommendation: 'NEUTRAL', earningsDate: '2025-06-06', price: null, impliedVolatility: null, expectedMovePercent: null, strategies: [] }
+    ]
+  },
+  { date: '2025-06-02', subjectTag: 'No Screened Setups', publishedAt: '2025-06-02T08:05:00.000Z', marketContext: { digestNote: 'Context only.' }, picks: [] }
+];
+
+describe('Feeds', () => {
+  it('should build an Atom feed with one entry per issue and ticker categories', () => {
+    const xml = buildAtomFeed(issues, { baseUrl: 'https://worker.example' });
+
+    expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(xml).toContain('<updated>2025-06-03T08:05:00.000Z</updated>');
+    expect(xml.match(/<entry>/g)).toHaveLength(2);
+    expect(xml).toContain('<id>https://worker.example/archive/2025-06-03</id>');
+    expect(xml).toContain('<category term="AAPL"/>');
+    expect(xml).toContain('<category term="M&amp;T"/>');
+    expect(xml).toContain('Iron Condor (POP 72%, Max Loss $413)');
+    expect(xml).toContain('VIX 17.2 · Regime: normal');
+    expect(xml).not.toContain('<strong>AAPL');
+  });
+
+  it('should build a JSON Feed 1.1 document with structured picks', () => {
+    const feed = buildJsonFeed(issues, { baseUrl: 'https://worker.example' });
+
+    expect(feed).toMatchObject({ version: 'https://jsonfeed.org/version/1.1', feed_url: 'https://worker.example/feed.json' });
+    expect(feed.items[0]).toMatchObject({
+      id: 'https://worker.example/archive/2025-06-03',
+      title: 'Options Insight - 2025-06-03 (2 Opportunities)',
+      date_published: '2025-06-03T08:05:00.000Z',
+      tags: ['AAPL', 'M&T']
+    });
+    expect(feed.items[0].content_html).toContain('<strong>AAPL</strong> – STRONGLY CONSIDER');
+    expect(feed.items[0]._options_insight.picks).toHaveLength(2);
+    expect(feed.items[1].content_html).toContain('No qualifying opportunities in this issue.');
+  });
+
+  it('should leave out Max Loss for strategies that were not priced', () => {
+    const pick = createPick({
+      opportunity: { symbol: 'MSFT', date: '2025-06-05', volatilityData: { currentPrice: 450 } },
+      analysis: { recommendation: 'CONSIDER', strategies: [{ name: 'Short Strangle', pricing: { probabilityOfProfit: 64, maxLoss: null } }, { name: 'Calendar Spread' }] }
+    }, { publishedAt: '2025-06-04T08:05:00.000Z' });
+    const issue = { date: '2025-06-04', subjectTag: '1 Opportunity', publishedAt: pick.publishedAt, picks: [JSON.parse(JSON.stringify(pick))] };
+
+    const feed = buildJsonFeed([issue], { baseUrl: 'https://worker.example' });
+
+    expect(feed.items[0].content_html).toContain('Strategies: Short Strangle (POP 64%, Max Loss unlimited); Calendar Spread</li>');
+  });
+});
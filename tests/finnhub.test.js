@@ -1,5 +1,13 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import FinnhubAPI from '../src/finnhub.js';
+import FinnhubAPI, { getWatchlistSnapshots, getNextEarnings, getEarningsOpportunities } from '../src/finnhub.js';
+import { getBulkVolatilityAnalysis } from '../src/real-volatility.js';
+import { getScoringProfile } from '../src/scoring-profiles.js';
+import EarningsMoveDatabase from '../src/earnings-history.js';
+
+vi.mock('../src/real-volatility.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getBulkVolatilityAnalysis: vi.fn()
+}));
 
 // Mock fetch
 global.fetch = vi.fn();
@@ -289,4 +297,128 @@ describe('FinnhubAPI', () => {
       }).toThrow('Too many subrequests: 55/50 - Exceeds Cloudflare Worker limit');
     });
   });
-});
\ No newline at end of file
+  describe('getWatchlistSnapshots', () => {
+    beforeEach(() => {
+      fetch.mockReset();
+    });
+
+    it('should attach the next earnings date and reuse digest volatility data', async () => {
+      const inTenDays = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const inThirtyDays = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          earningsCalendar: [
+            { symbol: 'AAPL', date: inThirtyDays, hour: 'amc' },
+            { symbol: 'AAPL', date: inTenDays, hour: 'amc' },
+            { symbol: 'TSLA', date: inTenDays, hour: 'bmo' }
+          ]
+        })
+      });
+
+      const snapshots = await getWatchlistSnapshots(mockApiKey, ['AAPL', 'AAPL'], {
+        opportunities: [{
+          symbol: 'AAPL',
+          volatilityData: { currentPrice: 200, impliedVolatility: 30, historicalVolatility: 25, expectedMove: 8, impliedMove: { movePercent: 4.5 }, impliedVolatilityRank: 70 }
+        }]
+      });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(Object.keys(snapshots)).toEqual(['AAPL']);
+      expect(snapshots.AAPL).toMatchObject({
+        earningsDate: inTenDays,
+        earningsHour: 'amc',
+        currentPrice: 200,
+        expectedMovePercent: 4,
+        impliedMovePercent: 4.5,
+        ivRank: 70,
+        inDigest: true
+      });
+    });
+
+    it('should skip all requests for empty watchlists', async () => {
+      expect(await getWatchlistSnapshots(mockApiKey, [])).toEqual({});
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getNextEarnings', () => {
+    beforeEach(() => {
+      fetch.mockReset();
+    });
+
+    it('should return the earliest scheduled report for the symbol', async () => {
+      const inFiveDays = new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const inFortyDays = new Date(Date.now() + 40 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          earningsCalendar: [
+            { symbol: 'NVDA', date: inFortyDays, hour: 'amc' },
+            { symbol: 'NVDA', date: inFiveDays, hour: 'amc' }
+          ]
+        })
+      });
+
+      expect(await getNextEarnings(mockApiKey, 'NVDA')).toMatchObject({ date: inFiveDays, hour: 'amc' });
+      expect(fetch.mock.calls[0][0]).toContain('/calendar/earnings?from=');
+      expect(fetch.mock.calls[0][0]).toContain('&symbol=NVDA');
+    });
+
+    it('should return null when nothing is scheduled', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ earningsCalendar: [] }) });
+
+      expect(await getNextEarnings(mockApiKey, 'NVDA')).toBeNull();
+    });
+  });
+
+  describe('getEarningsOpportunities', () => {
+    const inFifteenDays = new Date(Date.now() + 15 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const volatility = (symbol, ivRank, ivPercentile) => ({
+      symbol,
+      currentPrice: 100,
+      impliedVolatility: 35,
+      historicalVolatility: 30,
+      expectedMove: 5,
+      impliedVolatilityRank: ivRank,
+      impliedVolatilityPercentile: ivPercentile,
+      optionsVolume: 20000
+    });
+
+    beforeEach(() => {
+      fetch.mockReset();
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          earningsCalendar: [
+            { symbol: 'AAPL', date: inFifteenDays, hour: 'amc', revenueEstimate: 9e10 },
+            { symbol: 'MSFT', date: inFifteenDays, hour: 'amc', revenueEstimate: 6e10 }
+          ]
+        })
+      });
+      // Picks are kept without history when the lookup fails
+      vi.spyOn(EarningsMoveDatabase.prototype, 'getEarningsMoves').mockRejectedValue(new Error('offline'));
+      getBulkVolatilityAnalysis.mockResolvedValue({
+        AAPL: volatility('AAPL', 80, 85),
+        // Volatility score 6: below premium-seller's floor of 30
+        MSFT: volatility('MSFT', 5, 10)
+      });
+    });
+
+    it('should select on quality score alone with the default profile', async () => {
+      const picks = await getEarningsOpportunities(mockApiKey, { universe: ['AAPL', 'MSFT'] });
+
+      expect(picks.map(pick => pick.symbol).sort()).toEqual(['AAPL', 'MSFT']);
+      expect(picks.find(pick => pick.symbol === 'MSFT').volatilityScore).toBeLessThan(20);
+    });
+
+    it('should apply a profile\'s volatility score floor', async () => {
+      const picks = await getEarningsOpportunities(mockApiKey, {
+        universe: ['AAPL', 'MSFT'],
+        profile: getScoringProfile('premium-seller')
+      });
+
+      expect(picks.map(pick => pick.symbol)).toEqual(['AAPL']);
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it, expect, vi } from 'vitest';
 
-import { validateAnalysis } from '../src/gemini.js';
+import { validateAnalysis, parseAnalysisResponse } from '../src/gemini.js';
 
 describe('validateAnalysis', () => {
   it('accepts a well-formed analysis payload', () => {
@@ -34,6 +34,77 @@ describe('validateAnalysis', () => {
   });
 });
 
+describe('parseAnalysisResponse', () => {
+  const response = `**SENTIMENT SCORE:** 7
+
+**RECOMMENDATION:** STRONGLY CONSIDER
+
+**STRATEGIES:**
+1. **Iron Condor** - POP: 95%, Risk: $50, Entry: 2 days before earnings
+2. **Wait and See** - POP: 50%, Risk: $0, Entry: after earnings`;
+
+  it('attaches locally computed pricing instead of the model figures', () => {
+    const analysis = parseAnalysisResponse(response, {
+      symbol: 'AAPL',
+      daysToEarnings: 4,
+      volatilityData: {
+        currentPrice: 200,
+        impliedVolatility: 45,
+        optionsChain: { daysToExpiry: 6, strikeIncrement: 5 },
+        impliedMove: { straddlePrice: 12 }
+      }
+    });
+
+    const [condor, other] = analysis.strategies;
+    expect(condor.name).toBe('Iron Condor');
+    expect(condor.pricing.legs.map(leg => leg.strike)).toEqual([185, 190, 210, 215]);
+    expect(condor.pricing.daysToExpiry).toBe(6);
+    expect(condor.pricing.probabilityOfProfit).not.toBe(95);
+    expect(condor.pricing.maxLoss).toBeGreaterThan(50);
+    expect(condor.pricing.illustrative).toBe(true);
+    expect(other.pricing).toBeNull();
+  });
+
+  it('prices the legs the model wrote instead of the template', () => {
+    const analysis = parseAnalysisResponse(
+      '1. **Iron Condor** - Legs: +180P / -185P / -215C / +220C - wide wings, Entry: 2 days before earnings',
+      {
+        symbol: 'AAPL',
+        volatilityData: { currentPrice: 200, impliedVolatility: 45, optionsChain: { daysToExpiry: 6, strikeIncrement: 5 }, impliedMove: { straddlePrice: 12 } }
+      }
+    );
+
+    const { pricing } = analysis.strategies[0];
+    expect(pricing.legs.map(leg => [leg.action, leg.strike, leg.daysToExpiry])).toEqual([
+      ['buy', 180, 6], ['sell', 185, 6], ['sell', 215, 6], ['buy', 220, 6]
+    ]);
+    expect(pricing.illustrative).toBeUndefined();
+    expect(pricing.maxLoss).toBeGreaterThan(0);
+  });
+
+  it('reuses the pre-built candidate trade the model picked', () => {
+    const candidateLegs = [
+      { action: 'sell', type: 'put', strike: 190, daysToExpiry: 6 },
+      { action: 'sell', type: 'call', strike: 212.5, daysToExpiry: 6 }
+    ];
+    const analysis = parseAnalysisResponse(
+      '1. **Short Strangle** - Rich IV, Entry: day before earnings',
+      {
+        symbol: 'AAPL',
+        candidateTrades: [{ name: 'Short Strangle', legs: candidateLegs, pricing: { probabilityOfProfit: 74, maxLoss: null } }]
+      }
+    );
+
+    expect(analysis.strategies[0].pricing).toEqual({ legs: candidateLegs, probabilityOfProfit: 74, maxLoss: null });
+  });
+
+  it('leaves pricing empty without price and volatility data', () => {
+    const analysis = parseAnalysisResponse(response, { symbol: 'AAPL' });
+
+    expect(analysis.strategies[0].pricing).toBeNull();
+  });
+});
+
 describe('batch analysis functionality', () => {
   it('should demonstrate batch processing concept', () => {
     // Test the concept of batch processing without actual API calls
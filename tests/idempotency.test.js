@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import RunGuard, { buildIdempotencyKey, RUN_GUARD_STATUS, RUN_LOCK_TTL_SECONDS } from '../src/idempotency.js';
+import { MemoryKeyValueStore } from '../src/storage.js';
+
+const KEY = '2025-06-02:aud-1:broadcast';
+const now = new Date('2025-06-02T14:00:00.000Z');
+
+describe('Idempotent runs', () => {
+  it('should key sends by UTC day, audience and delivery variant', () => {
+    expect(buildIdempotencyKey({ date: '2025-06-02T23:59:00.000Z', audience: 'aud-1', variant: 'broadcast' })).toBe(KEY);
+    expect(buildIdempotencyKey({ date: new Date('2025-06-03T00:01:00.000Z'), audience: 'chat-only', variant: 'personalized' }))
+      .toBe('2025-06-03:chat-only:personalized');
+    expect(buildIdempotencyKey({ date: '2025-06-02', audience: '', variant: undefined })).toBe('2025-06-02:none:default');
+  });
+
+  describe('RunGuard', () => {
+    it('should clear the first run and block a second one while the lock is held', async () => {
+      const guard = new RunGuard(new MemoryKeyValueStore());
+
+      const first = await guard.begin(KEY, 'run-1', { now });
+      const second = await guard.begin(KEY, 'run-2', { now: new Date(now.getTime() + 60 * 1000) });
+
+      expect(first).toEqual({ status: RUN_GUARD_STATUS.CLEAR, detail: `No earlier send for ${KEY}`, previous: null, holder: null });
+      expect(second.status).toBe('blocked');
+      expect(second.holder).toMatchObject({ runId: 'run-1', acquiredAt: now.toISOString() });
+      expect(second.detail).toBe(`run run-1 in progress since ${now.toISOString()} (use force=true to send anyway)`);
+    });
+
+    it('should ignore a lock left behind by a run that never released it', async () => {
+      const guard = new RunGuard(new MemoryKeyValueStore());
+      await guard.acquireLock('crashed-run', { now });
+
+      const later = new Date(now.getTime() + (RUN_LOCK_TTL_SECONDS + 1) * 1000);
+      expect(await guard.acquireLock('run-2', { now: later })).toEqual({ acquired: true, holder: null });
+    });
+
+    it('should only release the lock for the run holding it', async () => {
+      const store = new MemoryKeyValueStore();
+      const guard = new RunGuard(store);
+      await guard.acquireLock('run-1', { now });
+
+      await guard.releaseLock('run-2');
+      expect(await store.get('run-lock', 'json')).toMatchObject({ runId: 'run-1' });
+
+      await guard.releaseLock('run-1');
+      expect(await store.get('run-lock')).toBeNull();
+    });
+
+    it('should block once the digest was sent and let force send it again', async () => {
+      const guard = new RunGuard(new MemoryKeyValueStore());
+      await guard.recordSend(KEY, { runId: 'run-1', broadcastId: 'b-1', reason: 'opportunities-published', now });
+
+      const blocked = await guard.begin(KEY, 'run-2', { now });
+      expect(blocked.status).toBe('blocked');
+      expect(blocked.previous).toEqual({ key: KEY, runId: 'run-1', status: 'sent', broadcastId: 'b-1', reason: 'opportunities-published', deliveryMode: null, forced: false, sentAt: now.toISOString() });
+      expect(blocked.detail).toBe(`digest for ${KEY} already sent by run run-1 (broadcast b-1) at ${now.toISOString()} (use force=true to send anyway)`);
+
+      const forced = await guard.begin(KEY, 'run-2', { force: true, now });
+      expect(forced.status).toBe('forced');
+      expect(forced.detail).toBe(`Forced: digest for ${KEY} already sent by run run-1 (broadcast b-1) at ${now.toISOString()}`);
+
+      expect((await guard.begin('2025-06-02:aud-2:broadcast', 'run-3', { force: true, now })).status).toBe('forced');
+      await guard.releaseLock('run-3');
+      expect((await guard.begin('2025-06-02:aud-2:broadcast', 'run-4', { now })).status).toBe('success');
+    });
+
+    it('should block on a send left in flight or failed mid-send unless forced', async () => {
+      const guard = new RunGuard(new MemoryKeyValueStore());
+      await guard.markInFlight(KEY, { runId: 'run-1', now });
+
+      const inFlight = await guard.begin(KEY, 'run-2', { now });
+      expect(inFlight.status).toBe('blocked');
+      expect(inFlight.previous).toEqual({ key: KEY, runId: 'run-1', status: 'in-flight', forced: false, startedAt: now.toISOString() });
+      expect(inFlight.detail).toBe(`digest for ${KEY} in flight from run run-1 since ${now.toISOString()} (delivery may be partial) (use force=true to send anyway)`);
+
+      await guard.recordFailure(KEY, { runId: 'run-1', error: new Error('batch 2 rejected'), now });
+      const failed = await guard.begin(KEY, 'run-2', { now });
+      expect(failed.status).toBe('blocked');
+      expect(failed.previous).toMatchObject({ status: 'failed', error: 'batch 2 rejected', failedAt: now.toISOString() });
+
+      expect((await guard.begin(KEY, 'run-2', { force: true, now })).status).toBe('forced');
+    });
+
+    it('should stop blocking once the run that recorded the send discards its draft', async () => {
+      const guard = new RunGuard(new MemoryKeyValueStore());
+      await guard.recordSend(KEY, { runId: 'run-1', broadcastId: 'b-1', reason: 'approval-requested', now });
+
+      expect(await guard.discardSend(KEY, { runId: 'run-0', reason: 'rejected', now })).toBeNull();
+      expect(await guard.discardSend(KEY, { runId: 'run-1', reason: 'expired', now }))
+        .toMatchObject({ status: 'discarded', reason: 'expired', broadcastId: 'b-1', discardedAt: now.toISOString() });
+
+      expect(await guard.begin(KEY, 'run-2', { now })).toEqual({
+        status: RUN_GUARD_STATUS.CLEAR,
+        detail: `No earlier send for ${KEY} (run run-1's draft was discarded)`,
+        previous: null,
+        holder: null
+      });
+    });
+  });
+});
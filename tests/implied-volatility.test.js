@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import { blackScholesPrice } from '../src/black-scholes.js';
+import {
+  selectTargetExpiration,
+  getOptionMidPrice,
+  calculateStrikeImpliedVolatilities,
+  calculateAtmImpliedVolatility,
+  calculateImpliedMove
+} from '../src/implied-volatility.js';
+
+const asOf = new Date('2025-10-20T14:00:00Z');
+const toUnix = date => Date.parse(`${date}T00:00:00Z`) / 1000;
+
+// Build a single-expiry chain whose quotes are priced at a known volatility
+function buildChain({ expiration, spot, strikes, volatility, spread = 0.1 }) {
+  const timeToExpiry = (toUnix(expiration) * 1000 + 20 * 3600 * 1000 - asOf.getTime()) / (365 * 86400 * 1000);
+  const quote = (type, strike) => {
+    const price = blackScholesPrice({ type, spot, strike, timeToExpiry, volatility });
+    return { strike, bid: price - spread / 2, ask: price + spread / 2, lastPrice: price };
+  };
+
+  return {
+    expirationDate: toUnix(expiration),
+    calls: strikes.map(strike => quote('call', strike)),
+    puts: strikes.map(strike => quote('put', strike))
+  };
+}
+
+describe('Implied Volatility', () => {
+  describe('selectTargetExpiration', () => {
+    const expirations = ['2025-10-24', '2025-10-31', '2025-11-07', '2025-11-21'].map(toUnix);
+
+    it('should pick the first expiry after an after-close report', () => {
+      const result = selectTargetExpiration(expirations, { earningsDate: '2025-10-31', earningsHour: 'amc', asOf });
+
+      expect(result).toBe(toUnix('2025-11-07'));
+    });
+
+    it('should include a same-day expiry for before-open reports', () => {
+      const result = selectTargetExpiration(expirations, { earningsDate: '2025-10-31', earningsHour: 'bmo', asOf });
+
+      expect(result).toBe(toUnix('2025-10-31'));
+    });
+
+    it('should return null when no listed expiry covers the event', () => {
+      const result = selectTargetExpiration(expirations, { earningsDate: '2025-12-15', earningsHour: 'amc', asOf });
+
+      expect(result).toBeNull();
+    });
+
+    it('should skip expiration-week contracts without an earnings date', () => {
+      expect(selectTargetExpiration(expirations, { asOf })).toBe(toUnix('2025-10-31'));
+      expect(selectTargetExpiration([], { asOf })).toBeNull();
+    });
+  });
+
+  describe('getOptionMidPrice', () => {
+    it('should use the bid/ask midpoint and fall back to last trade', () => {
+      expect(getOptionMidPrice({ bid: 1.0, ask: 1.2, lastPrice: 5 })).toBeCloseTo(1.1, 10);
+      expect(getOptionMidPrice({ bid: 0, ask: 0, lastPrice: 0.75 })).toBe(0.75);
+      expect(getOptionMidPrice({ bid: 0, ask: 0, lastPrice: 0 })).toBeNull();
+    });
+  });
+
+  describe('calculateStrikeImpliedVolatilities', () => {
+    it('should solve call and put IV for each strike', () => {
+      const chain = buildChain({ expiration: '2025-11-21', spot: 100, strikes: [95, 100, 105], volatility: 0.4, spread: 0 });
+
+      const rows = calculateStrikeImpliedVolatilities(chain, { spot: 100, asOf });
+
+      expect(rows.map(row => row.strike)).toEqual([95, 100, 105]);
+      rows.forEach(row => {
+        expect(row.callIV).toBeCloseTo(0.4, 3);
+        expect(row.putIV).toBeCloseTo(0.4, 3);
+      });
+    });
+
+    it('should return an empty list without a usable chain', () => {
+      expect(calculateStrikeImpliedVolatilities(null, { spot: 100, asOf })).toEqual([]);
+      expect(calculateStrikeImpliedVolatilities({ expirationDate: toUnix('2025-11-21') }, { spot: 0, asOf })).toEqual([]);
+    });
+  });
+
+  describe('calculateAtmImpliedVolatility', () => {
+    it('should report ATM IV in percent for the nearest strike', () => {
+      const chain = buildChain({ expiration: '2025-11-21', spot: 101, strikes: [95, 100, 105, 110], volatility: 0.55 });
+
+      const result = calculateAtmImpliedVolatility(chain, { spot: 101, asOf });
+
+      expect(result.atmIV).toBeCloseTo(55, 0);
+      expect(result.atmStrike).toBe(100);
+      expect(result.expiration).toBe('2025-11-21');
+      expect(result.daysToExpiry).toBe(32);
+      expect(result.strikeCount).toBe(4);
+      expect(result.strikeIncrement).toBe(5);
+    });
+
+    it('should interpolate between the strikes that bracket spot', () => {
+      const low = buildChain({ expiration: '2025-11-21', spot: 102.5, strikes: [100], volatility: 0.3, spread: 0 });
+      const high = buildChain({ expiration: '2025-11-21', spot: 102.5, strikes: [105], volatility: 0.5, spread: 0 });
+      const chain = {
+        expirationDate: low.expirationDate,
+        calls: [...low.calls, ...high.calls],
+        puts: [...low.puts, ...high.puts]
+      };
+
+      const result = calculateAtmImpliedVolatility(chain, { spot: 102.5, asOf });
+
+      expect(result.atmIV).toBeCloseTo(40, 1);
+    });
+
+    it('should return null when no quotes can be solved', () => {
+      const chain = {
+        expirationDate: toUnix('2025-11-21'),
+        calls: [{ strike: 100, bid: 0, ask: 0, lastPrice: 0 }],
+        puts: []
+      };
+
+      expect(calculateAtmImpliedVolatility(chain, { spot: 100, asOf })).toBeNull();
+    });
+  });
+
+  describe('calculateImpliedMove', () => {
+    it('should price the total move from the ATM straddle', () => {
+      const chain = {
+        expirationDate: toUnix('2025-10-24'),
+        calls: [{ strike: 100, bid: 3.9, ask: 4.1 }, { strike: 105, bid: 1.9, ask: 2.1 }],
+        puts: [{ strike: 100, bid: 3.4, ask: 3.6 }, { strike: 105, bid: 6.4, ask: 6.6 }]
+      };
+
+      const result = calculateImpliedMove(chain, { spot: 101, asOf });
+
+      expect(result).toMatchObject({
+        strike: 100,
+        expiration: '2025-10-24',
+        tradingDays: 5,
+        straddlePrice: 7.5,
+        movePercent: 7.43,
+        eventMovePercent: null
+      });
+    });
+
+    it('should strip normal daily variance to isolate the event move', () => {
+      const chain = {
+        expirationDate: toUnix('2025-10-24'),
+        calls: [{ strike: 100, bid: 3.9, ask: 4.1 }],
+        puts: [{ strike: 100, bid: 3.9, ask: 4.1 }]
+      };
+
+      const result = calculateImpliedMove(chain, { spot: 100, historicalVolatility: 31.75, asOf });
+      const normalDay = (31.75 / Math.sqrt(252)) * Math.sqrt(2 / Math.PI);
+
+      expect(result.movePercent).toBe(8);
+      expect(result.eventMovePercent).toBeCloseTo(Math.sqrt(64 - 4 * normalDay ** 2), 2);
+      expect(result.eventMoveDollars).toBeCloseTo(result.eventMovePercent, 2);
+    });
+
+    it('should floor the event move at zero when the straddle is cheap', () => {
+      const chain = {
+        expirationDate: toUnix('2025-11-21'),
+        calls: [{ strike: 100, bid: 0.9, ask: 1.1 }],
+        puts: [{ strike: 100, bid: 0.9, ask: 1.1 }]
+      };
+
+      const result = calculateImpliedMove(chain, { spot: 100, historicalVolatility: 60, asOf });
+
+      expect(result.eventMovePercent).toBe(0);
+    });
+
+    it('should return null without a matching call and put', () => {
+      const chain = {
+        expirationDate: toUnix('2025-10-24'),
+        calls: [{ strike: 100, bid: 3.9, ask: 4.1 }],
+        puts: [{ strike: 105, bid: 3.9, ask: 4.1 }]
+      };
+
+      expect(calculateImpliedMove(chain, { spot: 100, asOf })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,1095 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+import worker from '../src/index.js';
+import RunHistoryStore from '../src/run-history.js';
+import TrackRecordStore from '../src/track-record.js';
+import SubscriberStore from '../src/subscribers.js';
+import { MemoryKeyValueStore } from '../src/storage.js';
+import { createSubscriberToken, verifySubscriberToken } from '../src/tokens.js';
+import NewsletterArchive from '../src/archive.js';
+import BroadcastApprovalStore, { APPROVAL_SWEEP_CRON } from '../src/approvals.js';
+import RunGuard, { buildIdempotencyKey } from '../src/idempotency.js';
+import UniverseBuilder, { UNIVERSE_SCREEN_CRON } from '../src/universe.js';
+import { getEarningsOpportunities, getMarketContext, getSymbolOpportunities } from '../src/finnhub.js';
+
+// Real implementations unless a test stubs the scan (restored after each test)
+vi.mock('../src/finnhub.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    getEarningsOpportunities: vi.fn(actual.getEarningsOpportunities),
+    getMarketContext: vi.fn(actual.getMarketContext),
+    getSymbolOpportunities: vi.fn(actual.getSymbolOpportunities)
+  };
+});
+
+const SECRET = 'test-secret';
+
+function request(path, { method = 'GET', secret } = {}) {
+  return new Request(`https://worker.example${path}`, {
+    method,
+    headers: secret ? { 'x-trigger-secret': secret } : {}
+  });
+}
+
+describe('Worker fetch handler', () => {
+  let env;
+
+  beforeEach(() => {
+    env = { TRIGGER_AUTH_SECRET: SECRET, OPTIONS_INSIGHT_KV: new MemoryKeyValueStore() };
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('run history routes', () => {
+    it('should reject requests without the trigger secret', async () => {
+      const missing = await worker.fetch(request('/runs'), env);
+      const wrong = await worker.fetch(request('/runs', { secret: 'nope' }), env);
+
+      expect(missing.status).toBe(401);
+      expect(wrong.status).toBe(401);
+    });
+
+    it('should be disabled when no secret is configured', async () => {
+      const response = await worker.fetch(request('/runs', { secret: SECRET }), { OPTIONS_INSIGHT_KV: env.OPTIONS_INSIGHT_KV });
+
+      expect(response.status).toBe(503);
+      expect((await response.json()).error).toBe('Run history disabled: missing TRIGGER_AUTH_SECRET');
+    });
+
+    it('should list stored runs and return one by id', async () => {
+      const runHistory = new RunHistoryStore(env.OPTIONS_INSIGHT_KV);
+      const run = await runHistory.saveRun({
+        success: true,
+        startedAt: new Date().toISOString(),
+        durationMs: 5000,
+        steps: [],
+        metrics: { publishedSymbols: ['MSFT'] },
+        errors: []
+      }, { trigger: 'scheduled' });
+
+      const listResponse = await worker.fetch(request('/runs?limit=5', { secret: SECRET }), env);
+      const list = await listResponse.json();
+      expect(listResponse.status).toBe(200);
+      expect(list.runs).toHaveLength(1);
+      expect(list.runs[0]).toMatchObject({ id: run.id, publishedSymbols: ['MSFT'] });
+
+      const detailResponse = await worker.fetch(request(`/runs/${run.id}?token=${SECRET}`), env);
+      expect((await detailResponse.json()).run).toMatchObject({ id: run.id, trigger: 'scheduled' });
+
+      const missingResponse = await worker.fetch(request('/runs/unknown', { secret: SECRET }), env);
+      expect(missingResponse.status).toBe(404);
+    });
+  });
+
+  describe('manual trigger', () => {
+    it('should reject unknown scoring profiles before running', async () => {
+      const response = await worker.fetch(request('/trigger?profile=yolo', { method: 'POST', secret: SECRET }), env);
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toContain('Unknown scoring profile "yolo"');
+      expect(await new RunHistoryStore(env.OPTIONS_INSIGHT_KV).listRuns()).toHaveLength(0);
+    });
+
+    it('should fail the run when SCORING_PROFILE is misconfigured', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const response = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), {
+        ...env,
+        FINNHUB_API_KEY: 'f',
+        RESEND_API_KEY: 'r',
+        GEMINI_API_KEY: 'g',
+        AUDIENCE_ID: 'a',
+        SCORING_PROFILE: 'yolo'
+      });
+      const { summary } = await response.json();
+
+      expect(response.status).toBe(500);
+      expect(summary.steps[0]).toMatchObject({ name: 'Validate environment', status: 'failed' });
+      expect(summary.errors[0].message).toContain('Unknown scoring profile');
+    });
+
+    it('should fail the run when DIGEST_CHANNELS names an unknown channel', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const response = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), {
+        ...env,
+        DIGEST_CHANNELS: 'email,sms'
+      });
+      const { summary } = await response.json();
+
+      expect(response.status).toBe(500);
+      expect(summary.steps[0]).toMatchObject({ name: 'Validate environment', status: 'failed' });
+      expect(summary.errors[0].message).toContain('Unknown notification channel "sms"');
+    });
+
+    it('should only require the Resend secrets when email is a digest channel', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const response = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), {
+        ...env,
+        DIGEST_CHANNELS: 'slack'
+      });
+      const { summary } = await response.json();
+
+      expect(summary.errors[0].message).toContain('DIGEST_CHANNELS has no configured channel');
+
+      const chatOnly = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), {
+        ...env,
+        DIGEST_CHANNELS: 'slack',
+        SLACK_WEBHOOK_URL: 'http://127.0.0.1:1/hook',
+        SUMMARY_CHANNELS: 'email'
+      });
+      expect((await chatOnly.json()).summary.errors[0].message).toBe('Missing required secrets: FINNHUB_API_KEY, GEMINI_API_KEY');
+    });
+
+    it('should reject unknown run modes before running', async () => {
+      const response = await worker.fetch(request('/trigger?mode=shadow', { method: 'POST', secret: SECRET }), env);
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toBe('Unknown mode "shadow" (expected live or dry-run)');
+      expect(await new RunHistoryStore(env.OPTIONS_INSIGHT_KV).listRuns()).toHaveLength(0);
+    });
+
+    it('should not need audience secrets or deliver the run summary for dry runs', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const fetchSpy = vi.spyOn(globalThis, 'fetch');
+      const dryEnv = { ...env, SUMMARY_EMAIL_RECIPIENT: 'ops@example.com', SUMMARY_CHANNELS: 'email,slack', SLACK_WEBHOOK_URL: 'http://127.0.0.1:1/hook' };
+
+      const response = await worker.fetch(request('/trigger?mode=dry-run', { method: 'POST', secret: SECRET }), dryEnv);
+      const body = await response.json();
+
+      expect(body).toMatchObject({ mode: 'dry-run', preview: null });
+      expect(body.summary.errors[0].message).toBe('Missing required secrets: FINNHUB_API_KEY, GEMINI_API_KEY');
+      expect(fetchSpy).not.toHaveBeenCalled();
+      const [run] = await new RunHistoryStore(env.OPTIONS_INSIGHT_KV).listRuns();
+      expect(run.trigger).toBe('dry-run');
+
+      const testSend = await worker.fetch(request('/trigger?mode=dry-run&testSend=true', { method: 'POST', secret: SECRET }), dryEnv);
+      expect((await testSend.json()).summary.errors[0].message).toBe('Missing required secrets: FINNHUB_API_KEY, RESEND_API_KEY, GEMINI_API_KEY');
+    });
+
+    describe('duplicate protection', () => {
+      let liveEnv;
+      const todayKey = () => buildIdempotencyKey({ audience: 'a', variant: 'broadcast' });
+
+      beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        liveEnv = { ...env, FINNHUB_API_KEY: 'f', RESEND_API_KEY: 'r', GEMINI_API_KEY: 'g', AUDIENCE_ID: 'a' };
+      });
+
+      it('should block a second live run for the same day and audience', async () => {
+        const fetchSpy = vi.spyOn(globalThis, 'fetch');
+        await new RunGuard(env.OPTIONS_INSIGHT_KV).recordSend(todayKey(), { runId: 'first-run', broadcastId: 'b-1', reason: 'opportunities-published' });
+
+        const response = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), liveEnv);
+        const { summary } = await response.json();
+
+        expect(response.status).toBe(409);
+        expect(summary.blocked).toBe(true);
+        expect(summary.steps.map(step => step.status)).toEqual(['success', 'blocked']);
+        expect(summary.steps[1].detail).toContain('already sent by run first-run (broadcast b-1)');
+        expect(summary.metrics).toMatchObject({ newsletterReason: 'duplicate', duplicateOf: 'first-run', idempotencyKey: todayKey() });
+        expect(fetchSpy).not.toHaveBeenCalled();
+        const [run] = await new RunHistoryStore(env.OPTIONS_INSIGHT_KV).listRuns();
+        expect(run).toMatchObject({ trigger: 'manual', newsletterReason: 'duplicate' });
+      });
+
+      it('should block while another run holds the lock', async () => {
+        await new RunGuard(env.OPTIONS_INSIGHT_KV).acquireLock('other-run');
+
+        const response = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), liveEnv);
+        const { summary } = await response.json();
+
+        expect(response.status).toBe(409);
+        expect(summary.steps[1]).toMatchObject({ name: 'Check for duplicate runs', status: 'blocked' });
+        expect(summary.steps[1].detail).toContain('run other-run in progress');
+      });
+
+      it('should report a forced run and release the lock when it ends', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('offline'));
+        const guard = new RunGuard(env.OPTIONS_INSIGHT_KV);
+        await guard.recordSend(todayKey(), { runId: 'first-run' });
+
+        const response = await worker.fetch(request('/trigger?force=true', { method: 'POST', secret: SECRET }), liveEnv);
+        const { summary } = await response.json();
+
+        expect(summary.blocked).toBeUndefined();
+        expect(summary.metrics.forced).toBe(true);
+        expect(summary.steps[1]).toMatchObject({ name: 'Check for duplicate runs', status: 'forced' });
+        expect(summary.steps[1].detail).toContain('Forced: digest for');
+        expect(await env.OPTIONS_INSIGHT_KV.get('run-lock')).toBeNull();
+      });
+
+      it('should read the cached universe without screening on the digest path', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const fetchSpy = vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('offline'));
+        const screenSpy = vi.spyOn(UniverseBuilder.prototype, 'screenSymbol');
+
+        const response = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), liveEnv);
+        const { summary } = await response.json();
+
+        expect(screenSpy).not.toHaveBeenCalled();
+        expect(summary.steps.find(step => step.name === 'Build stock universe')).toMatchObject({ status: 'success' });
+        expect(summary.steps.find(step => step.name === 'Build stock universe').detail).toMatch(/^\d+\/\d+ constituents \(\d+ not yet screened/);
+        expect(fetchSpy.mock.calls.map(([url]) => String(url)).filter(url => url.includes('yahoo'))).toEqual([]);
+      });
+
+      it('should not check or record sends for dry runs', async () => {
+        await new RunGuard(env.OPTIONS_INSIGHT_KV).recordSend(todayKey(), { runId: 'first-run' });
+        vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('offline'));
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        const response = await worker.fetch(request('/trigger?mode=dry-run', { method: 'POST', secret: SECRET }), liveEnv);
+        const { summary } = await response.json();
+
+        expect(summary.steps[1]).toEqual({ name: 'Check for duplicate runs', status: 'skipped', detail: 'Dry run' });
+        expect(summary.metrics.idempotencyKey).toBeUndefined();
+      });
+
+      it('should not score past picks on dry runs', async () => {
+        vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('offline'));
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const evaluateSpy = vi.spyOn(TrackRecordStore.prototype, 'evaluatePending');
+
+        const response = await worker.fetch(request('/trigger?mode=dry-run', { method: 'POST', secret: SECRET }), liveEnv);
+        const { summary } = await response.json();
+
+        expect(evaluateSpy).not.toHaveBeenCalled();
+        expect(summary.steps.find(step => step.name === 'Evaluate track record')).toMatchObject({ status: 'skipped', detail: 'Dry run' });
+        expect(summary.metrics.trackRecordEvaluated).toBeUndefined();
+      });
+    });
+
+    it('should post the run summary to configured chat webhooks', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const posted = [];
+      const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          posted.push(JSON.parse(body));
+          res.end('ok');
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), {
+          ...env,
+          SLACK_WEBHOOK_URL: `http://127.0.0.1:${server.address().port}/slack`,
+          SUMMARY_CHANNELS: 'slack'
+        });
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+
+      expect(posted).toHaveLength(1);
+      expect(posted[0].text).toContain('❌ Run failed');
+      expect(posted[0].text).toContain('Missing required secrets');
+    });
+  });
+
+  it('should serve the track record without authentication', async () => {
+    const trackRecord = new TrackRecordStore(env.OPTIONS_INSIGHT_KV);
+    await trackRecord.savePicks([
+      { id: 'a', symbol: 'AAPL', publishedAt: `${new Date().toISOString()}`, publishedDate: new Date().toISOString().split('T')[0], recommendation: 'NEUTRAL', marketRegime: 'normal', outcome: { status: 'evaluated', insideExpectedMove: true, moveToExpectedRatio: 0.4 } },
+      { id: 'b', symbol: 'MSFT', publishedAt: `${new Date().toISOString()}`, publishedDate: new Date().toISOString().split('T')[0], recommendation: 'NEUTRAL', marketRegime: 'normal', outcome: null }
+    ]);
+
+    const response = await worker.fetch(request('/track-record?symbol=msft'), env);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.summary).toMatchObject({ picks: 2, evaluated: 1, hitRate: 100, pending: 1 });
+    expect(body.picks.map(pick => pick.symbol)).toEqual(['MSFT']);
+  });
+
+  describe('delivery preferences', () => {
+    let resendCalls;
+    const liveEnv = () => ({ ...env, FINNHUB_API_KEY: 'f', RESEND_API_KEY: 'r', GEMINI_API_KEY: 'g', AUDIENCE_ID: 'a' });
+
+    beforeEach(async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.useFakeTimers({ toFake: ['Date'] });
+      // A Tuesday: weekly subscribers only get the Monday digest
+      vi.setSystemTime(new Date('2025-06-03T10:00:00.000Z'));
+      getEarningsOpportunities.mockResolvedValue([]);
+      getMarketContext.mockResolvedValue({ vix: 18, marketRegime: 'Neutral' });
+
+      resendCalls = [];
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+        const href = String(url);
+        if (!href.startsWith('https://api.resend.com')) {
+          throw new Error('offline');
+        }
+        resendCalls.push({ url: href, body: init?.body ? JSON.parse(init.body) : null });
+        const body = href.includes('/contacts')
+          ? { object: 'list', has_more: false, data: [{ id: 'c1', email: 'weekly@example.com', unsubscribed: false }, { id: 'c2', email: 'daily@example.com', unsubscribed: false }] }
+          : href.endsWith('/emails/batch') ? { data: [{ id: 'e-1' }] } : { id: 'b-1' };
+        return new Response(JSON.stringify(body), { status: 200 });
+      });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should skip weekly subscribers on a Tuesday in the default broadcast mode', async () => {
+      const subscribers = new SubscriberStore(env.OPTIONS_INSIGHT_KV);
+      await subscribers.saveSubscriber('weekly@example.com', { status: 'active', preferences: { frequency: 'weekly' } });
+      await subscribers.saveSubscriber('daily@example.com', { status: 'active' });
+
+      const response = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), liveEnv());
+      const { summary } = await response.json();
+
+      expect(summary.steps.find(step => step.name === 'Check delivery preferences')).toMatchObject({
+        status: 'success',
+        detail: '1 subscribers have delivery preferences; sending per-recipient digests'
+      });
+      const batch = resendCalls.find(call => call.url.endsWith('/emails/batch'));
+      expect(batch.body.map(email => email.to)).toEqual([['daily@example.com']]);
+      expect(resendCalls.some(call => call.url.endsWith('/broadcasts'))).toBe(false);
+      expect(summary.metrics).toMatchObject({ deliveryMode: 'personalized', preferenceSkipped: 1, newsletterSent: true });
+      // Keyed on the configured broadcast variant, recorded with the mode actually used
+      expect(await new RunGuard(env.OPTIONS_INSIGHT_KV).getSend(buildIdempotencyKey({ date: new Date(), audience: 'a', variant: 'broadcast' })))
+        .toMatchObject({ status: 'sent', deliveryMode: 'personalized' });
+    });
+
+    it('should keep sending one broadcast while everyone is on the defaults', async () => {
+      await new SubscriberStore(env.OPTIONS_INSIGHT_KV).saveSubscriber('daily@example.com', { status: 'active' });
+
+      const response = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), liveEnv());
+      const { summary } = await response.json();
+
+      expect(summary.steps.find(step => step.name === 'Check delivery preferences').detail).toBe('No delivery preferences set; sending one broadcast');
+      expect(resendCalls.map(call => call.url)).toEqual(['https://api.resend.com/broadcasts', 'https://api.resend.com/broadcasts/b-1/send']);
+      expect(summary.metrics).toMatchObject({ deliveryMode: 'broadcast', broadcastId: 'b-1' });
+    });
+
+    describe('broadcast unsubscribe links', () => {
+      const linkEnv = () => ({ ...liveEnv(), WORKER_URL: 'https://worker.example', SUBSCRIBER_TOKEN_SECRET: 'subscriber-secret' });
+      const broadcastBody = () => resendCalls.find(call => call.url.endsWith('/broadcasts')).body;
+
+      beforeEach(async () => {
+        // daily@ confirmed through the worker; weekly@ was added straight to the audience and has no profile
+        await new SubscriberStore(env.OPTIONS_INSIGHT_KV).saveSubscriber('daily@example.com', {
+          status: 'active',
+          unsubscribeTokenExpiresAt: '2026-01-01T00:00:00.000Z'
+        });
+      });
+
+      it('should give an audience-only contact a token before linking to the worker', async () => {
+        const response = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), linkEnv());
+        const { summary } = await response.json();
+
+        const patches = resendCalls.filter(call => call.url.includes('/contacts/'));
+        expect(patches.map(call => call.url)).toEqual(['https://api.resend.com/audiences/a/contacts/weekly%40example.com']);
+        expect(await verifySubscriberToken('subscriber-secret', patches[0].body.attributes.unsubscribeToken, 'unsubscribe')).toBe('weekly@example.com');
+        expect(summary.steps.find(step => step.name === 'Refresh unsubscribe links')).toMatchObject({ status: 'success' });
+        expect(broadcastBody().headers['List-Unsubscribe']).toContain('https://worker.example/unsubscribe?token={{{contact.unsubscribeToken}}}');
+      });
+
+      it("should keep Resend's unsubscribe page while a contact has no token", async () => {
+        const route = globalThis.fetch.getMockImplementation();
+        globalThis.fetch.mockImplementation(async (url, init) => (String(url).includes('/contacts/weekly')
+          ? new Response(JSON.stringify({ name: 'internal_server_error', message: 'down' }), { status: 500 })
+          : route(url, init)));
+
+        const response = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), linkEnv());
+        const { summary } = await response.json();
+
+        expect(summary.steps.find(step => step.name === 'Refresh unsubscribe links')).toMatchObject({
+          status: 'warning',
+          detail: "0 contacts given a fresh unsubscribe token, 1 without one; using Resend's unsubscribe page"
+        });
+        expect(broadcastBody().html).toContain('{{{RESEND_UNSUBSCRIBE_URL}}}');
+        expect(broadcastBody().html).not.toContain('contact.unsubscribeToken');
+      });
+    });
+
+    it('should leave a send that failed on its second batch blocking the next run', async () => {
+      const contacts = Array.from({ length: 150 }, (_, i) => ({ id: `c${i}`, email: `reader${i}@example.com`, unsubscribed: false }));
+      let batches = 0;
+      globalThis.fetch.mockImplementation(async (url) => {
+        const href = String(url);
+        if (href.includes('/contacts')) {
+          return new Response(JSON.stringify({ object: 'list', has_more: false, data: contacts }), { status: 200 });
+        }
+        if (href.endsWith('/emails/batch') && ++batches === 1) {
+          return new Response(JSON.stringify({ data: [{ id: 'e-1' }] }), { status: 200 });
+        }
+        if (href.endsWith('/emails/batch')) {
+          return new Response(JSON.stringify({ name: 'internal_server_error', message: 'batch rejected' }), { status: 500 });
+        }
+        throw new Error('offline');
+      });
+      const personalizedEnv = { ...liveEnv(), DIGEST_DELIVERY_MODE: 'personalized' };
+      const key = buildIdempotencyKey({ date: new Date(), audience: 'a', variant: 'personalized' });
+
+      const first = await (await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), personalizedEnv)).json();
+      expect(batches).toBe(2);
+      expect(first.summary.metrics.newsletterSent).not.toBe(true);
+      expect(await new RunGuard(env.OPTIONS_INSIGHT_KV).getSend(key)).toMatchObject({
+        status: 'failed',
+        runId: first.summary.id,
+        error: expect.stringContaining('failed after 100 of 150 emails')
+      });
+
+      const retry = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), personalizedEnv);
+      expect(retry.status).toBe(409);
+      expect((await retry.json()).summary.steps[1].detail).toContain(`digest for ${key} failed mid-send in run ${first.summary.id}`);
+      expect(batches).toBe(2);
+    });
+  });
+
+  describe('archive routes', () => {
+    beforeEach(async () => {
+      const archive = new NewsletterArchive(env.OPTIONS_INSIGHT_KV);
+      await archive.saveIssue({ date: '2025-06-02', subjectTag: '1 Opportunity', html: '<html>June 2</html>', picks: [{ symbol: 'AAPL', strategies: [] }] });
+      await archive.saveIssue({ date: '2025-06-03', subjectTag: 'No Screened Setups', html: '<html>June 3</html>' });
+    });
+
+    it('should list issues as HTML or JSON', async () => {
+      const page = await worker.fetch(request('/archive'), env);
+      const json = await worker.fetch(request('/archive?format=json'), env);
+
+      expect(await page.text()).toContain('<a href="/archive/2025-06-02">2025-06-02</a> · 1 Opportunity · 1 pick');
+      expect((await json.json()).issues.map(issue => issue.date)).toEqual(['2025-06-03', '2025-06-02']);
+    });
+
+    it('should serve an issue, its picks and the latest issue', async () => {
+      const issue = await worker.fetch(request('/archive/2025-06-02'), env);
+      const structured = await worker.fetch(request('/archive/2025-06-02?format=json'), env);
+      const latest = await worker.fetch(request('/archive/latest'), env);
+      const missing = await worker.fetch(request('/archive/2025-01-01'), env);
+
+      expect(issue.headers.get('Content-Type')).toContain('text/html');
+      expect(await issue.text()).toBe('<html>June 2</html>');
+      expect((await structured.json()).issue).toEqual(expect.objectContaining({ picks: [{ symbol: 'AAPL', strategies: [] }] }));
+      expect(latest.status).toBe(302);
+      expect(latest.headers.get('Location')).toBe('https://worker.example/archive/2025-06-03');
+      expect(missing.status).toBe(404);
+    });
+
+    it('should publish archived issues as Atom and JSON feeds filtered by ticker', async () => {
+      const atom = await worker.fetch(request('/feed.xml'), env);
+      const json = await worker.fetch(request('/feed.json?symbol=aapl'), env);
+
+      expect(atom.headers.get('Content-Type')).toContain('application/atom+xml');
+      expect((await atom.text()).match(/<entry>/g)).toHaveLength(2);
+      expect(json.headers.get('Content-Type')).toContain('application/feed+json');
+      expect((await json.json()).items.map(item => item.id)).toEqual(['https://worker.example/archive/2025-06-02']);
+    });
+  });
+
+  describe('analyze API', () => {
+    const analyze = (payload, { secret = SECRET, key } = {}) => new Request('https://worker.example/analyze', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(secret ? { 'x-trigger-secret': secret } : {}),
+        ...(key ? { 'X-Analyze-Key': key } : {})
+      },
+      body: JSON.stringify(payload)
+    });
+
+    it('should reuse the trigger secret', async () => {
+      const missing = await worker.fetch(analyze({ symbols: ['NVDA'] }, { secret: null }), env);
+      const wrong = await worker.fetch(analyze({ symbols: ['NVDA'] }, { secret: 'nope' }), env);
+      const getRequest = await worker.fetch(request('/analyze', { secret: SECRET }), env);
+
+      expect(missing.status).toBe(401);
+      expect(wrong.status).toBe(401);
+      expect(getRequest.status).toBe(405);
+    });
+
+    it('should validate the body and require the data provider keys', async () => {
+      const tooMany = await worker.fetch(analyze({ symbols: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K'] }), env);
+      const noKey = await worker.fetch(analyze({ symbols: ['NVDA'] }), env);
+      const noGemini = await worker.fetch(analyze({ symbols: ['NVDA'], includeAI: true }), { ...env, FINNHUB_API_KEY: 'f' });
+
+      expect(tooMany.status).toBe(400);
+      expect((await tooMany.json()).error).toBe('At most 10 symbols per request');
+      expect(noKey.status).toBe(503);
+      expect((await noGemini.json()).error).toBe('Analyze API unavailable: missing GEMINI_API_KEY');
+    });
+
+    it('should enforce the daily symbol quota per API key', async () => {
+      const quotaEnv = { ...env, FINNHUB_API_KEY: 'f', ANALYZE_DAILY_QUOTA: '2', ANALYZE_API_KEYS: 'screener:key-1,notebook:key-2' };
+
+      const noKey = await worker.fetch(analyze({ symbols: ['NVDA'] }), quotaEnv);
+      const unknownKey = await worker.fetch(analyze({ symbols: ['NVDA'] }, { key: 'screener' }), quotaEnv);
+      const response = await worker.fetch(analyze({ symbols: ['NVDA', 'AAPL', 'MSFT'] }, { key: 'key-1' }), quotaEnv);
+
+      expect(noKey.status).toBe(401);
+      expect((await unknownKey.json()).error).toBe('Unauthorized: missing or unknown X-Analyze-Key');
+      expect(response.status).toBe(429);
+      expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+      expect((await response.json()).error).toBe('Daily quota exceeded: 2 of 2 symbols left for caller "screener"');
+    });
+
+    describe('quota accounting', () => {
+      const stock = (symbol) => ({ symbol, volatilityData: { currentPrice: 100, impliedVolatility: 40 }, qualifies: true });
+      const quotaEnv = () => ({ ...env, FINNHUB_API_KEY: 'f', ANALYZE_DAILY_QUOTA: '3', ANALYZE_GLOBAL_DAILY_QUOTA: '4', ANALYZE_API_KEYS: 'screener:key-1,notebook:key-2' });
+
+      beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        getMarketContext.mockResolvedValue({ vix: 18, marketRegime: 'Neutral' });
+      });
+
+      it('should cap all callers together and give the rejected caller its symbols back', async () => {
+        getSymbolOpportunities.mockImplementation(async (key, symbols) => symbols.map(stock));
+
+        const screener = await worker.fetch(analyze({ symbols: ['NVDA', 'AAPL', 'MSFT'] }, { key: 'key-1' }), quotaEnv());
+        const notebook = await worker.fetch(analyze({ symbols: ['AMD', 'TSLA'] }, { key: 'key-2' }), quotaEnv());
+        const notebookAgain = await worker.fetch(analyze({ symbols: ['AMD'] }, { key: 'key-2' }), quotaEnv());
+
+        expect((await screener.json()).quota).toMatchObject({ caller: 'screener', limit: 3, remaining: 0 });
+        expect(notebook.status).toBe(429);
+        expect((await notebook.json()).error).toBe('Global daily quota exceeded: 1 of 4 symbols left for all callers');
+        expect((await notebookAgain.json()).quota).toMatchObject({ caller: 'notebook', remaining: 2 });
+      });
+
+      it('should only charge for symbols that were analyzed', async () => {
+        getSymbolOpportunities.mockRejectedValueOnce(new Error('Finnhub down'))
+          .mockImplementation(async (key, symbols) => symbols.map(symbol => (symbol === 'ZZZZ' ? { symbol, volatilityData: null } : stock(symbol))));
+
+        const failed = await worker.fetch(analyze({ symbols: ['NVDA', 'AAPL', 'MSFT'] }, { key: 'key-1' }), quotaEnv());
+        const partial = await worker.fetch(analyze({ symbols: ['NVDA', 'ZZZZ'] }, { key: 'key-1' }), quotaEnv());
+
+        expect(failed.status).toBe(500);
+        expect((await partial.json()).quota).toMatchObject({ caller: 'screener', remaining: 2 });
+        const { keys: [globalCounter] } = await env.OPTIONS_INSIGHT_KV.list({ prefix: 'ratelimit:analyze-global:' });
+        expect(await env.OPTIONS_INSIGHT_KV.get(globalCounter.name)).toBe('1');
+      });
+    });
+  });
+
+  describe('telegram webhook', () => {
+    const telegramEnv = () => ({ ...env, TELEGRAM_BOT_TOKEN: 'bot-token', TELEGRAM_WEBHOOK_SECRET: 'hook-secret' });
+    const webhook = (payload, secret = 'hook-secret') => new Request('https://worker.example/telegram/webhook', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(secret ? { 'X-Telegram-Bot-Api-Secret-Token': secret } : {}) },
+      body: JSON.stringify(payload)
+    });
+    const command = (text, chatId = 42) => ({ update_id: 1, message: { message_id: 3, chat: { id: chatId }, text } });
+
+    function mockTelegramApi() {
+      const sent = [];
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+        if (String(url).startsWith('https://api.telegram.org/')) {
+          sent.push({ url: String(url), body: JSON.parse(init.body) });
+          return new Response(JSON.stringify({ ok: true, result: { message_id: sent.length } }));
+        }
+        if (String(url).includes('finnhub.io/api/v1/quote?symbol=VIX')) {
+          return new Response(JSON.stringify({ c: 22.5 }));
+        }
+        return new Response('not found', { status: 404 });
+      });
+      return sent;
+    }
+
+    it('should require the bot secrets and the webhook secret token', async () => {
+      const disabled = await worker.fetch(webhook(command('/regime')), env);
+      const missing = await worker.fetch(webhook(command('/regime'), null), telegramEnv());
+      const wrong = await worker.fetch(webhook(command('/regime'), 'nope'), telegramEnv());
+
+      expect(disabled.status).toBe(503);
+      expect(missing.status).toBe(401);
+      expect(wrong.status).toBe(401);
+    });
+
+    it('should answer /regime and /scan through sendMessage', async () => {
+      const sent = mockTelegramApi();
+      await new NewsletterArchive(env.OPTIONS_INSIGHT_KV).saveIssue({
+        date: '2025-06-02',
+        subjectTag: '1 Opportunity',
+        html: '<html></html>',
+        picks: [{ symbol: 'AAPL', recommendation: 'NEUTRAL', earningsDate: '2025-06-05', expectedMovePercent: 4.2 }]
+      });
+
+      const regime = await worker.fetch(webhook(command('/regime')), { ...telegramEnv(), FINNHUB_API_KEY: 'f' });
+      const scan = await worker.fetch(webhook(command('/scan')), telegramEnv());
+
+      expect(regime.status).toBe(200);
+      expect(await scan.json()).toEqual({ ok: true });
+      expect(sent.map(message => message.url)).toEqual([
+        'https://api.telegram.org/botbot-token/sendMessage',
+        'https://api.telegram.org/botbot-token/sendMessage'
+      ]);
+      expect(sent[0].body).toMatchObject({ chat_id: 42, parse_mode: 'HTML', text: '<b>Market regime</b>\nVIX 22.5 · elevated-volatility' });
+      expect(sent[1].body.text).toContain('• <b>AAPL</b> NEUTRAL');
+      expect(sent[1].body.text).toContain('https://worker.example/archive/2025-06-02');
+    });
+
+    it('should ignore chats outside the allowlist and over the rate limit', async () => {
+      const sent = mockTelegramApi();
+      const allowlisted = { ...telegramEnv(), TELEGRAM_ALLOWED_CHAT_IDS: '7, 42' };
+
+      const outsider = await worker.fetch(webhook(command('/scan', 99)), allowlisted);
+      expect(outsider.status).toBe(200);
+      expect(sent).toHaveLength(0);
+
+      for (let i = 0; i < 21; i++) {
+        await worker.fetch(webhook(command('/help')), allowlisted);
+      }
+      expect(sent).toHaveLength(20);
+    });
+
+    it('should start the double opt-in signup from /subscribe', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const sent = mockTelegramApi();
+      const resendCalls = [];
+      const telegramFetch = globalThis.fetch.getMockImplementation();
+      globalThis.fetch.mockImplementation(async (url, init) => {
+        if (String(url).startsWith('https://api.resend.com/')) {
+          resendCalls.push(JSON.parse(init.body));
+          return new Response(JSON.stringify({ id: 'r-1' }));
+        }
+        return telegramFetch(url, init);
+      });
+
+      await worker.fetch(webhook(command('/subscribe Trader@Example.com')), {
+        ...telegramEnv(),
+        RESEND_API_KEY: 're_test',
+        AUDIENCE_ID: 'aud-1',
+        SUBSCRIBER_TOKEN_SECRET: 'subscriber-secret'
+      });
+
+      expect(resendCalls[0].to).toEqual(['trader@example.com']);
+      expect(resendCalls[0].text).toMatch(/https:\/\/worker\.example\/confirm\?token=/);
+      expect(await new SubscriberStore(env.OPTIONS_INSIGHT_KV).getPendingSignup('trader@example.com')).toMatchObject({ source: 'telegram' });
+      expect(sent[0].body.text).toBe('📬 Check trader@example.com and confirm your subscription.');
+    });
+  });
+
+  describe('broadcast approvals', () => {
+    const TOKEN_SECRET = 'subscriber-secret';
+    let approvalEnv;
+    let resendCalls;
+
+    const approvalLink = async (action, broadcastId = 'b-1') => {
+      const token = await createSubscriberToken(TOKEN_SECRET, broadcastId, `broadcast-${action}`);
+      return `/broadcasts/${broadcastId}/${action}?token=${encodeURIComponent(token)}`;
+    };
+
+    const seedDraft = async (overrides = {}) => {
+      const run = await new RunHistoryStore(env.OPTIONS_INSIGHT_KV).saveRun({
+        success: true,
+        startedAt: new Date().toISOString(),
+        steps: [{ name: 'Send newsletter', status: 'success', detail: 'Broadcast b-1 drafted' }],
+        metrics: { newsletterSent: false, approvalStatus: 'pending' },
+        errors: []
+      }, { trigger: 'scheduled' });
+      await new BroadcastApprovalStore(env.OPTIONS_INSIGHT_KV).createApproval({
+        broadcastId: 'b-1',
+        runId: run.id,
+        subject: '🎯 Options Insight - Mon Jun 02 2025 (No Screened Setups)',
+        deadline: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        deadlineAction: 'expire',
+        issue: { content: [], marketContext: { vix: 18, digestNote: 'Context only' }, subjectTag: 'No Screened Setups' },
+        ...overrides
+      });
+      return run;
+    };
+
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      approvalEnv = { ...env, RESEND_API_KEY: 're_test', SUBSCRIBER_TOKEN_SECRET: TOKEN_SECRET, WORKER_URL: 'https://worker.example' };
+      resendCalls = [];
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init = {}) => {
+        resendCalls.push({ url: String(input), method: init.method });
+        return new Response(JSON.stringify({ id: 'b-1' }), { headers: { 'Content-Type': 'application/json' } });
+      });
+    });
+
+    it('should reject unsigned links and links for another action', async () => {
+      await seedDraft();
+
+      const unsigned = await worker.fetch(request('/broadcasts/b-1/approve?token=forged'), approvalEnv);
+      const swapped = await worker.fetch(request((await approvalLink('reject')).replace('/reject', '/approve')), approvalEnv);
+
+      expect(unsigned.status).toBe(400);
+      expect(swapped.status).toBe(400);
+      expect(resendCalls).toHaveLength(0);
+    });
+
+    it('should only confirm on GET and send the broadcast on POST', async () => {
+      const run = await seedDraft();
+      const link = await approvalLink('approve');
+
+      const page = await worker.fetch(request(link), approvalEnv);
+      expect(page.status).toBe(200);
+      expect(await page.text()).toContain('<form method="POST" action="/broadcasts/b-1/approve?token=');
+      expect(resendCalls).toHaveLength(0);
+
+      const approved = await worker.fetch(request(link, { method: 'POST' }), approvalEnv);
+      expect(approved.status).toBe(200);
+      expect(await approved.text()).toContain('Broadcast sent');
+      expect(resendCalls).toEqual([{ url: 'https://api.resend.com/broadcasts/b-1/send', method: 'POST' }]);
+
+      const stored = await new RunHistoryStore(env.OPTIONS_INSIGHT_KV).getRun(run.id);
+      expect(stored.approval).toMatchObject({ broadcastId: 'b-1', status: 'approved', decidedBy: 'approver' });
+      expect(stored.metrics).toMatchObject({ approvalStatus: 'approved', newsletterSent: true });
+      expect(stored.steps.map(step => step.name)).toEqual(['Send newsletter', 'Broadcast approval', 'Archive issue']);
+      expect((await new NewsletterArchive(env.OPTIONS_INSIGHT_KV).getLatest()).subjectTag).toBe('No Screened Setups');
+
+      const again = await worker.fetch(request(link, { method: 'POST' }), approvalEnv);
+      expect(again.status).toBe(409);
+      expect(resendCalls).toHaveLength(1);
+    });
+
+    it('should discard a rejected draft without archiving it', async () => {
+      const run = await seedDraft();
+
+      const rejected = await worker.fetch(request(await approvalLink('reject'), { method: 'POST' }), approvalEnv);
+
+      expect(await rejected.text()).toContain('Broadcast rejected');
+      expect(resendCalls).toEqual([{ url: 'https://api.resend.com/broadcasts/b-1', method: 'DELETE' }]);
+      expect((await new RunHistoryStore(env.OPTIONS_INSIGHT_KV).getRun(run.id)).approval.status).toBe('rejected');
+      expect(await new NewsletterArchive(env.OPTIONS_INSIGHT_KV).getLatest()).toBeNull();
+    });
+
+    it('should apply the deadline action from the sweep cron', async () => {
+      const run = await seedDraft({ deadline: new Date(Date.now() - 60 * 1000).toISOString(), deadlineAction: 'send' });
+
+      await worker.scheduled({ cron: APPROVAL_SWEEP_CRON }, approvalEnv);
+
+      expect(resendCalls).toEqual([{ url: 'https://api.resend.com/broadcasts/b-1/send', method: 'POST' }]);
+      const stored = await new RunHistoryStore(env.OPTIONS_INSIGHT_KV).getRun(run.id);
+      expect(stored.approval).toMatchObject({ status: 'auto-sent', decidedBy: 'deadline' });
+      expect(stored.steps[1].detail).toBe('Approval deadline passed; broadcast b-1 sent automatically');
+      expect(await new BroadcastApprovalStore(env.OPTIONS_INSIGHT_KV).getPendingIds()).toEqual([]);
+    });
+
+    it('should send once when an approval arrives while the sweep handles the same draft', async () => {
+      await seedDraft({ deadline: new Date(Date.now() - 60 * 1000).toISOString(), deadlineAction: 'send' });
+      // Hold both decisions' first write until each has read the pending draft
+      const kv = env.OPTIONS_INSIGHT_KV;
+      const put = kv.put.bind(kv);
+      const held = [];
+      vi.spyOn(kv, 'put').mockImplementation(async (key, ...rest) => {
+        if (key === 'approvals:b-1' && held.length < 2) {
+          await new Promise(resolve => {
+            held.push(resolve);
+            if (held.length === 2) held.forEach(release => release());
+          });
+        }
+        return put(key, ...rest);
+      });
+
+      const [, approved] = await Promise.all([
+        worker.scheduled({ cron: APPROVAL_SWEEP_CRON }, approvalEnv),
+        worker.fetch(request(await approvalLink('approve'), { method: 'POST' }), approvalEnv)
+      ]);
+
+      expect(resendCalls.filter(call => call.url.endsWith('/send'))).toHaveLength(1);
+      // The later claim wins; the sweep reads back the approver's claim and stands down
+      expect(approved.status).toBe(200);
+      expect(await new BroadcastApprovalStore(kv).getApproval('b-1')).toMatchObject({ status: 'approved', decidedBy: 'approver' });
+    });
+
+    it('should let the digest be re-triggered after its draft is rejected', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      getEarningsOpportunities.mockResolvedValue([]);
+      getMarketContext.mockResolvedValue({ vix: 18, marketRegime: 'Neutral' });
+      const liveEnv = {
+        ...approvalEnv,
+        FINNHUB_API_KEY: 'f',
+        GEMINI_API_KEY: 'g',
+        AUDIENCE_ID: 'a',
+        SUMMARY_CHANNELS: 'slack',
+        APPROVAL_REQUIRED: 'true',
+        APPROVAL_RECIPIENT: 'compliance@example.com'
+      };
+      const key = buildIdempotencyKey({ audience: 'a', variant: 'broadcast' });
+
+      const first = await (await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), liveEnv)).json();
+      expect(first.summary.metrics).toMatchObject({ approvalStatus: 'pending', broadcastId: 'b-1' });
+      expect(await new RunGuard(env.OPTIONS_INSIGHT_KV).getSend(key)).toMatchObject({ status: 'sent', reason: 'approval-requested' });
+
+      await worker.fetch(request(await approvalLink('reject'), { method: 'POST' }), liveEnv);
+      expect(await new RunGuard(env.OPTIONS_INSIGHT_KV).getSend(key)).toMatchObject({ status: 'discarded', reason: 'rejected', runId: first.summary.id });
+
+      const again = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), liveEnv);
+      const { summary } = await again.json();
+      expect(again.status).toBe(200);
+      expect(summary.steps[1]).toEqual({
+        name: 'Check for duplicate runs',
+        status: 'success',
+        detail: `No earlier send for ${key} (run ${first.summary.id}'s draft was discarded)`
+      });
+      expect(summary.metrics.approvalStatus).toBe('pending');
+    });
+
+    it('should fail the run when approval cannot be honoured by the delivery mode', async () => {
+      const response = await worker.fetch(request('/trigger', { method: 'POST', secret: SECRET }), {
+        ...approvalEnv,
+        FINNHUB_API_KEY: 'f',
+        GEMINI_API_KEY: 'g',
+        AUDIENCE_ID: 'a',
+        SUMMARY_CHANNELS: 'slack',
+        APPROVAL_REQUIRED: 'true',
+        DIGEST_DELIVERY_MODE: 'personalized'
+      });
+      const { summary } = await response.json();
+
+      expect(summary.steps[0]).toMatchObject({ name: 'Validate environment', status: 'failed' });
+      expect(summary.errors[0].message).toBe('APPROVAL_REQUIRED needs email in DIGEST_CHANNELS and DIGEST_DELIVERY_MODE=broadcast');
+    });
+  });
+
+  describe('watchlist routes', () => {
+    const TOKEN_SECRET = 'subscriber-secret';
+    const post = (path, body) => new Request(`https://worker.example${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    beforeEach(() => {
+      env.SUBSCRIBER_TOKEN_SECRET = TOKEN_SECRET;
+    });
+
+    it('should read and replace a watchlist with a signed token', async () => {
+      const subscribers = new SubscriberStore(env.OPTIONS_INSIGHT_KV);
+      await subscribers.saveSubscriber('trader@example.com', { watchlist: ['AAPL'] });
+      const token = await createSubscriberToken(TOKEN_SECRET, 'trader@example.com', 'watchlist');
+
+      const read = await worker.fetch(request(`/watchlist?email=trader%40example.com&token=${token}`), env);
+      expect(await read.json()).toMatchObject({ success: true, watchlist: ['AAPL'] });
+
+      const saved = await worker.fetch(post('/watchlist', { email: 'Trader@example.com', token, watchlist: 'msft, nvda' }), env);
+      expect(saved.status).toBe(200);
+      expect(await saved.json()).toMatchObject({ success: true, watchlist: ['MSFT', 'NVDA'] });
+      expect((await subscribers.getSubscriber('trader@example.com')).watchlist).toEqual(['MSFT', 'NVDA']);
+    });
+
+    it('should reject tokens signed for another subscriber or purpose', async () => {
+      const otherEmail = await createSubscriberToken(TOKEN_SECRET, 'someone@example.com', 'watchlist');
+      const otherPurpose = await createSubscriberToken(TOKEN_SECRET, 'trader@example.com', 'unsubscribe');
+
+      const first = await worker.fetch(post('/watchlist', { email: 'trader@example.com', token: otherEmail, watchlist: 'AAPL' }), env);
+      const second = await worker.fetch(request(`/watchlist?email=trader%40example.com&token=${otherPurpose}`), env);
+
+      expect(first.status).toBe(401);
+      expect(second.status).toBe(401);
+    });
+
+    it('should reject invalid tickers and be disabled without a token secret', async () => {
+      const token = await createSubscriberToken(TOKEN_SECRET, 'trader@example.com', 'watchlist');
+
+      const invalid = await worker.fetch(post('/watchlist', { email: 'trader@example.com', token, watchlist: 'AAPL, 12$' }), env);
+      expect(invalid.status).toBe(400);
+      expect((await invalid.json()).error).toBe('Unrecognized tickers: 12$');
+
+      delete env.SUBSCRIBER_TOKEN_SECRET;
+      const disabled = await worker.fetch(request(`/watchlist?email=trader%40example.com&token=${token}`), env);
+      expect(disabled.status).toBe(503);
+    });
+
+    it('should hold signups until the emailed confirmation link is used', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const resendCalls = [];
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+        resendCalls.push({ url, body: init?.body ? JSON.parse(init.body) : null });
+        return new Response(JSON.stringify({ id: `r-${resendCalls.length}` }), { status: 200 });
+      });
+      const resendEnv = { ...env, RESEND_API_KEY: 're_test', AUDIENCE_ID: 'aud-1' };
+      const subscribers = new SubscriberStore(env.OPTIONS_INSIGHT_KV);
+
+      const signup = await worker.fetch(post('/subscribe', { email: 'New@Example.com', firstName: 'Ada', watchlist: 'aapl' }), resendEnv);
+      expect(await signup.json()).toMatchObject({ success: true, status: 'pending' });
+      expect(resendCalls.map(call => call.url)).toEqual(['https://api.resend.com/emails']);
+      expect(await subscribers.getWatchlists()).toEqual(new Map());
+
+      const confirmLink = resendCalls[0].body.text.match(/https:\/\/worker\.example\/confirm\?token=\S+/)[0];
+      const confirmed = await worker.fetch(new Request(confirmLink), resendEnv);
+      expect(confirmed.status).toBe(200);
+      expect(await confirmed.text()).toContain('Subscription confirmed');
+      expect(resendCalls[1]).toMatchObject({ url: 'https://api.resend.com/audiences/aud-1/contacts', body: { email: 'new@example.com', first_name: 'Ada', attributes: { source: 'options-insight-pages', watchlist: 'AAPL' } } });
+      // Broadcasts merge this token into the worker's one-click unsubscribe link
+      expect(await verifySubscriberToken(TOKEN_SECRET, resendCalls[1].body.attributes.unsubscribeToken, 'unsubscribe')).toBe('new@example.com');
+      expect(await subscribers.getSubscriber('new@example.com')).toMatchObject({
+        status: 'active',
+        watchlist: ['AAPL'],
+        source: 'options-insight-pages'
+      });
+      expect(await subscribers.getPendingSignup('new@example.com')).toBeNull();
+
+      const reused = await worker.fetch(new Request(confirmLink), resendEnv);
+      expect(await reused.text()).toContain('Already confirmed');
+      expect(resendCalls).toHaveLength(2);
+    });
+
+    it('should reject confirmation links that are forged or meant for another purpose', async () => {
+      const resendEnv = { ...env, RESEND_API_KEY: 're_test', AUDIENCE_ID: 'aud-1' };
+      const watchlistToken = await createSubscriberToken(TOKEN_SECRET, 'new@example.com', 'watchlist');
+
+      const forged = await worker.fetch(request('/confirm?token=abc.def'), resendEnv);
+      const wrongPurpose = await worker.fetch(request(`/confirm?token=${watchlistToken}`), resendEnv);
+
+      expect(forged.status).toBe(400);
+      expect(wrongPurpose.status).toBe(400);
+    });
+
+    it('should only unsubscribe on the one-click POST of a signed link', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const resendCalls = [];
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+        resendCalls.push({ url, method: init?.method });
+        const body = init?.method === 'DELETE'
+          ? { deleted: true }
+          : { data: [{ id: 'c-1', email: 'Trader@example.com' }], has_more: false };
+        return new Response(JSON.stringify(body), { status: 200 });
+      });
+      const resendEnv = { ...env, RESEND_API_KEY: 're_test', AUDIENCE_ID: 'aud-1' };
+      const subscribers = new SubscriberStore(env.OPTIONS_INSIGHT_KV);
+      await subscribers.saveSubscriber('trader@example.com', { status: 'active', watchlist: ['AAPL'] });
+      const token = await createSubscriberToken(TOKEN_SECRET, 'trader@example.com', 'unsubscribe');
+
+      const page = await worker.fetch(request(`/unsubscribe?token=${token}`), resendEnv);
+      expect(page.status).toBe(200);
+      expect(await page.text()).toContain(`<form method="POST" action="/unsubscribe?token=${token}">`);
+      expect(resendCalls).toHaveLength(0);
+
+      const oneClick = await worker.fetch(new Request(`https://worker.example/unsubscribe?token=${token}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'List-Unsubscribe=One-Click'
+      }), resendEnv);
+      expect(oneClick.status).toBe(200);
+      expect(await oneClick.text()).toContain('Unsubscribed');
+      expect(resendCalls.at(-1)).toEqual({ url: 'https://api.resend.com/audiences/aud-1/contacts/c-1', method: 'DELETE' });
+      expect(await subscribers.getSubscriber('trader@example.com')).toMatchObject({ status: 'unsubscribed' });
+      expect(await subscribers.getWatchlists()).toEqual(new Map());
+    });
+
+    it('should reject unsubscribe links that are forged or meant for another purpose', async () => {
+      const resendEnv = { ...env, RESEND_API_KEY: 're_test', AUDIENCE_ID: 'aud-1' };
+      const watchlistToken = await createSubscriberToken(TOKEN_SECRET, 'trader@example.com', 'watchlist');
+
+      const forged = await worker.fetch(request('/unsubscribe?token=abc.def', { method: 'POST' }), resendEnv);
+      const wrongPurpose = await worker.fetch(request(`/unsubscribe?token=${watchlistToken}`, { method: 'POST' }), resendEnv);
+      const disabled = await worker.fetch(request(`/unsubscribe?token=${watchlistToken}`), env);
+
+      expect(forged.status).toBe(400);
+      expect(wrongPurpose.status).toBe(400);
+      expect(disabled.status).toBe(503);
+    });
+
+    it('should read and save delivery preferences with a signed token', async () => {
+      const subscribers = new SubscriberStore(env.OPTIONS_INSIGHT_KV);
+      await subscribers.saveSubscriber('trader@example.com', { status: 'active', watchlist: ['AAPL'] });
+      const token = await createSubscriberToken(TOKEN_SECRET, 'trader@example.com', 'preferences');
+
+      const read = await worker.fetch(request(`/preferences?email=trader%40example.com&token=${token}`), env);
+      expect(await read.json()).toMatchObject({ success: true, preferences: { frequency: 'daily', minRecommendation: 'ALL' } });
+
+      const invalid = await worker.fetch(post('/preferences', { email: 'trader@example.com', token, frequency: 'hourly' }), env);
+      expect(invalid.status).toBe(400);
+
+      const saved = await worker.fetch(post('/preferences', {
+        email: 'trader@example.com',
+        token,
+        frequency: 'weekly',
+        minRecommendation: 'STRONGLY CONSIDER',
+        sections: ['watchlist']
+      }), env);
+      expect(saved.status).toBe(200);
+      expect((await subscribers.getSubscriber('trader@example.com')).preferences).toEqual({
+        frequency: 'weekly',
+        minRecommendation: 'STRONGLY CONSIDER',
+        sections: ['watchlist']
+      });
+
+      const watchlistToken = await createSubscriberToken(TOKEN_SECRET, 'trader@example.com', 'watchlist');
+      const wrongPurpose = await worker.fetch(request(`/preferences?email=trader%40example.com&token=${watchlistToken}`), env);
+      expect(wrongPurpose.status).toBe(401);
+    });
+
+    it('should copy saved preferences to the Resend contact', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(JSON.stringify({ object: 'contact', id: 'c-1' })));
+      const token = await createSubscriberToken(TOKEN_SECRET, 'trader@example.com', 'preferences');
+
+      const saved = await worker.fetch(post('/preferences', {
+        email: 'trader@example.com',
+        token,
+        frequency: 'weekly',
+        sections: ['aiSummary', 'watchlist']
+      }), { ...env, RESEND_API_KEY: 're_test', AUDIENCE_ID: 'aud-1' });
+
+      expect(saved.status).toBe(200);
+      const [url, init] = fetchSpy.mock.calls[0];
+      expect(url).toBe('https://api.resend.com/audiences/aud-1/contacts/trader%40example.com');
+      expect(JSON.parse(init.body)).toEqual({
+        attributes: { frequency: 'weekly', minRecommendation: 'ALL', sections: 'watchlist,aiSummary' }
+      });
+    });
+
+    it('should rate limit signups per IP with Retry-After', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(JSON.stringify({ id: 'email-1' }), { status: 200 }));
+      const resendEnv = { ...env, RESEND_API_KEY: 're_test', AUDIENCE_ID: 'aud-1' };
+      const signup = (email) => new Request('https://worker.example/subscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.7' },
+        body: JSON.stringify({ email })
+      });
+
+      for (let i = 0; i < 5; i++) {
+        expect((await worker.fetch(signup(`user${i}@example.com`), resendEnv)).status).toBe(200);
+      }
+      const limited = await worker.fetch(signup('user5@example.com'), resendEnv);
+
+      expect(limited.status).toBe(429);
+      expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+      expect((await limited.json()).error).toContain('Too many signup attempts');
+    });
+
+    it('should drop honeypot submissions and enforce the challenge', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(JSON.stringify({ success: false, 'error-codes': ['invalid-input-response'] })));
+      const resendEnv = { ...env, RESEND_API_KEY: 're_test', AUDIENCE_ID: 'aud-1', TURNSTILE_SECRET_KEY: 'turnstile-secret' };
+
+      const bot = await worker.fetch(post('/subscribe', { email: 'bot@example.com', company: 'Acme' }), resendEnv);
+      expect(await bot.json()).toMatchObject({ success: true, status: 'pending' });
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(await new SubscriberStore(env.OPTIONS_INSIGHT_KV).getSubscriber('bot@example.com')).toBeNull();
+
+      const failed = await worker.fetch(post('/subscribe', { email: 'human@example.com', challengeToken: 'bad' }), resendEnv);
+      expect(failed.status).toBe(403);
+      expect(fetchSpy.mock.calls[0][0]).toBe('https://challenges.cloudflare.com/turnstile/v0/siteverify');
+    });
+
+    it('should validate the watchlist on signup', async () => {
+      const response = await worker.fetch(post('/subscribe', { email: 'trader@example.com', watchlist: 'AAPL, ???' }), env);
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toBe('Unrecognized tickers: ???');
+    });
+  });
+
+  it('should keep the trigger endpoint behind the same secret', async () => {
+    const response = await worker.fetch(request('/trigger', { method: 'POST' }), env);
+
+    expect(response.status).toBe(401);
+  });
+
+  describe('universe screen cron', () => {
+    it('should rescreen stale constituents without running the digest', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const buildSpy = vi.spyOn(UniverseBuilder.prototype, 'buildUniverse')
+        .mockResolvedValue({ symbols: ['AAPL'], constituents: 2, screened: 2, excluded: [], failed: [], unscreened: 0 });
+
+      await worker.scheduled({ cron: UNIVERSE_SCREEN_CRON }, env);
+
+      expect(buildSpy).toHaveBeenCalledTimes(1);
+      expect(buildSpy.mock.calls[0][1].budget).toBeUndefined();
+      expect(await new RunHistoryStore(env.OPTIONS_INSIGHT_KV).listRuns()).toEqual([]);
+    });
+  });
+});
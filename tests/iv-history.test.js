@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import IvHistoryStore, {
+  calculateIvRank,
+  calculateIvPercentile,
+  MIN_OBSERVATIONS
+} from '../src/iv-history.js';
+import { MemoryKeyValueStore } from '../src/storage.js';
+
+const asOf = new Date('2025-06-30T12:00:00Z');
+
+// IV snapshots from 20% to 20 + n - 1 %, one per day ending the day before asOf
+function buildHistory(count, start = 20) {
+  return Array.from({ length: count }, (_, i) => ({
+    date: new Date(asOf.getTime() - (count - i) * 86400000).toISOString().split('T')[0],
+    iv: start + i
+  }));
+}
+
+describe('IV History', () => {
+  describe('calculateIvRank', () => {
+    it('should place current IV between the 52-week low and high', () => {
+      const history = buildHistory(41); // 20% .. 60%
+
+      expect(calculateIvRank(history, 50, asOf)).toBe(75);
+      expect(calculateIvRank(history, 70, asOf)).toBe(100);
+    });
+
+    it('should ignore snapshots older than 52 weeks', () => {
+      const history = [
+        { date: '2024-01-02', iv: 150 },
+        ...buildHistory(MIN_OBSERVATIONS)
+      ];
+
+      expect(calculateIvRank(history, 20 + MIN_OBSERVATIONS - 1, asOf)).toBe(100);
+    });
+
+    it('should return null until enough history exists', () => {
+      expect(calculateIvRank(buildHistory(MIN_OBSERVATIONS - 1), 30, asOf)).toBeNull();
+    });
+  });
+
+  describe('calculateIvPercentile', () => {
+    it('should report the share of days with lower IV', () => {
+      const history = buildHistory(40); // 20% .. 59%
+
+      expect(calculateIvPercentile(history, 30, asOf)).toBe(25);
+      expect(calculateIvPercentile(history, 10, asOf)).toBe(0);
+    });
+  });
+
+  describe('IvHistoryStore', () => {
+    it('should upsert one snapshot per day', async () => {
+      const ivHistory = new IvHistoryStore(new MemoryKeyValueStore());
+
+      await ivHistory.recordSnapshot('AAPL', { date: '2025-06-27', iv: 30 });
+      await ivHistory.recordSnapshot('AAPL', { date: '2025-06-30', iv: 31 });
+      const history = await ivHistory.recordSnapshot('AAPL', { date: '2025-06-30', iv: 33, expiration: '2025-07-03' });
+
+      expect(history).toEqual([
+        { date: '2025-06-27', iv: 30, expiration: null },
+        { date: '2025-06-30', iv: 33, expiration: '2025-07-03' }
+      ]);
+    });
+
+    it('should trim snapshots past retention', async () => {
+      const store = new MemoryKeyValueStore();
+      await store.put('iv-history:AAPL', JSON.stringify([{ date: '2024-01-02', iv: 40 }]));
+      const ivHistory = new IvHistoryStore(store);
+
+      const history = await ivHistory.recordSnapshot('AAPL', { date: '2025-06-30', iv: 33 });
+
+      expect(history.map(snapshot => snapshot.date)).toEqual(['2025-06-30']);
+    });
+
+    it('should record chain IV and populate rank and percentile', async () => {
+      const store = new MemoryKeyValueStore();
+      const today = new Date().toISOString().split('T')[0];
+      const history = Array.from({ length: 30 }, (_, i) => ({
+        date: new Date(Date.now() - (30 - i) * 86400000).toISOString().split('T')[0],
+        iv: 20 + i
+      }));
+      await store.put('iv-history:NVDA', JSON.stringify(history));
+      const ivHistory = new IvHistoryStore(store);
+      const analysis = {
+        symbol: 'NVDA',
+        impliedVolatility: 49,
+        optionsChain: { expiration: '2025-07-03' },
+        dataSources: { impliedVolatility: 'yahoo-options-chain' }
+      };
+
+      await ivHistory.applyIvMetrics(analysis);
+
+      expect(analysis.impliedVolatilityRank).toBe(100);
+      expect(analysis.impliedVolatilityPercentile).toBeCloseTo(93.5, 1);
+      expect(analysis.ivHistoryDays).toBe(31);
+      expect((await ivHistory.getHistory('NVDA')).at(-1)).toEqual({ date: today, iv: 49, expiration: '2025-07-03' });
+    });
+
+    it('should not record estimated IV', async () => {
+      const ivHistory = new IvHistoryStore(new MemoryKeyValueStore());
+      const analysis = {
+        symbol: 'AAPL',
+        impliedVolatility: 30,
+        dataSources: { impliedVolatility: 'estimated-hv-premium' }
+      };
+
+      await ivHistory.applyIvMetrics(analysis);
+
+      expect(await ivHistory.getHistory('AAPL')).toEqual([]);
+      expect(analysis.impliedVolatilityRank).toBeUndefined();
+      expect(analysis.ivHistoryDays).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+import {
+  parseChannelList,
+  createNotificationChannels,
+  postNotifications,
+  describeRunStatus,
+  slackFormatter,
+  discordFormatter,
+  DEFAULT_CHANNELS,
+  CHAT_PICK_LIMIT
+} from '../src/notifications.js';
+
+const pick = (symbol, overrides = {}) => ({
+  symbol,
+  recommendation: 'STRONGLY CONSIDER',
+  earningsDate: '2025-06-05',
+  earningsHour: 'amc',
+  impliedVolatility: 42.1,
+  expectedMovePercent: 6.3,
+  strategies: [{ name: 'Iron Condor' }],
+  ...overrides
+});
+
+const digest = (overrides = {}) => ({
+  date: '2025-06-02',
+  subjectTag: '2 Opportunities',
+  picks: [pick('AAPL'), pick('MSFT', { recommendation: 'NEUTRAL', strategies: [] })],
+  marketContext: { vix: 18.44, marketRegime: 'normal' },
+  issueUrl: 'https://worker.example/archive/2025-06-02',
+  summary: { steps: [{ name: 'Send newsletter', status: 'success' }], errors: [], durationMs: null },
+  ...overrides
+});
+
+const runSummary = (overrides = {}) => ({
+  id: 'run-1',
+  trigger: 'scheduled',
+  success: true,
+  durationMs: 42000,
+  steps: [{ name: 'Validate environment', status: 'success', detail: 'ok' }],
+  metrics: { vix: 21.2, marketRegime: 'elevated', publishedSymbols: ['NVDA'], newsletterSent: true },
+  errors: [],
+  ...overrides
+});
+
+describe('Notification channels', () => {
+  describe('parseChannelList', () => {
+    it('should default to email and every chat channel', () => {
+      expect(parseChannelList()).toEqual([...DEFAULT_CHANNELS]);
+      expect(parseChannelList(' ')).toEqual([...DEFAULT_CHANNELS]);
+    });
+
+    it('should normalize names and reject unknown channels', () => {
+      expect(parseChannelList(' Slack, email ,slack')).toEqual(['slack', 'email']);
+      expect(() => parseChannelList('email,sms')).toThrow('Unknown notification channel "sms"');
+    });
+  });
+
+  it('should only create chat channels that are listed and have a webhook', () => {
+    const env = { SLACK_WEBHOOK_URL: 'http://slack.test/hook' };
+
+    expect(createNotificationChannels(env, ['email', 'slack', 'discord']).map(channel => channel.name)).toEqual(['slack']);
+    expect(createNotificationChannels(env, ['email', 'discord'])).toEqual([]);
+    expect(createNotificationChannels({ ...env, DISCORD_WEBHOOK_URL: 'http://discord.test/hook' }).map(channel => channel.name)).toEqual(['slack', 'discord']);
+  });
+
+  it('should describe the run status', () => {
+    expect(describeRunStatus(runSummary())).toBe('✅ Run succeeded in 42.0s');
+    expect(describeRunStatus({ steps: [{ status: 'success' }], errors: [] })).toBe('✅ Run in progress, all steps passed');
+    expect(describeRunStatus(runSummary({ steps: [{ status: 'warning' }] }))).toBe('⚠️ Run completed in 42.0s with 1 warning');
+    expect(describeRunStatus(runSummary({ errors: [{ message: 'Finnhub down' }] }))).toBe('❌ Run failed in 42.0s: Finnhub down');
+    expect(describeRunStatus(runSummary({ steps: [{ status: 'forced' }, { status: 'warning' }] }))).toBe('⚠️ Run completed in 42.0s with 2 warnings');
+    expect(describeRunStatus(runSummary({ steps: [{ status: 'blocked', detail: 'digest already sent' }] }))).toBe('⏸️ Run blocked in 42.0s: digest already sent');
+  });
+
+  describe('Slack formatter', () => {
+    it('should render picks, VIX, regime, status and the issue link as Block Kit', () => {
+      const payload = slackFormatter.digest(digest());
+      const text = JSON.stringify(payload.blocks);
+
+      expect(payload.text).toBe('Options Insight – 2025-06-02 (2 Opportunities): AAPL, MSFT');
+      expect(payload.blocks[0]).toEqual({ type: 'header', text: { type: 'plain_text', text: 'Options Insight – 2025-06-02 (2 Opportunities)' } });
+      expect(payload.blocks[1].fields.map(field => field.text)).toEqual(['*VIX*\n18.4', '*Regime*\nnormal']);
+      expect(payload.blocks[2].text.text).toContain('• *AAPL* – STRONGLY CONSIDER · earnings 2025-06-05 (amc) · exp. move ±6.3% · IV 42.1% · Iron Condor');
+      expect(text).toContain('✅ Run in progress, all steps passed');
+      expect(text).toContain('<https://worker.example/archive/2025-06-02|Read the full issue>');
+    });
+
+    it('should cap the pick list and fall back to the digest note', () => {
+      const many = slackFormatter.digest(digest({ picks: ['A', 'B', 'C', 'D', 'E', 'F', 'G'].map(symbol => pick(symbol)) }));
+      expect(many.blocks[2].text.text.split('\n')).toHaveLength(CHAT_PICK_LIMIT + 1);
+      expect(many.blocks[2].text.text).toContain('…and 2 more in the full issue');
+
+      const empty = slackFormatter.digest(digest({ picks: [], issueUrl: null, marketContext: { digestNote: 'Context only <today>' } }));
+      expect(empty.blocks[2].text.text).toBe('_Context only &lt;today&gt;_');
+      expect(empty.blocks[1].fields[0].text).toBe('*VIX*\nN/A');
+      expect(empty.blocks).toHaveLength(4);
+    });
+
+    it('should summarize a run with its flagged steps', () => {
+      const payload = slackFormatter.runSummary(runSummary({
+        steps: [{ name: 'Archive issue', status: 'warning', detail: 'KV unavailable' }]
+      }));
+
+      expect(payload.text).toBe('Options Insight run summary: ⚠️ Run completed in 42.0s with 1 warning');
+      expect(payload.blocks[2].fields.map(field => field.text)).toEqual(['*VIX*\n21.2', '*Regime*\nelevated', '*Top picks*\nNVDA', '*Newsletter*\nSent']);
+      expect(payload.blocks[3].text.text).toBe('• *Archive issue* (warning): KV unavailable');
+      expect(payload.blocks[4].elements[0].text).toBe('Run run-1 · scheduled');
+    });
+  });
+
+  describe('Discord formatter', () => {
+    it('should render the digest as an embed', () => {
+      const { embeds: [embed], username } = discordFormatter.digest(digest());
+
+      expect(username).toBe('Options Insight');
+      expect(embed).toMatchObject({
+        title: 'Options Insight – 2025-06-02 (2 Opportunities)',
+        url: 'https://worker.example/archive/2025-06-02',
+        color: 0x2e7d32,
+        fields: [
+          { name: 'VIX', value: '18.4', inline: true },
+          { name: 'Regime', value: 'normal', inline: true }
+        ],
+        footer: { text: '✅ Run in progress, all steps passed' }
+      });
+      expect(embed.description).toContain('**MSFT** – NEUTRAL · earnings 2025-06-05 (amc) · exp. move ±6.3% · IV 42.1%');
+    });
+
+    it('should colour failed run summaries red', () => {
+      const { embeds: [embed] } = discordFormatter.runSummary(runSummary({
+        errors: [{ message: 'boom' }],
+        steps: [{ name: 'Scan earnings opportunities', status: 'failed', detail: 'boom' }],
+        metrics: { publishedSymbols: [] }
+      }));
+
+      expect(embed.color).toBe(0xc62828);
+      expect(embed.description).toBe('❌ Run failed in 42.0s: boom');
+      expect(embed.fields.find(field => field.name === 'Top picks').value).toBe('None');
+      expect(embed.fields.find(field => field.name === 'Flagged steps').value).toBe('**Scan earnings opportunities** (failed): boom');
+    });
+
+    it('should flag runs blocked as duplicates in grey', () => {
+      const { embeds: [embed] } = discordFormatter.runSummary(runSummary({
+        steps: [{ name: 'Check for duplicate runs', status: 'blocked', detail: 'digest already sent' }],
+        metrics: { publishedSymbols: [], newsletterReason: 'duplicate' }
+      }));
+
+      expect(embed.color).toBe(0x546e7a);
+      expect(embed.description).toBe('⏸️ Run blocked in 42.0s: digest already sent');
+      expect(embed.fields.find(field => field.name === 'Flagged steps').value).toBe('**Check for duplicate runs** (blocked): digest already sent');
+    });
+  });
+
+  describe('postNotifications against a local webhook stub', () => {
+    let server;
+    let baseUrl;
+    let received;
+
+    beforeAll(async () => {
+      server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ path: req.url, contentType: req.headers['content-type'], body: JSON.parse(body) });
+          if (req.url === '/broken') {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('invalid_payload');
+            return;
+          }
+          res.writeHead(req.url === '/discord' ? 204 : 200);
+          res.end(req.url === '/discord' ? undefined : 'ok');
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      received = [];
+    });
+
+    it('should post each channel its own payload format', async () => {
+      const channels = createNotificationChannels({
+        SLACK_WEBHOOK_URL: `${baseUrl}/slack`,
+        DISCORD_WEBHOOK_URL: `${baseUrl}/discord`
+      });
+
+      const results = await postNotifications(channels, 'digest', digest());
+
+      expect(results).toEqual([
+        { channel: 'slack', ok: true, status: 200 },
+        { channel: 'discord', ok: true, status: 204 }
+      ]);
+      const slack = received.find(entry => entry.path === '/slack');
+      const discord = received.find(entry => entry.path === '/discord');
+      expect(slack.contentType).toBe('application/json');
+      expect(slack.body.blocks[0].type).toBe('header');
+      expect(discord.body.embeds[0].title).toContain('2025-06-02');
+    });
+
+    it('should report failing and unreachable webhooks without throwing', async () => {
+      const channels = createNotificationChannels({
+        SLACK_WEBHOOK_URL: `${baseUrl}/broken`,
+        DISCORD_WEBHOOK_URL: 'http://127.0.0.1:1/unreachable'
+      });
+
+      const results = await postNotifications(channels, 'runSummary', runSummary());
+
+      expect(results[0]).toEqual({ channel: 'slack', ok: false, status: 500, error: 'HTTP 500: invalid_payload' });
+      expect(results[1]).toMatchObject({ channel: 'discord', ok: false });
+      expect(results[1].error).toBeTruthy();
+      expect(received[0].body.text).toContain('run summary');
+    });
+  });
+});
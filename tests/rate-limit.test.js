@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import RateLimiter from '../src/rate-limit.js';
+import { MemoryKeyValueStore } from '../src/storage.js';
+
+describe('RateLimiter', () => {
+  const rule = { limit: 2, windowSeconds: 600 };
+
+  it('should allow requests up to the limit within a window', async () => {
+    const limiter = new RateLimiter(new MemoryKeyValueStore());
+    const now = new Date('2025-06-02T08:01:00Z');
+
+    expect(await limiter.hit('subscribe-ip', '203.0.113.7', rule, now)).toEqual({ allowed: true, remaining: 1, retryAfter: 540 });
+    expect(await limiter.hit('subscribe-ip', '203.0.113.7', rule, now)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await limiter.hit('subscribe-ip', '203.0.113.7', rule, now)).toEqual({ allowed: false, remaining: 0, retryAfter: 540 });
+    expect(await limiter.hit('subscribe-ip', '198.51.100.1', rule, now)).toMatchObject({ allowed: true });
+  });
+
+  it('should start a fresh count in the next window', async () => {
+    const limiter = new RateLimiter(new MemoryKeyValueStore());
+    await limiter.hit('subscribe-ip', 'ip', { limit: 1, windowSeconds: 600 }, new Date('2025-06-02T08:01:00Z'));
+
+    expect(await limiter.hit('subscribe-ip', 'ip', { limit: 1, windowSeconds: 600 }, new Date('2025-06-02T08:10:30Z'))).toMatchObject({ allowed: true });
+  });
+
+  it('should count weighted requests without spending rejected ones', async () => {
+    const limiter = new RateLimiter(new MemoryKeyValueStore());
+    const now = new Date('2025-06-02T00:00:00Z');
+    const daily = { limit: 5, windowSeconds: 24 * 60 * 60 };
+
+    expect(await limiter.hit('analyze', 'screener', daily, now, 3)).toMatchObject({ allowed: true, remaining: 2 });
+    expect(await limiter.hit('analyze', 'screener', daily, now, 3)).toMatchObject({ allowed: false, remaining: 2 });
+    expect(await limiter.hit('analyze', 'screener', daily, now, 2)).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it('should give refunded units back within the window', async () => {
+    const limiter = new RateLimiter(new MemoryKeyValueStore());
+    const now = new Date('2025-06-02T00:00:00Z');
+    const daily = { limit: 5, windowSeconds: 24 * 60 * 60 };
+
+    await limiter.hit('analyze', 'screener', daily, now, 5);
+    expect(await limiter.refund('analyze', 'screener', daily, now, 2)).toBe(3);
+    expect(await limiter.refund('analyze', 'screener', daily, now, 9)).toBe(0);
+    expect(await limiter.hit('analyze', 'screener', daily, now, 5)).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it('should report the first exhausted counter and skip checks without an id', async () => {
+    const limiter = new RateLimiter(new MemoryKeyValueStore());
+    const now = new Date('2025-06-02T08:00:00Z');
+    const checks = [
+      { scope: 'subscribe-ip', id: null, rule },
+      { scope: 'subscribe-email', id: 'a@example.com', rule: { limit: 1, windowSeconds: 3600 } }
+    ];
+
+    expect(await limiter.hitAll(checks, now)).toEqual({ allowed: true });
+    expect(await limiter.hitAll(checks, now)).toEqual({ allowed: false, scope: 'subscribe-email', retryAfter: 3600 });
+  });
+});
@@ -100,7 +100,16 @@ describe('RealVolatilityData', () => {
       const result = await realVolatility.getBulkVolatilityAnalysis(symbols);
 
       expect(result).toEqual(mockResults);
-      expect(realVolatility.dataProvider.getBulkVolatilityAnalysis).toHaveBeenCalledWith(symbols);
+      expect(realVolatility.dataProvider.getBulkVolatilityAnalysis).toHaveBeenCalledWith(symbols, {});
+    });
+
+    it('should pass earnings events through to the data provider', async () => {
+      realVolatility.dataProvider.getBulkVolatilityAnalysis.mockResolvedValue({ AAPL: { symbol: 'AAPL' } });
+      const earningsEvents = { AAPL: { date: '2025-10-30', hour: 'amc' } };
+
+      await realVolatility.getBulkVolatilityAnalysis(['AAPL'], { earningsEvents });
+
+      expect(realVolatility.dataProvider.getBulkVolatilityAnalysis).toHaveBeenCalledWith(['AAPL'], { earningsEvents });
     });
 
     it('should handle empty symbol array', async () => {
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import RunHistoryStore, { createRunId, MAX_INDEXED_RUNS } from '../src/run-history.js';
+import { MemoryKeyValueStore } from '../src/storage.js';
+
+function buildSummary(overrides = {}) {
+  return {
+    success: true,
+    startedAt: '2025-06-30T10:00:00.000Z',
+    finishedAt: '2025-06-30T10:02:00.000Z',
+    durationMs: 120000,
+    steps: [{ name: 'Send newsletter', status: 'success', detail: 'Broadcast b-1 dispatched' }],
+    metrics: { newsletterSent: true, broadcastId: 'b-1', newsletterReason: 'opportunities-published', publishedSymbols: ['AAPL', 'NVDA'] },
+    errors: [],
+    ...overrides
+  };
+}
+
+describe('Run History', () => {
+  it('should create sortable ids from the start time', () => {
+    expect(createRunId('2025-06-30T10:00:00.123Z')).toMatch(/^20250630T100000Z-[0-9a-f]{8}$/);
+  });
+
+  it('should save a run and index it newest first', async () => {
+    const runHistory = new RunHistoryStore(new MemoryKeyValueStore());
+    const now = new Date().toISOString();
+
+    const first = await runHistory.saveRun(buildSummary({ startedAt: now }), { trigger: 'scheduled' });
+    const second = await runHistory.saveRun(buildSummary({
+      startedAt: now,
+      success: false,
+      steps: [{ name: 'Generate AI analysis', status: 'failed', detail: 'Gemini timeout' }],
+      errors: [{ message: 'Gemini timeout' }],
+      metrics: { newsletterSent: false }
+    }), { trigger: 'manual' });
+
+    const runs = await runHistory.listRuns();
+    expect(runs.map(run => run.id)).toEqual([second.id, first.id]);
+    expect(runs[0]).toMatchObject({ trigger: 'manual', success: false, errorCount: 1, failedSteps: ['Generate AI analysis'], publishedSymbols: [] });
+    expect(runs[1]).toMatchObject({ trigger: 'scheduled', broadcastId: 'b-1', publishedSymbols: ['AAPL', 'NVDA'] });
+
+    expect(await runHistory.getRun(first.id)).toMatchObject({ id: first.id, steps: buildSummary().steps });
+    expect(await runHistory.listRuns({ status: 'failed' })).toHaveLength(1);
+    expect(await runHistory.getRun('missing')).toBeNull();
+  });
+
+  it('should drop runs older than retention and cap the index', async () => {
+    const store = new MemoryKeyValueStore();
+    const stale = Array.from({ length: MAX_INDEXED_RUNS + 5 }, (_, i) => ({
+      id: `old-${i}`,
+      startedAt: i === 0 ? '2020-01-01T00:00:00.000Z' : new Date().toISOString()
+    }));
+    await store.put('run-index', JSON.stringify(stale));
+    const runHistory = new RunHistoryStore(store);
+
+    await runHistory.saveRun(buildSummary({ startedAt: new Date().toISOString() }));
+
+    const index = await runHistory.getIndex();
+    expect(index).toHaveLength(MAX_INDEXED_RUNS);
+    expect(index.some(entry => entry.id === 'old-0')).toBe(false);
+  });
+
+  it('should amend a stored run and keep its trigger and index entry in step', async () => {
+    const runHistory = new RunHistoryStore(new MemoryKeyValueStore());
+    const run = await runHistory.saveRun(buildSummary({ startedAt: new Date().toISOString(), metrics: { newsletterSent: false } }), { trigger: 'scheduled' });
+
+    const updated = await runHistory.updateRun(run.id, stored => ({ ...stored, success: false, errors: [{ message: 'send failed' }] }));
+
+    expect(updated).toMatchObject({ id: run.id, trigger: 'scheduled', success: false });
+    expect((await runHistory.listRuns())[0]).toMatchObject({ id: run.id, success: false, errorCount: 1 });
+    expect(await runHistory.updateRun('missing', stored => stored)).toBeNull();
+  });
+});
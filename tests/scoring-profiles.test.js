@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import SCORING_PROFILES, {
+  getScoringProfile,
+  listScoringProfiles,
+  validateScoringProfile,
+  DEFAULT_SCORING_PROFILE
+} from '../src/scoring-profiles.js';
+import { calculateQualityScore } from '../src/finnhub.js';
+import { QUALITY_THRESHOLDS } from '../src/config.js';
+
+const opportunity = (daysToEarnings) => ({
+  daysToEarnings,
+  volatilityData: {
+    historicalVolatility: 30,
+    volatilityScore: 75,
+    optionsVolume: 12000,
+    technicalIndicators: { rsi: 72, source: 'price-history' }
+  }
+});
+
+describe('Scoring Profiles', () => {
+  describe('configured profiles', () => {
+    it('should all pass validation', () => {
+      for (const name of listScoringProfiles()) {
+        expect(validateScoringProfile(SCORING_PROFILES[name])).toEqual({ isValid: true, issues: [] });
+      }
+      expect(listScoringProfiles()).toEqual(expect.arrayContaining(['default', 'premium-seller', 'event-buyer']));
+    });
+
+    it('should expose the default earnings window as QUALITY_THRESHOLDS', () => {
+      const { filters } = getScoringProfile(DEFAULT_SCORING_PROFILE);
+
+      expect(filters.minVolatilityScore).toBe(0);
+      expect(QUALITY_THRESHOLDS).toEqual({
+        minDaysToEarnings: filters.minDaysToEarnings,
+        maxDaysToEarnings: filters.maxDaysToEarnings
+      });
+    });
+  });
+
+  describe('validateScoringProfile', () => {
+    it('should report every problem', () => {
+      const { isValid, issues } = validateScoringProfile({
+        weights: { volatility: 30, timing: -1, liquidity: 20, technical: 15 },
+        timing: { idealMinDays: 21, idealMaxDays: 14 },
+        filters: { minDaysToEarnings: 10, maxDaysToEarnings: 5, minVolatilityScore: 0, prescreenLimit: 2, minQualityScore: 5, maxOpportunities: 5 }
+      });
+
+      expect(isValid).toBe(false);
+      expect(issues).toEqual([
+        'weights.timing must be a non-negative number',
+        'weights.dataAvailability must be a non-negative number',
+        'timing.idealMinDays must not exceed timing.idealMaxDays',
+        'filters.minDaysToEarnings must not exceed filters.maxDaysToEarnings',
+        'filters.prescreenLimit must be at least filters.maxOpportunities'
+      ]);
+    });
+
+    it('should reject non-objects', () => {
+      expect(validateScoringProfile(null).isValid).toBe(false);
+    });
+  });
+
+  describe('getScoringProfile', () => {
+    it('should fall back to the default profile', () => {
+      expect(getScoringProfile().name).toBe('default');
+      expect(getScoringProfile('  ').name).toBe('default');
+      expect(getScoringProfile('premium-seller').name).toBe('premium-seller');
+    });
+
+    it('should throw on unknown profiles', () => {
+      expect(() => getScoringProfile('yolo')).toThrow('Unknown scoring profile "yolo" (available: default, premium-seller, event-buyer)');
+    });
+  });
+
+  describe('calculateQualityScore', () => {
+    it('should keep the original weights under the default profile', () => {
+      // 10 base + 10 data + 5 HV + 30 volatility + 25 timing + 20 liquidity + 15 technical
+      expect(calculateQualityScore(opportunity(14))).toBe(115);
+      expect(calculateQualityScore(opportunity(10))).toBe(108);
+      expect(calculateQualityScore(opportunity(40))).toBe(95);
+    });
+
+    it('should apply profile weights and timing windows', () => {
+      const premiumSeller = getScoringProfile('premium-seller');
+      const eventBuyer = getScoringProfile('event-buyer');
+
+      expect(calculateQualityScore(opportunity(5), premiumSeller)).toBeGreaterThan(calculateQualityScore(opportunity(20), premiumSeller));
+      expect(calculateQualityScore(opportunity(5), eventBuyer)).toBeGreaterThan(calculateQualityScore(opportunity(5)));
+    });
+  });
+});
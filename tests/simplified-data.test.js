@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import SimplifiedDataProvider from "../src/simplified-data.js";
+import { blackScholesPrice } from "../src/black-scholes.js";
 
 // Mock fetch for API calls
 global.fetch = vi.fn();
@@ -122,6 +123,30 @@ describe("SimplifiedDataProvider", () => {
       expect(data.source).toBe("yahoo");
     });
 
+    it("should put high and low on the adjusted-close basis", async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            chart: {
+              result: [
+                {
+                  timestamp: [1640995200],
+                  indicators: {
+                    quote: [{ open: [99], close: [100], high: [102], low: [98], volume: [1000] }],
+                    adjclose: [{ adjclose: [50] }],
+                  },
+                },
+              ],
+            },
+          }),
+      });
+
+      const data = await provider.getHistoricalData("AAPL", 60);
+
+      expect(data.prices[0]).toMatchObject({ open: 49.5, close: 50, high: 51, low: 49 });
+    });
+
     it("should return null when Yahoo historical data fails", async () => {
       fetch.mockRejectedValueOnce(new Error("Yahoo API error"));
 
@@ -197,6 +222,108 @@ describe("SimplifiedDataProvider", () => {
       expect(analysis.impliedVolatility).toBeGreaterThan(0);
       expect(analysis.expectedMove).toBeGreaterThan(0);
       expect(analysis.volatilityScore).toBeGreaterThanOrEqual(0);
+      expect(analysis.technicalIndicators.source).toBe("price-history");
+      expect(analysis.technicalIndicators.rsi).toBeGreaterThan(0);
+      expect(analysis.technicalIndicators.sma50Distance).not.toBeNull();
+      expect(analysis.dataSources.technicals).toBe("yahoo");
+    });
+
+    it("should use options chain IV when the chain is available", async () => {
+      const mockQuoteResponse = {
+        chart: {
+          result: [{ meta: { regularMarketPrice: 100, previousClose: 99 } }],
+        },
+      };
+      const expirationDate =
+        Math.floor(Date.now() / 86400000 + 30) * 86400;
+      const timeToExpiry =
+        (expirationDate * 1000 + 20 * 3600 * 1000 - Date.now()) /
+        (365 * 86400 * 1000);
+      const quoteAt = (type, strike) => {
+        const price = blackScholesPrice({
+          type,
+          spot: 100,
+          strike,
+          timeToExpiry,
+          volatility: 0.48,
+          rate: 0.045,
+        });
+        return { strike, bid: price - 0.05, ask: price + 0.05 };
+      };
+      const mockOptionsResponse = {
+        optionChain: {
+          result: [
+            {
+              expirationDates: [expirationDate],
+              strikes: [95, 100, 105],
+              quote: { regularMarketPrice: 100 },
+              options: [
+                {
+                  expirationDate,
+                  calls: [95, 100, 105].map((k) => quoteAt("call", k)),
+                  puts: [95, 100, 105].map((k) => quoteAt("put", k)),
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () => Promise.resolve(mockQuoteResponse),
+        })
+        .mockRejectedValueOnce(new Error("Historical API error"))
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () => Promise.resolve(mockOptionsResponse),
+        });
+
+      const analysis = await provider.getVolatilityAnalysis("AAPL");
+
+      expect(analysis.impliedVolatility).toBeCloseTo(48, 0);
+      expect(analysis.dataSources.impliedVolatility).toBe(
+        "yahoo-options-chain"
+      );
+      expect(analysis.optionsChain).toMatchObject({
+        atmStrike: 100,
+        strikeCount: 3,
+      });
+      expect(analysis.impliedMove).toMatchObject({ strike: 100 });
+      expect(analysis.impliedMove.movePercent).toBeGreaterThan(0);
+      expect(fetch.mock.calls[2][0]).toContain("/v7/finance/options/AAPL");
+    });
+
+    it("should fall back to estimated IV when the options chain fails", async () => {
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () =>
+            Promise.resolve({
+              chart: {
+                result: [
+                  { meta: { regularMarketPrice: 100, previousClose: 99 } },
+                ],
+              },
+            }),
+        })
+        .mockRejectedValueOnce(new Error("Historical API error"))
+        .mockResolvedValueOnce({ ok: false, status: 401 });
+
+      const analysis = await provider.getVolatilityAnalysis("AAPL");
+
+      expect(analysis.impliedVolatility).toBeGreaterThan(0);
+      expect(analysis.optionsChain).toBeNull();
+      expect(analysis.impliedMove).toBeNull();
+      expect(analysis.technicalIndicators).toMatchObject({
+        source: "estimated",
+        atr: null,
+      });
+      expect(analysis.dataSources.technicals).toBe("estimated");
+      expect(analysis.dataSources.impliedVolatility).toBe(
+        "estimated-hv-premium"
+      );
     });
 
     it("should return estimated analysis when data sources fail", async () => {
@@ -288,6 +415,14 @@ describe("SimplifiedDataProvider", () => {
     });
   });
 
+  describe("estimateRSI", () => {
+    it("should be deterministic for the same daily change", () => {
+      expect(provider.estimateRSI("AAPL", 1.5)).toBe(58);
+      expect(provider.estimateRSI("AAPL", 1.5)).toBe(58);
+      expect(provider.estimateRSI("AAPL", -3)).toBe(35);
+    });
+  });
+
   describe("estimateImpliedVolatility", () => {
     it("should estimate reasonable implied volatility", () => {
       const historicalVol = 25;
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { MemoryKeyValueStore, createKeyValueStore } from '../src/storage.js';
+import FileKeyValueStore from '../src/file-store.js';
+
+const stores = {
+  memory: async () => ({ store: new MemoryKeyValueStore(), cleanup: async () => {} }),
+  file: async () => {
+    const directory = await mkdtemp(path.join(os.tmpdir(), 'options-insight-kv-'));
+    return { store: new FileKeyValueStore(directory), cleanup: () => rm(directory, { recursive: true, force: true }) };
+  }
+};
+
+describe.each(Object.keys(stores))('%s key-value store', (kind) => {
+  let cleanup;
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await cleanup?.();
+  });
+
+  it('should round-trip text and JSON values', async () => {
+    const created = await stores[kind]();
+    cleanup = created.cleanup;
+    const { store } = created;
+
+    await store.put('iv-history:AAPL', JSON.stringify([{ date: '2025-01-02', iv: 28.4 }]));
+
+    expect(await store.get('iv-history:AAPL', 'json')).toEqual([{ date: '2025-01-02', iv: 28.4 }]);
+    expect(await store.get('iv-history:AAPL')).toBe('[{"date":"2025-01-02","iv":28.4}]');
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  it('should list keys by prefix and delete them', async () => {
+    const created = await stores[kind]();
+    cleanup = created.cleanup;
+    const { store } = created;
+
+    await store.put('iv-history:AAPL', '[]');
+    await store.put('iv-history:MSFT', '[]');
+    await store.put('runs:index', '[]');
+
+    const { keys } = await store.list({ prefix: 'iv-history:' });
+    expect(keys.map(key => key.name)).toEqual(['iv-history:AAPL', 'iv-history:MSFT']);
+
+    await store.delete('iv-history:AAPL');
+    expect(await store.get('iv-history:AAPL')).toBeNull();
+  });
+
+  it('should expire entries after expirationTtl', async () => {
+    const created = await stores[kind]();
+    cleanup = created.cleanup;
+    const { store } = created;
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-02T00:00:00Z'));
+    await store.put('lock', '1', { expirationTtl: 60 });
+    expect(await store.get('lock')).toBe('1');
+
+    vi.setSystemTime(new Date('2025-01-02T00:01:01Z'));
+    expect(await store.get('lock')).toBeNull();
+  });
+});
+
+describe('createKeyValueStore', () => {
+  it('should prefer the bound KV namespace', () => {
+    const kv = { get: vi.fn() };
+
+    expect(createKeyValueStore({ OPTIONS_INSIGHT_KV: kv })).toBe(kv);
+  });
+
+  it('should fall back to a shared in-memory store', () => {
+    const first = createKeyValueStore({});
+    const second = createKeyValueStore();
+
+    expect(first).toBeInstanceOf(MemoryKeyValueStore);
+    expect(second).toBe(first);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildCandidateTrades,
+  getStrategyBias,
+  getStrategyMarketInputs,
+  formatLegs
+} from '../src/strategy-builder.js';
+
+const buildOpportunity = (overrides = {}) => ({
+  symbol: 'AAPL',
+  daysToEarnings: 3,
+  volatilityData: {
+    currentPrice: 201.3,
+    impliedVolatility: 48,
+    historicalVolatility: 30,
+    expectedMove: 14,
+    optionsChain: { daysToExpiry: 5, strikeIncrement: 2.5 },
+    impliedMove: { straddlePrice: 9.4 },
+    ...overrides
+  }
+});
+
+describe('Strategy Builder', () => {
+  describe('getStrategyBias', () => {
+    it('should favour selling rich IV in elevated regimes', () => {
+      expect(getStrategyBias({ marketRegime: 'elevated-volatility', impliedVolatility: 48, historicalVolatility: 30 }))
+        .toEqual({ bias: 'sell-premium', ivHvRatio: 1.6 });
+    });
+
+    it('should favour buying cheap IV in low-volatility regimes', () => {
+      expect(getStrategyBias({ marketRegime: 'low-volatility', impliedVolatility: 25, historicalVolatility: 30 }).bias)
+        .toBe('buy-premium');
+    });
+
+    it('should stay neutral when signals conflict or are missing', () => {
+      expect(getStrategyBias({ marketRegime: 'low-volatility', impliedVolatility: 45, historicalVolatility: 30 }).bias)
+        .toBe('neutral');
+      expect(getStrategyBias()).toEqual({ bias: 'neutral', ivHvRatio: null });
+    });
+  });
+
+  describe('getStrategyMarketInputs', () => {
+    it('should prefer the straddle price and chain expiry', () => {
+      expect(getStrategyMarketInputs(buildOpportunity())).toMatchObject({
+        spot: 201.3,
+        volatility: 0.48,
+        daysToExpiry: 5,
+        strikeIncrement: 2.5,
+        expectedMove: 9.4
+      });
+    });
+
+    it('should fall back to the IV expected move and days to earnings', () => {
+      const inputs = getStrategyMarketInputs(buildOpportunity({ optionsChain: null, impliedMove: null }));
+
+      expect(inputs.expectedMove).toBe(14);
+      expect(inputs.daysToExpiry).toBe(4);
+    });
+  });
+
+  describe('buildCandidateTrades', () => {
+    it('should place short strikes outside one expected move on listed increments', () => {
+      const candidates = buildCandidateTrades(buildOpportunity(), { marketRegime: 'normal' });
+      const byName = Object.fromEntries(candidates.map(candidate => [candidate.name, candidate]));
+
+      // 201.3 - 9.4 = 191.9 -> 190; 201.3 + 9.4 = 210.7 -> 212.5
+      expect(byName['Short Strangle'].legs.map(leg => leg.strike)).toEqual([190, 212.5]);
+      // Wings are half the expected move (4.7 -> 5) beyond the short strikes
+      expect(byName['Iron Condor'].legs.map(leg => leg.strike)).toEqual([185, 190, 212.5, 217.5]);
+      expect(byName['Long Straddle'].legs.map(leg => leg.strike)).toEqual([202.5, 202.5]);
+      expect(byName['Calendar Spread'].legs.map(leg => leg.daysToExpiry)).toEqual([5, 33]);
+    });
+
+    it('should keep wing strikes on the increment without float artifacts', () => {
+      const candidates = buildCandidateTrades(
+        buildOpportunity({ currentPrice: 10.3, optionsChain: { daysToExpiry: 5, strikeIncrement: 0.1 }, impliedMove: { straddlePrice: 0.67 } }),
+        { marketRegime: 'normal' }
+      );
+
+      // 9.6 - 0.3 is 9.299999999999999 in floating point
+      expect(candidates.find(candidate => candidate.name === 'Iron Condor').legs.map(leg => leg.strike)).toEqual([9.3, 9.6, 11, 11.3]);
+    });
+
+    it('should attach local pricing to every candidate', () => {
+      const candidates = buildCandidateTrades(buildOpportunity(), { marketRegime: 'normal' });
+
+      for (const candidate of candidates) {
+        expect(candidate.pricing).not.toBeNull();
+        expect(candidate.pricing.probabilityOfProfit).toBeGreaterThan(0);
+      }
+      expect(candidates.find(candidate => candidate.name === 'Iron Condor').pricing.maxLoss).not.toBeNull();
+      expect(candidates.find(candidate => candidate.name === 'Short Strangle').pricing.maxLoss).toBeNull();
+    });
+
+    it('should price the calendar back month at HV and flag it illustrative without HV', () => {
+      const calendar = buildCandidateTrades(buildOpportunity(), { marketRegime: 'normal' })
+        .find(candidate => candidate.name === 'Calendar Spread');
+      const flatCalendar = buildCandidateTrades(buildOpportunity({ historicalVolatility: null }), { marketRegime: 'normal' })
+        .find(candidate => candidate.name === 'Calendar Spread');
+
+      expect(calendar.legs.map(leg => leg.volatility)).toEqual([undefined, 0.3]);
+      expect(calendar.pricing.illustrative).toBeUndefined();
+      // The back month no longer carries the 48% earnings IV, so the spread costs less
+      expect(calendar.pricing.netPremium).toBeLessThan(flatCalendar.pricing.netPremium);
+      expect(flatCalendar.legs.every(leg => leg.volatility === undefined)).toBe(true);
+      expect(flatCalendar.pricing.illustrative).toBe(true);
+    });
+
+    it('should list trades that fit the regime first', () => {
+      const selling = buildCandidateTrades(buildOpportunity(), { marketRegime: 'high-volatility' });
+      const buying = buildCandidateTrades(
+        buildOpportunity({ impliedVolatility: 24 }),
+        { marketRegime: 'low-volatility' }
+      );
+
+      expect(selling.slice(0, 2).map(candidate => candidate.name)).toEqual(['Short Strangle', 'Iron Condor']);
+      expect(selling[0].preferred).toBe(true);
+      expect(buying[0].name).toBe('Long Straddle');
+      expect(buying.filter(candidate => candidate.preferred)).toHaveLength(1);
+    });
+
+    it('should return no candidates without price or IV', () => {
+      expect(buildCandidateTrades({ symbol: 'AAPL' }, {})).toEqual([]);
+    });
+  });
+
+  describe('formatLegs', () => {
+    it('should show expiries only for mixed-expiry trades', () => {
+      expect(formatLegs([
+        { action: 'sell', type: 'put', strike: 190, daysToExpiry: 5 },
+        { action: 'sell', type: 'call', strike: 212.5, daysToExpiry: 5 }
+      ])).toBe('-190P / -212.5C');
+      expect(formatLegs([
+        { action: 'sell', type: 'call', strike: 200, daysToExpiry: 5 },
+        { action: 'buy', type: 'call', strike: 200, daysToExpiry: 33 }
+      ])).toBe('-200C 5d / +200C 33d');
+      expect(formatLegs([{ action: 'sell', type: 'call', strike: 190, daysToExpiry: 5, quantity: 2 }])).toBe('-2x190C');
+    });
+  });
+});
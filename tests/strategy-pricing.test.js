@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import {
+  priceStrategy,
+  buildStrategyLegs,
+  priceNamedStrategy,
+  parseStrategyLegs,
+  valueStrategyAt,
+  roundToStrike,
+  estimateStrikeIncrement
+} from '../src/strategy-pricing.js';
+import { blackScholesPrice } from '../src/black-scholes.js';
+
+const market = { spot: 100, volatility: 0.5, rate: 0.045, daysToExpiry: 10, strikeIncrement: 5, expectedMove: 8 };
+
+describe('Strategy Pricing', () => {
+  describe('priceStrategy', () => {
+    it('should price a single long call with Black-Scholes', () => {
+      const pricing = priceStrategy({
+        legs: [{ type: 'call', action: 'buy', strike: 100, daysToExpiry: 365 }],
+        spot: 100,
+        volatility: 0.2
+      });
+
+      expect(pricing.netPremium).toBeCloseTo(7.97, 2);
+      expect(pricing.premiumType).toBe('debit');
+      expect(pricing.greeks.delta).toBeCloseTo(0.5398, 3);
+      expect(pricing.maxProfit).toBeNull();
+      expect(pricing.maxLoss).toBeCloseTo(796.6, 0);
+      expect(pricing.breakevens).toEqual([107.97]);
+      // P(S_T > 107.97) under a driftless lognormal with 20% volatility
+      expect(pricing.probabilityOfProfit).toBeCloseTo(31.4, 0);
+    });
+
+    it('should bound an iron condor by its wings', () => {
+      const legs = [
+        { type: 'put', action: 'buy', strike: 85, daysToExpiry: 10 },
+        { type: 'put', action: 'sell', strike: 90, daysToExpiry: 10 },
+        { type: 'call', action: 'sell', strike: 110, daysToExpiry: 10 },
+        { type: 'call', action: 'buy', strike: 115, daysToExpiry: 10 }
+      ];
+      const pricing = priceStrategy({ legs, spot: 100, volatility: 0.5, rate: 0.045 });
+      const credit = -pricing.netPremium;
+
+      expect(pricing.premiumType).toBe('credit');
+      expect(pricing.maxProfit).toBeCloseTo(credit * 100, 0);
+      expect(pricing.maxLoss).toBeCloseTo((5 - credit) * 100, 0);
+      expect(pricing.breakevens[0]).toBeCloseTo(90 - credit, 1);
+      expect(pricing.breakevens[1]).toBeCloseTo(110 + credit, 1);
+      expect(pricing.probabilityOfProfit).toBeGreaterThan(50);
+      expect(pricing.probabilityOfProfit).toBeLessThan(100);
+      expect(pricing.greeks.theta).toBeGreaterThan(0);
+      expect(pricing.greeks.vega).toBeLessThan(0);
+    });
+
+    it('should flag unlimited loss on naked short calls', () => {
+      const pricing = priceStrategy({
+        legs: [{ type: 'call', action: 'sell', strike: 110, daysToExpiry: 30 }],
+        spot: 100,
+        volatility: 0.4
+      });
+
+      expect(pricing.maxLoss).toBeNull();
+      expect(pricing.maxProfit).toBeCloseTo(-pricing.netPremium * 100, 0);
+    });
+
+    it('should revalue back-month legs at the front expiry for calendars', () => {
+      const pricing = priceStrategy({
+        legs: [
+          { type: 'call', action: 'sell', strike: 100, daysToExpiry: 10 },
+          { type: 'call', action: 'buy', strike: 100, daysToExpiry: 38 }
+        ],
+        spot: 100,
+        volatility: 0.5
+      });
+      const backMonthAtStrike = blackScholesPrice({ type: 'call', spot: 100, strike: 100, timeToExpiry: 28 / 365, volatility: 0.5 });
+
+      expect(pricing.daysToExpiry).toBe(10);
+      expect(pricing.maxProfit).toBeCloseTo((backMonthAtStrike - pricing.netPremium) * 100, 0);
+      expect(pricing.maxLoss).toBeLessThanOrEqual(pricing.netPremium * 100);
+      expect(pricing.breakevens).toHaveLength(2);
+    });
+
+    it('should price a leg at its own volatility when it sets one', () => {
+      const legs = [
+        { type: 'call', action: 'sell', strike: 100, daysToExpiry: 10 },
+        { type: 'call', action: 'buy', strike: 100, daysToExpiry: 38, volatility: 0.3 }
+      ];
+      const pricing = priceStrategy({ legs, spot: 100, volatility: 0.5 });
+      const front = blackScholesPrice({ type: 'call', spot: 100, strike: 100, timeToExpiry: 10 / 365, volatility: 0.5 });
+      const back = blackScholesPrice({ type: 'call', spot: 100, strike: 100, timeToExpiry: 38 / 365, volatility: 0.3 });
+      const backMonthAtStrike = blackScholesPrice({ type: 'call', spot: 100, strike: 100, timeToExpiry: 28 / 365, volatility: 0.3 });
+
+      expect(pricing.netPremium).toBeCloseTo(back - front, 2);
+      expect(pricing.maxProfit).toBeCloseTo((backMonthAtStrike - pricing.netPremium) * 100, 0);
+    });
+
+    it('should return null without an option leg or volatility', () => {
+      expect(priceStrategy({ legs: [{ type: 'stock', action: 'buy' }], spot: 100, volatility: 0.3 })).toBeNull();
+      expect(priceStrategy({ legs: [{ type: 'call', action: 'buy', strike: 100, daysToExpiry: 5 }], spot: 100, volatility: 0 })).toBeNull();
+    });
+  });
+
+  describe('valueStrategyAt', () => {
+    it('should value expired legs at intrinsic and revalue later expiries', () => {
+      const strangle = [
+        { type: 'put', action: 'sell', strike: 90, daysToExpiry: 10 },
+        { type: 'call', action: 'sell', strike: 110, daysToExpiry: 10 }
+      ];
+      const calendar = [
+        { type: 'call', action: 'sell', strike: 100, daysToExpiry: 10 },
+        { type: 'call', action: 'buy', strike: 100, daysToExpiry: 38 }
+      ];
+      const backMonth = blackScholesPrice({ type: 'call', spot: 105, strike: 100, timeToExpiry: 28 / 365, volatility: 0.3 });
+
+      expect(valueStrategyAt(strangle, { spot: 80, daysElapsed: 10, volatility: 0.3 })).toBeCloseTo(-10, 6);
+      expect(valueStrategyAt(strangle, { spot: 100, daysElapsed: 10, volatility: 0.3 })).toBe(0);
+      expect(valueStrategyAt(calendar, { spot: 105, daysElapsed: 10, volatility: 0.3 })).toBeCloseTo(backMonth - 5, 6);
+    });
+  });
+
+  describe('buildStrategyLegs', () => {
+    it('should place iron condor short strikes one expected move out', () => {
+      const legs = buildStrategyLegs('Iron Condor', market);
+
+      expect(legs.map(leg => [leg.action, leg.type, leg.strike])).toEqual([
+        ['buy', 'put', 85],
+        ['sell', 'put', 90],
+        ['sell', 'call', 110],
+        ['buy', 'call', 115]
+      ]);
+    });
+
+    it('should distinguish short and long variants', () => {
+      expect(buildStrategyLegs('Short Straddle', market).every(leg => leg.action === 'sell')).toBe(true);
+      expect(buildStrategyLegs('Long Straddle', market).every(leg => leg.action === 'buy')).toBe(true);
+      expect(buildStrategyLegs('Bull Put Credit Spread', market).map(leg => leg.strike)).toEqual([90, 85]);
+    });
+
+    it('should return null for unrecognised strategies', () => {
+      expect(buildStrategyLegs('Wait for confirmation', market)).toBeNull();
+    });
+  });
+
+  describe('priceNamedStrategy', () => {
+    it('should return the generated legs with the pricing summary', () => {
+      const pricing = priceNamedStrategy('Short Strangle', market);
+
+      expect(pricing.legs).toHaveLength(2);
+      expect(pricing.premiumType).toBe('credit');
+      expect(pricing.maxLoss).toBeNull();
+      expect(pricing.breakevens).toHaveLength(2);
+      expect(pricing.illustrative).toBe(true);
+    });
+  });
+
+  describe('parseStrategyLegs', () => {
+    it('should read legs in formatLegs notation with quantities and expiries', () => {
+      expect(parseStrategyLegs('Legs: -2x100C / +95C 33d / +105C - pin risk, Entry: day before', { daysToExpiry: 6 })).toEqual([
+        { action: 'sell', type: 'call', strike: 100, daysToExpiry: 6, quantity: 2 },
+        { action: 'buy', type: 'call', strike: 95, daysToExpiry: 33, quantity: 1 },
+        { action: 'buy', type: 'call', strike: 105, daysToExpiry: 6, quantity: 1 }
+      ]);
+      expect(parseStrategyLegs('Legs: +stock / -110C', { daysToExpiry: 6 })[0]).toEqual({ action: 'buy', type: 'stock', quantity: 1 });
+    });
+
+    it('should read legs written in words', () => {
+      expect(parseStrategyLegs('Legs: Sell 90 Put, Buy 85 Puts - rich IV', { daysToExpiry: 6 })).toEqual([
+        { action: 'sell', type: 'put', strike: 90, daysToExpiry: 6, quantity: 1 },
+        { action: 'buy', type: 'put', strike: 85, daysToExpiry: 6, quantity: 1 }
+      ]);
+    });
+
+    it('should return null when no legs were written', () => {
+      expect(parseStrategyLegs('Rich IV, Entry: 2 days before earnings')).toBeNull();
+      expect(parseStrategyLegs('Legs: as listed - rich IV')).toBeNull();
+    });
+  });
+
+  describe('strike helpers', () => {
+    it('should round to listed strike increments', () => {
+      expect(estimateStrikeIncrement(18)).toBe(0.5);
+      expect(estimateStrikeIncrement(420)).toBe(5);
+      expect(roundToStrike(187.3, 2.5)).toBe(187.5);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import SubscriberStore, {
+  normalizeWatchlist,
+  normalizePreferences,
+  resolveDigestVariant,
+  hasCustomPreferences,
+  MAX_WATCHLIST_SIZE,
+  CONFIRMATION_TTL_DAYS,
+  DEFAULT_PREFERENCES
+} from '../src/subscribers.js';
+import { MemoryKeyValueStore } from '../src/storage.js';
+
+describe('Subscriber profiles', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('normalizeWatchlist', () => {
+    it('should parse separated tickers into upper-case unique symbols', () => {
+      expect(normalizeWatchlist(' aapl, $msft;nvda  AAPL brk.b ')).toEqual({
+        symbols: ['AAPL', 'MSFT', 'NVDA', 'BRK-B'],
+        invalid: [],
+        truncated: false
+      });
+      expect(normalizeWatchlist(['tsla', '']).symbols).toEqual(['TSLA']);
+      expect(normalizeWatchlist(undefined).symbols).toEqual([]);
+    });
+
+    it('should report invalid and excess symbols', () => {
+      const many = Array.from({ length: MAX_WATCHLIST_SIZE + 2 }, (_, i) => `T${String.fromCharCode(65 + i)}`);
+
+      expect(normalizeWatchlist('AAPL, <script>, 123').invalid).toEqual(['<SCRIPT>', '123']);
+      expect(normalizeWatchlist(many)).toMatchObject({ truncated: true, symbols: many.slice(0, MAX_WATCHLIST_SIZE) });
+    });
+  });
+
+  describe('normalizePreferences', () => {
+    it('should fill defaults and order sections canonically', () => {
+      expect(normalizePreferences(undefined)).toEqual({ preferences: { ...DEFAULT_PREFERENCES }, errors: [] });
+      expect(normalizePreferences({ frequency: 'weekly', minRecommendation: 'strongly consider', sections: ['keyTerms', 'watchlist'] }).preferences).toEqual({
+        frequency: 'weekly',
+        minRecommendation: 'STRONGLY CONSIDER',
+        sections: ['watchlist', 'keyTerms']
+      });
+    });
+
+    it('should report each invalid field', () => {
+      const { errors } = normalizePreferences({ frequency: 'hourly', minRecommendation: 'BUY', sections: ['gossip'] });
+
+      expect(errors).toEqual([
+        'Frequency must be one of: daily, weekly',
+        'Minimum recommendation must be one of: ALL, NEUTRAL, STRONGLY CONSIDER',
+        'Unknown sections: gossip'
+      ]);
+    });
+  });
+
+  describe('hasCustomPreferences', () => {
+    it('should only flag preferences that change the digest', () => {
+      expect(hasCustomPreferences(undefined)).toBe(false);
+      expect(hasCustomPreferences({ ...DEFAULT_PREFERENCES, sections: [...DEFAULT_PREFERENCES.sections].reverse() })).toBe(false);
+      expect(hasCustomPreferences({ frequency: 'weekly' })).toBe(true);
+      expect(hasCustomPreferences({ minRecommendation: 'neutral' })).toBe(true);
+      expect(hasCustomPreferences({ sections: ['watchlist'] })).toBe(true);
+    });
+  });
+
+  describe('resolveDigestVariant', () => {
+    const content = [
+      { opportunity: { symbol: 'AAPL' }, analysis: { recommendation: 'STRONGLY CONSIDER' } },
+      { opportunity: { symbol: 'MSFT' }, analysis: { recommendation: 'NEUTRAL' } },
+      { opportunity: { symbol: 'TSLA' }, analysis: { recommendation: 'STAY AWAY' } }
+    ];
+    const monday = new Date('2025-06-02T08:00:00Z');
+    const tuesday = new Date('2025-06-03T08:00:00Z');
+
+    it('should send the full digest by default', () => {
+      expect(resolveDigestVariant(undefined, content, tuesday)).toEqual({
+        skip: false,
+        segment: 'daily/ALL',
+        content,
+        sections: DEFAULT_PREFERENCES.sections
+      });
+    });
+
+    it('should hold weekly subscribers until Monday', () => {
+      expect(resolveDigestVariant({ frequency: 'weekly' }, content, tuesday)).toMatchObject({ skip: true, reason: 'weekly' });
+      expect(resolveDigestVariant({ frequency: 'weekly' }, content, monday)).toMatchObject({ skip: false, segment: 'weekly/ALL' });
+    });
+
+    it('should filter picks below the minimum recommendation and skip days without any', () => {
+      const neutral = resolveDigestVariant({ minRecommendation: 'NEUTRAL', sections: ['trackRecord'] }, content, tuesday);
+
+      expect(neutral.content.map(item => item.opportunity.symbol)).toEqual(['AAPL', 'MSFT']);
+      expect(neutral.sections).toEqual(['trackRecord']);
+      expect(resolveDigestVariant({ minRecommendation: 'STRONGLY CONSIDER' }, content.slice(1), tuesday)).toMatchObject({
+        skip: true,
+        reason: 'no-qualifying-picks'
+      });
+    });
+  });
+
+  describe('SubscriberStore', () => {
+    it('should merge profile updates and index each email once', async () => {
+      const subscribers = new SubscriberStore(new MemoryKeyValueStore());
+
+      const created = await subscribers.saveSubscriber('Trader@Example.com', { firstName: 'Ada', watchlist: ['AAPL'] });
+      const updated = await subscribers.updateWatchlist('trader@example.com', ['MSFT', 'NVDA']);
+
+      expect(created).toMatchObject({ email: 'trader@example.com', firstName: 'Ada', watchlist: ['AAPL'] });
+      expect(updated).toMatchObject({ firstName: 'Ada', watchlist: ['MSFT', 'NVDA'], createdAt: created.createdAt });
+      expect(await subscribers.getIndex()).toEqual(['trader@example.com']);
+      expect(await subscribers.getSubscriber('unknown@example.com')).toBeNull();
+    });
+
+    it('should keep signups pending until confirmed without touching existing settings', async () => {
+      const subscribers = new SubscriberStore(new MemoryKeyValueStore());
+      await subscribers.saveSubscriber('a@example.com', { status: 'active', watchlist: ['AAPL'] });
+
+      await subscribers.requestSubscription('a@example.com', { watchlist: ['TSLA'], source: 'form', requestedAt: '2025-06-01T00:00:00.000Z' });
+      await subscribers.requestSubscription('new@example.com', { watchlist: ['MSFT'], source: 'form', requestedAt: '2025-06-01T00:00:00.000Z' });
+
+      expect(await subscribers.getSubscriber('a@example.com')).toMatchObject({ status: 'active', watchlist: ['AAPL'] });
+      expect(await subscribers.getSubscriber('new@example.com')).toBeNull();
+      expect(await subscribers.getPendingSignup('New@Example.com')).toMatchObject({ watchlist: ['MSFT'] });
+      expect(await subscribers.getIndex()).toEqual(['a@example.com']);
+
+      const confirmed = await subscribers.confirmSubscription('new@example.com', new Date('2025-06-01T12:00:00.000Z'));
+      expect(confirmed).toMatchObject({
+        status: 'active',
+        watchlist: ['MSFT'],
+        source: 'form',
+        consentRequestedAt: '2025-06-01T00:00:00.000Z',
+        consentedAt: '2025-06-01T12:00:00.000Z'
+      });
+      expect(await subscribers.getIndex()).toEqual(['a@example.com', 'new@example.com']);
+      expect(await subscribers.getPendingSignup('new@example.com')).toBeNull();
+      expect(await subscribers.confirmSubscription('new@example.com')).toBeNull();
+    });
+
+    it('should let unconfirmed signups expire with their link', async () => {
+      const subscribers = new SubscriberStore(new MemoryKeyValueStore());
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2025-06-01T00:00:00.000Z'));
+      await subscribers.requestSubscription('new@example.com', { watchlist: ['MSFT'], source: 'form', requestedAt: '2025-06-01T00:00:00.000Z' });
+
+      vi.setSystemTime(new Date(`2025-06-0${1 + CONFIRMATION_TTL_DAYS}T00:00:01.000Z`));
+      expect(await subscribers.getPendingSignup('new@example.com')).toBeNull();
+      expect(await subscribers.confirmSubscription('new@example.com')).toBeNull();
+      expect(await subscribers.getIndex()).toEqual([]);
+    });
+
+    it('should only return confirmed profiles that track tickers', async () => {
+      const subscribers = new SubscriberStore(new MemoryKeyValueStore());
+      await subscribers.saveSubscriber('a@example.com', { watchlist: ['AAPL'] });
+      await subscribers.saveSubscriber('b@example.com', {});
+      await subscribers.saveSubscriber('c@example.com', { status: 'pending', watchlist: ['MSFT'] });
+      await subscribers.saveSubscriber('d@example.com', { status: 'active', watchlist: ['TSLA'] });
+      const unsubscribed = await subscribers.markUnsubscribed('d@example.com', new Date('2025-06-02T00:00:00.000Z'));
+
+      expect(unsubscribed).toMatchObject({ status: 'unsubscribed', unsubscribedAt: '2025-06-02T00:00:00.000Z', watchlist: ['TSLA'] });
+
+      const watchlists = await subscribers.getWatchlists();
+
+      expect([...watchlists.entries()]).toEqual([['a@example.com', ['AAPL']]]);
+      expect([...(await subscribers.getActiveProfiles()).keys()]).toEqual(['a@example.com', 'b@example.com']);
+    });
+
+    it('should store delivery preferences on the profile', async () => {
+      const subscribers = new SubscriberStore(new MemoryKeyValueStore());
+      await subscribers.saveSubscriber('a@example.com', { status: 'active', watchlist: ['AAPL'] });
+
+      const { preferences } = normalizePreferences({ frequency: 'weekly' });
+      const profile = await subscribers.updatePreferences('a@example.com', preferences);
+
+      expect(profile).toMatchObject({ watchlist: ['AAPL'], preferences: { frequency: 'weekly', minRecommendation: 'ALL' } });
+    });
+  });
+});
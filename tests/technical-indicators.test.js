@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateSMA,
+  calculateRSI,
+  calculateATR,
+  calculateBollingerWidth,
+  calculateSmaDistance,
+  calculateTechnicalIndicators
+} from '../src/technical-indicators.js';
+
+// Wilder RSI reference series (StockCharts ChartSchool worked example)
+const referenceCloses = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42,
+  45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28
+];
+
+describe('Technical Indicators', () => {
+  describe('calculateRSI', () => {
+    it('should match the Wilder reference values', () => {
+      expect(calculateRSI(referenceCloses)).toBeCloseTo(70.5, 1);
+      expect(calculateRSI([...referenceCloses, 46.0])).toBeCloseTo(66.3, 0);
+    });
+
+    it('should handle one-directional and flat series', () => {
+      const rising = Array.from({ length: 20 }, (_, i) => 100 + i);
+
+      expect(calculateRSI(rising)).toBe(100);
+      expect(calculateRSI(Array(20).fill(100))).toBe(50);
+    });
+
+    it('should return null without enough closes', () => {
+      expect(calculateRSI(referenceCloses.slice(0, 14))).toBeNull();
+    });
+  });
+
+  describe('calculateATR', () => {
+    it('should average true ranges including gaps', () => {
+      const bars = Array.from({ length: 20 }, () => ({ high: 101, low: 99, close: 100 }));
+      expect(calculateATR(bars)).toBe(2);
+
+      // A gap above the prior close widens the true range beyond high - low
+      bars.push({ high: 106, low: 105, close: 105.5 });
+      expect(calculateATR(bars)).toBeCloseTo((2 * 13 + 6) / 14, 2);
+    });
+
+    it('should return null without enough bars', () => {
+      expect(calculateATR([{ high: 1, low: 1, close: 1 }])).toBeNull();
+    });
+  });
+
+  describe('calculateBollingerWidth', () => {
+    it('should express band width as a percentage of the middle band', () => {
+      const closes = Array.from({ length: 20 }, (_, i) => (i % 2 ? 101 : 99));
+
+      expect(calculateBollingerWidth(closes)).toBe(4);
+      expect(calculateBollingerWidth(closes.slice(0, 19))).toBeNull();
+    });
+  });
+
+  describe('moving averages', () => {
+    it('should measure distance from the simple moving average', () => {
+      const closes = Array.from({ length: 50 }, (_, i) => i + 1);
+
+      expect(calculateSMA(closes, 50)).toBe(25.5);
+      expect(calculateSmaDistance(closes, 50)).toBeCloseTo(96.08, 2);
+      expect(calculateSmaDistance(closes, 20)).toBeCloseTo(23.46, 2);
+      expect(calculateSmaDistance(closes.slice(0, 10), 20)).toBeNull();
+    });
+  });
+
+  describe('calculateTechnicalIndicators', () => {
+    it('should build the full indicator set from bars', () => {
+      const bars = Array.from({ length: 60 }, (_, i) => ({
+        high: 101 + Math.sin(i),
+        low: 99 + Math.sin(i),
+        close: 100 + Math.sin(i)
+      }));
+
+      const indicators = calculateTechnicalIndicators(bars);
+
+      expect(indicators.source).toBe('price-history');
+      expect(indicators.barCount).toBe(60);
+      expect(indicators.rsi).toBeGreaterThan(0);
+      expect(indicators.rsi).toBeLessThan(100);
+      expect(indicators.atr).toBeGreaterThanOrEqual(2);
+      expect(indicators.atrPercent).toBeCloseTo((indicators.atr / bars[59].close) * 100, 1);
+      expect(indicators.bollingerWidth).toBeGreaterThan(0);
+      expect(indicators.sma50Distance).not.toBeNull();
+    });
+
+    it('should be deterministic', () => {
+      const bars = referenceCloses.map(close => ({ close, high: close + 0.5, low: close - 0.5 }));
+
+      expect(calculateTechnicalIndicators(bars)).toEqual(calculateTechnicalIndicators(bars));
+    });
+
+    it('should leave indicators null when history is short', () => {
+      const indicators = calculateTechnicalIndicators([{ close: 100, high: 101, low: 99 }]);
+
+      expect(indicators).toMatchObject({ rsi: null, atr: null, bollingerWidth: null, sma20Distance: null });
+    });
+  });
+});
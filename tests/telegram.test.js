@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  parseTelegramCommand,
+  formatSymbolCard,
+  formatRegimeCard,
+  formatScanCard,
+  handleTelegramUpdate,
+  sendTelegramMessage,
+  TELEGRAM_API_BASE,
+  HELP_TEXT
+} from '../src/telegram.js';
+
+const analysis = {
+  currentPrice: 120.5,
+  changePercent: 1.234,
+  impliedVolatility: 52,
+  historicalVolatility: 40,
+  expectedMove: 17.96,
+  impliedMove: { expiration: '2025-06-06', movePercent: 7.1 },
+  technicalIndicators: { rsi: 61.4 },
+  volatilityScore: 72,
+  dataQuality: 'real'
+};
+
+const update = (text, chatId = 42) => ({ update_id: 1, message: { message_id: 7, chat: { id: chatId }, text } });
+
+function handlers(overrides = {}) {
+  return {
+    lookupSymbol: vi.fn(async () => ({ analysis, earnings: { date: '2025-06-05', hour: 'amc', daysToEarnings: 4 }, marketContext: { vix: 18.44, marketRegime: 'normal' }, idea: null })),
+    getRegime: vi.fn(async () => ({ vix: 31.2, marketRegime: 'high-volatility' })),
+    getLatestScan: vi.fn(async () => ({ issue: null, issueUrl: null })),
+    subscribe: vi.fn(async () => 'pending'),
+    ...overrides
+  };
+}
+
+describe('Telegram bot', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should parse commands with bot mentions and arguments', () => {
+    expect(parseTelegramCommand('/symbol@OptionsInsightBot nvda')).toEqual({ command: 'symbol', args: 'nvda' });
+    expect(parseTelegramCommand('  /REGIME ')).toEqual({ command: 'regime', args: '' });
+    expect(parseTelegramCommand('what about NVDA?')).toBeNull();
+    expect(parseTelegramCommand(undefined)).toBeNull();
+  });
+
+  describe('cards', () => {
+    it('should format a compact symbol card', () => {
+      const card = formatSymbolCard({
+        symbol: 'NVDA',
+        analysis,
+        earnings: { date: '2025-06-05', hour: 'amc', daysToEarnings: 4 },
+        marketContext: { vix: 18.44, marketRegime: 'normal' },
+        idea: { recommendation: 'STRONGLY CONSIDER', strategies: [{ name: 'Iron Condor', pricing: { probabilityOfProfit: 67.6 } }] }
+      });
+
+      expect(card.split('\n')).toEqual([
+        '<b>NVDA</b> $120.50 (+1.23%)',
+        'Earnings: 2025-06-05 (amc) · in 4 days',
+        'IV 52.0% · HV 40.0% · IV/HV 1.30',
+        'Expected move (30d): ±$17.96 (±14.9%)',
+        'Straddle move to 2025-06-06: ±7.1%',
+        'RSI 61 · Volatility score 72/100',
+        'Regime: normal · VIX 18.4',
+        '🤖 <b>STRONGLY CONSIDER</b> – Iron Condor (POP 68%)'
+      ]);
+    });
+
+    it('should flag estimated data and missing earnings', () => {
+      const card = formatSymbolCard({ symbol: 'XYZ', analysis: { ...analysis, impliedMove: null, dataQuality: 'estimated' } });
+
+      expect(card).toContain('Earnings: none scheduled in the next 90 days');
+      expect(card).not.toContain('Straddle');
+      expect(card).toContain('figures are estimates');
+    });
+
+    it('should format regime and scan cards', () => {
+      expect(formatRegimeCard({ vix: 31.2, marketRegime: 'high-volatility' })).toBe('<b>Market regime</b>\nVIX 31.2 · high-volatility');
+      expect(formatScanCard(null)).toContain('No issues published yet');
+
+      const scan = formatScanCard({
+        date: '2025-06-02',
+        subjectTag: '1 Opportunity',
+        marketContext: { vix: 18.4, marketRegime: 'normal' },
+        picks: [{ symbol: 'AAPL', recommendation: 'NEUTRAL', earningsDate: '2025-06-05', expectedMovePercent: 4.2 }]
+      }, 'https://worker.example/archive/2025-06-02');
+      expect(scan).toContain('<b>Latest scan – 2025-06-02</b> (1 Opportunity)');
+      expect(scan).toContain('• <b>AAPL</b> NEUTRAL · earnings 2025-06-05 · ±4.2%');
+      expect(scan).toContain('<a href="https://worker.example/archive/2025-06-02">Read the full issue</a>');
+    });
+  });
+
+  describe('handleTelegramUpdate', () => {
+    it('should answer /symbol with a card for the normalized ticker', async () => {
+      const deps = handlers();
+      const reply = await handleTelegramUpdate(update('/symbol $brk.b'), deps);
+
+      expect(deps.lookupSymbol).toHaveBeenCalledWith('BRK-B');
+      expect(reply).toMatchObject({ chatId: 42, replyTo: 7 });
+      expect(reply.text).toContain('<b>BRK-B</b> $120.50');
+    });
+
+    it('should explain usage and unknown commands', async () => {
+      const deps = handlers();
+
+      expect((await handleTelegramUpdate(update('/symbol'), deps)).text).toBe('Usage: /symbol NVDA');
+      expect((await handleTelegramUpdate(update('/start'), deps)).text).toBe(HELP_TEXT);
+      expect((await handleTelegramUpdate(update('/moon'), deps)).text).toContain('Unknown command /moon');
+      expect(await handleTelegramUpdate(update('hello'), deps)).toBeNull();
+      expect(await handleTelegramUpdate({ update_id: 2, callback_query: {} }, deps)).toBeNull();
+      expect(deps.lookupSymbol).not.toHaveBeenCalled();
+    });
+
+    it('should route /regime, /scan and /subscribe', async () => {
+      const deps = handlers({ subscribe: vi.fn(async () => 'limited') });
+
+      expect((await handleTelegramUpdate(update('/regime'), deps)).text).toContain('VIX 31.2');
+      expect((await handleTelegramUpdate(update('/scan'), deps)).text).toContain('No issues published yet');
+      expect((await handleTelegramUpdate(update('/subscribe Trader@Example.com'), deps)).text).toBe('Too many signup attempts. Please try again later.');
+      expect(deps.subscribe).toHaveBeenCalledWith('trader@example.com', { chatId: 42 });
+    });
+
+    it('should reply with an apology when a lookup throws', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const deps = handlers({ lookupSymbol: vi.fn(async () => { throw new Error('Finnhub down'); }) });
+
+      expect((await handleTelegramUpdate(update('/symbol NVDA'), deps)).text).toBe('⚠️ Lookup failed. Please try again in a minute.');
+      expect((await handleTelegramUpdate(update('/symbol NVDA'), handlers({ lookupSymbol: vi.fn(async () => null) }))).text)
+        .toBe('No market data available for NVDA.');
+    });
+  });
+
+  describe('sendTelegramMessage', () => {
+    it('should call sendMessage with HTML parse mode and a threaded reply', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch')
+        .mockResolvedValue(new Response(JSON.stringify({ ok: true, result: { message_id: 8 } })));
+
+      expect(await sendTelegramMessage('bot-token', 42, '<b>hi</b>', { replyTo: 7 })).toEqual({ message_id: 8 });
+
+      const [url, init] = fetchSpy.mock.calls[0];
+      expect(url).toBe(`${TELEGRAM_API_BASE}/botbot-token/sendMessage`);
+      expect(JSON.parse(init.body)).toEqual({
+        chat_id: 42,
+        text: '<b>hi</b>',
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        reply_parameters: { message_id: 7, allow_sending_without_reply: true }
+      });
+    });
+
+    it('should throw the Bot API error description', async () => {
+      vi.spyOn(globalThis, 'fetch')
+        .mockResolvedValue(new Response(JSON.stringify({ ok: false, description: 'Bad Request: chat not found' }), { status: 400 }));
+
+      await expect(sendTelegramMessage('bot-token', 1, 'x')).rejects.toThrow('Telegram sendMessage failed: 400 Bad Request: chat not found');
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { createSubscriberToken, verifySubscriberToken } from '../src/tokens.js';
+
+const SECRET = 'token-secret';
+
+describe('Subscriber tokens', () => {
+  it('should round-trip the email for the signed purpose', async () => {
+    const token = await createSubscriberToken(SECRET, 'Trader@Example.com', 'watchlist');
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    expect(await verifySubscriberToken(SECRET, token, 'watchlist')).toBe('trader@example.com');
+  });
+
+  it('should reject other purposes, other secrets and tampered payloads', async () => {
+    const token = await createSubscriberToken(SECRET, 'trader@example.com', 'watchlist');
+    const [, signature] = token.split('.');
+    const forged = `${btoa('victim@example.com|watchlist|9999999999').replace(/=+$/, '')}.${signature}`;
+
+    expect(await verifySubscriberToken(SECRET, token, 'unsubscribe')).toBeNull();
+    expect(await verifySubscriberToken('other-secret', token, 'watchlist')).toBeNull();
+    expect(await verifySubscriberToken(SECRET, forged, 'watchlist')).toBeNull();
+    expect(await verifySubscriberToken(SECRET, 'not-a-token', 'watchlist')).toBeNull();
+    expect(await verifySubscriberToken(SECRET, undefined, 'watchlist')).toBeNull();
+  });
+
+  it('should expire tokens', async () => {
+    const issuedAt = new Date('2025-06-01T00:00:00Z');
+    const token = await createSubscriberToken(SECRET, 'trader@example.com', 'watchlist', { expiresInDays: 7, now: issuedAt });
+
+    expect(await verifySubscriberToken(SECRET, token, 'watchlist', { now: new Date('2025-06-07T00:00:00Z') })).toBe('trader@example.com');
+    expect(await verifySubscriberToken(SECRET, token, 'watchlist', { now: new Date('2025-06-09T00:00:00Z') })).toBeNull();
+  });
+
+  it('should require a secret to sign', async () => {
+    await expect(createSubscriberToken('', 'trader@example.com', 'watchlist')).rejects.toThrow('SUBSCRIBER_TOKEN_SECRET is required');
+  });
+});
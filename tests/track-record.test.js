@@ -0,0 +1,154 @@
+import { describe, it, expect, vi } from 'vitest';
+import TrackRecordStore, {
+  createPick,
+  evaluatePick,
+  summarizeTrackRecord
+} from '../src/track-record.js';
+import { MemoryKeyValueStore } from '../src/storage.js';
+
+function buildItem(symbol, recommendation, overrides = {}) {
+  return {
+    opportunity: {
+      symbol,
+      date: '2025-07-24',
+      hour: 'amc',
+      volatilityData: {
+        currentPrice: 100,
+        impliedVolatility: 45,
+        expectedMove: 9,
+        impliedMove: { movePercent: 6, straddlePrice: 6 }
+      },
+      ...overrides
+    },
+    analysis: {
+      recommendation,
+      sentimentScore: 7,
+      strategies: [{ name: 'Iron Condor', pricing: { probabilityOfProfit: 68, maxLoss: 320, netPremium: -1.8, legs: [] } }]
+    }
+  };
+}
+
+const bars = [
+  { date: '2025-07-23', open: 99, close: 101 },
+  { date: '2025-07-24', open: 101, close: 102 },
+  { date: '2025-07-25', open: 104, close: 104 }
+];
+
+describe('Track Record', () => {
+  describe('createPick', () => {
+    it('should capture price, IV, expected move and strategies at publish time', () => {
+      const pick = createPick(buildItem('AAPL', 'STRONGLY CONSIDER'), {
+        marketContext: { vix: 18, marketRegime: 'normal' },
+        publishedAt: '2025-07-20T10:00:00.000Z'
+      });
+
+      expect(pick).toMatchObject({
+        id: '2025-07-20:AAPL',
+        earningsDate: '2025-07-24',
+        earningsHour: 'amc',
+        recommendation: 'STRONGLY CONSIDER',
+        price: 100,
+        impliedVolatility: 45,
+        expectedMovePercent: 6,
+        expectedMoveSource: 'straddle',
+        marketRegime: 'normal',
+        outcome: null
+      });
+      expect(pick.strategies[0]).toMatchObject({ name: 'Iron Condor', probabilityOfProfit: 68, maxLoss: 320 });
+    });
+
+    it('should fall back to the IV expected move without a straddle', () => {
+      const pick = createPick(buildItem('AAPL', 'NEUTRAL', {
+        volatilityData: { currentPrice: 200, impliedVolatility: 30, expectedMove: 10 }
+      }));
+
+      expect(pick.expectedMovePercent).toBe(5);
+      expect(pick.expectedMoveSource).toBe('iv-estimate');
+    });
+  });
+
+  describe('evaluatePick', () => {
+    const pick = createPick(buildItem('AAPL', 'STRONGLY CONSIDER'), { publishedAt: '2025-07-20T10:00:00.000Z' });
+
+    it('should score the after-close reaction against the expected move', () => {
+      const outcome = evaluatePick(pick, bars, new Date('2025-07-26T00:00:00Z'));
+
+      expect(outcome).toMatchObject({
+        status: 'evaluated',
+        reactionDate: '2025-07-25',
+        movePercent: 4,
+        insideExpectedMove: true,
+        moveToExpectedRatio: 0.67
+      });
+    });
+
+    it('should wait for the reaction session, then give up after the grace period', () => {
+      const early = bars.slice(0, 2);
+
+      expect(evaluatePick(pick, early, new Date('2025-07-25T12:00:00Z'))).toBeNull();
+      expect(evaluatePick(pick, early, new Date('2025-08-10T12:00:00Z'))).toMatchObject({ status: 'unavailable' });
+    });
+
+    it('should not score a pick on the partial bar of the current session', () => {
+      expect(evaluatePick(pick, bars, new Date('2025-07-25T15:00:00Z'))).toBeNull();
+      expect(evaluatePick(pick, bars, new Date('2025-07-25T21:30:00Z'))).toMatchObject({ status: 'evaluated', reactionDate: '2025-07-25' });
+    });
+  });
+
+  describe('summarizeTrackRecord', () => {
+    it('should aggregate hit rates by recommendation and regime', () => {
+      const picks = [
+        { publishedDate: '2025-07-01', recommendation: 'STRONGLY CONSIDER', marketRegime: 'normal', outcome: { status: 'evaluated', insideExpectedMove: true, moveToExpectedRatio: 0.5 } },
+        { publishedDate: '2025-07-02', recommendation: 'STRONGLY CONSIDER', marketRegime: 'high-volatility', outcome: { status: 'evaluated', insideExpectedMove: false, moveToExpectedRatio: 1.5 } },
+        { publishedDate: '2025-07-03', recommendation: 'NEUTRAL', marketRegime: 'normal', outcome: { status: 'evaluated', insideExpectedMove: true, moveToExpectedRatio: 0.2 } },
+        { publishedDate: '2025-07-04', recommendation: 'NEUTRAL', marketRegime: 'normal', outcome: null }
+      ];
+
+      const summary = summarizeTrackRecord(picks);
+
+      expect(summary).toMatchObject({ picks: 4, evaluated: 3, hits: 2, hitRate: 66.7, pending: 1, since: '2025-07-01' });
+      expect(summary.byRecommendation['STRONGLY CONSIDER']).toMatchObject({ evaluated: 2, hitRate: 50, avgMoveToExpected: 1 });
+      expect(summary.byRegime.normal).toMatchObject({ picks: 3, evaluated: 2, hitRate: 100 });
+    });
+  });
+
+  describe('TrackRecordStore', () => {
+    it('should record publications and evaluate them once prices are in', async () => {
+      const dataProvider = { getYahooHistoricalData: vi.fn().mockResolvedValue({ prices: bars }) };
+      const trackRecord = new TrackRecordStore(new MemoryKeyValueStore(), { dataProvider });
+
+      await trackRecord.recordPublications([
+        buildItem('AAPL', 'STRONGLY CONSIDER'),
+        buildItem('MSFT', 'NEUTRAL')
+      ], { marketContext: { marketRegime: 'normal' } });
+      // Re-publishing the same symbol on the same day replaces the earlier pick
+      await trackRecord.recordPublications([buildItem('AAPL', 'STRONGLY CONSIDER')]);
+      expect(await trackRecord.getPicks()).toHaveLength(2);
+
+      const notYet = await trackRecord.evaluatePending({ asOf: new Date('2025-07-20T12:00:00Z') });
+      expect(notYet).toEqual({ evaluated: 0, unavailable: 0, pending: 2 });
+      expect(dataProvider.getYahooHistoricalData).not.toHaveBeenCalled();
+
+      const counts = await trackRecord.evaluatePending({ asOf: new Date('2025-07-26T12:00:00Z') });
+      expect(counts).toEqual({ evaluated: 2, unavailable: 0, pending: 0 });
+      expect(dataProvider.getYahooHistoricalData).toHaveBeenCalledTimes(2);
+
+      const summary = await trackRecord.getSummary();
+      expect(summary.hitRate).toBe(100);
+      expect(summary.byRecommendation.NEUTRAL.evaluated).toBe(1);
+    });
+
+    it('should leave picks pending when prices fail to load', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const dataProvider = { getYahooHistoricalData: vi.fn().mockRejectedValue(new Error('Yahoo down')) };
+      const trackRecord = new TrackRecordStore(new MemoryKeyValueStore(), { dataProvider });
+      await trackRecord.recordPublications([buildItem('AAPL', 'STRONGLY CONSIDER')]);
+
+      const counts = await trackRecord.evaluatePending({ asOf: new Date('2025-07-26T12:00:00Z') });
+
+      expect(counts.pending).toBe(1);
+      expect((await trackRecord.getPicks())[0].outcome).toBeNull();
+      vi.restoreAllMocks();
+    });
+  });
+});
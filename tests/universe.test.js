@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import UniverseBuilder, {
+  parseConstituentsCsv,
+  evaluateScreens,
+  SCREEN_TTL_DAYS
+} from '../src/universe.js';
+import { MemoryKeyValueStore } from '../src/storage.js';
+import constituentsCsv from '../src/config/constituents.csv';
+
+const DAY = 24 * 60 * 60 * 1000;
+const bars = (close, volume) => ({ prices: Array.from({ length: 25 }, (_, i) => ({ date: `2025-01-${String(i + 1).padStart(2, '0')}`, close, volume })) });
+
+function createProvider({ history = {}, chains = {} } = {}) {
+  return {
+    getYahooHistoricalData: vi.fn(async (symbol) => {
+      if (!history[symbol]) throw new Error('Yahoo historical API error: 404');
+      return history[symbol];
+    }),
+    getYahooOptionsChain: vi.fn(async (symbol) => {
+      const chain = chains[symbol];
+      if (chain instanceof Error) throw chain;
+      return { expirationDates: chain ?? [1767225600] };
+    })
+  };
+}
+
+const constituents = ['AAPL', 'PENNY', 'THIN', 'WORK'].map(symbol => ({ symbol, indices: ['SP500'] }));
+
+describe('Universe', () => {
+  describe('parseConstituentsCsv', () => {
+    it('should parse quoted fields, normalise class shares and drop duplicates', () => {
+      const parsed = parseConstituentsCsv('symbol,name,sector,indices\nBRK.B,"Berkshire Hathaway, Inc.",Financials,SP500\naapl,Apple,Information Technology,SP500;NDX\nAAPL,Apple,,\n\n');
+
+      expect(parsed).toEqual([
+        { symbol: 'BRK-B', name: 'Berkshire Hathaway, Inc.', sector: 'Financials', indices: ['SP500'] },
+        { symbol: 'AAPL', name: 'Apple', sector: 'Information Technology', indices: ['SP500', 'NDX'] }
+      ]);
+    });
+
+    it('should reject files without a symbol column', () => {
+      expect(() => parseConstituentsCsv('ticker,name\nAAPL,Apple')).toThrow('missing a symbol column');
+    });
+
+    it('should load the checked-in snapshot without delisted tickers', () => {
+      const symbols = parseConstituentsCsv(constituentsCsv).map(c => c.symbol);
+
+      expect(symbols.length).toBeGreaterThan(500);
+      expect(symbols).toEqual(expect.arrayContaining(['AAPL', 'SNPS', 'BRK-B']));
+      ['WORK', 'ATVI', 'DISCA', 'DISCK', 'SNYS'].forEach(symbol => expect(symbols).not.toContain(symbol));
+    });
+  });
+
+  describe('evaluateScreens', () => {
+    const screens = { minPrice: 10, minAverageVolume: 1_000_000, requireOptions: true };
+
+    it('should list every failed screen', () => {
+      expect(evaluateScreens({ price: 4.2, averageVolume: 200_000, optionable: false }, screens)).toEqual([
+        'price $4.2 < $10',
+        'avg volume 200000 < 1000000',
+        'no listed options'
+      ]);
+    });
+
+    it('should not exclude on an inconclusive options lookup', () => {
+      expect(evaluateScreens({ price: 50, averageVolume: 2_000_000, optionable: null }, screens)).toEqual([]);
+    });
+  });
+
+  describe('UniverseBuilder', () => {
+    let store;
+    let provider;
+
+    beforeEach(() => {
+      store = new MemoryKeyValueStore();
+      provider = createProvider({
+        history: { AAPL: bars(200, 50_000_000), PENNY: bars(3, 5_000_000), THIN: bars(40, 1_500_000) },
+        chains: { THIN: [] }
+      });
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('should keep passing names and report exclusions and failed lookups', async () => {
+      const builder = new UniverseBuilder(store, { dataProvider: provider, requestDelay: 0 });
+      const universe = await builder.buildUniverse(constituents);
+
+      expect(universe.symbols).toEqual(['AAPL']);
+      expect(universe.excluded).toEqual([
+        { symbol: 'PENNY', reasons: ['price $3 < $10'] },
+        { symbol: 'THIN', reasons: ['no listed options'] }
+      ]);
+      expect(universe.failed).toEqual([{ symbol: 'WORK', error: 'Yahoo historical API error: 404' }]);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('WORK'));
+    });
+
+    it('should reuse cached screens until they expire', async () => {
+      const builder = new UniverseBuilder(store, { dataProvider: provider, requestDelay: 0 });
+      const now = new Date('2025-06-02T10:00:00Z');
+      await builder.buildUniverse(constituents, { now });
+      provider.getYahooHistoricalData.mockClear();
+
+      const nextDay = await builder.buildUniverse(constituents, { now: new Date(now.getTime() + DAY) });
+      expect(nextDay.screened).toBe(1);
+      expect(provider.getYahooHistoricalData).toHaveBeenCalledWith('WORK', expect.any(Number));
+
+      const nextWeek = await builder.buildUniverse(constituents, { now: new Date(now.getTime() + SCREEN_TTL_DAYS * DAY) });
+      expect(nextWeek.screened).toBe(4);
+    });
+
+    it('should include unscreened constituents when the budget runs out', async () => {
+      const builder = new UniverseBuilder(store, { dataProvider: provider, requestDelay: 0 });
+      const universe = await builder.buildUniverse(constituents, { budget: 2 });
+
+      expect(universe.screened).toBe(2);
+      expect(universe.unscreened).toBe(2);
+      expect(universe.symbols).toEqual(['AAPL', 'THIN', 'WORK']);
+    });
+
+    it('should keep symbols whose options lookup errors', async () => {
+      provider = createProvider({ history: { AAPL: bars(200, 50_000_000) }, chains: { AAPL: new Error('Yahoo options API error: 401') } });
+      const builder = new UniverseBuilder(store, { dataProvider: provider, requestDelay: 0 });
+
+      const universe = await builder.buildUniverse([{ symbol: 'AAPL' }]);
+      expect(universe.symbols).toEqual(['AAPL']);
+      expect((await builder.getScreens()).AAPL).toMatchObject({ status: 'passed', optionable: null });
+    });
+  });
+});
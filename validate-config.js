@@ -9,6 +9,7 @@ import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
 import { SENSITIVE_KEYS } from './src/config/constants.js';
+import { listScoringProfiles, getScoringProfile } from './src/scoring-profiles.js';
 
 // Load environment variables
 dotenv.config();
@@ -30,7 +31,27 @@ const OPTIONAL_ENV_VARS = [
     'TRIGGER_AUTH_TOKEN',
     'SIGNUP_ALLOWED_ORIGINS',
     'SUBSCRIBE_ALLOWED_ORIGINS',
-    'ALLOWED_ORIGINS'
+    'ALLOWED_ORIGINS',
+    'SCORING_PROFILE',
+    'SUBSCRIBER_TOKEN_SECRET',
+    'TURNSTILE_SECRET_KEY',
+    'CHALLENGE_PROVIDER',
+    'DIGEST_DELIVERY_MODE',
+    'SIGNUP_PAGE_URL',
+    'WORKER_URL',
+    'SLACK_WEBHOOK_URL',
+    'DISCORD_WEBHOOK_URL',
+    'DIGEST_CHANNELS',
+    'SUMMARY_CHANNELS',
+    'TELEGRAM_BOT_TOKEN',
+    'TELEGRAM_WEBHOOK_SECRET',
+    'TELEGRAM_ALLOWED_CHAT_IDS',
+    'TELEGRAM_AI_ANALYSIS',
+    'ANALYZE_DAILY_QUOTA',
+    'APPROVAL_REQUIRED',
+    'APPROVAL_RECIPIENT',
+    'APPROVAL_DEADLINE_HOURS',
+    'APPROVAL_DEADLINE_ACTION'
 ];
 
 const CONFIG_FILES = [
@@ -205,6 +226,22 @@ if (fs.existsSync('.env.example')) {
     hasErrors = true;
 }
 
+// Scoring profiles (src/config/scoring-profiles.json)
+console.log('\n🎯 Scoring Profiles:');
+for (const name of listScoringProfiles()) {
+    try {
+        getScoringProfile(name);
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        hasErrors = true;
+    }
+}
+if (process.env.SCORING_PROFILE && !listScoringProfiles().includes(process.env.SCORING_PROFILE)) {
+    console.log(`❌ SCORING_PROFILE "${process.env.SCORING_PROFILE}" is not a configured profile`);
+    hasErrors = true;
+}
+
 // Check for common issues
 console.log('\n🔧 Common Issues Check:');
 if (process.env.POLYGON_API_KEY) {
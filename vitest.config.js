@@ -1,6 +1,17 @@
 import { defineConfig } from 'vitest/config';
 
+// Mirror the wrangler Text rule: .csv files import as their text content
+const csvText = {
+  name: 'csv-text',
+  transform(code, id) {
+    if (id.endsWith('.csv')) {
+      return { code: `export default ${JSON.stringify(code)};`, map: null };
+    }
+  }
+};
+
 export default defineConfig({
+  plugins: [csvText],
   test: {
     environment: 'node',
     globals: true,